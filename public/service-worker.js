@@ -0,0 +1,109 @@
+/* ===========================================================
+   Service worker: app-shell cache + practice notifications
+   -----------------------------------------------------------
+   Navigations are network-first (fall back to the cached shell
+   offline); hashed build assets under /static/ are cache-first.
+   The build's asset-manifest.json says which assets belong to it:
+   they are cached at install and after every online navigation, and
+   older builds' /static/ files are dropped then.
+   Speech models (/models/) are large and left to the HTTP cache.
+   =========================================================== */
+const CACHE = "chant-shell-v1";
+const SHELL = ["./", "index.html", "manifest.json", "favicon.ico", "logo192.png", "logo512.png"];
+
+// Cache the current build's assets and prune the ones it no longer lists
+function syncAssets() {
+  return fetch("asset-manifest.json", { cache: "no-cache" })
+    .then((res) => res.json())
+    .then(({ files }) => {
+      const urls = Object.values(files)
+        .filter((f) => !f.endsWith(".map"))
+        .map((f) => new URL(f, self.location.href).href);
+      return caches.open(CACHE).then((cache) =>
+        cache.keys().then((cached) => {
+          const have = new Set(cached.map((r) => r.url));
+          const stale = cached.filter(
+            (r) => new URL(r.url).pathname.includes("/static/") && !urls.includes(r.url)
+          );
+          return Promise.all([
+            cache.addAll(urls.filter((u) => !have.has(u))),
+            ...stale.map((r) => cache.delete(r)),
+          ]);
+        })
+      );
+    });
+}
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(
+    caches
+      .open(CACHE)
+      .then((cache) => cache.addAll(SHELL))
+      .then(syncAssets)
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) => Promise.all(keys.filter((k) => k !== CACHE).map((k) => caches.delete(k))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener("fetch", (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+  if (request.method !== "GET" || url.origin !== self.location.origin) return;
+  if (url.pathname.includes("/models/")) return;
+
+  if (request.mode === "navigate") {
+    event.respondWith(
+      fetch(request)
+        .then((res) => {
+          const copy = res.clone();
+          caches.open(CACHE).then((cache) => cache.put("index.html", copy));
+          event.waitUntil(syncAssets().catch(() => {})); // a new build may be live
+          return res;
+        })
+        .catch(() => caches.match("index.html"))
+    );
+    return;
+  }
+
+  if (url.pathname.includes("/static/")) {
+    event.respondWith(
+      caches.match(request).then(
+        (hit) =>
+          hit ||
+          fetch(request).then((res) => {
+            if (res.ok) {
+              const copy = res.clone();
+              caches.open(CACHE).then((cache) => cache.put(request, copy));
+            }
+            return res;
+          })
+      )
+    );
+  }
+});
+
+/* ---------- Practice notification tapped ---------- */
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  const data = event.notification.data || {};
+  const target = new URL(data.url || "./", self.registration.scope).href;
+
+  event.waitUntil(
+    self.clients.matchAll({ type: "window", includeUncontrolled: true }).then((clients) => {
+      const open = clients.find((c) => c.url.startsWith(self.registration.scope));
+      if (open) {
+        open.postMessage({ type: "start-session", mantraId: data.mantraId || "" });
+        return open.focus();
+      }
+      return self.clients.openWindow(target);
+    })
+  );
+});
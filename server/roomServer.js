@@ -0,0 +1,214 @@
+/* ===========================================================
+   Group Room Server (reference implementation)
+   -----------------------------------------------------------
+   A minimal WebSocket server (RFC 6455, text frames only) with no
+   dependencies beyond Node itself, so a group can run it on any
+   laptop on the same network:
+     node server/roomServer.js            (port 8787, or $PORT)
+   Browsers may only connect from a page on the server's own host,
+   or from the origins listed in $ROOM_ORIGINS (comma-separated).
+   Room logic lives in rooms.js; the protocol is in README.md.
+   =========================================================== */
+const http = require("http");
+const crypto = require("crypto");
+const { createRooms } = require("./rooms");
+
+const PORT = Number(process.env.PORT) || 8787;
+const ORIGINS = (process.env.ROOM_ORIGINS || "")
+  .split(",")
+  .map((o) => o.trim())
+  .filter(Boolean);
+const WS_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11";
+const MAX_MESSAGE_BYTES = 16 * 1024; // room messages are tiny
+
+const OP_CONTINUATION = 0x0;
+const OP_TEXT = 0x1;
+const OP_CLOSE = 0x8;
+const OP_PING = 0x9;
+const OP_PONG = 0xa;
+
+/* ---------- Framing ---------- */
+
+// Server frames are never masked
+function encodeFrame(opcode, payload = Buffer.alloc(0)) {
+  const len = payload.length;
+  let header;
+  if (len < 126) {
+    header = Buffer.from([0x80 | opcode, len]);
+  } else if (len < 65536) {
+    header = Buffer.alloc(4);
+    header.writeUInt16BE(len, 2);
+    header[1] = 126;
+  } else {
+    header = Buffer.alloc(10); // high 32 bits stay 0
+    header.writeUInt32BE(len, 6);
+    header[1] = 127;
+  }
+  header[0] = 0x80 | opcode;
+  return Buffer.concat([header, payload]);
+}
+
+/**
+ * Split buffered bytes into complete frames:
+ * { frames: [{ fin, opcode, payload }], rest, error }. On a bad frame,
+ * `error` is set and `frames` holds the good ones before it.
+ */
+function decodeFrames(buf) {
+  const frames = [];
+  let offset = 0;
+  while (buf.length - offset >= 2) {
+    const b0 = buf[offset];
+    const b1 = buf[offset + 1];
+    if (!(b1 & 0x80)) return { frames, error: "unmasked" }; // clients must mask
+    let len = b1 & 0x7f;
+    let pos = offset + 2;
+    if (len === 126) {
+      if (buf.length - pos < 2) break;
+      len = buf.readUInt16BE(pos);
+      pos += 2;
+    } else if (len === 127) {
+      if (buf.length - pos < 8) break;
+      if (buf.readUInt32BE(pos) !== 0) return { frames, error: "tooBig" };
+      len = buf.readUInt32BE(pos + 4);
+      pos += 8;
+    }
+    if (len > MAX_MESSAGE_BYTES) return { frames, error: "tooBig" };
+    if (buf.length - pos < 4 + len) break;
+    const mask = buf.subarray(pos, pos + 4);
+    const payload = Buffer.alloc(len);
+    for (let i = 0; i < len; i++) payload[i] = buf[pos + 4 + i] ^ mask[i % 4];
+    frames.push({ fin: !!(b0 & 0x80), opcode: b0 & 0x0f, payload });
+    offset = pos + 4 + len;
+  }
+  return { frames, rest: buf.subarray(offset) };
+}
+
+/**
+ * May a page from `origin` connect? Clients other than browsers send no
+ * Origin (and can't be abused from a web page), so they always may.
+ * Without an allow-list, only pages from the host the server is reached at.
+ */
+function originAllowed(origin, host, allowed = ORIGINS) {
+  if (!origin) return true;
+  if (allowed.length) return allowed.includes(origin);
+  try {
+    return new URL(origin).hostname === new URL(`http://${host}`).hostname;
+  } catch {
+    return false;
+  }
+}
+
+/* ---------- Server ---------- */
+function startRoomServer(port = PORT, origins = ORIGINS) {
+  const clients = new Map(); // clientId -> socket
+  let nextId = 0;
+
+  const send = (clientId, message) => {
+    const socket = clients.get(clientId);
+    if (socket && !socket.destroyed) {
+      socket.write(encodeFrame(OP_TEXT, Buffer.from(JSON.stringify(message))));
+    }
+  };
+  const rooms = createRooms({ send });
+
+  const server = http.createServer((req, res) => {
+    res.writeHead(200, { "Content-Type": "text/plain" });
+    res.end("Chant Reminder room server. Connect with a WebSocket.\n");
+  });
+
+  server.on("upgrade", (req, socket, head) => {
+    const key = req.headers["sec-websocket-key"];
+    if (!key || (req.headers.upgrade || "").toLowerCase() !== "websocket") {
+      socket.end("HTTP/1.1 400 Bad Request\r\n\r\n");
+      return;
+    }
+    if (!originAllowed(req.headers.origin, req.headers.host, origins)) {
+      socket.end("HTTP/1.1 403 Forbidden\r\n\r\n");
+      return;
+    }
+    const accept = crypto.createHash("sha1").update(key + WS_GUID).digest("base64");
+    socket.write(
+      "HTTP/1.1 101 Switching Protocols\r\n" +
+        "Upgrade: websocket\r\n" +
+        "Connection: Upgrade\r\n" +
+        `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+    );
+
+    nextId += 1;
+    const clientId = `m${nextId}`;
+    clients.set(clientId, socket);
+    let pending = Buffer.alloc(0);
+    let fragments = []; // text message split over continuation frames
+    let closed = false; // close frame sent: ignore anything after it
+
+    const close = (code = 1000) => {
+      closed = true;
+      const body = Buffer.alloc(2);
+      body.writeUInt16BE(code, 0);
+      if (!socket.destroyed) socket.end(encodeFrame(OP_CLOSE, body));
+    };
+
+    const onMessage = (text) => {
+      let msg;
+      try {
+        msg = JSON.parse(text);
+      } catch {
+        send(clientId, { type: "error", code: "badMessage" });
+        return;
+      }
+      rooms.handle(clientId, msg);
+    };
+
+    const onData = (chunk) => {
+      if (closed) return;
+      const { frames, rest, error } = decodeFrames(Buffer.concat([pending, chunk]));
+      pending = rest || Buffer.alloc(0);
+      for (const { fin, opcode, payload } of frames) {
+        if (opcode === OP_TEXT || opcode === OP_CONTINUATION) {
+          fragments.push(payload);
+          if (fragments.reduce((n, f) => n + f.length, 0) > MAX_MESSAGE_BYTES) {
+            close(1009);
+            return;
+          }
+          if (fin) {
+            const text = Buffer.concat(fragments).toString("utf8");
+            fragments = [];
+            onMessage(text);
+          }
+        } else if (opcode === OP_PING) {
+          socket.write(encodeFrame(OP_PONG, payload));
+        } else if (opcode === OP_CLOSE) {
+          close();
+          return;
+        } else if (opcode !== OP_PONG) {
+          close(1003); // binary frames are not part of the protocol
+          return;
+        }
+      }
+      // the good frames in the same chunk were handled first
+      if (error) close(error === "tooBig" ? 1009 : 1002);
+    };
+    socket.on("data", onData);
+    if (head.length) onData(head); // frames sent along with the upgrade request
+
+    const drop = () => {
+      if (!clients.has(clientId)) return;
+      clients.delete(clientId);
+      rooms.leave(clientId);
+    };
+    socket.on("close", drop);
+    socket.on("error", drop);
+  });
+
+  server.listen(port);
+  return server;
+}
+
+if (require.main === module) {
+  const server = startRoomServer();
+  server.on("listening", () => {
+    console.log(`Room server listening on ws://localhost:${server.address().port}`);
+  });
+}
+
+module.exports = { startRoomServer, encodeFrame, decodeFrames, originAllowed, MAX_MESSAGE_BYTES };
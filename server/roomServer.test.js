@@ -0,0 +1,148 @@
+/**
+ * @jest-environment node
+ */
+const net = require('net');
+const {
+  startRoomServer,
+  encodeFrame,
+  decodeFrames,
+  originAllowed,
+  MAX_MESSAGE_BYTES,
+} = require('./roomServer');
+
+// A client frame: always masked
+function clientFrame(opcode, text, { fin = true } = {}) {
+  const payload = Buffer.from(text);
+  const mask = Buffer.from([1, 2, 3, 4]);
+  const len = payload.length;
+  const header =
+    len < 126 ? Buffer.from([0, 0x80 | len]) : Buffer.from([0, 0x80 | 126, len >> 8, len & 0xff]);
+  header[0] = (fin ? 0x80 : 0) | opcode;
+  const masked = payload.map((b, i) => b ^ mask[i % 4]);
+  return Buffer.concat([header, mask, masked]);
+}
+
+const texts = (frames) => frames.map((f) => f.payload.toString());
+
+describe('frame codec', () => {
+  test('decodes masked frames and keeps a partial one for later', () => {
+    const a = clientFrame(0x1, 'hello');
+    const b = clientFrame(0x1, 'x'.repeat(300));
+    const buf = Buffer.concat([a, b.subarray(0, 10)]);
+    const { frames, rest, error } = decodeFrames(buf);
+    expect(error).toBeUndefined();
+    expect(texts(frames)).toEqual(['hello']);
+    expect(frames[0]).toMatchObject({ fin: true, opcode: 0x1 });
+
+    const next = decodeFrames(Buffer.concat([rest, b.subarray(10)]));
+    expect(texts(next.frames)).toEqual(['x'.repeat(300)]);
+    expect(next.rest).toHaveLength(0);
+  });
+
+  test('returns the good frames before a bad one', () => {
+    const unmasked = Buffer.from([0x81, 2, 0x68, 0x69]);
+    const out = decodeFrames(Buffer.concat([clientFrame(0x1, 'one'), unmasked]));
+    expect(out.error).toBe('unmasked');
+    expect(texts(out.frames)).toEqual(['one']);
+
+    const tooBig = clientFrame(0x1, 'y'.repeat(MAX_MESSAGE_BYTES + 1));
+    const big = decodeFrames(Buffer.concat([clientFrame(0x1, 'two'), tooBig]));
+    expect(big.error).toBe('tooBig');
+    expect(texts(big.frames)).toEqual(['two']);
+  });
+
+  test('encodes unmasked server frames with the right length form', () => {
+    expect([...encodeFrame(0x1, Buffer.from('hi'))]).toEqual([0x81, 2, 0x68, 0x69]);
+    const medium = encodeFrame(0x1, Buffer.alloc(200));
+    expect([medium[0], medium[1], medium.readUInt16BE(2)]).toEqual([0x81, 126, 200]);
+    const large = encodeFrame(0x1, Buffer.alloc(70000));
+    expect([large[1], large.readUInt32BE(6)]).toEqual([127, 70000]);
+  });
+});
+
+describe('originAllowed', () => {
+  test('allows clients without an Origin and pages on the server\'s host', () => {
+    expect(originAllowed(undefined, '192.168.1.4:8787', [])).toBe(true);
+    expect(originAllowed('http://192.168.1.4:3000', '192.168.1.4:8787', [])).toBe(true);
+    expect(originAllowed('https://evil.example', '192.168.1.4:8787', [])).toBe(false);
+    expect(originAllowed('null', '192.168.1.4:8787', [])).toBe(false);
+  });
+
+  test('an allow-list replaces the same-host rule', () => {
+    const allowed = ['https://chant.example'];
+    expect(originAllowed('https://chant.example', 'rooms.example:8787', allowed)).toBe(true);
+    expect(originAllowed('http://rooms.example', 'rooms.example:8787', allowed)).toBe(false);
+  });
+});
+
+describe('startRoomServer', () => {
+  let server;
+  let port;
+
+  beforeAll((done) => {
+    server = startRoomServer(0, []);
+    server.on('listening', () => {
+      port = server.address().port;
+      done();
+    });
+  });
+
+  afterAll((done) => {
+    server.close(done);
+  });
+
+  // Upgrade, write `bytes` in one chunk, collect everything until the server closes
+  const session = (origin, bytes) =>
+    new Promise((resolve, reject) => {
+      const socket = net.connect(port, '127.0.0.1');
+      const chunks = [];
+      socket.on('connect', () => {
+        socket.write(
+          'GET / HTTP/1.1\r\n' +
+            `Host: 127.0.0.1:${port}\r\n` +
+            'Upgrade: websocket\r\nConnection: Upgrade\r\n' +
+            'Sec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==\r\nSec-WebSocket-Version: 13\r\n' +
+            (origin ? `Origin: ${origin}\r\n` : '') +
+            '\r\n'
+        );
+        socket.write(bytes);
+      });
+      socket.on('data', (chunk) => chunks.push(chunk));
+      socket.on('error', reject);
+      socket.on('close', () => resolve(Buffer.concat(chunks)));
+    });
+
+  // Server frames out of a response after the HTTP headers
+  const serverFrames = (buf) => {
+    const body = buf.subarray(buf.indexOf('\r\n\r\n') + 4);
+    const frames = [];
+    let offset = 0;
+    while (offset < body.length) {
+      const short = body[offset + 1];
+      const len = short === 126 ? body.readUInt16BE(offset + 2) : short;
+      const start = offset + (short === 126 ? 4 : 2);
+      frames.push({ opcode: body[offset] & 0x0f, payload: body.subarray(start, start + len) });
+      offset = start + len;
+    }
+    return frames;
+  };
+
+  test('handles the good frames in a chunk before closing on a bad one', async () => {
+    const unmasked = Buffer.from([0x81, 2, 0x68, 0x69]);
+    const res = await session(
+      null,
+      Buffer.concat([clientFrame(0x1, '{"type":"create","name":"Asha"}'), unmasked])
+    );
+    expect(res.toString()).toMatch(/^HTTP\/1.1 101/);
+    const frames = serverFrames(res);
+    expect(JSON.parse(frames[0].payload)).toMatchObject({ type: 'joined', memberId: 'm1' });
+    const close = frames[frames.length - 1];
+    expect(close.opcode).toBe(0x8);
+    expect(close.payload.readUInt16BE(0)).toBe(1002);
+  });
+
+  test('refuses pages from another origin', async () => {
+    const res = await session('https://evil.example', Buffer.alloc(0));
+    expect(res.toString()).toMatch(/^HTTP\/1.1 403/);
+  });
+});
@@ -0,0 +1,164 @@
+/* ===========================================================
+   Group Rooms (server-side state)
+   -----------------------------------------------------------
+   Transport-free: roomServer.js feeds it parsed messages per
+   connection and delivers whatever it sends. Protocol in README.md.
+   =========================================================== */
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789"; // no 0/O or 1/I
+const CODE_LENGTH = 6;
+const MAX_NAME_LENGTH = 40;
+const MEMBER_EVENTS = ["cycle", "silence", "mismatch"];
+
+function cleanName(raw, fallback) {
+  const name = typeof raw === "string" ? raw.trim().slice(0, MAX_NAME_LENGTH) : "";
+  return name || fallback;
+}
+
+/**
+ * send(clientId, message) delivers one message to one connection.
+ *   rooms.handle(clientId, message)  a parsed client message
+ *   rooms.leave(clientId)            the connection closed
+ */
+function createRooms({ send, now = Date.now, random = Math.random }) {
+  const rooms = new Map(); // code -> room
+  const memberRoom = new Map(); // clientId -> code
+
+  const newCode = () => {
+    let code;
+    do {
+      code = "";
+      for (let i = 0; i < CODE_LENGTH; i++) {
+        code += CODE_ALPHABET[Math.floor(random() * CODE_ALPHABET.length)];
+      }
+    } while (rooms.has(code));
+    return code;
+  };
+
+  const error = (clientId, code) => send(clientId, { type: "error", code });
+
+  const broadcast = (room, message) => {
+    room.members.forEach((_, id) => send(id, message));
+  };
+
+  const snapshot = (room) => ({
+    type: "state",
+    room: room.code,
+    hostId: room.hostId,
+    running: room.running,
+    startedAt: room.startedAt,
+    stoppedAt: room.stoppedAt,
+    now: now(), // lets clients correct for clock differences
+    members: [...room.members.values()].map((m) => ({ ...m })),
+  });
+
+  const addMember = (room, clientId, name) => {
+    room.members.set(clientId, {
+      id: clientId,
+      name: cleanName(name, `Guest ${room.members.size + 1}`),
+      listening: false,
+      cycles: 0,
+      silence: 0,
+      mismatch: 0,
+    });
+    memberRoom.set(clientId, room.code);
+    send(clientId, { type: "joined", room: room.code, memberId: clientId });
+    broadcast(room, snapshot(room));
+  };
+
+  const handlers = {
+    create(clientId, msg) {
+      const room = {
+        code: newCode(),
+        hostId: clientId,
+        running: false,
+        startedAt: null,
+        stoppedAt: null,
+        members: new Map(),
+      };
+      rooms.set(room.code, room);
+      addMember(room, clientId, msg.name);
+    },
+
+    join(clientId, msg) {
+      const room = rooms.get(String(msg.room || "").toUpperCase());
+      if (!room) return error(clientId, "roomNotFound");
+      addMember(room, clientId, msg.name);
+    },
+
+    listening(clientId, msg, room) {
+      room.members.get(clientId).listening = !!msg.listening;
+      broadcast(room, snapshot(room));
+    },
+
+    event(clientId, msg, room) {
+      if (!MEMBER_EVENTS.includes(msg.event)) return error(clientId, "badMessage");
+      const member = room.members.get(clientId);
+      member[msg.event === "cycle" ? "cycles" : msg.event] += 1;
+      broadcast(room, {
+        type: "event",
+        memberId: clientId,
+        name: member.name,
+        event: msg.event,
+        at: now(),
+      });
+      broadcast(room, snapshot(room));
+    },
+
+    start(clientId, msg, room) {
+      if (room.hostId !== clientId) return error(clientId, "notHost");
+      room.running = true;
+      room.startedAt = now();
+      room.stoppedAt = null;
+      room.members.forEach((m) => Object.assign(m, { cycles: 0, silence: 0, mismatch: 0 }));
+      broadcast(room, { type: "command", command: "start", at: room.startedAt });
+      broadcast(room, snapshot(room));
+    },
+
+    stop(clientId, msg, room) {
+      if (room.hostId !== clientId) return error(clientId, "notHost");
+      if (!room.running) return;
+      room.running = false;
+      room.stoppedAt = now();
+      broadcast(room, { type: "command", command: "stop", at: room.stoppedAt });
+      broadcast(room, snapshot(room));
+    },
+
+    leave(clientId) {
+      leave(clientId);
+    },
+  };
+
+  const handle = (clientId, msg) => {
+    if (!msg || !Object.prototype.hasOwnProperty.call(handlers, msg.type)) {
+      return error(clientId, "badMessage");
+    }
+    const handler = handlers[msg.type];
+
+    const code = memberRoom.get(clientId);
+    if (msg.type === "create" || msg.type === "join") {
+      if (code) return error(clientId, "alreadyInRoom");
+      return handler(clientId, msg);
+    }
+    if (!code) return error(clientId, "notInRoom");
+    return handler(clientId, msg, rooms.get(code));
+  };
+
+  // The host leaving hands the room to the longest-present member
+  const leave = (clientId) => {
+    const code = memberRoom.get(clientId);
+    if (!code) return;
+    memberRoom.delete(clientId);
+    const room = rooms.get(code);
+    room.members.delete(clientId);
+    if (!room.members.size) {
+      rooms.delete(code);
+      return;
+    }
+    if (room.hostId === clientId) room.hostId = room.members.keys().next().value;
+    broadcast(room, snapshot(room));
+  };
+
+  return { handle, leave, roomCount: () => rooms.size };
+}
+
+module.exports = { createRooms, CODE_LENGTH, MEMBER_EVENTS };
@@ -0,0 +1,94 @@
+/**
+ * @jest-environment node
+ */
+const { createRooms, CODE_LENGTH } = require('./rooms');
+
+// Rooms with every sent message logged per client
+function roomsWithLog() {
+  const sent = [];
+  let t = 1000;
+  const rooms = createRooms({
+    send: (id, message) => sent.push({ id, ...message }),
+    now: () => t,
+  });
+  const to = (id, type) => sent.filter((m) => m.id === id && (!type || m.type === type));
+  const last = (id, type) => to(id, type).pop();
+  const advance = (ms) => {
+    t += ms;
+  };
+  return { rooms, sent, to, last, advance };
+}
+
+// m1 creates a room, m2 joins it; returns the room code
+function hostAndGuest(log) {
+  log.rooms.handle('m1', { type: 'create', name: 'Asha' });
+  const { room } = log.last('m1', 'joined');
+  log.rooms.handle('m2', { type: 'join', room: room.toLowerCase(), name: '  ' });
+  return room;
+}
+
+test('create makes the creator host, join adds a guest', () => {
+  const log = roomsWithLog();
+  const room = hostAndGuest(log);
+  expect(room).toHaveLength(CODE_LENGTH);
+  expect(log.last('m2', 'joined')).toMatchObject({ room, memberId: 'm2' });
+  const state = log.last('m1', 'state');
+  expect(state.hostId).toBe('m1');
+  expect(state.members.map((m) => m.name)).toEqual(['Asha', 'Guest 2']);
+});
+
+test('only the host can start and stop', () => {
+  const log = roomsWithLog();
+  hostAndGuest(log);
+  log.rooms.handle('m2', { type: 'start' });
+  log.rooms.handle('m2', { type: 'stop' });
+  expect(log.to('m2', 'error').map((m) => m.code)).toEqual(['notHost', 'notHost']);
+  expect(log.to('m1', 'command')).toEqual([]);
+
+  log.rooms.handle('m1', { type: 'start' });
+  expect(log.last('m2', 'command')).toMatchObject({ command: 'start', at: 1000 });
+  log.advance(5000);
+  log.rooms.handle('m1', { type: 'stop' });
+  expect(log.last('m2', 'state')).toMatchObject({ running: false, startedAt: 1000, stoppedAt: 6000 });
+});
+
+test('start resets everyone\'s counts', () => {
+  const log = roomsWithLog();
+  hostAndGuest(log);
+  log.rooms.handle('m2', { type: 'event', event: 'cycle' });
+  log.rooms.handle('m2', { type: 'event', event: 'silence' });
+  expect(log.last('m1', 'event')).toMatchObject({ memberId: 'm2', name: 'Guest 2', event: 'silence' });
+  expect(log.last('m1', 'state').members[1]).toMatchObject({ cycles: 1, silence: 1, mismatch: 0 });
+
+  log.rooms.handle('m1', { type: 'start' });
+  expect(log.last('m1', 'state').members[1]).toMatchObject({ cycles: 0, silence: 0, mismatch: 0 });
+});
+
+test('the host leaving hands the room to the longest-present member', () => {
+  const log = roomsWithLog();
+  const room = hostAndGuest(log);
+  log.rooms.handle('m3', { type: 'join', room, name: 'Ravi' });
+  log.rooms.leave('m1');
+  expect(log.last('m3', 'state').hostId).toBe('m2');
+  log.rooms.handle('m2', { type: 'start' });
+  expect(log.last('m3', 'command')).toMatchObject({ command: 'start' });
+
+  log.rooms.handle('m2', { type: 'leave' });
+  log.rooms.leave('m3');
+  expect(log.rooms.roomCount()).toBe(0);
+});
+
+test('answers bad requests with error codes', () => {
+  const log = roomsWithLog();
+  const errors = (id) => log.to(id, 'error').map((m) => m.code);
+  log.rooms.handle('m1', null);
+  log.rooms.handle('m1', { type: 'toString' });
+  log.rooms.handle('m1', { type: 'start' });
+  log.rooms.handle('m1', { type: 'join', room: 'NOPE42' });
+  expect(errors('m1')).toEqual(['badMessage', 'badMessage', 'notInRoom', 'roomNotFound']);
+
+  hostAndGuest(log);
+  log.rooms.handle('m2', { type: 'create' });
+  log.rooms.handle('m2', { type: 'event', event: 'dance' });
+  expect(errors('m2')).toEqual(['alreadyInRoom', 'badMessage']);
+});
@@ -1,11 +1,187 @@
-import React, { useState, useEffect, useRef, useMemo } from "react";
+import React, { useState, useEffect, useRef, useMemo, useCallback } from "react";
+import {
+  saveSession,
+  loadSessions,
+  createSessionStats,
+  markHeard,
+  markReminder,
+  finishSession,
+  sessionBreakdown,
+  summarizeSessions,
+  importSessions,
+} from "./sessionHistory";
+import {
+  buildBackup,
+  readSettings,
+  writeSettings,
+  parseBackup,
+  mergeLibrary,
+  orphanedRecordings,
+  mergeSettings,
+  newSessions,
+  sessionsToCsv,
+  downloadText,
+} from "./backup";
+import {
+  GOAL_KINDS,
+  MAX_GOAL_MINUTES,
+  MAX_GOAL_REPS,
+  normalizeGoal,
+  goalProgress,
+} from "./sessionGoal";
+import {
+  ALL_DAYS,
+  makeSlot,
+  normalizeSchedule,
+  dueReminders,
+  nextReminder,
+} from "./practiceSchedule";
+import {
+  notificationsSupported,
+  requestNotificationPermission,
+  showPracticeNotification,
+  parseSessionLink,
+  onStartSessionMessage,
+} from "./pwa";
+import {
+  loadLibrary,
+  saveLibrary,
+  makeMantra,
+  upsertMantra,
+  removeMantra,
+  detectScript,
+  mantraLang,
+} from "./mantraLibrary";
+import { probeCandidates, transcriptScore, createLocaleProbe } from "./localeProbe";
+import { speechEntry, reminderEntry, pushEntry } from "./liveTimeline";
+import {
+  MIN_REFERENCE_MS,
+  isAudioCaptureAvailable,
+  startAudioCapture,
+  templateFromBlob,
+  saveRecording,
+  loadRecording,
+  deleteRecording,
+  playRecording,
+} from "./referenceAudio";
+import { startAcousticListener } from "./acousticMatch";
+import {
+  normalizeRoomSettings,
+  normalizeRoomCode,
+  isRoomCode,
+  roomServerUrl,
+  roomTotals,
+  serverClockOffset,
+  pushFeed,
+  connectRoom,
+} from "./groupRoom";
+import {
+  MIN_MAX_RPM,
+  MAX_MAX_RPM,
+  normalizePace,
+  steadiness,
+  createPaceTracker,
+} from "./paceAnalytics";
+import {
+  MIN_TEMPO,
+  MAX_TEMPO,
+  GUIDE_VOICES,
+  normalizeGuided,
+  judgeResponse,
+  createGuidedSession,
+} from "./guidedSession";
+import { STRICTNESS_LEVELS, DEFAULT_STRICTNESS, isStrictness } from "./fuzzyMatch";
+import {
+  createChantEngine,
+  buildMantraData,
+  matchMantra,
+  scoreTranscript,
+} from "./chantEngine";
+import {
+  CALIBRATION_PHASES,
+  normalizeCalibrations,
+  serializeCalibrations,
+  thresholdsFor,
+  currentMicKey,
+  calibrationSample,
+  learnThresholds,
+} from "./mismatchCalibration";
+import {
+  recognizerKinds,
+  isRecognizerAvailable,
+  pickRecognizer,
+  probeOfflineModels,
+  createRecognizer,
+  keepAlive,
+} from "./recognizers";
+import { acquireWakeLock } from "./wakeLock";
+import {
+  adviceKey,
+  adviceFor,
+  pushError,
+  watchMicPermission,
+  testMicrophone,
+} from "./diagnostics";
+import {
+  DEFAULT_NOISE_FLOOR,
+  createVoiceDetector,
+  startMicLevels,
+  calibrateNoise,
+  isVoiceActivityAvailable,
+} from "./voiceActivity";
+import {
+  SOUND_EVENTS,
+  SOUND_PRESETS,
+  VIBRATION_PATTERNS,
+  DEFAULT_SOUND_SETTINGS,
+  normalizeSoundSettings,
+  playSound,
+  vibrate,
+  duckAudio,
+} from "./sounds";
+import {
+  MIN_RATE,
+  MAX_RATE,
+  normalizeVoiceSettings,
+  isSpeechSynthesisAvailable,
+  voicesForLang,
+  loadVoices,
+  speak,
+  cancelSpeech,
+} from "./voicePrompts";
+import { normalizeEscalation, escalationStep } from "./escalation";
+import { createEchoGuard } from "./echoGuard";
+import {
+  LOCALES,
+  DEFAULT_LOCALE,
+  isLocale,
+  speechLangFor,
+  speechLangOptions,
+  speechLangName,
+  baseCatalog,
+  loadCatalog,
+} from "./i18n";
 
 /* ===========================================================
    Persistent Keys
    =========================================================== */
-const STORAGE_KEY_MANTRA = "chantMantra";
 const STORAGE_KEY_LANG = "chantLang";
 const STORAGE_KEY_SILENCE = "chantSilenceMs";
+const STORAGE_KEY_MALA = "chantMalaTarget";
+const STORAGE_KEY_STRICTNESS = "chantStrictness";
+const STORAGE_KEY_RECOGNIZER = "chantRecognizer";
+const STORAGE_KEY_LISTEN_MODE = "chantListenMode";
+const STORAGE_KEY_LANG_PROBE = "chantLangProbe";
+const STORAGE_KEY_GUIDED = "chantGuided";
+const STORAGE_KEY_PACE = "chantPace";
+const STORAGE_KEY_ROOM = "chantRoom";
+const STORAGE_KEY_NOISE = "chantNoiseFloor";
+const STORAGE_KEY_MISMATCH_CAL = "chantMismatchCalibration";
+const STORAGE_KEY_SOUNDS = "chantSounds";
+const STORAGE_KEY_ESCALATION = "chantEscalation";
+const STORAGE_KEY_VOICE = "chantVoice";
+const STORAGE_KEY_GOAL = "chantGoal";
+const STORAGE_KEY_SCHEDULE = "chantSchedule";
 
 /* ===========================================================
    Defaults
@@ -15,91 +191,98 @@ const MIN_SILENCE_SEC = 1;
 const MAX_SILENCE_SEC = 10;
 const MOBILE_BREAK = 600; // px
 
-// Soft beep tone config
-const BEEP_FREQ = 440;
-const BEEP_GAIN = 0.2;
-const BEEP_DURATION_MS = 1500;
+// speech: recognizer · voice: mic energy only · acoustic: reference recording
+// guided: the app calls the mantra, then listens for the repeat
+const LISTEN_MODES = ["speech", "voice", "acoustic", "guided"];
 
-// Wrong‑chant immediate beep cooldown (ms)
-const MISMATCH_COOLDOWN_MS = 1500;
+// Mala targets (beads per round)
+const MALA_PRESETS = [27, 54, 108];
+const DEFAULT_MALA = 108;
+const MAX_MALA = 10000;
+
+// Practice reminders are checked this often while the app is open
+const SCHEDULE_POLL_MS = 30000;
 
 // Debug flag (set true to see console logs)
 const DEBUG = false;
 
-/* ===========================================================
-   UI Text (EN / HI)
-   =========================================================== */
-const texts = {
-  en: {
-    title: "Chant Reminder",
-    step1: "Record your mantra and save it.",
-    step2: "Start listening to track your chant.",
-    step3: "Soft beep if you stop (gap) or chant something else.",
-    gotIt: "Continue",
-    savedMantra: "Saved Mantra",
-    record: "Record Mantra",
-    rerecord: "Re-record Mantra",
-    stopSave: "Stop & Save",
-    startListening: "Start Listening",
-    stopListening: "Stop Listening",
-    chantSince: "Chant Time Since Reminder",
-    gapLabel: "Silence Beep Gap (seconds)",
-    troubleshooting: "Troubleshooting",
-    recording: "Recording...",
-    note1: "Beep if you stop chanting longer than",
-    note2: "seconds or your speech doesn't include your mantra.",
-    pleaseRecordFirst: "Please record a mantra first.",
-    noAudio: "No audio captured. Please record again.",
-    mantraSaved: (m) => `Mantra saved: "${m}"`,
-    liveChant: "Live Chant",
-    showLive: "Show Live Chant",
-    hideLive: "Hide Live Chant",
-  },
-  hi: {
-    title: "जप याद दिलाने वाला",
-    step1: "अपना मंत्र रिकॉर्ड करें और सेव करें।",
-    step2: "जप ट्रैक करने के लिए सुनना शुरू करें।",
-    step3: "यदि आप रुक जाते हैं या कुछ और बोलते हैं तो हल्का बीप।",
-    gotIt: "ठीक है",
-    savedMantra: "सहेजा गया मंत्र",
-    record: "मंत्र रिकॉर्ड करें",
-    rerecord: "मंत्र दोबारा रिकॉर्ड करें",
-    stopSave: "रोकें और सेव करें",
-    startListening: "सुनना शुरू करें",
-    stopListening: "सुनना बंद करें",
-    chantSince: "पिछली याद से जप समय",
-    gapLabel: "बीप अंतराल (सेकंड)",
-    troubleshooting: "समस्या निवारण",
-    recording: "रिकॉर्ड हो रहा है...",
-    note1: "यदि आप",
-    note2: "सेकंड से अधिक रुकते हैं या कुछ और बोलते हैं तो बीप।",
-    pleaseRecordFirst: "कृपया पहले मंत्र रिकॉर्ड करें।",
-    noAudio: "कोई ऑडियो कैप्चर नहीं हुआ। फिर से रिकॉर्ड करें।",
-    mantraSaved: (m) => `मंत्र सेव हुआ: "${m}"`,
-    liveChant: "लाइव जप",
-    showLive: "लाइव जप दिखाएं",
-    hideLive: "लाइव जप छिपाएं",
-  },
-};
-
 /* ===========================================================
    Component
    =========================================================== */
 export default function App() {
   /* ---------- State ---------- */
-  const [language, setLanguage] = useState("en");
+  const [language, setLanguage] = useState(DEFAULT_LOCALE);
+  const [catalog, setCatalog] = useState(baseCatalog);
   const [introSeen, setIntroSeen] = useState(false);
-  const [mantra, setMantra] = useState("");
+  const [library, setLibrary] = useState(loadLibrary); // { mantras, activeId }
+  const [editing, setEditing] = useState(null); // { id, name, text, lang } while editing
+  const [isTesting, setIsTesting] = useState(false);
+  const [testResult, setTestResult] = useState(null); // scoreTranscript() output
   const [isRecording, setIsRecording] = useState(false);
   const [recordPreview, setRecordPreview] = useState("");
+  const [isPlayingReference, setIsPlayingReference] = useState(false);
+  const [recordLang, setRecordLang] = useState(() => speechLangFor(DEFAULT_LOCALE));
   const [isListening, setIsListening] = useState(false);
+  const [recStatus, setRecStatus] = useState(null); // null | "reconnecting" (keepAlive)
+  const [recErrors, setRecErrors] = useState([]); // newest first, see diagnostics.js
+  const [micPermission, setMicPermission] = useState("unknown");
+  const [micTest, setMicTest] = useState(null); // null | "testing" | { ok } | { error }
   const [chantTime, setChantTime] = useState(0); // seconds since last reminder/beep
   const [silenceMs, setSilenceMs] = useState(DEFAULT_SILENCE_MS);
+  const [strictness, setStrictness] = useState(DEFAULT_STRICTNESS);
+  const [recognizerKind, setRecognizerKind] = useState(() => pickRecognizer("webspeech"));
+  const [offlineModels, setOfflineModels] = useState(false); // offline models are hosted
+  const [listenMode, setListenMode] = useState(() =>
+    pickRecognizer("webspeech") || !isVoiceActivityAvailable() ? "speech" : "voice"
+  );
+  const [langProbe, setLangProbe] = useState(false); // try several recognition locales
+  const [guided, setGuided] = useState(() => normalizeGuided()); // guided mode tempo + voice
+  const [guidedPhase, setGuidedPhase] = useState(null); // null | "call" | "respond"
+  const [guidedStats, setGuidedStats] = useState(null); // live guidedSession getStats()
+  const [pace, setPace] = useState(() => normalizePace()); // "too fast" reminder settings
+  const [paceStats, setPaceStats] = useState(null); // live paceAnalytics stats()
+  const [roomSettings, setRoomSettings] = useState(() => normalizeRoomSettings());
+  const [showRoom, setShowRoom] = useState(false);
+  const [room, setRoom] = useState(null); // { code, memberId, state, offset } once joined
+  const [roomStatus, setRoomStatus] = useState(null); // null | "connecting"
+  const [roomError, setRoomError] = useState(""); // error code (see t.room.errors)
+  const [roomFeed, setRoomFeed] = useState([]); // latest member events, newest first
+  const [roomCommand, setRoomCommand] = useState(null); // host start/stop to carry out
+  const [roomNow, setRoomNow] = useState(Date.now); // ticks the room clock
+  const [noiseFloor, setNoiseFloor] = useState(DEFAULT_NOISE_FLOOR);
+  const [isCalibrating, setIsCalibrating] = useState(false);
+  const [calibrations, setCalibrations] = useState({}); // wrong-chant thresholds by mic
+  const [micKey, setMicKey] = useState("default"); // microphone in use (see currentMicKey)
+  const [mismatchCal, setMismatchCal] = useState(null); // wizard: { phase, secondsLeft } | { result, micKey }
+  const [soundSettings, setSoundSettings] = useState(DEFAULT_SOUND_SETTINGS);
+  const [escalation, setEscalation] = useState(() => normalizeEscalation());
+  const [notice, setNotice] = useState(""); // non-blocking status line
+  const [voiceSettings, setVoiceSettings] = useState(() => normalizeVoiceSettings());
+  const [voices, setVoices] = useState([]); // speechSynthesis voices (load async)
+  const [goal, setGoal] = useState(() => normalizeGoal());
+  const [elapsedSec, setElapsedSec] = useState(0); // since session start
+  const [summary, setSummary] = useState(null); // last finished session record
+  const [schedule, setSchedule] = useState(() => normalizeSchedule());
+  const [showSchedule, setShowSchedule] = useState(false);
+  const [notifyPermission, setNotifyPermission] = useState(() =>
+    notificationsSupported() ? Notification.permission : "denied"
+  );
+  const [pendingStart, setPendingStart] = useState(null); // mantra id from a notification tap
+  const [showSounds, setShowSounds] = useState(false);
   const [showIssues, setShowIssues] = useState(false);
+  const [showHistory, setShowHistory] = useState(false);
+  const [importMode, setImportMode] = useState("merge"); // "merge" | "replace"
+  const [sessions, setSessions] = useState([]);
+
+  // Japa counter: complete mantra recitations this session
+  const [cycleCount, setCycleCount] = useState(0);
+  const [malaTarget, setMalaTarget] = useState(DEFAULT_MALA);
+  const [malaCustom, setMalaCustom] = useState(false);
 
-  // Live recognized speech (final) & current interim snippet
-  const [liveFinal, setLiveFinal] = useState("");
+  // Live timeline (final results + reminder markers) & current interim snippet
+  const [timeline, setTimeline] = useState([]);
   const [liveInterim, setLiveInterim] = useState("");
+  const [reviewId, setReviewId] = useState(null); // history session whose timeline is open
 
   // Responsive
   const [isMobile, setIsMobile] = useState(
@@ -113,13 +296,40 @@ export default function App() {
   const recordRecRef = useRef(null);
   const recordFinalRef = useRef([]);
   const recordInterimRef = useRef("");
+  const audioCaptureRef = useRef(null);          // Promise<capture | null> while recording
+  const playbackStopRef = useRef(null);          // stops reference playback
+  const testRecRef = useRef(null);
+  const mismatchCalRef = useRef(null);           // { rec, poll } while the wizard listens
 
   const listenRecRef = useRef(null);
-  const lastHeardRef = useRef(Date.now());       // last mantra token heard OR beep cooldown target
-  const mismatchBeepAtRef = useRef(0);           // last wrong-chant beep ts
+  const wakeReleaseRef = useRef(null);           // releases the screen wake lock
+  const engineRef = useRef(null);                // chantEngine for the live session
+  const voiceStopRef = useRef(null);             // stops mic polling (voice / acoustic mode)
+  const guidedRef = useRef(null);                // guidedSession (guided mode)
+  const guidedCallStopRef = useRef(null);        // stops the call playing now
+  const paceRef = useRef(null);                  // pace tracker of the live session
+  const paceSettingsRef = useRef(pace);          // read by session callbacks
+  const roomRef = useRef(null);                  // group room connection
+  const roomAttemptRef = useRef(0);              // latest connect attempt (older ones close)
+  const cycleCountRef = useRef(0);               // complete recitations
+  const sessionRef = useRef(null);               // live session stats (for history)
+  const timelineRef = useRef([]);                // live timeline (saved with the session)
   const chantTickerRef = useRef(null);           // chantTime ticker
   const gapPollRef = useRef(null);               // silence poll
   const audioCtxRef = useRef(null);
+  const soundSettingsRef = useRef(soundSettings); // read by session callbacks
+  const escalationRef = useRef(escalation);       // read by session callbacks
+  const voiceSettingsRef = useRef(voiceSettings); // read by session callbacks
+  const activeGoalRef = useRef(null);            // goal of the live session
+  const scheduleCheckRef = useRef(Date.now());   // last practice-reminder check
+  const echoRef = useRef(null);                  // the app's own sound reaching the mic
+  if (!echoRef.current) echoRef.current = createEchoGuard();
+  const listenControlsRef = useRef(null);        // this render's session start/stop
+
+  // Effects that start or stop a session use the latest functions without re-running
+  useEffect(() => {
+    listenControlsRef.current = { startListening, stopListening };
+  });
 
   /* ---------- Media query listener ---------- */
   useEffect(() => {
@@ -133,18 +343,126 @@ export default function App() {
     };
   }, []);
 
-  /* ---------- Load persisted values ---------- */
+  /* ---------- Microphone permission ---------- */
+  useEffect(() => watchMicPermission(setMicPermission), []);
+
+  /* ---------- Offline speech models (offered once they are hosted) ---------- */
   useEffect(() => {
-    const savedM = localStorage.getItem(STORAGE_KEY_MANTRA);
-    if (savedM) setMantra(savedM);
+    let current = true;
+    probeOfflineModels().then((found) => {
+      if (!current || !found) return;
+      setOfflineModels(true);
+      const saved = localStorage.getItem(STORAGE_KEY_RECOGNIZER);
+      setRecognizerKind((kind) => (saved === "offline" || !kind ? pickRecognizer("offline") : kind));
+    });
+    return () => {
+      current = false;
+    };
+  }, []);
 
+  /* ---------- Microphone in use (wrong-chant calibration is per mic) ---------- */
+  useEffect(() => {
+    const refreshMicKey = () =>
+      currentMicKey()
+        .then(setMicKey)
+        .catch((err) => {
+          if (DEBUG) console.log("[Mic] enumerate failed:", err);
+        });
+
+    refreshMicKey();
+    const devices = navigator.mediaDevices;
+    if (!devices || !devices.addEventListener) return undefined;
+    devices.addEventListener("devicechange", refreshMicKey);
+    return () => devices.removeEventListener("devicechange", refreshMicKey);
+  }, [micPermission]); // labels appear once the mic is allowed
+
+  /* ---------- Load persisted values (also after a backup import) ---------- */
+  const loadStoredPrefs = useCallback(() => {
     const savedL = localStorage.getItem(STORAGE_KEY_LANG);
-    if (savedL === "hi" || savedL === "en") setLanguage(savedL);
+    if (isLocale(savedL)) setLanguage(savedL);
 
     const savedS = parseInt(localStorage.getItem(STORAGE_KEY_SILENCE) || "", 10);
     if (!isNaN(savedS) && savedS >= MIN_SILENCE_SEC * 1000 && savedS <= MAX_SILENCE_SEC * 1000) {
       setSilenceMs(savedS);
     }
+
+    const savedX = localStorage.getItem(STORAGE_KEY_STRICTNESS);
+    if (isStrictness(savedX)) setStrictness(savedX);
+
+    const savedR = localStorage.getItem(STORAGE_KEY_RECOGNIZER);
+    if (isRecognizerAvailable(savedR)) setRecognizerKind(savedR);
+
+    const savedV = localStorage.getItem(STORAGE_KEY_LISTEN_MODE);
+    if (LISTEN_MODES.includes(savedV)) setListenMode(savedV);
+
+    setLangProbe(localStorage.getItem(STORAGE_KEY_LANG_PROBE) === "true");
+
+    try {
+      const savedGd = JSON.parse(localStorage.getItem(STORAGE_KEY_GUIDED) || "null");
+      if (savedGd) setGuided(normalizeGuided(savedGd));
+    } catch {}
+
+    try {
+      const savedP = JSON.parse(localStorage.getItem(STORAGE_KEY_PACE) || "null");
+      if (savedP) setPace(normalizePace(savedP));
+    } catch {}
+
+    try {
+      const savedRm = JSON.parse(localStorage.getItem(STORAGE_KEY_ROOM) || "null");
+      if (savedRm) setRoomSettings(normalizeRoomSettings(savedRm));
+    } catch {}
+
+    const savedN = parseFloat(localStorage.getItem(STORAGE_KEY_NOISE) || "");
+    if (savedN > 0 && savedN < 1) setNoiseFloor(savedN);
+
+    try {
+      const savedMc = JSON.parse(localStorage.getItem(STORAGE_KEY_MISMATCH_CAL) || "null");
+      if (savedMc) setCalibrations(normalizeCalibrations(savedMc));
+    } catch {}
+
+    try {
+      const savedSnd = JSON.parse(localStorage.getItem(STORAGE_KEY_SOUNDS) || "null");
+      if (savedSnd) setSoundSettings(normalizeSoundSettings(savedSnd));
+    } catch {}
+
+    try {
+      const savedE = JSON.parse(localStorage.getItem(STORAGE_KEY_ESCALATION) || "null");
+      if (savedE) setEscalation(normalizeEscalation(savedE));
+    } catch {}
+
+    try {
+      const savedVc = JSON.parse(localStorage.getItem(STORAGE_KEY_VOICE) || "null");
+      if (savedVc) setVoiceSettings(normalizeVoiceSettings(savedVc));
+    } catch {}
+
+    try {
+      const savedG = JSON.parse(localStorage.getItem(STORAGE_KEY_GOAL) || "null");
+      if (savedG) setGoal(normalizeGoal(savedG));
+    } catch {}
+
+    try {
+      const savedSch = JSON.parse(localStorage.getItem(STORAGE_KEY_SCHEDULE) || "null");
+      if (savedSch) setSchedule(normalizeSchedule(savedSch));
+    } catch {}
+
+    const savedT = parseInt(localStorage.getItem(STORAGE_KEY_MALA) || "", 10);
+    if (isValidMala(savedT)) {
+      setMalaTarget(savedT);
+      setMalaCustom(!MALA_PRESETS.includes(savedT));
+    }
+  }, []); // only setters and storage: stable
+
+  useEffect(() => {
+    loadStoredPrefs();
+  }, [loadStoredPrefs]);
+
+  /* ---------- Load session history ---------- */
+  useEffect(() => {
+    loadSessions()
+      .then(setSessions)
+      .catch((err) => {
+        if (DEBUG) console.log("[History] load failed:", err);
+      });
   }, []);
 
   /* ---------- Persist user prefs ---------- */
@@ -154,21 +472,199 @@ export default function App() {
 
   useEffect(() => {
     localStorage.setItem(STORAGE_KEY_SILENCE, String(silenceMs));
+    if (engineRef.current) engineRef.current.configure({ silenceMs }); // the slider stays live
   }, [silenceMs]);
 
   useEffect(() => {
-    if (mantra) localStorage.setItem(STORAGE_KEY_MANTRA, mantra);
-    else localStorage.removeItem(STORAGE_KEY_MANTRA);
-  }, [mantra]);
+    localStorage.setItem(STORAGE_KEY_STRICTNESS, strictness);
+  }, [strictness]);
+
+  useEffect(() => {
+    if (recognizerKind) localStorage.setItem(STORAGE_KEY_RECOGNIZER, recognizerKind);
+  }, [recognizerKind]);
+
+  useEffect(() => {
+    localStorage.setItem(STORAGE_KEY_LISTEN_MODE, listenMode);
+  }, [listenMode]);
 
-  /* ---------- Localized strings ---------- */
-  const t = texts[language];
+  useEffect(() => {
+    localStorage.setItem(STORAGE_KEY_LANG_PROBE, String(langProbe));
+  }, [langProbe]);
+
+  useEffect(() => {
+    localStorage.setItem(STORAGE_KEY_GUIDED, JSON.stringify(guided));
+  }, [guided]);
+
+  useEffect(() => {
+    localStorage.setItem(STORAGE_KEY_NOISE, String(noiseFloor));
+  }, [noiseFloor]);
+
+  useEffect(() => {
+    localStorage.setItem(STORAGE_KEY_MISMATCH_CAL, serializeCalibrations(calibrations));
+  }, [calibrations]);
+
+  useEffect(() => {
+    localStorage.setItem(STORAGE_KEY_ROOM, JSON.stringify(roomSettings));
+  }, [roomSettings]);
+
+  useEffect(() => {
+    paceSettingsRef.current = pace;
+    localStorage.setItem(STORAGE_KEY_PACE, JSON.stringify(pace));
+  }, [pace]);
+
+  useEffect(() => {
+    soundSettingsRef.current = soundSettings;
+    localStorage.setItem(STORAGE_KEY_SOUNDS, JSON.stringify(soundSettings));
+  }, [soundSettings]);
+
+  useEffect(() => {
+    escalationRef.current = escalation;
+    localStorage.setItem(STORAGE_KEY_ESCALATION, JSON.stringify(escalation));
+  }, [escalation]);
+
+  useEffect(() => {
+    voiceSettingsRef.current = voiceSettings;
+    localStorage.setItem(STORAGE_KEY_VOICE, JSON.stringify(voiceSettings));
+  }, [voiceSettings]);
+
+  useEffect(() => {
+    localStorage.setItem(STORAGE_KEY_GOAL, JSON.stringify(goal));
+  }, [goal]);
+
+  useEffect(() => {
+    localStorage.setItem(STORAGE_KEY_SCHEDULE, JSON.stringify(schedule));
+  }, [schedule]);
+
+  /* ---------- speechSynthesis voices (Chrome loads them late) ---------- */
+  useEffect(() => {
+    if (!isSpeechSynthesisAvailable()) return;
+    const update = () => setVoices(loadVoices());
+    update();
+    window.speechSynthesis.addEventListener("voiceschanged", update);
+    return () => window.speechSynthesis.removeEventListener("voiceschanged", update);
+  }, []);
+
+  useEffect(() => {
+    localStorage.setItem(STORAGE_KEY_MALA, String(malaTarget));
+  }, [malaTarget]);
+
+  useEffect(() => {
+    saveLibrary(library.mantras, library.activeId);
+  }, [library]);
+
+  /* ---------- Localized strings (catalogs load lazily) ---------- */
+  useEffect(() => {
+    let current = true;
+    loadCatalog(language).then((c) => {
+      if (current) setCatalog(c);
+    });
+    document.documentElement.lang = language;
+    return () => {
+      current = false;
+    };
+  }, [language]);
+
+  const t = catalog;
+  const speechLang = speechLangFor(language); // fallback when a mantra has no locale
+
+  // New recordings default to the interface language until one is picked
+  useEffect(() => {
+    setRecordLang(speechLangFor(language));
+  }, [language]);
+
+  /* ---------- Active mantra ---------- */
+  const { mantras, activeId } = library;
+  const activeMantra = mantras.find((m) => m.id === activeId) || null;
+  const mantra = activeMantra ? activeMantra.text : "";
+  const activeLang = mantraLang(activeMantra, speechLang);
 
   /* ---------- Detection data ---------- */
   const mantraData = useMemo(() => buildMantraData(mantra), [mantra]);
+  const mismatchThresholds = thresholdsFor(calibrations, micKey);
+  const micCalibration = calibrations[micKey] || null;
+
+  /* ---------- Session goal (voice-only mode can't count repetitions) ---------- */
+  const effectiveGoal =
+    listenMode === "voice" && goal.kind === "reps" ? { ...goal, kind: "open" } : goal;
+
+  /* ---------- History stats ---------- */
+  const historyStats = useMemo(
+    () => summarizeSessions(sessions, Date.now()),
+    [sessions]
+  );
+
+  /* ===========================================================
+     Practice reminders (scheduled notifications)
+     =========================================================== */
+  useEffect(() => {
+    if (!schedule.enabled || !schedule.slots.length) return;
+    const timer = setInterval(() => {
+      const now = Date.now();
+      const due = dueReminders(schedule, scheduleCheckRef.current, now);
+      scheduleCheckRef.current = now;
+      if (!due.length || isListening) return;
+      const target = mantras.find((m) => m.id === schedule.mantraId) || activeMantra;
+      showPracticeNotification(t.notifyTitle, {
+        body: t.notifyBody(target ? target.name : ""),
+        mantraId: target ? target.id : "",
+        onOpen: setPendingStart,
+      }).catch((err) => {
+        if (DEBUG) console.log("[Schedule] notification failed:", err);
+      });
+    }, SCHEDULE_POLL_MS);
+    return () => clearInterval(timer);
+  }, [schedule, mantras, activeMantra, isListening, t]);
+
+  /* ---------- Opened from a notification: ?listen=1 or SW message ---------- */
+  useEffect(() => {
+    const link = parseSessionLink(window.location.search);
+    if (link) setPendingStart(link.mantraId);
+    return onStartSessionMessage(setPendingStart);
+  }, []);
+
+  useEffect(() => {
+    if (pendingStart === null) return;
+    if (pendingStart && pendingStart !== activeId && mantras.some((m) => m.id === pendingStart)) {
+      setLibrary((lib) => ({ ...lib, activeId: pendingStart }));
+      return; // start on the next render, with that mantra active
+    }
+    setPendingStart(null);
+    window.history.replaceState(null, "", window.location.pathname);
+    if (!isListening) listenControlsRef.current.startListening();
+  }, [pendingStart, activeId, mantras, isListening]);
+
+  const handleScheduleToggle = async (enabled) => {
+    if (enabled) {
+      const permission = await requestNotificationPermission();
+      setNotifyPermission(permission);
+      if (permission !== "granted") return;
+    }
+    scheduleCheckRef.current = Date.now();
+    setSchedule((cur) => ({ ...cur, enabled }));
+  };
+
+  const updateSlot = (index, patch) => {
+    setSchedule((cur) => ({
+      ...cur,
+      slots: cur.slots.map((slot, i) => (i === index ? { ...slot, ...patch } : slot)),
+    }));
+  };
+
+  const toggleSlotDay = (index, day) => {
+    setSchedule((cur) => ({
+      ...cur,
+      slots: cur.slots.map((slot, i) => {
+        if (i !== index) return slot;
+        const days = slot.days.includes(day)
+          ? slot.days.filter((d) => d !== day)
+          : [...slot.days, day].sort();
+        return { ...slot, days };
+      }),
+    }));
+  };
 
   /* ===========================================================
-     Beep (soft sine tone)
+     Reminder sounds
      =========================================================== */
   const ensureAudioCtx = () => {
     if (!audioCtxRef.current) {
@@ -181,24 +677,62 @@ export default function App() {
     return audioCtxRef.current;
   };
 
-  const beep = () => {
+  // event: "silence" | "mismatch" | "mala"; boost/sound come from escalation
+  const remind = (event, { boost = 1, sound = null } = {}) => {
+    const { volume, events } = soundSettingsRef.current;
+    const ms = playSound(ensureAudioCtx(), sound || events[event].sound, volume * boost);
+    echoRef.current.hold(ms); // the mic hears the beep too
+    vibrate(events[event].vibrate);
+  };
+
+  /* ---------- Voice prompts (reminder sounds duck while speaking) ---------- */
+  const speakPrompt = (text) => {
+    const { voiceURI, rate } = voiceSettingsRef.current;
     const ctx = ensureAudioCtx();
-    if (ctx.state === "suspended") ctx.resume(); // mobile fix
-    const start = ctx.currentTime;
-    const end = start + BEEP_DURATION_MS / 1000;
+    speak(text, {
+      lang: speechLang,
+      voiceURI,
+      rate,
+      onStart: () => {
+        echoRef.current.begin();
+        duckAudio(ctx, true);
+      },
+      onEnd: () => {
+        echoRef.current.end();
+        duckAudio(ctx, false);
+      },
+    });
+  };
 
-    const osc = ctx.createOscillator();
-    const gain = ctx.createGain();
-    osc.type = "sine";
-    osc.frequency.value = BEEP_FREQ;
+  // Spoken guidance, only when the user turned it on
+  const guide = (text) => {
+    if (voiceSettingsRef.current.enabled) speakPrompt(text);
+  };
+
+  // Non-blocking status message, spoken too with voice guidance on
+  const announce = (message) => {
+    setNotice(message);
+    guide(message);
+  };
+
+  const updateVoiceSettings = (patch) => {
+    setVoiceSettings((cur) => normalizeVoiceSettings({ ...cur, ...patch }));
+  };
+
+  const updateEscalation = (patch) => {
+    setEscalation((cur) => normalizeEscalation({ ...cur, ...patch }));
+  };
 
-    gain.gain.setValueAtTime(0, start);
-    gain.gain.linearRampToValueAtTime(BEEP_GAIN, start + 0.1);
-    gain.gain.linearRampToValueAtTime(0, end);
+  const updateSoundEvent = (event, patch) => {
+    setSoundSettings((cur) => ({
+      ...cur,
+      events: { ...cur.events, [event]: { ...cur.events[event], ...patch } },
+    }));
+  };
 
-    osc.connect(gain).connect(ctx.destination);
-    osc.start(start);
-    osc.stop(end + 0.01);
+  const previewSound = (event) => {
+    playSound(ensureAudioCtx(), soundSettings.events[event].sound, soundSettings.volume);
+    vibrate(soundSettings.events[event].vibrate);
   };
 
   /* ===========================================================
@@ -207,47 +741,53 @@ export default function App() {
   const handleRecord = () => {
     stopRecording(false); // clear any existing
 
-    const SR = window.SpeechRecognition || window.webkitSpeechRecognition;
-    if (!SR) {
-      alert("Speech Recognition not supported in this browser.");
+    const inner = createRecognizer(recognizerKind, {
+      lang: recordLang, // the language being chanted, not the UI language
+      interimResults: true,
+      continuous: true,
+    });
+    const canCapture = isAudioCaptureAvailable();
+    if (!inner && !canCapture) {
+      announce(t.noSpeechRecognition);
       return;
     }
+    // without a recognizer the recording alone still makes a (sound match) mantra
+    const rec = inner ? keepAlive(inner) : null; // restarts after the browser ends recognition
 
     setIsRecording(true);
     setRecordPreview("");
     recordFinalRef.current = [];
     recordInterimRef.current = "";
 
-    const rec = new SR();
-    rec.lang = language === "hi" ? "hi-IN" : "en-IN"; // pick SR language
-    rec.interimResults = true;
-    rec.continuous = true;
-
-    rec.onresult = (e) => {
-      if (DEBUG) console.log("[Record] results:", e.results);
-      for (let i = e.resultIndex; i < e.results.length; i++) {
-        const r = e.results[i];
-        const txt = r[0].transcript.trim();
-        if (r.isFinal) {
-          recordFinalRef.current.push(txt);
-          recordInterimRef.current = "";
-        } else {
-          recordInterimRef.current = txt;
+    // reference audio next to the transcript: pronunciation guide + acoustic template
+    audioCaptureRef.current = canCapture
+      ? startAudioCapture().catch((err) => {
+          if (DEBUG) console.log("[Record] audio capture failed:", err);
+          return null;
+        })
+      : null;
+
+    if (rec) {
+      rec.onresult = (results) => {
+        if (DEBUG) console.log("[Record] results:", results);
+        for (const r of results) {
+          if (r.isFinal) {
+            recordFinalRef.current.push(r.text);
+            recordInterimRef.current = "";
+          } else {
+            recordInterimRef.current = r.text;
+          }
         }
-      }
-      setRecordPreview(buildRecordedText());
-    };
+        setRecordPreview(buildRecordedText());
+      };
 
-    rec.onerror = (e) => {
-      if (DEBUG) console.log("[Record] error:", e);
-    };
-    rec.onend = () => {
-      if (isRecording) {
-        try { rec.start(); } catch {}
-      }
-    };
+      rec.onerror = (e) => {
+        if (DEBUG) console.log("[Record] error:", e);
+        logRecognizerError("record", e);
+      };
 
-    try { rec.start(); } catch {}
+      rec.start();
+    }
     recordRecRef.current = rec;
   };
 
@@ -271,19 +811,28 @@ export default function App() {
   const stopRecording = (commit = true) => {
     if (recordRecRef.current) {
       recordRecRef.current.onend = null;
-      try { recordRecRef.current.stop(); } catch {}
+      recordRecRef.current.stop();
       recordRecRef.current = null;
     }
 
+    const pendingAudio = audioCaptureRef.current;
+    audioCaptureRef.current = null;
+
     if (commit && isRecording) {
       const combined = buildRecordedText();
       const pretty = prettifySavedMantra(combined);
       if (pretty) {
-        setMantra(pretty);
-        alert(t.mantraSaved(pretty));
+        const entry = makeMantra(pretty, "", recordLang);
+        setLibrary((lib) => ({ mantras: [...lib.mantras, entry], activeId: entry.id }));
+        announce(t.mantraSaved(pretty));
+        if (pendingAudio) attachReference(pendingAudio, entry);
+      } else if (pendingAudio) {
+        attachReference(pendingAudio, null); // e.g. a bija mantra the recognizer can't spell
       } else {
-        alert(t.noAudio);
+        announce(t.noAudio);
       }
+    } else if (pendingAudio) {
+      pendingAudio.then((capture) => capture && capture.cancel());
     }
 
     setIsRecording(false);
@@ -292,111 +841,785 @@ export default function App() {
     recordInterimRef.current = "";
   };
 
+  /* ---------- Reference recording: store with `entry`, or as a new audio-only mantra ---------- */
+  const attachReference = (pendingAudio, entry) => {
+    const ctx = ensureAudioCtx();
+    pendingAudio
+      .then((capture) => (capture ? capture.stop() : null))
+      .then(async (recording) => {
+        const template =
+          recording && recording.durationMs >= MIN_REFERENCE_MS
+            ? await templateFromBlob(ctx, recording.blob)
+            : null;
+        if (!template) {
+          if (!entry) announce(t.noAudio);
+          return;
+        }
+        const time = new Date().toLocaleTimeString(language, {
+          hour: "2-digit",
+          minute: "2-digit",
+        });
+        const target = entry || makeMantra("", t.audioMantraName(time), recordLang);
+        await saveRecording(target.id, { ...recording, template });
+        setLibrary((lib) => ({
+          mantras: upsertMantra(lib.mantras, { ...target, audio: true }),
+          activeId: entry ? lib.activeId : target.id,
+        }));
+        if (!entry) announce(t.audioMantraSaved);
+      })
+      .catch((err) => {
+        if (DEBUG) console.log("[Record] reference audio failed:", err);
+        if (!entry) announce(t.noAudio);
+      });
+  };
+
+  const togglePlayReference = () => {
+    if (playbackStopRef.current) {
+      playbackStopRef.current();
+      return;
+    }
+    loadRecording(activeId).then((recording) => {
+      if (!recording) {
+        announce(t.noReference);
+        return;
+      }
+      setIsPlayingReference(true);
+      playbackStopRef.current = playRecording(recording.blob, {
+        onEnd: () => {
+          playbackStopRef.current = null;
+          setIsPlayingReference(false);
+        },
+      });
+    });
+  };
+
+  /* ===========================================================
+     MANTRA LIBRARY
+     =========================================================== */
+  const selectMantra = (e) => {
+    const id = e.target.value;
+    setLibrary((lib) => ({ ...lib, activeId: id }));
+  };
+
+  const startNewMantra = () => {
+    setTestResult(null);
+    setEditing({ id: null, name: "", text: "", lang: "" });
+  };
+
+  const startEditMantra = () => {
+    setTestResult(null);
+    if (activeMantra) setEditing({ ...activeMantra, lang: activeLang });
+  };
+
+  const cancelEditMantra = () => {
+    stopMantraTest();
+    setEditing(null);
+  };
+
+  const saveEditedMantra = () => {
+    const lang = mantraLang(editing, speechLang);
+    const entry = editing.id
+      ? { ...makeMantra(editing.text, editing.name, lang), id: editing.id }
+      : makeMantra(editing.text, editing.name, lang);
+    if (!entry.text) return;
+    stopMantraTest();
+    setLibrary((lib) => ({ mantras: upsertMantra(lib.mantras, entry), activeId: entry.id }));
+    setEditing(null);
+  };
+
+  /* ---------- Test it: one utterance scored against the typed mantra ---------- */
+  const startMantraTest = () => {
+    stopMantraTest();
+
+    const md = buildMantraData(editing.text);
+    const rec = createRecognizer(recognizerKind, {
+      lang: mantraLang(editing, speechLang),
+      interimResults: false,
+      continuous: false,
+      vocabulary: md.tokens,
+    });
+    if (!rec) {
+      announce(t.noSpeechRecognition);
+      return;
+    }
+
+    setIsTesting(true);
+    setTestResult(null);
+
+    let heard = false;
+    rec.onresult = (results) => {
+      const final = results.filter((r) => r.isFinal).pop();
+      if (!final || heard) return;
+      const conf = typeof final.confidence === "number" ? final.confidence : 1;
+      if (DEBUG) console.log("[Test] heard:", final.text, conf);
+      heard = true;
+      setTestResult(
+        scoreTranscript(final.text.toLowerCase(), conf, md, strictness, mismatchThresholds)
+      );
+      rec.stop(); // one utterance is enough (continuous backends keep going)
+    };
+    rec.onerror = (e) => {
+      if (DEBUG) console.log("[Test] error:", e);
+      logRecognizerError("test", e);
+    };
+    rec.onend = () => {
+      if (!heard) setTestResult({ empty: true });
+      setIsTesting(false);
+      testRecRef.current = null;
+    };
+
+    rec.start();
+    testRecRef.current = rec;
+  };
+
+  const stopMantraTest = () => {
+    if (testRecRef.current) {
+      testRecRef.current.onend = null;
+      testRecRef.current.stop();
+      testRecRef.current = null;
+    }
+    setIsTesting(false);
+  };
+
+  const deleteActiveMantra = () => {
+    if (!activeMantra || !window.confirm(t.confirmDelete(activeMantra.name))) return;
+    if (activeMantra.audio) {
+      deleteRecording(activeMantra.id).catch((err) => {
+        if (DEBUG) console.log("[Library] recording delete failed:", err);
+      });
+    }
+    setLibrary((lib) => {
+      const rest = removeMantra(lib.mantras, lib.activeId);
+      return { mantras: rest, activeId: rest.length ? rest[0].id : "" };
+    });
+  };
+
   /* ===========================================================
      LISTEN SESSION
      =========================================================== */
   const startListening = () => {
-    if (!mantraData.tokens.length) {
-      alert(t.pleaseRecordFirst);
+    const voiceOnly = listenMode === "voice";
+    const acoustic = listenMode === "acoustic";
+    const guidedMode = listenMode === "guided";
+    const needsRecognizer = listenMode === "speech" || guidedMode;
+    if (needsRecognizer && !mantraData.tokens.length) {
+      announce(t.pleaseRecordFirst);
+      return;
+    }
+    if (acoustic && !(activeMantra && activeMantra.audio)) {
+      announce(t.noReference);
+      return;
+    }
+    if (needsRecognizer && !isRecognizerAvailable(recognizerKind)) {
+      announce(t.noSpeechRecognition);
+      return;
+    }
+    const guideVoice =
+      guided.voice === "recording" && activeMantra && activeMantra.audio ? "recording" : "speech";
+    if (guidedMode && guideVoice === "speech" && !isSpeechSynthesisAvailable()) {
+      announce(t.guided.noVoice);
       return;
     }
 
     stopListening(); // clear prior
+    stopMantraTest();
+    cancelMismatchCalibration();
 
     setIsListening(true);
+    sendRoom({ type: "listening", listening: true });
     resetChantTimer(); // start at 0
-    lastHeardRef.current = Date.now();
-    mismatchBeepAtRef.current = 0;
-    setLiveFinal("");
+    cycleCountRef.current = 0;
+    setCycleCount(0);
+    sessionRef.current = createSessionStats(mantra, Date.now());
+    timelineRef.current = [];
+    setTimeline([]);
     setLiveInterim("");
+    setNotice("");
+    setSummary(null);
+    setElapsedSec(0);
+    const paceTracker = createPaceTracker();
+    paceRef.current = paceTracker;
+    setPaceStats(null);
+    const sessionGoal = effectiveGoal;
+    activeGoalRef.current = sessionGoal;
+    const startedAt = sessionRef.current.startedAt;
+
+    const engine = createChantEngine({
+      mantra,
+      silenceMs,
+      strictness,
+      malaTarget,
+      thresholds: mismatchThresholds,
+      echo: echoRef.current, // spoken prompts are not the user chanting
+    });
+    engine.on("heard", ({ at }) => markHeard(sessionRef.current, at));
+    engine.on("silence", ({ gapMs, repeat, at }) => {
+      if (DEBUG) console.log("[Silence] gap hit:", gapMs, "repeat", repeat);
+      const step = escalationStep(repeat, escalationRef.current);
+      if (step.level === "pause") {
+        // nobody is chanting: stop beeping and log the session as abandoned
+        stopListening({ abandoned: true });
+        announce(t.abandonedNotice(repeat));
+        return;
+      }
+      remind("silence", step);
+      paceTracker.pause();
+      sendRoom({ type: "event", event: "silence" });
+      if (step.speak) speakPrompt(t.wakePrompt);
+      else guide(t.voicePrompts.silence);
+      markReminder(sessionRef.current, "silence", at);
+      addToTimeline(reminderEntry("silence", at));
+      resetChantTimer();
+    });
+    let mismatchMarkAt = null; // marked after the segment that caused it
+    engine.on("mismatch", ({ text, confidence, at }) => {
+      if (DEBUG) console.log("[Mismatch] beep on:", text, confidence);
+      remind("mismatch");
+      guide(t.voicePrompts.mismatch(mantra));
+      paceTracker.pause();
+      sendRoom({ type: "event", event: "mismatch" });
+      resetChantTimer();
+      markReminder(sessionRef.current, "mismatch", at);
+      mismatchMarkAt = at;
+    });
+    engine.on("cycleComplete", ({ count, at }) => {
+      cycleCountRef.current = count;
+      setCycleCount(count);
+      paceTracker.push(at);
+      setPaceStats(paceTracker.stats());
+      sendRoom({ type: "event", event: "cycle" });
+      const { tooFast, maxPerMinute } = paceSettingsRef.current;
+      if (tooFast && paceTracker.checkTooFast(maxPerMinute)) {
+        remind("fast");
+        guide(t.voicePrompts.slowDown);
+        addToTimeline(reminderEntry("fast", at));
+      }
+      checkGoal();
+    });
+    engine.on("malaComplete", ({ malas, count }) => {
+      if (DEBUG) console.log("[Mala] complete:", count);
+      remind("mala");
+      guide(t.voicePrompts.mala(malas));
+    });
+    engine.start();
+    engineRef.current = engine;
+    holdWakeLock(engine);
+
+    // goal reached -> closing sound, then stop (which shows the summary)
+    const checkGoal = () => {
+      const progress = goalProgress(sessionGoal, {
+        elapsedMs: Date.now() - startedAt,
+        cycles: cycleCountRef.current,
+      });
+      if (!progress.done) return;
+      remind("goal");
+      guide(t.voicePrompts.goal);
+      stopListening({ goalReached: true });
+    };
 
-    // chant time ticker (seconds since last reminder/beep)
+    // chant time ticker (seconds since last reminder/beep) + goal clock
     chantTickerRef.current = setInterval(() => {
       setChantTime((s) => s + 1);
+      setElapsedSec(Math.floor((Date.now() - startedAt) / 1000));
+      checkGoal();
     }, 1000);
 
-    // silence poll -> repeating reminders w/ cooldown
-    gapPollRef.current = setInterval(() => {
-      const now = Date.now();
-      const gap = now - lastHeardRef.current;
-      if (gap >= silenceMs) {
-        if (DEBUG) console.log("[Silence] gap hit:", gap);
-        beep();
-        resetChantTimer();
-        // cooldown: push lastHeard forward so we don't instantly beep again
-        lastHeardRef.current = now + silenceMs;
+    if (guidedMode) {
+      startGuidedCalls(engine, guideVoice); // paces itself, no silence poll
+      return;
+    }
+
+    // silence poll -> engine emits repeating reminders w/ cooldown
+    gapPollRef.current = setInterval(() => engine.tick(), 250);
+
+    if (voiceOnly) {
+      startVoiceDetection(engine);
+      return;
+    }
+    if (acoustic) {
+      startAcousticDetection(engine);
+      return;
+    }
+
+    // Optional: hear the first chants in several locales, keep the best match
+    const probe = langProbe
+      ? createLocaleProbe(probeCandidates(activeLang, [speechLang, "hi-IN", "en-IN"]))
+      : null;
+    const probedId = activeId;
+
+    const probeStep = (next) => {
+      if (!probe.settled()) {
+        setNotice(t.localeProbing(speechLangName(next)));
+        return;
       }
-    }, 250);
+      setLibrary((lib) => ({
+        ...lib,
+        mantras: upsertMantra(lib.mantras, { id: probedId, lang: next }),
+      }));
+      setNotice(t.localeChosen(speechLangName(next)));
+    };
 
-    const SR = window.SpeechRecognition || window.webkitSpeechRecognition;
-    const rec = new SR();
-    rec.lang = language === "hi" ? "hi-IN" : "en-IN";
-    rec.interimResults = true;
-    rec.continuous = true;
+    const openRecognizer = (lang) => {
+      const rec = keepAlive(
+        createRecognizer(recognizerKind, {
+          lang,
+          interimResults: true,
+          continuous: true,
+          vocabulary: mantraData.tokens,
+        })
+      );
+
+      // drop this recognizer and listen in `next` instead (probe step)
+      const switchTo = (next) => {
+        if (next === lang) return false;
+        rec.onresult = null;
+        rec.onstatus = null;
+        rec.stop();
+        openRecognizer(next);
+        return true;
+      };
+
+      rec.onresult = (results) => {
+        if (DEBUG) console.log("[Listen] results:", lang, results);
+        let interimAgg = "";
+
+        for (const r of results) {
+          if (!r.isFinal) interimAgg += r.text + " ";
+
+          const probing = probe && !probe.settled();
+          let verdict = "ignored";
+          if (!probing || matchMantra(r.text.toLowerCase(), mantraData, strictness)) {
+            verdict = engine.transcript(r);
+          } else if (r.isFinal) {
+            engine.voice(); // likely the wrong locale, not a wrong chant
+          }
 
-    rec.onresult = (e) => {
-      if (DEBUG) console.log("[Listen] results:", e.results);
-      let interimAgg = "";
+          // update live timeline
+          if (r.isFinal && r.text) {
+            addToTimeline(speechEntry(r.text, Date.now(), verdict, mantraData));
+            if (mismatchMarkAt !== null) {
+              addToTimeline(reminderEntry("mismatch", mismatchMarkAt));
+              mismatchMarkAt = null;
+            }
+          }
+          if (engineRef.current !== engine) return; // session ended (goal reached)
 
-      for (let i = e.resultIndex; i < e.results.length; i++) {
-        const r = e.results[i];
-        const alt = r[0];
-        const rawTxt = alt.transcript.trim();
-        const txt = rawTxt.toLowerCase();
-        const conf = typeof alt.confidence === "number" ? alt.confidence : 1;
-
-        // update live transcript
-        if (r.isFinal) {
-          setLiveFinal((prev) => trimTranscript(prev + " " + rawTxt));
-        } else {
-          interimAgg += rawTxt + " ";
+          if (probing && r.isFinal) {
+            const next = probe.push(transcriptScore(r.text, mantraData));
+            probeStep(next);
+            if (switchTo(next)) return;
+          }
         }
 
-        // Ignore extremely low-confidence interim garbage
-        if (!r.isFinal && conf < 0.1) continue;
-
-        const matched = matchLoose(txt, mantraData);
-        if (matched) {
-          // Heard valid mantra *token* (partial OK)
-          lastHeardRef.current = Date.now();
-          mismatchBeepAtRef.current = 0;
-        } else if (r.isFinal) {
-          // Wrong chant? Only beep if clearly speech, not noise
-          if (shouldMismatchBeep(txt, conf, mantraData)) {
-            const now = Date.now();
-            if (now - mismatchBeepAtRef.current > MISMATCH_COOLDOWN_MS) {
-              if (DEBUG) console.log("[Mismatch] beep on:", rawTxt, conf);
-              beep();
-              resetChantTimer();
-              mismatchBeepAtRef.current = now;
-              // cooldown
-              lastHeardRef.current = now + silenceMs;
+        // update interim panel display
+        setLiveInterim(interimAgg.trim());
+      };
+
+      rec.onerror = (e) => {
+        if (DEBUG) console.log("[Listen] error:", e);
+        logRecognizerError("listen", e);
+      };
+      rec.onstatus = ({ state, error }) => {
+        if (DEBUG) console.log("[Listen] status:", state, error);
+        if (state === "failed") {
+          if (error === "language-not-supported" && probe && !probe.settled()) {
+            const next = probe.skip();
+            if (!next) {
+              stopListening();
+              announce(t.noSupportedLocale); // none of the locales tried works here
+              return;
             }
+            probeStep(next);
+            if (switchTo(next)) return;
           }
+          stopListening();
+          announce(recognizerFailure(error));
+          return;
         }
+        setRecStatus(state === "reconnecting" ? state : null);
+      };
+
+      rec.start();
+      listenRecRef.current = rec;
+    };
+
+    if (probe && !probe.settled()) setNotice(t.localeProbing(speechLangName(probe.lang())));
+    openRecognizer(probe ? probe.lang() : activeLang);
+  };
+
+  /* ---------- Live timeline ---------- */
+  const addToTimeline = (entry) => {
+    timelineRef.current = pushEntry(timelineRef.current, entry);
+    setTimeline(timelineRef.current);
+  };
+
+  /* ---------- Diagnostics ---------- */
+  const logRecognizerError = (source, { error, message }) => {
+    setRecErrors((log) => pushError(log, { error, message, source, at: Date.now() }));
+  };
+
+  // What to tell the user when a recognizer gives up for good
+  const recognizerFailure = (error) => {
+    if (error === "language-not-supported") return t.noSpeechRecognition;
+    if (error === "model-load") return t.diagnostics.advice.model;
+    return t.noMic;
+  };
+
+  const handleMicTest = () => {
+    setMicTest("testing");
+    testMicrophone(ensureAudioCtx())
+      .then(setMicTest)
+      .catch((err) => {
+        logRecognizerError("mic", err);
+        setMicTest({ error: err.error });
+      });
+  };
+
+  /* ---------- Keep the screen on while this session runs ---------- */
+  const holdWakeLock = useCallback((engine) => {
+    acquireWakeLock().then((release) => {
+      if (engineRef.current !== engine) {
+        release(); // session ended meanwhile
+        return;
       }
+      if (wakeReleaseRef.current) wakeReleaseRef.current();
+      wakeReleaseRef.current = release;
+    });
+  }, []); // refs only
 
-      // update interim panel display
+  /* ---------- Back from a background tab: wake lock + recognizer ---------- */
+  useEffect(() => {
+    if (!isListening) return;
+    const onVisibility = () => {
+      if (document.visibilityState !== "visible" || !engineRef.current) return;
+      holdWakeLock(engineRef.current); // the browser dropped it while hidden
+      if (listenRecRef.current) listenRecRef.current.nudge();
+    };
+    document.addEventListener("visibilitychange", onVisibility);
+    return () => document.removeEventListener("visibilitychange", onVisibility);
+  }, [isListening, holdWakeLock]);
+
+  /* ---------- Voice-only mode: mic energy instead of transcripts ---------- */
+  const startVoiceDetection = (engine) => {
+    const detector = createVoiceDetector({ noiseFloor });
+    startMicLevels(ensureAudioCtx(), (level) => {
+      if (detector.push(level, Date.now())) engine.voice();
+    })
+      .then((stop) => {
+        // session may have been stopped while the mic prompt was open
+        if (engineRef.current === engine) voiceStopRef.current = stop;
+        else stop();
+      })
+      .catch((err) => {
+        if (DEBUG) console.log("[Voice] mic failed:", err);
+        stopListening();
+        announce(t.noMic);
+      });
+  };
+
+  /* ---------- Guided mode: the app chants, the user repeats ---------- */
+  const startGuidedCalls = (engine, guideVoice) => {
+    const session = createGuidedSession({ tempo: guided.tempo });
+    guidedRef.current = session;
+    setGuidedStats(session.getStats());
+    const lang = activeLang;
+    let recording = null; // reference blob when the guide plays it
+    let cue = false; // fell behind: the spoken prompt goes before the next call
+
+    const playMantra = () => {
+      const ended = () => {
+        if (guidedRef.current !== session) return; // stopped, not finished
+        guidedCallStopRef.current = null;
+        session.callEnded();
+        setGuidedPhase("respond");
+      };
+      if (recording) {
+        guidedCallStopRef.current = playRecording(recording, { onEnd: ended });
+        return;
+      }
+      const { voiceURI, rate } = voiceSettingsRef.current;
+      speak(mantra, { lang, voiceURI, rate, onEnd: ended });
+      guidedCallStopRef.current = cancelSpeech;
+    };
+
+    const playCall = () => {
+      setGuidedPhase("call");
+      const { enabled, voiceURI, rate } = voiceSettingsRef.current;
+      if (!cue || !enabled) {
+        cue = false;
+        playMantra();
+        return;
+      }
+      cue = false;
+      speak(t.voicePrompts.behind, {
+        lang: speechLang,
+        voiceURI,
+        rate,
+        onEnd: () => guidedRef.current === session && playMantra(),
+      });
+      guidedCallStopRef.current = cancelSpeech;
+    };
+
+    const refresh = () => setGuidedStats(session.getStats());
+    session.on("call", playCall);
+    session.on("answer", () => {
+      refresh();
+      engine.recitation(); // counts toward malas and the goal
+    });
+    session.on("mismatch", ({ at }) => {
+      refresh();
+      paceRef.current.pause();
+      sendRoom({ type: "event", event: "mismatch" });
+      remind("mismatch");
+      markReminder(sessionRef.current, "mismatch", at);
+      addToTimeline(reminderEntry("mismatch", at));
+    });
+    session.on("behind", ({ at }) => {
+      refresh();
+      remind("pace");
+      paceRef.current.pause();
+      sendRoom({ type: "event", event: "silence" });
+      cue = true;
+      markReminder(sessionRef.current, "silence", at);
+      addToTimeline(reminderEntry("pace", at));
+      resetChantTimer();
+    });
+
+    const rec = keepAlive(
+      createRecognizer(recognizerKind, {
+        lang,
+        interimResults: true,
+        continuous: true,
+        vocabulary: mantraData.tokens,
+      })
+    );
+    rec.onresult = (results) => {
+      if (DEBUG) console.log("[Guided] results:", results);
+      let interimAgg = "";
+      for (const r of results) {
+        if (!r.isFinal) {
+          interimAgg += r.text + " ";
+          continue;
+        }
+        if (!session.waiting()) continue; // the guide itself, heard through the speaker
+        const verdict = judgeResponse(
+          r.text,
+          r.confidence,
+          mantraData,
+          strictness,
+          mismatchThresholds
+        );
+        if (r.text) addToTimeline(speechEntry(r.text, Date.now(), verdict, mantraData));
+        session.response(verdict, r.text);
+        if (engineRef.current !== engine) return; // session ended (goal reached)
+      }
       setLiveInterim(interimAgg.trim());
     };
+    rec.onerror = (e) => {
+      if (DEBUG) console.log("[Guided] error:", e);
+      logRecognizerError("listen", e);
+    };
+    rec.onstatus = ({ state, error }) => {
+      if (state === "failed") {
+        stopListening();
+        announce(recognizerFailure(error));
+        return;
+      }
+      setRecStatus(state === "reconnecting" ? state : null);
+    };
+
+    const begin = () => {
+      if (engineRef.current !== engine) return;
+      rec.start();
+      listenRecRef.current = rec;
+      gapPollRef.current = setInterval(() => session.tick(), 250);
+      session.start();
+    };
 
+    if (guideVoice !== "recording") {
+      begin();
+      return;
+    }
+    loadRecording(activeId)
+      .then((stored) => {
+        recording = stored && stored.blob;
+      })
+      .catch((err) => {
+        if (DEBUG) console.log("[Guided] reference failed:", err);
+      })
+      .finally(begin); // without the recording, the synthesized voice guides
+  };
+
+  /* ---------- Acoustic mode: mic audio against the reference recording ---------- */
+  const startAcousticDetection = (engine) => {
+    const ctx = ensureAudioCtx();
+    const fail = (message) => {
+      if (engineRef.current !== engine) return;
+      stopListening();
+      announce(message);
+    };
+    loadRecording(activeId)
+      .then(
+        (recording) => recording && (recording.template || templateFromBlob(ctx, recording.blob))
+      )
+      .then((template) => {
+        if (engineRef.current !== engine) return;
+        if (!template) {
+          fail(t.noReference);
+          return;
+        }
+        startAcousticListener(ctx, template, {
+          strictness,
+          noiseFloor,
+          onMatch: () => engine.recitation(),
+          onVoice: () => engine.voice(),
+        })
+          .then((stop) => {
+            // session may have been stopped while the mic prompt was open
+            if (engineRef.current === engine) voiceStopRef.current = stop;
+            else stop();
+          })
+          .catch((err) => {
+            if (DEBUG) console.log("[Acoustic] mic failed:", err);
+            fail(t.noMic);
+          });
+      })
+      .catch((err) => {
+        if (DEBUG) console.log("[Acoustic] reference failed:", err);
+        fail(t.noReference);
+      });
+  };
+
+  const handleCalibrate = () => {
+    setIsCalibrating(true);
+    calibrateNoise(ensureAudioCtx())
+      .then((floor) => setNoiseFloor(floor))
+      .catch((err) => {
+        if (DEBUG) console.log("[Voice] calibration failed:", err);
+        announce(t.noMic);
+      })
+      .finally(() => setIsCalibrating(false));
+  };
+
+  /* ---------- Wrong-chant calibration: chant, then say something else ---------- */
+  const startMismatchCalibration = () => {
+    if (!mantraData.tokens.length) {
+      announce(t.pleaseRecordFirst);
+      return;
+    }
+    const inner = createRecognizer(recognizerKind, {
+      lang: activeLang,
+      interimResults: true,
+      continuous: true,
+      vocabulary: mantraData.tokens, // hear it the way a session would
+    });
+    if (!inner) {
+      announce(t.noSpeechRecognition);
+      return;
+    }
+    stopMantraTest();
+    cancelMismatchCalibration();
+
+    const samples = { mantra: [], other: [] };
+    let step = 0;
+    let stepStartedAt = Date.now();
+    const rec = keepAlive(inner);
+    rec.onresult = (results) => {
+      const bucket = samples[CALIBRATION_PHASES[step].phase];
+      for (const r of results) {
+        if (r.text) bucket.push(calibrationSample(r, Date.now()));
+      }
+    };
     rec.onerror = (e) => {
-      if (DEBUG) console.log("[Listen] error:", e);
+      if (DEBUG) console.log("[Calibrate] error:", e);
+      logRecognizerError("calibrate", e);
     };
-    rec.onend = () => {
-      if (isListening) {
-        try { rec.start(); } catch {}
+    rec.onstatus = ({ state, error }) => {
+      if (state !== "failed") return;
+      cancelMismatchCalibration();
+      announce(recognizerFailure(error));
+    };
+
+    const update = () => {
+      const { phase, ms } = CALIBRATION_PHASES[step];
+      const left = ms - (Date.now() - stepStartedAt);
+      if (left > 0) {
+        setMismatchCal({ phase, secondsLeft: Math.ceil(left / 1000) });
+        return;
+      }
+      if (step + 1 < CALIBRATION_PHASES.length) {
+        step += 1;
+        stepStartedAt = Date.now();
+        update();
+        return;
       }
+      cancelMismatchCalibration();
+      const result = learnThresholds(samples, mantraData, strictness);
+      if (DEBUG) console.log("[Calibrate] learned:", result, samples);
+      // the mic label is readable now that it has been used
+      currentMicKey()
+        .catch(() => micKey)
+        .then((key) => {
+          setMicKey(key);
+          setMismatchCal({ result, micKey: key });
+        });
     };
 
-    try { rec.start(); } catch {}
-    listenRecRef.current = rec;
+    mismatchCalRef.current = { rec, poll: setInterval(update, 250) };
+    update();
+    rec.start();
+  };
+
+  const cancelMismatchCalibration = () => {
+    const cal = mismatchCalRef.current;
+    if (cal) {
+      clearInterval(cal.poll);
+      cal.rec.onstatus = null;
+      cal.rec.stop();
+      mismatchCalRef.current = null;
+    }
+    setMismatchCal(null);
+  };
+
+  const saveMismatchCalibration = () => {
+    const { result, micKey: key } = mismatchCal;
+    setCalibrations((cur) => ({
+      ...cur,
+      [key]: {
+        thresholds: result.thresholds,
+        falsePositiveRate: result.estimate.falsePositiveRate,
+        detectionRate: result.estimate.detectionRate,
+        calibratedAt: Date.now(),
+      },
+    }));
+    setMismatchCal(null);
+  };
+
+  const resetMismatchCalibration = () => {
+    setCalibrations((cur) => {
+      const { [micKey]: _dropped, ...rest } = cur;
+      return rest;
+    });
   };
 
-  const stopListening = () => {
+  // extra: fields saved with the session record (e.g. { abandoned: true })
+  const stopListening = (extra = {}) => {
+    const paceSummary = paceRef.current && paceRef.current.stats();
+    paceRef.current = null;
+    const guidedSession = guidedRef.current;
+    guidedRef.current = null; // before stopping the call, so it doesn't count as finished
+    if (guidedCallStopRef.current) {
+      guidedCallStopRef.current();
+      guidedCallStopRef.current = null;
+    }
+    setGuidedPhase(null);
+    if (voiceStopRef.current) {
+      voiceStopRef.current();
+      voiceStopRef.current = null;
+    }
     if (listenRecRef.current) {
       listenRecRef.current.onend = null;
-      try { listenRecRef.current.stop(); } catch {}
+      listenRecRef.current.stop();
       listenRecRef.current = null;
     }
     if (chantTickerRef.current) {
@@ -407,11 +1630,185 @@ export default function App() {
       clearInterval(gapPollRef.current);
       gapPollRef.current = null;
     }
+    engineRef.current = null;
+    if (wakeReleaseRef.current) {
+      wakeReleaseRef.current();
+      wakeReleaseRef.current = null;
+    }
+    setRecStatus(null);
+    if (sessionRef.current) {
+      const sessionGoal = activeGoalRef.current;
+      const record = finishSession(sessionRef.current, Date.now(), {
+        cycles: cycleCountRef.current,
+        ...(sessionGoal.kind === "open" ? {} : { goal: sessionGoal }),
+        ...(timelineRef.current.length ? { timeline: timelineRef.current } : {}),
+        ...(guidedSession ? { guided: guidedSession.getStats() } : {}),
+        ...(paceSummary && paceSummary.count
+          ? {
+              pace: {
+                rpm: paceSummary.rpm,
+                variability: paceSummary.variability,
+                series: paceSummary.series,
+              },
+            }
+          : {}),
+        ...extra,
+      });
+      recordSession(record);
+      setSummary(record);
+      sessionRef.current = null;
+      sendRoom({ type: "listening", listening: false });
+    }
     setIsListening(false);
     setChantTime(0);
     setLiveInterim("");
   };
 
+  /* ===========================================================
+     GROUP ROOM (chant together, see groupRoom.js)
+     =========================================================== */
+  const sendRoom = (message) => {
+    if (roomRef.current) roomRef.current.send(message);
+  };
+
+  // Only setters and refs here: the handler lives as long as the connection
+  const handleRoomMessage = (msg) => {
+    if (msg.type === "joined") {
+      setRoomStatus(null);
+      setRoom({ code: msg.room, memberId: msg.memberId, state: null, offset: 0 });
+      if (engineRef.current) sendRoom({ type: "listening", listening: true });
+    } else if (msg.type === "state") {
+      const offset = serverClockOffset(msg, Date.now());
+      setRoom((cur) => cur && { ...cur, state: msg, offset });
+    } else if (msg.type === "event") {
+      setRoomFeed((feed) => pushFeed(feed, msg));
+    } else if (msg.type === "command") {
+      setRoomCommand(msg);
+    } else if (msg.type === "error") {
+      setRoomError(msg.code);
+      if (msg.code === "roomNotFound") leaveRoom();
+    }
+  };
+
+  const leaveRoom = () => {
+    roomAttemptRef.current += 1; // a connect still in flight closes itself
+    if (roomRef.current) roomRef.current.close();
+    roomRef.current = null;
+    setRoom(null);
+    setRoomStatus(null);
+    setRoomFeed([]);
+  };
+
+  // first: the create / join message to send once connected
+  const openRoom = (first) => {
+    leaveRoom();
+    const attempt = roomAttemptRef.current;
+    setRoomError("");
+    setRoomStatus("connecting");
+    connectRoom(roomServerUrl(roomSettings), {
+      onMessage: handleRoomMessage,
+      onClose: () => {
+        roomRef.current = null;
+        setRoom(null);
+        setRoomStatus(null);
+        setRoomError("disconnected");
+      },
+    })
+      .then((conn) => {
+        if (roomAttemptRef.current !== attempt) {
+          conn.close();
+          return;
+        }
+        roomRef.current = conn;
+        conn.send({ ...first, name: roomSettings.name });
+      })
+      .catch((err) => {
+        if (roomAttemptRef.current !== attempt) return;
+        setRoomStatus(null);
+        setRoomError(err.code);
+      });
+  };
+
+  /* ---------- The host started / stopped everyone ---------- */
+  useEffect(() => {
+    if (!roomCommand) return;
+    setRoomCommand(null);
+    const { startListening: start, stopListening: stop } = listenControlsRef.current;
+    if (roomCommand.command === "start" && !isListening) start();
+    if (roomCommand.command === "stop" && isListening) stop();
+  }, [roomCommand, isListening]);
+
+  /* ---------- Room clock ---------- */
+  const roomRunning = !!(room && room.state && room.state.running);
+  useEffect(() => {
+    if (!roomRunning) return;
+    const timer = setInterval(() => setRoomNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, [roomRunning]);
+
+  /* ===========================================================
+     BACKUP (export / import)
+     =========================================================== */
+  const backupDate = () => new Date().toISOString().slice(0, 10);
+
+  const handleExportJson = () => {
+    const backup = buildBackup({ library, settings: readSettings(), sessions });
+    downloadText(
+      `chant-reminder-${backupDate()}.json`,
+      JSON.stringify(backup, null, 2),
+      "application/json"
+    );
+  };
+
+  const handleExportCsv = () => {
+    downloadText(`chant-sessions-${backupDate()}.csv`, sessionsToCsv(sessions), "text/csv");
+  };
+
+  const handleImportFile = (e) => {
+    const file = e.target.files[0];
+    e.target.value = ""; // allow picking the same file again
+    if (!file) return;
+    file
+      .text()
+      .then((text) => {
+        const backup = parseBackup(text);
+        const replace = importMode === "replace";
+        if (replace && !window.confirm(t.backup.confirmReplace)) return;
+
+        writeSettings(mergeSettings(readSettings(), backup.settings, importMode));
+        loadStoredPrefs();
+
+        const merged = mergeLibrary(library, backup.library, importMode);
+        const addedMantras = replace
+          ? merged.mantras.length
+          : merged.mantras.length - library.mantras.length;
+        setLibrary(merged);
+        orphanedRecordings(library, merged).forEach((id) =>
+          deleteRecording(id).catch((err) => {
+            if (DEBUG) console.log("[Backup] recording delete failed:", err);
+          })
+        );
+
+        const added = newSessions(sessions, backup.sessions, importMode);
+        return importSessions(added, { replace }).then((all) => {
+          if (all) setSessions(all);
+          announce(t.backup.imported(addedMantras, all ? added.length : 0));
+        });
+      })
+      .catch((err) => {
+        if (DEBUG) console.log("[Backup] import failed:", err);
+        announce(t.backup.errors[err.code] || t.backup.errors.badField);
+      });
+  };
+
+  const recordSession = (session) => {
+    saveSession(session)
+      .then((saved) => setSessions((prev) => [...prev, saved]))
+      .catch((err) => {
+        if (DEBUG) console.log("[History] save failed:", err);
+      });
+  };
+
   /* ---------- reset chant timer ---------- */
   const resetChantTimer = () => setChantTime(0);
 
@@ -420,6 +1817,10 @@ export default function App() {
     return () => {
       stopRecording(false);
       stopListening();
+      stopMantraTest();
+      cancelMismatchCalibration();
+      cancelSpeech();
+      leaveRoom();
       if (audioCtxRef.current) {
         try { audioCtxRef.current.close(); } catch {}
       }
@@ -433,36 +1834,87 @@ export default function App() {
     setSilenceMs(sec * 1000);
   };
 
-  /* ---------- Language Toggle ---------- */
-  const toggleLanguage = () => {
-    setLanguage((l) => (l === "en" ? "hi" : "en"));
+  /* ---------- Mala Target Change ---------- */
+  const handleMalaPreset = (e) => {
+    const val = e.target.value;
+    setMalaCustom(val === "custom");
+    if (val !== "custom") setMalaTarget(Number(val));
   };
 
+  const handleMalaCustom = (e) => {
+    const n = parseInt(e.target.value, 10);
+    if (isValidMala(n)) setMalaTarget(n);
+  };
+
+  /* ---------- Language ---------- */
+  const languageSelect = (style) => (
+    <select
+      style={style}
+      value={language}
+      onChange={(e) => setLanguage(e.target.value)}
+      title={t.languageLabel}
+      aria-label={t.languageLabel}
+    >
+      {Object.entries(LOCALES).map(([code, { name }]) => (
+        <option key={code} value={code}>
+          {name}
+        </option>
+      ))}
+    </select>
+  );
+
+  // Recognition locale of a mantra (independent of the interface language)
+  const speechLangSelect = (value, onChange, disabled) => (
+    <select
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      disabled={disabled}
+      style={{ ...styles.select, width: "100%" }}
+    >
+      {speechLangOptions().map(({ lang, name }) => (
+        <option key={lang} value={lang}>
+          {name} ({lang})
+        </option>
+      ))}
+    </select>
+  );
+
   /* ---------- Time Format ---------- */
   const formatTime = (secs) => {
     const m = Math.floor(secs / 60);
     const s = secs % 60;
-    return m ? `${m}m ${s}s` : `${s}s`;
+    return t.duration(m, s);
   };
 
   /* ===========================================================
      UI
      =========================================================== */
-  const livePanelText = [liveFinal, liveInterim ? `(${liveInterim})` : ""]
-    .filter(Boolean)
-    .join(" ");
-
   return (
     <div style={styles.page}>
       {/* Responsive top bar (mobile only) */}
       {isMobile && (
         <div style={styles.topBar}>
+          {languageSelect(styles.topBarSelect)}
+          <button
+            style={styles.topBarBtn}
+            title={t.history}
+            onClick={() => setShowHistory((s) => !s)}
+          >
+            📊
+          </button>
+          <button
+            style={styles.topBarBtn}
+            title={t.scheduleTitle}
+            onClick={() => setShowSchedule((s) => !s)}
+          >
+            ⏰
+          </button>
           <button
             style={styles.topBarBtn}
-            onClick={toggleLanguage}
-            title={language === "en" ? "हिंदी में बदलें" : "Switch to English"}
+            title={t.room.title}
+            onClick={() => setShowRoom((s) => !s)}
           >
-            {language === "en" ? "EN" : "हि"}
+            👥
           </button>
           <button
             style={styles.topBarBtn}
@@ -473,7 +1925,7 @@ export default function App() {
           </button>
           <a
             href="https://www.youtube.com/@BhajanMarg"
-            title="Please check if you want to change your life"
+            title={t.youtubeTitle}
             style={{ ...styles.topBarBtn, textDecoration: "none", lineHeight: "28px" }}
             target="_blank"
             rel="noopener noreferrer"
@@ -483,7 +1935,7 @@ export default function App() {
           <a
             href="mailto:mesahilsevda@gmail.com"
             style={{ ...styles.topBarBtn, textDecoration: "none", lineHeight: "28px" }}
-            title="Email me"
+            title={t.emailTitle}
           >
             ✉️
           </a>
@@ -494,22 +1946,41 @@ export default function App() {
       {!isMobile && (
         <>
           <div style={styles.leftStack}>
-            <button
-              style={styles.langButton}
-              onClick={toggleLanguage}
-              title={language === "en" ? "हिंदी में बदलें" : "Switch to English"}
-            >
-              {language === "en" ? "EN" : "हि"}
-            </button>
+            {languageSelect(styles.langSelect)}
             <div style={styles.leftPanel}>
               <h3 style={styles.leftPanelTitle}>{t.liveChant}</h3>
-              <div style={styles.leftPanelBox}>
-                {livePanelText ? livePanelText : <i>Listening...</i>}
-              </div>
+              <LiveTimeline
+                entries={timeline}
+                interim={liveInterim}
+                language={language}
+                t={t}
+                style={styles.leftPanelBox}
+              />
             </div>
           </div>
 
           <div style={styles.sideIcons}>
+            <button
+              style={styles.iconButton}
+              title={t.history}
+              onClick={() => setShowHistory((s) => !s)}
+            >
+              📊
+            </button>
+            <button
+              style={styles.iconButton}
+              title={t.scheduleTitle}
+              onClick={() => setShowSchedule((s) => !s)}
+            >
+              ⏰
+            </button>
+            <button
+              style={styles.iconButton}
+              title={t.room.title}
+              onClick={() => setShowRoom((s) => !s)}
+            >
+              👥
+            </button>
             <button
               style={styles.iconButton}
               title={t.troubleshooting}
@@ -519,7 +1990,7 @@ export default function App() {
             </button>
             <a
               href="https://www.youtube.com/@BhajanMarg"
-              title="Please check if you want to change your life"
+              title={t.youtubeTitle}
               style={styles.iconButton}
               target="_blank"
               rel="noopener noreferrer"
@@ -529,7 +2000,7 @@ export default function App() {
             <a
               href="mailto:mesahilsevda@gmail.com"
               style={styles.iconButton}
-              title="Email me"
+              title={t.emailTitle}
             >
               ✉️
             </a>
@@ -561,14 +2032,136 @@ export default function App() {
         ) : (
           <div style={styles.cardInner}>
             <h1 style={styles.cardTitle}>{t.title}</h1>
-            <p style={styles.cardText}>
-              {t.savedMantra}: <b>{mantra || "None"}</b>
-            </p>
+            {/* Mantra library */}
+            <div style={styles.sliderWrap}>
+              <label style={styles.sliderLabel}>{t.savedMantra}</label>
+              {mantras.length ? (
+                <div style={styles.inlineRow}>
+                  <select
+                    value={activeId}
+                    onChange={selectMantra}
+                    disabled={isListening || isRecording}
+                    style={styles.select}
+                  >
+                    {mantras.map((m) => (
+                      <option key={m.id} value={m.id}>{m.name}</option>
+                    ))}
+                  </select>
+                  <button
+                    style={styles.smallBtn}
+                    title={t.edit}
+                    onClick={startEditMantra}
+                    disabled={isListening || isRecording}
+                  >
+                    ✏️
+                  </button>
+                  {activeMantra && activeMantra.audio && (
+                    <button
+                      style={styles.smallBtn}
+                      title={isPlayingReference ? t.stopReference : t.playReference}
+                      onClick={togglePlayReference}
+                    >
+                      {isPlayingReference ? "⏹️" : "🔊"}
+                    </button>
+                  )}
+                  <button
+                    style={styles.smallBtn}
+                    title={t.delete}
+                    onClick={deleteActiveMantra}
+                    disabled={isListening || isRecording}
+                  >
+                    🗑️
+                  </button>
+                </div>
+              ) : (
+                <b>{t.none}</b>
+              )}
+              {activeMantra && activeMantra.text && activeMantra.name !== activeMantra.text && (
+                <p style={styles.previewText}>{activeMantra.text}</p>
+              )}
+              {activeMantra && (
+                <small style={styles.scriptHint}>
+                  {t.recognitionLang}: {speechLangName(activeLang)}
+                </small>
+              )}
+            </div>
+
+            {/* Type / edit a mantra */}
+            {editing ? (
+              <div style={styles.editorBox}>
+                <label style={styles.sliderLabel}>{t.mantraName}</label>
+                <input
+                  type="text"
+                  value={editing.name}
+                  onChange={(e) => setEditing({ ...editing, name: e.target.value })}
+                  style={styles.textInput}
+                />
+                <label style={styles.sliderLabel}>{t.mantraText}</label>
+                <textarea
+                  rows={2}
+                  value={editing.text}
+                  lang={detectScript(editing.text) === "devanagari" ? "hi" : undefined}
+                  placeholder={t.mantraHint}
+                  onChange={(e) => {
+                    setTestResult(null);
+                    setEditing({ ...editing, text: e.target.value });
+                  }}
+                  style={styles.textInput}
+                />
+                {detectScript(editing.text) && (
+                  <small style={styles.scriptHint}>
+                    {t.script}: {t.scripts[detectScript(editing.text)]}
+                  </small>
+                )}
+                <label style={styles.sliderLabel}>{t.recognitionLang}</label>
+                {speechLangSelect(
+                  mantraLang(editing, speechLang),
+                  (lang) => {
+                    setTestResult(null);
+                    setEditing({ ...editing, lang });
+                  },
+                  isTesting
+                )}
+                <small style={styles.scriptHint}>{t.recognitionLangHint}</small>
+
+                {/* Test it */}
+                <button
+                  style={styles.secondaryBtn}
+                  onClick={isTesting ? stopMantraTest : startMantraTest}
+                  disabled={!editing.text.trim() || isListening || isRecording}
+                >
+                  {isTesting ? t.testStop : t.testIt}
+                </button>
+                {isTesting && <p style={styles.recordingLabel}>🎤 {t.testPrompt}</p>}
+                {testResult && <MantraTestResult result={testResult} t={t} />}
+
+                <div style={styles.inlineRow}>
+                  <button
+                    style={styles.secondaryBtn}
+                    onClick={saveEditedMantra}
+                    disabled={!editing.text.trim()}
+                  >
+                    {t.save}
+                  </button>
+                  <button style={styles.secondaryBtn} onClick={cancelEditMantra}>
+                    {t.cancel}
+                  </button>
+                </div>
+              </div>
+            ) : (
+              <button
+                style={styles.secondaryBtn}
+                disabled={isListening || isRecording}
+                onClick={startNewMantra}
+              >
+                {t.typeMantra}
+              </button>
+            )}
 
             {/* Silence gap slider */}
             <div style={styles.sliderWrap}>
               <label style={styles.sliderLabel}>
-                {t.gapLabel}: {Math.round(silenceMs / 1000)}s
+                {t.gapLabel}: {t.duration(0, Math.round(silenceMs / 1000))}
               </label>
               <input
                 type="range"
@@ -580,15 +2173,306 @@ export default function App() {
               />
             </div>
 
+            {/* Detection mode */}
+            <div style={styles.sliderWrap}>
+              <label style={styles.sliderLabel}>{t.listenModeLabel}</label>
+              <div style={styles.inlineRow}>
+                {LISTEN_MODES.map((mode) => (
+                  <button
+                    key={mode}
+                    style={mode === listenMode ? styles.segmentActive : styles.segment}
+                    onClick={() => setListenMode(mode)}
+                    disabled={
+                      isListening ||
+                      ((mode === "voice" || mode === "acoustic") && !isVoiceActivityAvailable())
+                    }
+                  >
+                    {t.listenModes[mode]}
+                  </button>
+                ))}
+              </div>
+              <small style={styles.scriptHint}>{t.listenModeHint[listenMode]}</small>
+            </div>
+
+            {listenMode === "guided" && (
+              <div style={styles.sliderWrap}>
+                <label style={styles.sliderLabel}>{t.guided.tempo(guided.tempo)}</label>
+                <input
+                  type="range"
+                  min={MIN_TEMPO}
+                  max={MAX_TEMPO}
+                  value={guided.tempo}
+                  disabled={isListening}
+                  onChange={(e) =>
+                    setGuided((cur) => normalizeGuided({ ...cur, tempo: e.target.value }))
+                  }
+                  style={styles.slider}
+                />
+                <label style={styles.sliderLabel}>{t.guided.voiceLabel}</label>
+                <div style={styles.inlineRow}>
+                  {GUIDE_VOICES.map((v) => (
+                    <button
+                      key={v}
+                      style={v === guided.voice ? styles.segmentActive : styles.segment}
+                      onClick={() => setGuided((cur) => ({ ...cur, voice: v }))}
+                      disabled={
+                        isListening ||
+                        (v === "recording" && !(activeMantra && activeMantra.audio)) ||
+                        (v === "speech" && !isSpeechSynthesisAvailable())
+                      }
+                    >
+                      {t.guided.voices[v]}
+                    </button>
+                  ))}
+                </div>
+              </div>
+            )}
+
+            {listenMode === "voice" || listenMode === "acoustic" ? (
+              <div style={styles.sliderWrap}>
+                <button
+                  style={styles.secondaryBtn}
+                  onClick={handleCalibrate}
+                  disabled={isListening || isCalibrating}
+                >
+                  {isCalibrating ? t.calibrating : t.calibrate}
+                </button>
+                <small style={styles.scriptHint}>
+                  {t.noiseLevel}: {noiseFloor.toFixed(4)}
+                </small>
+              </div>
+            ) : (
+              <>
+                {/* Speech engine */}
+                <div style={styles.sliderWrap}>
+                  <label style={styles.sliderLabel}>{t.recognizerLabel}</label>
+                  <select
+                    value={recognizerKind}
+                    onChange={(e) => setRecognizerKind(e.target.value)}
+                    disabled={isListening || isRecording || isTesting}
+                    style={{ ...styles.select, width: "100%" }}
+                  >
+                    {recognizerKinds().map((kind) => (
+                      <option key={kind} value={kind} disabled={!isRecognizerAvailable(kind)}>
+                        {t.recognizers[kind] || kind}
+                      </option>
+                    ))}
+                  </select>
+                  {/* why "Offline" is greyed out, or what it needs */}
+                  {(recognizerKind === "offline" || !offlineModels) && (
+                    <small style={styles.scriptHint}>{t.offlineHint}</small>
+                  )}
+                  <label style={{ ...styles.sliderLabel, display: "block", marginTop: 8 }}>
+                    <input
+                      type="checkbox"
+                      checked={langProbe}
+                      disabled={isListening}
+                      onChange={(e) => setLangProbe(e.target.checked)}
+                    />{" "}
+                    {t.tryLocales}
+                  </label>
+                  {langProbe && <small style={styles.scriptHint}>{t.tryLocalesHint}</small>}
+                </div>
+
+                {/* Matching strictness */}
+                <div style={styles.sliderWrap}>
+                  <label style={styles.sliderLabel}>{t.strictnessLabel}</label>
+                  <div style={styles.inlineRow}>
+                    {STRICTNESS_LEVELS.map((lvl) => (
+                      <button
+                        key={lvl}
+                        style={lvl === strictness ? styles.segmentActive : styles.segment}
+                        onClick={() => setStrictness(lvl)}
+                        disabled={isListening}
+                      >
+                        {t.strictness[lvl]}
+                      </button>
+                    ))}
+                  </div>
+                  <small style={styles.scriptHint}>{t.strictnessHint[strictness]}</small>
+                </div>
+
+                {/* Wrong-chant calibration */}
+                <div style={styles.sliderWrap}>
+                  {!mismatchCal ? (
+                    <>
+                      <button
+                        style={styles.secondaryBtn}
+                        onClick={startMismatchCalibration}
+                        disabled={isListening || isRecording || isTesting}
+                      >
+                        {t.mismatchCal.start}
+                      </button>
+                      <small style={styles.scriptHint}>
+                        {micCalibration
+                          ? t.mismatchCal.calibrated(
+                              Math.round(micCalibration.falsePositiveRate * 100)
+                            )
+                          : t.mismatchCal.hint}
+                      </small>
+                      {micCalibration && (
+                        <button style={styles.smallBtn} onClick={resetMismatchCalibration}>
+                          {t.mismatchCal.reset}
+                        </button>
+                      )}
+                    </>
+                  ) : mismatchCal.phase ? (
+                    <>
+                      <label style={styles.sliderLabel} aria-live="polite">
+                        {t.mismatchCal.phases[mismatchCal.phase](mismatchCal.secondsLeft)}
+                      </label>
+                      <button style={styles.secondaryBtn} onClick={cancelMismatchCalibration}>
+                        {t.mismatchCal.cancel}
+                      </button>
+                    </>
+                  ) : mismatchCal.result.error ? (
+                    <>
+                      <small style={styles.scriptHint}>
+                        {t.mismatchCal.errors[mismatchCal.result.error]}
+                      </small>
+                      <button style={styles.secondaryBtn} onClick={startMismatchCalibration}>
+                        {t.mismatchCal.start}
+                      </button>
+                    </>
+                  ) : (
+                    <>
+                      <small style={styles.scriptHint}>
+                        {t.mismatchCal.result(
+                          Math.round(mismatchCal.result.estimate.falsePositiveRate * 100),
+                          Math.round(mismatchCal.result.baseline.falsePositiveRate * 100),
+                          Math.round(mismatchCal.result.estimate.detectionRate * 100)
+                        )}
+                      </small>
+                      <div style={styles.inlineRow}>
+                        <button style={styles.secondaryBtn} onClick={saveMismatchCalibration}>
+                          {t.mismatchCal.save}
+                        </button>
+                        <button style={styles.secondaryBtn} onClick={() => setMismatchCal(null)}>
+                          {t.mismatchCal.discard}
+                        </button>
+                      </div>
+                    </>
+                  )}
+                </div>
+              </>
+            )}
+
+            {/* Mala target */}
+            <div style={styles.sliderWrap}>
+              <label style={styles.sliderLabel}>{t.malaTarget}</label>
+              <div style={styles.inlineRow}>
+                <select
+                  value={malaCustom ? "custom" : String(malaTarget)}
+                  onChange={handleMalaPreset}
+                  disabled={isListening}
+                  style={styles.select}
+                >
+                  {MALA_PRESETS.map((n) => (
+                    <option key={n} value={n}>{n}</option>
+                  ))}
+                  <option value="custom">{t.custom}</option>
+                </select>
+                {malaCustom && (
+                  <input
+                    type="number"
+                    min={1}
+                    max={MAX_MALA}
+                    value={malaTarget}
+                    onChange={handleMalaCustom}
+                    disabled={isListening}
+                    style={styles.numberInput}
+                  />
+                )}
+              </div>
+            </div>
+
+            {/* Session goal */}
+            <div style={styles.sliderWrap}>
+              <label style={styles.sliderLabel}>{t.goalLabel}</label>
+              <div style={styles.inlineRow}>
+                {GOAL_KINDS.map((kind) => (
+                  <button
+                    key={kind}
+                    style={kind === effectiveGoal.kind ? styles.segmentActive : styles.segment}
+                    onClick={() => setGoal((g) => ({ ...g, kind }))}
+                    disabled={isListening || (kind === "reps" && listenMode === "voice")}
+                  >
+                    {t.goalKinds[kind]}
+                  </button>
+                ))}
+              </div>
+              {effectiveGoal.kind !== "open" && (
+                <div style={{ ...styles.inlineRow, marginTop: 8, alignItems: "center" }}>
+                  <input
+                    type="number"
+                    min={1}
+                    max={effectiveGoal.kind === "time" ? MAX_GOAL_MINUTES : MAX_GOAL_REPS}
+                    value={effectiveGoal.kind === "time" ? goal.minutes : goal.reps}
+                    onChange={(e) =>
+                      setGoal((g) =>
+                        normalizeGoal({
+                          ...g,
+                          [g.kind === "time" ? "minutes" : "reps"]: e.target.value,
+                        })
+                      )
+                    }
+                    disabled={isListening}
+                    style={styles.numberInput}
+                  />
+                  <small>{effectiveGoal.kind === "time" ? t.minutesUnit : t.repetitions}</small>
+                </div>
+              )}
+              {listenMode === "voice" && (
+                <small style={styles.scriptHint}>{t.goalRepsHint}</small>
+              )}
+            </div>
+
+            {/* Too-fast reminder (needs counted recitations) */}
+            {listenMode !== "voice" && (
+              <div style={styles.sliderWrap}>
+                <label style={styles.sliderLabel}>
+                  <input
+                    type="checkbox"
+                    checked={pace.tooFast}
+                    onChange={(e) => setPace((cur) => ({ ...cur, tooFast: e.target.checked }))}
+                  />{" "}
+                  {t.pace.tooFastLabel}
+                </label>
+                {pace.tooFast && (
+                  <div style={{ ...styles.inlineRow, marginTop: 8, alignItems: "center" }}>
+                    <input
+                      type="number"
+                      min={MIN_MAX_RPM}
+                      max={MAX_MAX_RPM}
+                      value={pace.maxPerMinute}
+                      onChange={(e) =>
+                        setPace((cur) => normalizePace({ ...cur, maxPerMinute: e.target.value }))
+                      }
+                      style={styles.numberInput}
+                    />
+                    <small>{t.pace.perMinute}</small>
+                  </div>
+                )}
+              </div>
+            )}
+
             {/* Record / Stop + Save */}
             {!isRecording ? (
-              <button
-                style={styles.primaryBtn}
-                disabled={isListening}
-                onClick={handleRecord}
-              >
-                {mantra ? t.rerecord : t.record}
-              </button>
+              <>
+                {listenMode !== "voice" && (
+                  <div style={styles.sliderWrap}>
+                    <label style={styles.sliderLabel}>{t.recognitionLang}</label>
+                    {speechLangSelect(recordLang, setRecordLang, isListening || isTesting)}
+                  </div>
+                )}
+                <button
+                  style={styles.primaryBtn}
+                  disabled={isListening || isTesting}
+                  onClick={handleRecord}
+                >
+                  {mantras.length ? t.recordAnother : t.record}
+                </button>
+              </>
             ) : (
               <>
                 <p style={styles.recordingLabel}>
@@ -609,17 +2493,87 @@ export default function App() {
             {/* Listen */}
             <button
               style={{ ...styles.primaryBtn, marginTop: 20 }}
-              onClick={isListening ? stopListening : startListening}
+              onClick={isListening ? () => stopListening() : startListening}
             >
               {isListening ? t.stopListening : t.startListening}
             </button>
 
-            {isListening && (
+            {isListening && recStatus === "reconnecting" && (
+              <p style={styles.recordingLabel}>
+                ⏳ {t.reconnecting}
+                {recErrors.length > 0 && (
+                  <small style={{ display: "block" }}>
+                    {t.diagnostics.advice[adviceKey(recErrors[0].error)]}
+                  </small>
+                )}
+              </p>
+            )}
+
+            {notice && (
+              <div style={styles.noteBox}>
+                <small>{notice}</small>{" "}
+                <button style={styles.smallBtn} title={t.dismiss} onClick={() => setNotice("")}>
+                  ✕
+                </button>
+              </div>
+            )}
+
+            {isListening && effectiveGoal.kind !== "open" && (
+              <ProgressRing
+                fraction={
+                  goalProgress(effectiveGoal, { elapsedMs: elapsedSec * 1000, cycles: cycleCount })
+                    .fraction
+                }
+              >
+                <strong style={styles.ringValue}>
+                  {effectiveGoal.kind === "time"
+                    ? `${formatTime(Math.max(0, effectiveGoal.minutes * 60 - elapsedSec))} ${t.timeLeft}`
+                    : `${Math.min(cycleCount, effectiveGoal.reps)} / ${effectiveGoal.reps}`}
+                </strong>
+                <small>
+                  {t.chantSince}: {formatTime(chantTime)}
+                </small>
+              </ProgressRing>
+            )}
+
+            {isListening && effectiveGoal.kind === "open" && (
               <p style={styles.timerText}>
                 {t.chantSince}: {formatTime(chantTime)}
               </p>
             )}
 
+            {!isListening && summary && (
+              <SessionSummary
+                session={summary}
+                t={t}
+                formatTime={formatTime}
+                onClose={() => setSummary(null)}
+              />
+            )}
+
+            {isListening && listenMode !== "voice" && (
+              <p style={styles.counterText}>
+                {t.repetitions}: {cycleCount % malaTarget} / {malaTarget}
+                {" · "}
+                {t.malas}: {Math.floor(cycleCount / malaTarget)}
+              </p>
+            )}
+
+            {isListening && paceStats && paceStats.count > 0 && (
+              <RhythmGraph
+                stats={paceStats}
+                ceiling={pace.tooFast ? pace.maxPerMinute : 0}
+                t={t}
+              />
+            )}
+
+            {isListening && guidedPhase && (
+              <p style={styles.counterText}>
+                {guidedPhase === "call" ? `🔊 ${t.guided.listen}` : `🙏 ${t.guided.yourTurn}`}
+                {guidedStats && <small> · {t.guided.stats(guidedStats)}</small>}
+              </p>
+            )}
+
             {/* Reminder note */}
             <div style={styles.noteBox}>
               <small>
@@ -627,6 +2581,181 @@ export default function App() {
               </small>
             </div>
 
+            {/* Reminder sounds */}
+            <button style={styles.secondaryBtn} onClick={() => setShowSounds((v) => !v)}>
+              🔔 {t.soundSettings}
+            </button>
+            {showSounds && (
+              <div style={{ ...styles.editorBox, marginTop: 12 }}>
+                <label style={styles.sliderLabel}>
+                  {t.volume}: {Math.round(soundSettings.volume * 100)}%
+                </label>
+                <input
+                  type="range"
+                  min={0}
+                  max={100}
+                  value={Math.round(soundSettings.volume * 100)}
+                  onChange={(e) =>
+                    setSoundSettings((cur) => ({ ...cur, volume: Number(e.target.value) / 100 }))
+                  }
+                  style={styles.slider}
+                />
+                {SOUND_EVENTS.map((ev) => (
+                  <div key={ev} style={{ marginTop: 12 }}>
+                    <label style={styles.sliderLabel}>{t.soundEvents[ev]}</label>
+                    <div style={styles.inlineRow}>
+                      <select
+                        value={soundSettings.events[ev].sound}
+                        onChange={(e) => updateSoundEvent(ev, { sound: e.target.value })}
+                        style={styles.select}
+                      >
+                        {Object.keys(SOUND_PRESETS).map((id) => (
+                          <option key={id} value={id}>{t.soundPresets[id]}</option>
+                        ))}
+                      </select>
+                      <select
+                        value={soundSettings.events[ev].vibrate}
+                        title={t.vibration}
+                        onChange={(e) => updateSoundEvent(ev, { vibrate: e.target.value })}
+                        style={styles.select}
+                      >
+                        {Object.keys(VIBRATION_PATTERNS).map((id) => (
+                          <option key={id} value={id}>
+                            📳 {t.vibrationPatterns[id]}
+                          </option>
+                        ))}
+                      </select>
+                      <button
+                        style={styles.smallBtn}
+                        title={t.preview}
+                        onClick={() => previewSound(ev)}
+                      >
+                        ▶
+                      </button>
+                    </div>
+                  </div>
+                ))}
+
+                <label style={{ ...styles.sliderLabel, display: "block", marginTop: 16 }}>
+                  <input
+                    type="checkbox"
+                    checked={escalation.enabled}
+                    disabled={isListening}
+                    onChange={(e) => updateEscalation({ enabled: e.target.checked })}
+                  />{" "}
+                  {t.escalation}
+                </label>
+                {escalation.enabled && (
+                  <>
+                    {["louderAfter", "insistentAfter", "pauseAfter"].map((key) => (
+                      <div key={key} style={{ ...styles.inlineRow, marginTop: 8 }}>
+                        <label style={styles.sliderLabel}>
+                          {key === "pauseAfter" && (
+                            <>
+                              <input
+                                type="checkbox"
+                                checked={escalation.autoPause}
+                                disabled={isListening}
+                                onChange={(e) => updateEscalation({ autoPause: e.target.checked })}
+                              />{" "}
+                            </>
+                          )}
+                          {t[key]}
+                        </label>
+                        <input
+                          type="number"
+                          min={1}
+                          max={99}
+                          value={escalation[key]}
+                          disabled={isListening || (key === "pauseAfter" && !escalation.autoPause)}
+                          onChange={(e) => updateEscalation({ [key]: e.target.value })}
+                          style={{ ...styles.select, flex: "0 0 72px" }}
+                        />
+                        <small>{t.remindersUnit}</small>
+                      </div>
+                    ))}
+                    <div style={{ ...styles.inlineRow, marginTop: 8 }}>
+                      <select
+                        value={escalation.insistentSound}
+                        disabled={isListening}
+                        onChange={(e) => updateEscalation({ insistentSound: e.target.value })}
+                        style={styles.select}
+                      >
+                        {Object.keys(SOUND_PRESETS).map((id) => (
+                          <option key={id} value={id}>{t.soundPresets[id]}</option>
+                        ))}
+                      </select>
+                      <button
+                        style={styles.smallBtn}
+                        title={t.preview}
+                        onClick={() =>
+                          playSound(ensureAudioCtx(), escalation.insistentSound, soundSettings.volume)
+                        }
+                      >
+                        ▶
+                      </button>
+                    </div>
+                    <label style={{ ...styles.sliderLabel, display: "block", marginTop: 8 }}>
+                      <input
+                        type="checkbox"
+                        checked={escalation.spoken}
+                        disabled={isListening}
+                        onChange={(e) => updateEscalation({ spoken: e.target.checked })}
+                      />{" "}
+                      {t.spokenPrompt}
+                    </label>
+                  </>
+                )}
+
+                {isSpeechSynthesisAvailable() && (
+                  <>
+                    <h4 style={styles.historySubtitle}>🗣️ {t.voiceGuidance}</h4>
+                    <label style={{ ...styles.sliderLabel, display: "block" }}>
+                      <input
+                        type="checkbox"
+                        checked={voiceSettings.enabled}
+                        onChange={(e) => updateVoiceSettings({ enabled: e.target.checked })}
+                      />{" "}
+                      {t.voiceGuidanceOn}
+                    </label>
+                    <div style={{ ...styles.inlineRow, marginTop: 8 }}>
+                      <select
+                        value={voiceSettings.voiceURI}
+                        title={t.voiceLabel}
+                        onChange={(e) => updateVoiceSettings({ voiceURI: e.target.value })}
+                        style={styles.select}
+                      >
+                        <option value="">{t.voiceDefault}</option>
+                        {voicesForLang(voices, speechLang).map((v) => (
+                          <option key={v.voiceURI} value={v.voiceURI}>
+                            {v.name} ({v.lang})
+                          </option>
+                        ))}
+                      </select>
+                      <button
+                        style={styles.smallBtn}
+                        title={t.preview}
+                        onClick={() => speakPrompt(t.voicePrompts.silence)}
+                      >
+                        ▶
+                      </button>
+                    </div>
+                    <label style={{ ...styles.sliderLabel, display: "block", marginTop: 8 }}>
+                      {t.voiceRate}: {voiceSettings.rate.toFixed(1)}×
+                    </label>
+                    <input
+                      type="range"
+                      min={MIN_RATE * 10}
+                      max={MAX_RATE * 10}
+                      value={Math.round(voiceSettings.rate * 10)}
+                      onChange={(e) => updateVoiceSettings({ rate: Number(e.target.value) / 10 })}
+                      style={styles.slider}
+                    />
+                  </>
+                )}
+              </div>
+            )}
+
             {/* Mobile Live Panel Toggle */}
             {isMobile && (
               <div style={{ marginTop: 24 }}>
@@ -639,9 +2768,13 @@ export default function App() {
                 {showLiveMobile && (
                   <div style={styles.mobileLiveBox}>
                     <h3 style={styles.mobileLiveTitle}>{t.liveChant}</h3>
-                    <div style={styles.mobileLiveContent}>
-                      {livePanelText ? livePanelText : <i>Listening...</i>}
-                    </div>
+                    <LiveTimeline
+                      entries={timeline}
+                      interim={liveInterim}
+                      language={language}
+                      t={t}
+                      style={styles.mobileLiveContent}
+                    />
                   </div>
                 )}
               </div>
@@ -649,82 +2782,673 @@ export default function App() {
           </div>
         )}
 
-        {/* Troubleshooting */}
-        {showIssues && (
+        {/* Practice history */}
+        {showHistory && (
+          <div style={styles.troubleBox}>
+            <h3 style={styles.troubleTitle}>{t.history}</h3>
+            {sessions.length === 0 ? (
+              <p style={styles.historyEmpty}>{t.noHistory}</p>
+            ) : (
+              <>
+                <p style={styles.streakText}>
+                  🔥 {t.streak(historyStats.streakDays)}
+                </p>
+
+                <h4 style={styles.historySubtitle}>{t.last7Days}</h4>
+                <HistoryBars
+                  buckets={historyStats.daily}
+                  label={(b, i, all) =>
+                    i === all.length - 1
+                      ? t.today
+                      : new Date(b.start).toLocaleDateString(language, { weekday: "short" })
+                  }
+                  t={t}
+                  formatTime={formatTime}
+                />
+
+                <h4 style={styles.historySubtitle}>{t.last4Weeks}</h4>
+                <HistoryBars
+                  buckets={historyStats.weekly}
+                  label={(b) =>
+                    `${t.weekOf} ${new Date(b.start).toLocaleDateString(language, {
+                      day: "numeric",
+                      month: "short",
+                    })}`
+                  }
+                  t={t}
+                  formatTime={formatTime}
+                />
+
+                <h4 style={styles.historySubtitle}>{t.recentSessions}</h4>
+                <ul style={styles.troubleList}>
+                  {sessions
+                    .slice(-5)
+                    .reverse()
+                    .map((s) => (
+                      <li key={s.id || s.startedAt}>
+                        {new Date(s.startedAt).toLocaleString(language)} · {s.mantra} ·{" "}
+                        {formatTime(Math.round(s.chantMs / 1000))} ({t.longestStreak}{" "}
+                        {formatTime(Math.round(s.longestStreakMs / 1000))}) · {t.silenceShort}{" "}
+                        {s.silenceBeeps} · {t.mismatchShort} {s.mismatchBeeps}
+                        {s.abandoned && ` · ${t.abandoned}`}
+                        {s.timeline && (
+                          <button
+                            style={{ ...styles.smallBtn, marginLeft: 6 }}
+                            title={t.timeline.review}
+                            onClick={() =>
+                              setReviewId((id) => (id === s.startedAt ? null : s.startedAt))
+                            }
+                          >
+                            🔍
+                          </button>
+                        )}
+                        {reviewId === s.startedAt && s.timeline && (
+                          <LiveTimeline
+                            entries={s.timeline}
+                            language={language}
+                            t={t}
+                            style={styles.reviewBox}
+                          />
+                        )}
+                      </li>
+                    ))}
+                </ul>
+              </>
+            )}
+
+            <h4 style={styles.historySubtitle}>💾 {t.backup.title}</h4>
+            <div style={{ ...styles.inlineRow, flexWrap: "wrap" }}>
+              <button style={styles.smallBtn} onClick={handleExportJson}>
+                {t.backup.exportJson}
+              </button>
+              <button
+                style={styles.smallBtn}
+                onClick={handleExportCsv}
+                disabled={sessions.length === 0}
+              >
+                {t.backup.exportCsv}
+              </button>
+            </div>
+            <div style={{ ...styles.inlineRow, marginTop: 8, flexWrap: "wrap" }}>
+              <select
+                value={importMode}
+                onChange={(e) => setImportMode(e.target.value)}
+                disabled={isListening}
+                style={styles.select}
+              >
+                {Object.keys(t.backup.modes).map((mode) => (
+                  <option key={mode} value={mode}>{t.backup.modes[mode]}</option>
+                ))}
+              </select>
+              <label style={{ ...styles.smallBtn, padding: "8px 10px" }}>
+                {t.backup.importFile}
+                <input
+                  type="file"
+                  accept="application/json,.json"
+                  onChange={handleImportFile}
+                  disabled={isListening}
+                  style={{ display: "none" }}
+                />
+              </label>
+            </div>
+          </div>
+        )}
+
+        {/* Practice reminders */}
+        {showSchedule && (
           <div style={styles.troubleBox}>
-            <h3 style={styles.troubleTitle}>{t.troubleshooting}</h3>
-            <ul style={styles.troubleList}>
-              <li>Disable ad blockers / Brave shields.</li>
-              <li>Allow microphone permission.</li>
-              <li>Use Chrome for best speech recognition.</li>
-              <li>Use earbuds/headset with a mic.</li>
-              <li>Keep screen awake; background tabs may pause listening.</li>
-              <li>Speak clearly; steady pace helps recognition.</li>
-            </ul>
+            <h3 style={styles.troubleTitle}>{t.scheduleTitle}</h3>
+            {!notificationsSupported() ? (
+              <p style={styles.historyEmpty}>{t.notificationsUnsupported}</p>
+            ) : (
+              <>
+                <label style={{ ...styles.sliderLabel, display: "block" }}>
+                  <input
+                    type="checkbox"
+                    checked={schedule.enabled}
+                    onChange={(e) => handleScheduleToggle(e.target.checked)}
+                  />{" "}
+                  {t.scheduleEnable}
+                </label>
+                {notifyPermission === "denied" && (
+                  <small style={styles.scriptHint}>{t.notificationsBlocked}</small>
+                )}
+
+                <div style={{ ...styles.inlineRow, marginTop: 8, alignItems: "center" }}>
+                  <small>{t.scheduleMantra}</small>
+                  <select
+                    value={schedule.mantraId}
+                    onChange={(e) => setSchedule((cur) => ({ ...cur, mantraId: e.target.value }))}
+                    style={styles.select}
+                  >
+                    <option value="">{t.scheduleActiveMantra}</option>
+                    {mantras.map((m) => (
+                      <option key={m.id} value={m.id}>{m.name}</option>
+                    ))}
+                  </select>
+                </div>
+
+                {schedule.slots.map((slot, i) => (
+                  <div key={i} style={{ marginTop: 12 }}>
+                    <div style={{ ...styles.inlineRow, alignItems: "center" }}>
+                      <input
+                        type="time"
+                        value={slot.time}
+                        onChange={(e) => e.target.value && updateSlot(i, { time: e.target.value })}
+                        style={styles.numberInput}
+                      />
+                      <button
+                        style={styles.smallBtn}
+                        title={t.removeReminder}
+                        onClick={() =>
+                          setSchedule((cur) => ({
+                            ...cur,
+                            slots: cur.slots.filter((_, j) => j !== i),
+                          }))
+                        }
+                      >
+                        ✕
+                      </button>
+                    </div>
+                    <div style={{ ...styles.inlineRow, marginTop: 6, flexWrap: "wrap" }}>
+                      {ALL_DAYS.map((day) => (
+                        <button
+                          key={day}
+                          style={slot.days.includes(day) ? styles.segmentActive : styles.segment}
+                          onClick={() => toggleSlotDay(i, day)}
+                        >
+                          {t.weekdays[day]}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                ))}
+
+                <button
+                  style={{ ...styles.secondaryBtn, marginTop: 12 }}
+                  onClick={() =>
+                    setSchedule((cur) => ({ ...cur, slots: [...cur.slots, makeSlot()] }))
+                  }
+                >
+                  {t.addReminder}
+                </button>
+
+                {schedule.enabled && nextReminder(schedule, Date.now()) && (
+                  <p style={styles.historyEmpty}>
+                    {t.nextReminder}:{" "}
+                    {new Date(nextReminder(schedule, Date.now())).toLocaleString(language, {
+                      weekday: "short",
+                      hour: "2-digit",
+                      minute: "2-digit",
+                    })}
+                  </p>
+                )}
+                <small style={styles.scriptHint}>{t.scheduleHint}</small>
+              </>
+            )}
+          </div>
+        )}
+
+        {/* Group room */}
+        {showRoom && (
+          <RoomPanel
+            t={t}
+            settings={roomSettings}
+            onSettings={(patch) =>
+              setRoomSettings((cur) => normalizeRoomSettings({ ...cur, ...patch }))
+            }
+            defaultServer={roomServerUrl({ server: "" })}
+            room={room}
+            status={roomStatus}
+            error={roomError}
+            feed={roomFeed}
+            now={roomNow}
+            formatTime={formatTime}
+            onCreate={() => openRoom({ type: "create" })}
+            onJoin={(code) => openRoom({ type: "join", room: code })}
+            onLeave={leaveRoom}
+            onStart={() => sendRoom({ type: "start" })}
+            onStop={() => sendRoom({ type: "stop" })}
+          />
+        )}
+
+        {/* Troubleshooting / diagnostics */}
+        {showIssues && (
+          <DiagnosticsPanel
+            t={t}
+            language={language}
+            permission={micPermission}
+            recognizerState={
+              isRecording
+                ? "recording"
+                : isTesting
+                ? "testing"
+                : isListening
+                ? recStatus || "listening"
+                : "idle"
+            }
+            errors={recErrors}
+            micTest={micTest}
+            onMicTest={handleMicTest}
+            micTestDisabled={isListening || isRecording || isTesting || micTest === "testing"}
+          />
+        )}
+      </div>
+    </div>
+  );
+}
+
+/* ===========================================================
+   History bars (daily / weekly totals)
+   =========================================================== */
+function HistoryBars({ buckets, label, t, formatTime }) {
+  const max = Math.max(1, ...buckets.map((b) => b.chantMs));
+  return (
+    <div style={styles.barList}>
+      {buckets.map((b, i, all) => (
+        <div key={b.start} style={styles.barRow}>
+          <span style={styles.barLabel}>{label(b, i, all)}</span>
+          <div style={styles.barTrack}>
+            <div style={{ ...styles.barFill, width: `${(b.chantMs / max) * 100}%` }} />
           </div>
+          <span style={styles.barValue}>
+            {formatTime(Math.round(b.chantMs / 1000))} · {t.sessionsCount(b.sessions)}
+          </span>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+/* ===========================================================
+   Group room panel
+   =========================================================== */
+function RoomPanel({
+  t,
+  settings,
+  onSettings,
+  defaultServer,
+  room,
+  status,
+  error,
+  feed,
+  now,
+  formatTime,
+  onCreate,
+  onJoin,
+  onLeave,
+  onStart,
+  onStop,
+}) {
+  const r = t.room;
+  const [code, setCode] = useState("");
+  const [server, setServer] = useState(settings.server); // saved when valid, on blur
+
+  if (!room) {
+    return (
+      <div style={styles.troubleBox}>
+        <h3 style={styles.troubleTitle}>{r.title}</h3>
+        <label style={styles.sliderLabel}>{r.nameLabel}</label>
+        <input
+          style={styles.textInput}
+          value={settings.name}
+          onChange={(e) => onSettings({ name: e.target.value })}
+        />
+        <label style={styles.sliderLabel}>{r.serverLabel}</label>
+        <input
+          style={styles.textInput}
+          value={server}
+          placeholder={defaultServer}
+          onChange={(e) => setServer(e.target.value)}
+          onBlur={() => onSettings({ server })}
+        />
+        <div style={{ ...styles.inlineRow, marginTop: 8 }}>
+          <button style={styles.segment} onClick={onCreate} disabled={status === "connecting"}>
+            {r.create}
+          </button>
+          <input
+            style={{ ...styles.numberInput, width: 110 }}
+            value={code}
+            placeholder={r.codePlaceholder}
+            onChange={(e) => setCode(normalizeRoomCode(e.target.value))}
+          />
+          <button
+            style={styles.segment}
+            onClick={() => onJoin(code)}
+            disabled={!isRoomCode(code) || status === "connecting"}
+          >
+            {r.join}
+          </button>
+        </div>
+        {status === "connecting" && <p style={styles.diagRow}>{r.connecting}</p>}
+        {error && (
+          <p style={{ ...styles.diagRow, ...styles.diagBad }}>{r.errors[error] || error}</p>
+        )}
+        <small style={styles.scriptHint}>{r.hint}</small>
+      </div>
+    );
+  }
+
+  const state = room.state;
+  const totals = roomTotals(state, now - room.offset);
+  const isHost = !!state && state.hostId === room.memberId;
+  return (
+    <div style={styles.troubleBox}>
+      <h3 style={styles.troubleTitle}>
+        {r.title}: {room.code}
+      </h3>
+      <p style={styles.counterText}>
+        {r.together}: {totals.cycles} · {formatTime(Math.round(totals.elapsedMs / 1000))}
+      </p>
+      {state && (
+        <ul style={styles.troubleList}>
+          {state.members.map((m) => (
+            <li key={m.id}>
+              {m.listening ? "🎙️" : "💤"} {m.name}
+              {m.id === state.hostId && ` (${r.host})`}
+              {m.id === room.memberId && ` (${r.you})`}: {m.cycles}
+            </li>
+          ))}
+        </ul>
+      )}
+      {feed.map((e, i) => (
+        <small key={i} style={styles.scriptHint}>
+          {r.events[e.event](e.name)}
+        </small>
+      ))}
+      <div style={{ ...styles.inlineRow, marginTop: 8 }}>
+        {isHost && (
+          <>
+            <button style={styles.segment} onClick={onStart} disabled={state.running}>
+              {r.startAll}
+            </button>
+            <button style={styles.segment} onClick={onStop} disabled={!state.running}>
+              {r.stopAll}
+            </button>
+          </>
         )}
+        <button style={styles.segment} onClick={onLeave}>
+          {r.leave}
+        </button>
       </div>
     </div>
   );
 }
 
 /* ===========================================================
-   Detection Helpers
+   Diagnostics panel (grew out of the troubleshooting list)
    =========================================================== */
-function buildMantraData(raw) {
-  const lower = (raw || "").trim().toLowerCase();
-  const tokens = lower.split(/\s+/).filter(Boolean);
-  const noSpace = tokens.join("");
-  const canonTokens = tokens.map((t) => canonicalize(t));
-  const canonicalPhrase = canonicalize(noSpace);
-  // candidate set for loose matching
-  const tokenSet = new Set([...tokens, noSpace, lower, canonicalPhrase, ...canonTokens]);
-  return { lower, tokens, noSpace, canonTokens, canonicalPhrase, tokenSet };
+function DiagnosticsPanel({
+  t,
+  language,
+  permission,
+  recognizerState,
+  errors,
+  micTest,
+  onMicTest,
+  micTestDisabled,
+}) {
+  const d = t.diagnostics;
+  const advice = adviceFor(errors, permission);
+  return (
+    <div style={styles.troubleBox}>
+      <h3 style={styles.troubleTitle}>{t.troubleshooting}</h3>
+      <p style={styles.diagRow}>
+        🎙️ {d.micPermission}:{" "}
+        <strong style={permission === "denied" ? styles.diagBad : undefined}>
+          {d.permissionStates[permission]}
+        </strong>
+        {" · "}
+        {d.recognizerState}: <strong>{d.states[recognizerState]}</strong>
+      </p>
+
+      <div style={{ ...styles.inlineRow, alignItems: "center", margin: "8px 0" }}>
+        <button style={styles.smallBtn} onClick={onMicTest} disabled={micTestDisabled}>
+          🎤 {d.micTest}
+        </button>
+        {micTest === "testing" && <small>{d.micTesting}</small>}
+        {micTest && micTest !== "testing" && (
+          <small style={micTest.ok ? undefined : styles.diagBad}>
+            {micTest.error ? d.advice[adviceKey(micTest.error)] : micTest.ok ? d.micOk : d.micSilent}
+          </small>
+        )}
+      </div>
+
+      <h4 style={styles.historySubtitle}>{d.lastErrors}</h4>
+      {errors.length === 0 ? (
+        <p style={styles.historyEmpty}>{d.noErrors}</p>
+      ) : (
+        <ul style={styles.troubleList}>
+          {errors.map((e) => (
+            <li key={`${e.source}-${e.at}`}>
+              {new Date(e.at).toLocaleTimeString(language)} · {d.sources[e.source]} ·{" "}
+              <code>{e.error}</code>
+              {e.count > 1 && ` ×${e.count}`}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <h4 style={styles.historySubtitle}>{d.whatToTry}</h4>
+      <ul style={styles.troubleList}>
+        {(advice.length ? advice.map((key) => d.advice[key]) : d.general).map((tip) => (
+          <li key={tip}>{tip}</li>
+        ))}
+      </ul>
+    </div>
+  );
 }
 
-function canonicalize(str) {
-  return str
-    .normalize("NFD")
-    .replace(/[\u0300-\u036f]/g, "")
-    .toLowerCase()
-    .replace(/[^a-z\u0900-\u097F]/g, ""); // keep latin + Devanagari; strip spaces/punct
+/* ===========================================================
+   Rhythm graph (recitations per minute, newest on the right)
+   =========================================================== */
+const GRAPH_WIDTH = 240;
+const GRAPH_HEIGHT = 48;
+
+function RhythmGraph({ stats, ceiling, t }) {
+  const { series } = stats;
+  const top = Math.max(ceiling, ...series) * 1.2 || 1;
+  const y = (rpm) => GRAPH_HEIGHT - (rpm / top) * GRAPH_HEIGHT;
+  const step = series.length > 1 ? GRAPH_WIDTH / (series.length - 1) : 0;
+  const points = series.map((rpm, i) => `${i * step},${y(rpm)}`).join(" ");
+  return (
+    <div style={styles.rhythmBox}>
+      <small>{t.pace.live(stats.recentRpm, steadiness(stats.variability))}</small>
+      <svg width={GRAPH_WIDTH} height={GRAPH_HEIGHT} style={styles.rhythmSvg}>
+        {ceiling > 0 && (
+          <line
+            x1={0}
+            x2={GRAPH_WIDTH}
+            y1={y(ceiling)}
+            y2={y(ceiling)}
+            stroke="#e74c3c"
+            strokeDasharray="4 4"
+          />
+        )}
+        {series.length > 1 ? (
+          <polyline points={points} fill="none" stroke="#f9d342" strokeWidth={2} />
+        ) : (
+          <circle cx={GRAPH_WIDTH / 2} cy={y(series[0])} r={3} fill="#f9d342" />
+        )}
+      </svg>
+    </div>
+  );
 }
 
-/**
- * Loose match:
- *  - If ANY token candidate occurs in transcript (canonicalized), return true.
- *  - Accepts partial chanting like "ram ram" when mantra is "sita ram".
- */
-function matchLoose(txt, md) {
-  if (!md || !md.tokenSet || md.tokenSet.size === 0) return false;
-  const cInput = canonicalize(txt);
-  for (const tok of md.tokenSet) {
-    if (!tok) continue;
-    if (cInput.includes(canonicalize(tok))) return true;
-  }
-  return false;
+/* ===========================================================
+   Goal progress ring
+   =========================================================== */
+const RING_SIZE = 160;
+const RING_STROKE = 10;
+
+function ProgressRing({ fraction, children }) {
+  const r = (RING_SIZE - RING_STROKE) / 2;
+  const circumference = 2 * Math.PI * r;
+  return (
+    <div style={styles.ringWrap}>
+      <svg width={RING_SIZE} height={RING_SIZE} style={styles.ringSvg}>
+        <circle
+          cx={RING_SIZE / 2}
+          cy={RING_SIZE / 2}
+          r={r}
+          fill="none"
+          stroke="rgba(255,255,255,0.15)"
+          strokeWidth={RING_STROKE}
+        />
+        <circle
+          cx={RING_SIZE / 2}
+          cy={RING_SIZE / 2}
+          r={r}
+          fill="none"
+          stroke="#f9d342"
+          strokeWidth={RING_STROKE}
+          strokeLinecap="round"
+          strokeDasharray={circumference}
+          strokeDashoffset={circumference * (1 - fraction)}
+          transform={`rotate(-90 ${RING_SIZE / 2} ${RING_SIZE / 2})`}
+          style={{ transition: "stroke-dashoffset 0.5s" }}
+        />
+      </svg>
+      <div style={styles.ringLabel}>{children}</div>
+    </div>
+  );
+}
+
+/* ===========================================================
+   End-of-session summary card
+   =========================================================== */
+function SessionSummary({ session, t, formatTime, onClose }) {
+  const { chantMs, silentMs } = sessionBreakdown(session);
+  const secs = (ms) => formatTime(Math.round(ms / 1000));
+  return (
+    <div style={styles.summaryCard}>
+      <h3 style={styles.troubleTitle}>
+        {session.goalReached ? t.goalReached : t.summaryTitle}
+      </h3>
+      <ul style={styles.troubleList}>
+        <li>
+          {t.summaryChanting}: {secs(chantMs)} · {t.summarySilent}: {secs(silentMs)}
+        </li>
+        <li>
+          {t.summarySilenceReminders}: {session.silenceBeeps}
+        </li>
+        <li>
+          {t.summaryMismatchReminders}: {session.mismatchBeeps}
+        </li>
+        <li>
+          {t.summaryLongest}: {secs(session.longestStreakMs)}
+        </li>
+        {session.cycles > 0 && (
+          <li>
+            {t.repetitions}: {session.cycles}
+          </li>
+        )}
+        {session.guided && <li>{t.guided.stats(session.guided)}</li>}
+        {session.pace && (
+          <li>{t.pace.summary(session.pace.rpm, steadiness(session.pace.variability))}</li>
+        )}
+      </ul>
+      <button style={styles.smallBtn} title={t.dismiss} onClick={onClose}>
+        ✕
+      </button>
+    </div>
+  );
+}
+
+/* ===========================================================
+   Mantra test result (token-by-token)
+   =========================================================== */
+function MantraTestResult({ result, t }) {
+  if (result.empty) return <p style={styles.testVerdict}>{t.testNothing}</p>;
+  return (
+    <div style={styles.testBox}>
+      <div>
+        {t.testHeard}:{" "}
+        {result.words.map((w, i) => (
+          <span key={i} style={w.matched ? styles.tokenHit : styles.tokenMiss}>
+            {w.word}
+          </span>
+        ))}
+      </div>
+      <div>
+        {t.testTokens}:{" "}
+        {result.tokens.map((tok, i) => (
+          <span key={i} style={tok.heard ? styles.tokenHit : styles.tokenMiss}>
+            {tok.heard ? "✓" : "✗"} {tok.token}
+          </span>
+        ))}
+      </div>
+      <p style={styles.testVerdict}>
+        {result.matched ? t.testCounts : result.mismatch ? t.testMismatch : t.testIgnored}
+      </p>
+    </div>
+  );
 }
 
-/**
- * Should we beep immediately for a "wrong chant"?
- *  - only if NOT matchLoose()
- *  - ignore super short / low confidence garbage
- */
-function shouldMismatchBeep(txt, conf, md) {
-  if (matchLoose(txt, md)) return false;
-  const letters = txt.replace(/[^a-z\u0900-\u097F]/g, "");
-  if (letters.length < 3 && conf < 0.5) return false;
-  if (conf >= 0.25 || letters.length >= 4) return true;
-  return false;
+const TIMELINE_ICONS = { silence: "🔔", mismatch: "❌", pace: "🐢", fast: "⏩" };
+
+// Scrollable transcript + reminder markers; stays pinned to the newest line
+// unless the user has scrolled up to read
+function LiveTimeline({ entries, interim = "", language, t, style }) {
+  const boxRef = useRef(null);
+  const pinnedRef = useRef(true);
+
+  useEffect(() => {
+    const box = boxRef.current;
+    if (box && pinnedRef.current) box.scrollTop = box.scrollHeight;
+  }, [entries, interim]);
+
+  const handleScroll = () => {
+    const box = boxRef.current;
+    pinnedRef.current = box.scrollHeight - box.scrollTop - box.clientHeight < 24;
+  };
+
+  const clock = (at) =>
+    new Date(at).toLocaleTimeString(language, {
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    });
+
+  return (
+    <div ref={boxRef} style={style} onScroll={handleScroll}>
+      {!entries.length && !interim && <i>{t.listening}</i>}
+      {entries.map((e, i) =>
+        e.kind === "reminder" ? (
+          <div key={i} style={styles.timelineMarker}>
+            <small style={styles.timelineTime}>{clock(e.at)}</small>
+            {TIMELINE_ICONS[e.event]} {t.timeline[e.event]}
+          </div>
+        ) : (
+          <div key={i} style={styles.timelineRow} title={t.timeline.verdicts[e.verdict]}>
+            <small style={styles.timelineTime}>{clock(e.at)}</small>
+            {e.words.map((w, j) => (
+              <span
+                key={j}
+                style={
+                  w.matched
+                    ? styles.tokenHit
+                    : e.verdict === "mismatch"
+                      ? styles.tokenMiss
+                      : styles.tokenIdle
+                }
+              >
+                {w.word}
+              </span>
+            ))}
+          </div>
+        )
+      )}
+      {interim && <i style={styles.timelineInterim}>({interim})</i>}
+    </div>
+  );
 }
 
-/**
- * Keep transcript from growing forever: trim to last ~2000 chars.
- */
-function trimTranscript(str, max = 2000) {
-  const out = str.replace(/\s+/g, " ").trim();
-  if (out.length <= max) return out;
-  return out.slice(-max).trimStart();
+/* ===========================================================
+   Helpers
+   =========================================================== */
+function isValidMala(n) {
+  return Number.isInteger(n) && n >= 1 && n <= MAX_MALA;
 }
 
 /* ===========================================================
@@ -772,6 +3496,16 @@ const styles = {
     fontSize: 16,
     cursor: "pointer",
   },
+  topBarSelect: {
+    height: 32,
+    padding: "0 6px",
+    borderRadius: 8,
+    border: "1px solid rgba(255,255,255,0.2)",
+    background: "rgba(255,255,255,0.1)",
+    color: "#fff",
+    fontSize: 14,
+    cursor: "pointer",
+  },
 
   /* Left stack (desktop only) */
   leftStack: {
@@ -784,9 +3518,10 @@ const styles = {
     zIndex: 1000,
     maxWidth: "220px",
   },
-  langButton: {
-    width: 56,
+  langSelect: {
+    minWidth: 96,
     height: 44,
+    padding: "0 8px",
     borderRadius: 12,
     border: "1px solid rgba(255,255,255,0.2)",
     background: "linear-gradient(135deg, rgba(255,255,255,0.08), rgba(255,255,255,0.02))",
@@ -897,6 +3632,142 @@ const styles = {
   slider: {
     width: "100%",
   },
+  inlineRow: {
+    display: "flex",
+    gap: 8,
+  },
+  select: {
+    flex: 1,
+    padding: "8px 10px",
+    borderRadius: 8,
+    border: "1px solid rgba(255,255,255,0.2)",
+    background: "rgba(255,255,255,0.1)",
+    color: "#fff",
+    fontSize: "0.95rem",
+  },
+  segment: {
+    flex: 1,
+    padding: "8px 6px",
+    borderRadius: 8,
+    border: "1px solid rgba(255,255,255,0.2)",
+    background: "rgba(255,255,255,0.06)",
+    color: "#fff",
+    fontSize: "0.9rem",
+    cursor: "pointer",
+  },
+  segmentActive: {
+    flex: 1,
+    padding: "8px 6px",
+    borderRadius: 8,
+    border: "1px solid #ec4899",
+    background: "rgba(236,72,153,0.3)",
+    color: "#fff",
+    fontSize: "0.9rem",
+    fontWeight: 700,
+    cursor: "pointer",
+  },
+  smallBtn: {
+    minWidth: 40,
+    borderRadius: 8,
+    border: "1px solid rgba(255,255,255,0.2)",
+    background: "rgba(255,255,255,0.1)",
+    color: "#fff",
+    fontSize: "1rem",
+    cursor: "pointer",
+  },
+  editorBox: {
+    marginBottom: 16,
+    padding: 12,
+    borderRadius: 12,
+    background: "rgba(255,255,255,0.08)",
+    textAlign: "left",
+  },
+  scriptHint: {
+    display: "block",
+    marginTop: -6,
+    marginBottom: 6,
+    opacity: 0.7,
+  },
+  testBox: {
+    marginTop: 10,
+    padding: "8px 10px",
+    borderRadius: 8,
+    background: "rgba(0,0,0,0.25)",
+    fontSize: "0.9rem",
+    lineHeight: 1.8,
+  },
+  tokenHit: {
+    display: "inline-block",
+    margin: "0 4px 0 0",
+    padding: "0 6px",
+    borderRadius: 6,
+    background: "rgba(34,197,94,0.3)",
+  },
+  tokenMiss: {
+    display: "inline-block",
+    margin: "0 4px 0 0",
+    padding: "0 6px",
+    borderRadius: 6,
+    background: "rgba(239,68,68,0.3)",
+  },
+  tokenIdle: {
+    display: "inline-block",
+    margin: "0 4px 0 0",
+    padding: "0 6px",
+    borderRadius: 6,
+    background: "rgba(255,255,255,0.08)",
+    opacity: 0.7,
+  },
+  timelineRow: {
+    margin: "0 0 6px 0",
+    lineHeight: 1.6,
+  },
+  timelineMarker: {
+    margin: "0 0 6px 0",
+    fontSize: "0.85rem",
+    color: "#fbbf24",
+  },
+  timelineTime: {
+    marginRight: 6,
+    opacity: 0.5,
+    fontVariantNumeric: "tabular-nums",
+  },
+  timelineInterim: {
+    opacity: 0.6,
+  },
+  reviewBox: {
+    maxHeight: 200,
+    overflowY: "auto",
+    marginTop: 6,
+    padding: 8,
+    borderRadius: 8,
+    background: "rgba(255,255,255,0.05)",
+  },
+  testVerdict: {
+    margin: "8px 0 0 0",
+    fontWeight: 600,
+  },
+  textInput: {
+    width: "100%",
+    boxSizing: "border-box",
+    marginBottom: 10,
+    padding: "8px 10px",
+    borderRadius: 8,
+    border: "1px solid rgba(255,255,255,0.2)",
+    background: "rgba(255,255,255,0.1)",
+    color: "#fff",
+    fontSize: "1rem",
+    fontFamily: "inherit",
+  },
+  numberInput: {
+    width: 96,
+    padding: "8px 10px",
+    borderRadius: 8,
+    border: "1px solid rgba(255,255,255,0.2)",
+    background: "rgba(255,255,255,0.1)",
+    color: "#fff",
+    fontSize: "0.95rem",
+  },
   primaryBtn: {
     marginTop: 10,
     padding: "14px 28px",
@@ -942,6 +3813,8 @@ const styles = {
   mobileLiveContent: {
     whiteSpace: "pre-wrap",
     wordBreak: "break-word",
+    maxHeight: "40vh",
+    overflowY: "auto",
     lineHeight: 1.3,
     fontSize: "0.95rem",
   },
@@ -977,6 +3850,51 @@ const styles = {
     fontSize: "clamp(1.1rem,4vw,1.5rem)",
     fontWeight: 600,
   },
+  ringWrap: {
+    position: "relative",
+    width: RING_SIZE,
+    height: RING_SIZE,
+    margin: "16px auto 0",
+  },
+  ringSvg: {
+    display: "block",
+  },
+  ringLabel: {
+    position: "absolute",
+    inset: 0,
+    display: "flex",
+    flexDirection: "column",
+    alignItems: "center",
+    justifyContent: "center",
+    gap: 4,
+    textAlign: "center",
+  },
+  ringValue: {
+    fontSize: "1.1rem",
+  },
+  summaryCard: {
+    marginTop: 20,
+    padding: "16px 20px",
+    borderRadius: 12,
+    background: "rgba(249,211,66,0.1)",
+    border: "1px solid rgba(249,211,66,0.4)",
+    textAlign: "left",
+  },
+  rhythmBox: {
+    marginTop: 8,
+    opacity: 0.9,
+  },
+  rhythmSvg: {
+    display: "block",
+    margin: "4px auto 0",
+    maxWidth: "100%",
+  },
+  counterText: {
+    marginTop: 8,
+    fontSize: "clamp(1rem,3.5vw,1.25rem)",
+    fontWeight: 600,
+    color: "#f9d342",
+  },
   noteBox: {
     marginTop: 20,
     padding: "12px 16px",
@@ -994,10 +3912,64 @@ const styles = {
     textAlign: "left",
     boxShadow: "0 0 12px rgba(0,0,0,0.4)",
   },
+  historyEmpty: {
+    margin: 0,
+    opacity: 0.8,
+  },
+  streakText: {
+    margin: "0 0 12px 0",
+    fontSize: "1.05rem",
+    fontWeight: 600,
+    color: "#f9d342",
+  },
+  historySubtitle: {
+    margin: "12px 0 6px 0",
+    fontSize: "0.95rem",
+    opacity: 0.85,
+  },
+  barList: {
+    display: "flex",
+    flexDirection: "column",
+    gap: 4,
+  },
+  barRow: {
+    display: "flex",
+    alignItems: "center",
+    gap: 8,
+    fontSize: "0.85rem",
+  },
+  barLabel: {
+    width: 96,
+    flexShrink: 0,
+    opacity: 0.85,
+  },
+  barTrack: {
+    flex: 1,
+    height: 8,
+    borderRadius: 4,
+    background: "rgba(255,255,255,0.1)",
+    overflow: "hidden",
+  },
+  barFill: {
+    height: "100%",
+    background: "linear-gradient(90deg, #a855f7 0%, #ec4899 100%)",
+  },
+  barValue: {
+    width: 110,
+    flexShrink: 0,
+    textAlign: "right",
+    opacity: 0.85,
+  },
   troubleTitle: {
     margin: "0 0 8px 0",
     fontSize: "clamp(1.125rem,4vw,1.25rem)",
   },
+  diagRow: {
+    margin: "0 0 4px 0",
+  },
+  diagBad: {
+    color: "#f87171",
+  },
   troubleList: {
     margin: 0,
     paddingLeft: "1.2em",
@@ -1,8 +1,21 @@
-import { render, screen } from '@testing-library/react';
+import { render, screen, fireEvent } from '@testing-library/react';
 import App from './App';
 
-test('renders learn react link', () => {
+beforeAll(() => {
+  // jsdom has no matchMedia
+  window.matchMedia = (query) => ({
+    matches: false,
+    media: query,
+    addEventListener: () => {},
+    removeEventListener: () => {},
+  });
+});
+
+test('shows the intro, then the main controls', async () => {
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  // findBy* lets the (empty) session history load settle
+  expect(await screen.findByText('Chant Reminder')).toBeInTheDocument();
+  fireEvent.click(screen.getByText('Continue'));
+  expect(screen.getByText('Start Listening')).toBeInTheDocument();
+  expect(screen.getByText('Record Mantra')).toBeInTheDocument();
 });
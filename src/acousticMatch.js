@@ -0,0 +1,231 @@
+/* ===========================================================
+   Acoustic Matching (reference recording as a template)
+   -----------------------------------------------------------
+   For mantras a recognizer can't spell (bija mantras like "hreem",
+   "kleem"): the reference recording becomes a sequence of
+   spectral-shape frames, and live mic audio is compared against it
+   with dynamic time warping, so a slower or faster recitation still
+   lines up.
+     frame = log energy in BANDS log-spaced bands (150 Hz – 4 kHz)
+             minus its own mean, so loudness and mic distance drop out
+   =========================================================== */
+import {
+  POLL_MS,
+  DEFAULT_NOISE_FLOOR,
+  rms,
+  voiceThreshold,
+  createVoiceDetector,
+  startMicLevels,
+} from "./voiceActivity";
+
+export const FRAME_SIZE = 1024; // samples per analysis window
+export const HOP_MS = POLL_MS; // live frames arrive once per mic poll
+const BANDS = 12;
+const MIN_HZ = 150;
+const MAX_HZ = 4000;
+const ACTIVE_LEVEL_RATIO = 0.1; // template keeps frames above 10% of its peak level …
+const MIN_ACTIVE_LEVEL = voiceThreshold(DEFAULT_NOISE_FLOOR); // … that are voice at all
+const MIN_TEMPLATE_FRAMES = 6;
+const MIN_STD = 0.05; // keeps near-constant bands from blowing up when z-scored
+const TEMPO_SCALES = [0.8, 1, 1.25]; // live window lengths tried, relative to the template
+
+// Mean per-dimension DTW distance (z-scored frames) that still counts as the mantra
+export const ACOUSTIC_THRESHOLDS = { lenient: 1.1, normal: 0.9, strict: 0.7 };
+
+/* ---------- Features ---------- */
+
+/**
+ * In-place iterative radix-2 FFT (length must be a power of two).
+ */
+export function fft(re, im) {
+  const n = re.length;
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  for (let len = 2; len <= n; len <<= 1) {
+    const ang = (-2 * Math.PI) / len;
+    const wr = Math.cos(ang);
+    const wi = Math.sin(ang);
+    for (let i = 0; i < n; i += len) {
+      let cr = 1;
+      let ci = 0;
+      for (let k = 0; k < len / 2; k++) {
+        const a = i + k;
+        const b = a + len / 2;
+        const tr = re[b] * cr - im[b] * ci;
+        const ti = re[b] * ci + im[b] * cr;
+        re[b] = re[a] - tr;
+        im[b] = im[a] - ti;
+        re[a] += tr;
+        im[a] += ti;
+        const next = cr * wr - ci * wi;
+        ci = cr * wi + ci * wr;
+        cr = next;
+      }
+    }
+  }
+}
+
+const HANN = Array.from(
+  { length: FRAME_SIZE },
+  (_, i) => 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (FRAME_SIZE - 1))
+);
+
+/**
+ * Spectral shape of one FRAME_SIZE window: BANDS log energies minus their mean.
+ */
+export function frameFeatures(samples, sampleRate) {
+  const re = new Float64Array(FRAME_SIZE);
+  const im = new Float64Array(FRAME_SIZE);
+  for (let i = 0; i < FRAME_SIZE; i++) re[i] = (samples[i] || 0) * HANN[i];
+  fft(re, im);
+
+  const energy = new Array(BANDS).fill(0);
+  const binHz = sampleRate / FRAME_SIZE;
+  const span = Math.log(MAX_HZ / MIN_HZ);
+  for (let bin = 1; bin < FRAME_SIZE / 2; bin++) {
+    const hz = bin * binHz;
+    if (hz < MIN_HZ || hz >= MAX_HZ) continue;
+    const band = Math.floor((BANDS * Math.log(hz / MIN_HZ)) / span);
+    energy[band] += re[bin] * re[bin] + im[bin] * im[bin];
+  }
+  const logs = energy.map((e) => Math.log10(e + 1e-10));
+  const mean = logs.reduce((a, b) => a + b, 0) / BANDS;
+  return logs.map((v) => v - mean);
+}
+
+/**
+ * One frame every HOP_MS through a mono recording: [{ features, level }].
+ */
+export function extractFrames(samples, sampleRate) {
+  const hop = Math.round((sampleRate * HOP_MS) / 1000);
+  const frames = [];
+  for (let start = 0; start + FRAME_SIZE <= samples.length; start += hop) {
+    const win = samples.subarray(start, start + FRAME_SIZE);
+    frames.push({ features: frameFeatures(win, sampleRate), level: rms(win) });
+  }
+  return frames;
+}
+
+export function normalizeFrame(features, { mean, std }) {
+  return features.map((v, b) => (v - mean[b]) / std[b]);
+}
+
+/**
+ * Template from the reference recording: the active part only (leading
+ * and trailing silence trimmed), z-scored per band; null if too short.
+ *   { frames: number[][], mean: number[], std: number[], durationMs }
+ */
+export function buildTemplate(samples, sampleRate) {
+  const all = extractFrames(samples, sampleRate);
+  const peak = all.reduce((max, f) => Math.max(max, f.level), 0);
+  const floor = Math.max(peak * ACTIVE_LEVEL_RATIO, MIN_ACTIVE_LEVEL);
+  const active = all.map((f) => f.level >= floor);
+  const first = active.indexOf(true);
+  const last = active.lastIndexOf(true);
+  if (first === -1 || last - first + 1 < MIN_TEMPLATE_FRAMES) return null;
+
+  const raw = all.slice(first, last + 1).map((f) => f.features);
+  const mean = [];
+  const std = [];
+  for (let b = 0; b < BANDS; b++) {
+    const m = raw.reduce((sum, f) => sum + f[b], 0) / raw.length;
+    const variance = raw.reduce((sum, f) => sum + (f[b] - m) ** 2, 0) / raw.length;
+    mean.push(m);
+    std.push(Math.max(Math.sqrt(variance), MIN_STD));
+  }
+  return {
+    frames: raw.map((f) => normalizeFrame(f, { mean, std })),
+    mean,
+    std,
+    durationMs: raw.length * HOP_MS,
+  };
+}
+
+/* ---------- Matching ---------- */
+function frameDistance(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += (a[i] - b[i]) ** 2;
+  return Math.sqrt(sum / a.length);
+}
+
+/**
+ * Dynamic time warping inside a Sakoe-Chiba band; returns the mean
+ * per-dimension distance along the best path (0 = identical).
+ */
+export function dtwDistance(a, b) {
+  const n = a.length;
+  const m = b.length;
+  if (!n || !m) return Infinity;
+  const band = Math.max(Math.abs(n - m), Math.ceil(Math.max(n, m) * 0.2));
+
+  let prev = new Float64Array(m + 1).fill(Infinity);
+  prev[0] = 0;
+  for (let i = 1; i <= n; i++) {
+    const cur = new Float64Array(m + 1).fill(Infinity);
+    const center = Math.round((i * m) / n);
+    const lo = Math.max(1, center - band);
+    const hi = Math.min(m, center + band);
+    for (let j = lo; j <= hi; j++) {
+      const d = frameDistance(a[i - 1], b[j - 1]);
+      cur[j] = Math.min(prev[j] + d, cur[j - 1] + d, prev[j - 1] + 2 * d);
+    }
+    prev = cur;
+  }
+  return prev[m] / (n + m);
+}
+
+/**
+ * Pure streaming matcher: push(features) with frameFeatures() of live
+ * audio every HOP_MS; returns true when the latest frames match the
+ * template (then starts over, so one recitation counts once).
+ */
+export function createAcousticMatcher(template, { strictness = "normal" } = {}) {
+  const len = template.frames.length;
+  const threshold = ACOUSTIC_THRESHOLDS[strictness] || ACOUSTIC_THRESHOLDS.normal;
+  const windows = TEMPO_SCALES.map((scale) => Math.max(1, Math.round(len * scale)));
+  const maxBuffer = Math.max(...windows);
+  const checkEvery = Math.max(2, Math.round(len / 5));
+  let buffer = [];
+  let sinceCheck = 0;
+
+  const push = (features) => {
+    buffer.push(normalizeFrame(features, template));
+    if (buffer.length > maxBuffer) buffer.shift();
+    sinceCheck += 1;
+    if (sinceCheck < checkEvery) return false;
+    sinceCheck = 0;
+
+    const best = Math.min(
+      ...windows.map((w) =>
+        buffer.length >= w ? dtwDistance(buffer.slice(-w), template.frames) : Infinity
+      )
+    );
+    if (best > threshold) return false;
+    buffer = [];
+    return true;
+  };
+
+  return { push, threshold };
+}
+
+/**
+ * Listen on the mic for recitations of `template`: onMatch() once per
+ * recitation, onVoice() while sound is sustained (keeps silence
+ * reminders away mid-recitation). Resolves to a stop() function.
+ */
+export function startAcousticListener(ctx, template, { strictness, noiseFloor, onMatch, onVoice }) {
+  const matcher = createAcousticMatcher(template, { strictness });
+  const detector = createVoiceDetector({ noiseFloor });
+  return startMicLevels(ctx, (level, samples) => {
+    if (detector.push(level, Date.now())) onVoice();
+    const frame = samples.subarray(samples.length - FRAME_SIZE);
+    if (matcher.push(frameFeatures(frame, ctx.sampleRate))) onMatch();
+  });
+}
@@ -0,0 +1,96 @@
+import {
+  fft,
+  frameFeatures,
+  buildTemplate,
+  dtwDistance,
+  createAcousticMatcher,
+  FRAME_SIZE,
+  HOP_MS,
+} from './acousticMatch';
+
+const RATE = 16000;
+
+// Deterministic low-level noise so silence isn't digital zero
+function noise(seed = 1) {
+  let x = seed;
+  return () => {
+    x = (x * 1103515245 + 12345) % 2147483648;
+    return (x / 2147483648 - 0.5) * 0.002;
+  };
+}
+
+// A "chant": syllables as pairs of tones, each `ms` long, scaled by `tempo`
+function chant(syllables, { ms = 300, tempo = 1, gain = 0.3, pad = 400, seed = 1 } = {}) {
+  const rnd = noise(seed);
+  const padN = Math.round((pad / 1000) * RATE);
+  const sylN = Math.round(((ms * tempo) / 1000) * RATE);
+  const out = new Float32Array(padN * 2 + sylN * syllables.length);
+  for (let i = 0; i < out.length; i++) out[i] = rnd();
+  syllables.forEach(([f1, f2], s) => {
+    for (let i = 0; i < sylN; i++) {
+      const t = i / RATE;
+      out[padN + s * sylN + i] +=
+        gain * (Math.sin(2 * Math.PI * f1 * t) + 0.5 * Math.sin(2 * Math.PI * f2 * t));
+    }
+  });
+  return out;
+}
+
+// Feed `samples` through the matcher the way the live mic does
+function matchCount(matcher, samples) {
+  const hop = Math.round((RATE * HOP_MS) / 1000);
+  let matches = 0;
+  for (let end = FRAME_SIZE; end <= samples.length; end += hop) {
+    if (matcher.push(frameFeatures(samples.subarray(end - FRAME_SIZE, end), RATE))) matches += 1;
+  }
+  return matches;
+}
+
+const HREEM = [
+  [300, 2300],
+  [350, 2600],
+  [500, 1800],
+  [280, 900],
+];
+const OTHER = [
+  [700, 1200],
+  [650, 1100],
+  [400, 3200],
+  [900, 1500],
+];
+
+test('fft finds the bin of a pure tone', () => {
+  const n = 64;
+  const re = Float64Array.from({ length: n }, (_, i) => Math.cos((2 * Math.PI * 5 * i) / n));
+  const im = new Float64Array(n);
+  fft(re, im);
+  const mags = Array.from(re, (r, i) => Math.hypot(r, im[i]));
+  expect(mags.indexOf(Math.max(...mags.slice(0, n / 2)))).toBe(5);
+  expect(mags[5]).toBeCloseTo(n / 2, 6);
+});
+
+test('template trims the silence around the recording', () => {
+  const template = buildTemplate(chant(HREEM), RATE);
+  const spokenMs = HREEM.length * 300;
+  expect(template.durationMs).toBeGreaterThan(spokenMs - 200);
+  expect(template.durationMs).toBeLessThan(spokenMs + 200);
+  expect(buildTemplate(chant([]), RATE)).toBeNull();
+});
+
+test('dtw tolerates tempo changes but not different sounds', () => {
+  const template = buildTemplate(chant(HREEM), RATE);
+  const norm = (samples) => buildTemplate(samples, RATE).frames;
+  expect(dtwDistance(template.frames, template.frames)).toBe(0);
+  const slower = dtwDistance(norm(chant(HREEM, { tempo: 1.2, seed: 7 })), template.frames);
+  const other = dtwDistance(norm(chant(OTHER, { seed: 7 })), template.frames);
+  expect(slower).toBeLessThan(other);
+});
+
+test('matcher counts each recitation once and ignores other sounds', () => {
+  const template = buildTemplate(chant(HREEM), RATE);
+  const matcher = createAcousticMatcher(template);
+  const quieterSlower = chant(HREEM, { tempo: 1.15, gain: 0.12, seed: 3 });
+  expect(matchCount(matcher, quieterSlower)).toBe(1);
+  expect(matchCount(matcher, chant(OTHER, { seed: 5 }))).toBe(0);
+  expect(matchCount(matcher, chant(HREEM, { seed: 9 }))).toBe(1);
+});
@@ -0,0 +1,266 @@
+/* ===========================================================
+   Backup: JSON export/import + CSV session export
+   -----------------------------------------------------------
+   One versioned file:
+     { app: "chant-reminder", version, exportedAt,
+       library: { mantras, activeId }, settings: { key: raw }, sessions }
+   `settings` holds the raw localStorage strings of SETTINGS_KEYS, so
+   each setting keeps its own validation when it is loaded back.
+   Import errors are Errors with a `code` for localized messages:
+     invalidJson | notBackup | newerVersion | badField
+   =========================================================== */
+import { detectScript } from "./mantraLibrary";
+import { GOAL_KINDS, normalizeGoal } from "./sessionGoal";
+
+export const BACKUP_APP = "chant-reminder";
+export const BACKUP_VERSION = 1;
+
+// Portable settings (noise floor and speech engine are per device)
+export const SETTINGS_KEYS = [
+  "chantLang",
+  "chantSilenceMs",
+  "chantMalaTarget",
+  "chantStrictness",
+  "chantListenMode",
+  "chantLangProbe",
+  "chantGuided",
+  "chantPace",
+  "chantRoom",
+  "chantSounds",
+  "chantEscalation",
+  "chantVoice",
+  "chantGoal",
+  "chantSchedule",
+];
+
+function backupError(code, detail = "") {
+  const err = new Error(detail ? `${code}: ${detail}` : code);
+  err.code = code;
+  return err;
+}
+
+/**
+ * settings: { key: raw localStorage string } (see readSettings()).
+ */
+export function buildBackup({ library, settings, sessions, now = Date.now() }) {
+  return {
+    app: BACKUP_APP,
+    version: BACKUP_VERSION,
+    exportedAt: new Date(now).toISOString(),
+    // reference recordings stay on the device (mergeLibrary keeps the flag for ids recorded here)
+    library: { mantras: library.mantras.map(({ audio, ...m }) => m), activeId: library.activeId },
+    settings,
+    sessions: sessions.map(({ id, ...rest }) => rest), // ids are per database
+  };
+}
+
+export function readSettings(storage = localStorage) {
+  const out = {};
+  for (const key of SETTINGS_KEYS) {
+    const value = storage.getItem(key);
+    if (value !== null) out[key] = value;
+  }
+  return out;
+}
+
+/**
+ * Make storage hold exactly `settings` (from mergeSettings()): keys it
+ * lacks are removed, so a replaced setting goes back to its default.
+ */
+export function writeSettings(settings, storage = localStorage) {
+  for (const key of SETTINGS_KEYS) {
+    if (key in settings) storage.setItem(key, settings[key]);
+    else storage.removeItem(key);
+  }
+}
+
+/* ---------- Validation ---------- */
+const isObject = (v) => !!v && typeof v === "object" && !Array.isArray(v);
+const isNum = (v) => typeof v === "number" && Number.isFinite(v);
+const isSpeechLang = (v) => typeof v === "string" && /^[a-z]{2,3}(-[A-Za-z0-9]{2,8})*$/.test(v);
+
+function validMantra(m) {
+  return isObject(m) && typeof m.id === "string" && m.id && typeof m.text === "string";
+}
+
+function validSession(s) {
+  return (
+    isObject(s) &&
+    typeof s.mantra === "string" &&
+    ["startedAt", "endedAt", "chantMs", "longestStreakMs", "silenceBeeps", "mismatchBeeps"].every(
+      (k) => isNum(s[k])
+    )
+  );
+}
+
+// liveTimeline entries, as the history review renders them
+function validTimelineEntry(e) {
+  if (!isObject(e) || !isNum(e.at)) return false;
+  if (e.kind === "reminder") return typeof e.event === "string";
+  return (
+    e.kind === "speech" &&
+    typeof e.verdict === "string" &&
+    Array.isArray(e.words) &&
+    e.words.every((w) => isObject(w) && typeof w.word === "string")
+  );
+}
+
+const validPace = (p) =>
+  isObject(p) &&
+  isNum(p.rpm) &&
+  isNum(p.variability) &&
+  Array.isArray(p.series) &&
+  p.series.every(isNum);
+
+const validGuided = (g) =>
+  isObject(g) && ["calls", "onPace", "late", "missed", "mismatches"].every((k) => isNum(g[k]));
+
+/**
+ * Optional per-session extras that don't check out are dropped, not
+ * fatal: the session's own numbers are still worth importing.
+ */
+function cleanSession(s) {
+  const { timeline, goal, pace, guided, ...rest } = s;
+  const out = rest;
+  if (Array.isArray(timeline)) {
+    const entries = timeline.filter(validTimelineEntry);
+    if (entries.length) out.timeline = entries;
+  }
+  if (isObject(goal) && GOAL_KINDS.includes(goal.kind) && goal.kind !== "open") {
+    out.goal = normalizeGoal(goal);
+  }
+  if (validPace(pace)) out.pace = pace;
+  if (validGuided(guided)) out.guided = guided;
+  return out;
+}
+
+/**
+ * Parse and validate backup file text; throws a coded Error.
+ * Unknown setting keys are dropped.
+ */
+export function parseBackup(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw backupError("invalidJson");
+  }
+  if (!isObject(data) || data.app !== BACKUP_APP || !isNum(data.version)) {
+    throw backupError("notBackup");
+  }
+  if (data.version > BACKUP_VERSION) throw backupError("newerVersion", String(data.version));
+
+  const { library, settings = {}, sessions = [] } = data;
+  if (!isObject(library) || !Array.isArray(library.mantras) || !library.mantras.every(validMantra)) {
+    throw backupError("badField", "library");
+  }
+  if (!isObject(settings) || !Object.values(settings).every((v) => typeof v === "string")) {
+    throw backupError("badField", "settings");
+  }
+  if (!Array.isArray(sessions) || !sessions.every(validSession)) {
+    throw backupError("badField", "sessions");
+  }
+
+  const known = {};
+  for (const key of SETTINGS_KEYS) if (key in settings) known[key] = settings[key];
+  return {
+    library: {
+      // the recognition locale is kept when it looks like one; the script is re-detected
+      mantras: library.mantras.map(({ id, name, text, lang }) => ({
+        id,
+        name: name || text,
+        text,
+        lang: isSpeechLang(lang) ? lang : "",
+        script: detectScript(text),
+      })),
+      activeId: typeof library.activeId === "string" ? library.activeId : "",
+    },
+    settings: known,
+    sessions: sessions.map(cleanSession),
+  };
+}
+
+/* ---------- Merge / replace ---------- */
+
+/**
+ * mode "replace": the backup wins outright (a mantra it keeps by id
+ * keeps its recording on this device).
+ * mode "merge": keep what's here, add mantras (by id or text) and
+ * settings that are missing locally.
+ */
+export function mergeLibrary(current, incoming, mode) {
+  if (mode === "replace") {
+    const ok = incoming.mantras.some((m) => m.id === incoming.activeId);
+    const recorded = new Set(current.mantras.filter((m) => m.audio).map((m) => m.id));
+    return {
+      mantras: incoming.mantras.map((m) => (recorded.has(m.id) ? { ...m, audio: true } : m)),
+      activeId: ok ? incoming.activeId : (incoming.mantras[0] || { id: "" }).id,
+    };
+  }
+  const added = incoming.mantras.filter(
+    (m) => !current.mantras.some((c) => c.id === m.id || c.text === m.text)
+  );
+  const mantras = [...current.mantras, ...added];
+  return { mantras, activeId: current.activeId || (mantras[0] || { id: "" }).id };
+}
+
+/**
+ * Ids of recorded mantras that `merged` no longer has (their
+ * recordings should be deleted).
+ */
+export function orphanedRecordings(current, merged) {
+  const kept = new Set(merged.mantras.map((m) => m.id));
+  return current.mantras.filter((m) => m.audio && !kept.has(m.id)).map((m) => m.id);
+}
+
+export function mergeSettings(current, incoming, mode) {
+  return mode === "replace" ? { ...incoming } : { ...incoming, ...current };
+}
+
+/**
+ * Sessions to add (merge skips ones already logged: same start + mantra).
+ */
+export function newSessions(current, incoming, mode) {
+  if (mode === "replace") return incoming;
+  const seen = new Set(current.map((s) => `${s.startedAt}|${s.mantra}`));
+  return incoming.filter((s) => !seen.has(`${s.startedAt}|${s.mantra}`));
+}
+
+/* ---------- CSV ---------- */
+const CSV_COLUMNS = [
+  ["started_at", (s) => new Date(s.startedAt).toISOString()],
+  ["ended_at", (s) => new Date(s.endedAt).toISOString()],
+  ["mantra", (s) => s.mantra],
+  ["duration_s", (s) => Math.round((s.endedAt - s.startedAt) / 1000)],
+  ["chanting_s", (s) => Math.round(s.chantMs / 1000)],
+  ["longest_run_s", (s) => Math.round(s.longestStreakMs / 1000)],
+  ["silence_reminders", (s) => s.silenceBeeps],
+  ["mismatch_reminders", (s) => s.mismatchBeeps],
+  ["repetitions", (s) => s.cycles || 0],
+  ["goal", (s) => (s.goal ? (s.goal.kind === "time" ? `${s.goal.minutes}min` : `${s.goal.reps}reps`) : "")],
+  ["goal_reached", (s) => (s.goalReached ? 1 : 0)],
+  ["abandoned", (s) => (s.abandoned ? 1 : 0)],
+];
+
+function csvCell(value) {
+  const str = String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+export function sessionsToCsv(sessions) {
+  const rows = [CSV_COLUMNS.map(([name]) => name)];
+  for (const s of sessions) rows.push(CSV_COLUMNS.map(([, get]) => get(s)));
+  return rows.map((row) => row.map(csvCell).join(",")).join("\r\n") + "\r\n";
+}
+
+/* ---------- File helpers (browser) ---------- */
+export function downloadText(filename, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -0,0 +1,164 @@
+import {
+  BACKUP_VERSION,
+  buildBackup,
+  parseBackup,
+  mergeLibrary,
+  orphanedRecordings,
+  mergeSettings,
+  writeSettings,
+  newSessions,
+  sessionsToCsv,
+} from './backup';
+
+const session = (startedAt, extra = {}) => ({
+  id: 7,
+  mantra: 'sita ram',
+  startedAt,
+  endedAt: startedAt + 60000,
+  chantMs: 45000,
+  longestStreakMs: 30000,
+  silenceBeeps: 2,
+  mismatchBeeps: 1,
+  ...extra,
+});
+
+const library = {
+  mantras: [{ id: 'a', name: 'Sita Ram', text: 'sita ram', lang: 'en-IN', script: 'latin' }],
+  activeId: 'a',
+};
+
+test('round-trips a backup, dropping ids and unknown settings', () => {
+  const file = buildBackup({
+    library,
+    settings: { chantLang: 'hi', chantSounds: '{"volume":0.5}' },
+    sessions: [session(1000)],
+    now: 0,
+  });
+  expect(file.version).toBe(BACKUP_VERSION);
+  expect(file.sessions[0].id).toBeUndefined();
+
+  const text = JSON.stringify({ ...file, settings: { ...file.settings, evil: 'x' } });
+  const parsed = parseBackup(text);
+  expect(parsed.library).toEqual(library);
+  expect(parsed.settings).toEqual({ chantLang: 'hi', chantSounds: '{"volume":0.5}' });
+  expect(parsed.sessions).toHaveLength(1);
+});
+
+test('keeps the recognition locale of each mantra and re-detects its script', () => {
+  const mantras = [
+    { id: 'b', name: 'Om', text: 'ওঁ নমঃ শিবায়', lang: 'bn-IN', script: 'latin', audio: true },
+    { id: 'c', name: 'Old', text: 'राम' }, // exported before mantras had a locale
+    { id: 'd', name: 'Odd', text: 'ram', lang: 42 },
+  ];
+  const file = buildBackup({ library: { mantras, activeId: 'b' }, settings: {}, sessions: [] });
+  expect(parseBackup(JSON.stringify(file)).library.mantras).toEqual([
+    { id: 'b', name: 'Om', text: 'ওঁ নমঃ শিবায়', lang: 'bn-IN', script: 'bengali' },
+    { id: 'c', name: 'Old', text: 'राम', lang: '', script: 'devanagari' },
+    { id: 'd', name: 'Odd', text: 'ram', lang: '', script: 'latin' },
+  ]);
+});
+
+test('rejects files that are not valid backups', () => {
+  const code = (text) => {
+    try {
+      parseBackup(text);
+    } catch (err) {
+      return err.code;
+    }
+    return null;
+  };
+  const good = buildBackup({ library, settings: {}, sessions: [] });
+  expect(code('{nope')).toBe('invalidJson');
+  expect(code('{"app":"other","version":1}')).toBe('notBackup');
+  expect(code(JSON.stringify({ ...good, version: BACKUP_VERSION + 1 }))).toBe('newerVersion');
+  expect(code(JSON.stringify({ ...good, sessions: [{ mantra: 'x' }] }))).toBe('badField');
+  expect(code(JSON.stringify({ ...good, library: { mantras: [{}] } }))).toBe('badField');
+});
+
+test('drops malformed timelines, goals and pace from imported sessions', () => {
+  const speech = {
+    kind: 'speech',
+    at: 5,
+    text: 'ram',
+    verdict: 'heard',
+    words: [{ word: 'ram', matched: true }],
+  };
+  const reminder = { kind: 'reminder', at: 9, event: 'silence' };
+  const pace = { rpm: 12, variability: 0.1, series: [12, 12] };
+  const file = buildBackup({
+    library,
+    settings: {},
+    sessions: [
+      session(1000, { timeline: [speech, { kind: 'speech', at: 6, text: 'x' }, reminder, 'junk'] }),
+      session(2000, { timeline: 'oops', goal: { kind: 'time', minutes: 20 }, pace }),
+      session(3000, { timeline: [{ kind: 'speech', at: 1, words: 3 }], goal: 'x', pace: { rpm: 'fast' } }),
+    ],
+  });
+  const [first, second, third] = parseBackup(JSON.stringify(file)).sessions;
+  expect(first.timeline).toEqual([speech, reminder]);
+  expect(second.timeline).toBeUndefined();
+  expect(second.goal).toEqual({ kind: 'time', minutes: 20, reps: 108 });
+  expect(second.pace).toEqual(pace);
+  expect([third.timeline, third.goal, third.pace]).toEqual([undefined, undefined, undefined]);
+  expect(third.chantMs).toBe(45000);
+});
+
+test('writing settings back removes the ones the backup leaves out', () => {
+  const store = new Map([['chantLang', 'en'], ['chantGoal', 'g'], ['chantNoise', 'n']]);
+  const storage = {
+    setItem: (k, v) => store.set(k, v),
+    removeItem: (k) => store.delete(k),
+  };
+  const settings = mergeSettings({ chantLang: 'en', chantGoal: 'g' }, { chantLang: 'hi' }, 'replace');
+  writeSettings(settings, storage);
+  expect(Object.fromEntries(store)).toEqual({ chantLang: 'hi', chantNoise: 'n' });
+});
+
+test('merge keeps local data and adds what is missing', () => {
+  const incoming = {
+    mantras: [
+      { id: 'b', name: 'Om', text: 'om' },
+      { id: 'z', name: 'Dup', text: 'sita ram' },
+    ],
+    activeId: 'b',
+  };
+  expect(mergeLibrary(library, incoming, 'merge')).toEqual({
+    mantras: [...library.mantras, incoming.mantras[0]],
+    activeId: 'a',
+  });
+  expect(mergeLibrary(library, incoming, 'replace')).toEqual(incoming);
+
+  expect(mergeSettings({ chantLang: 'en' }, { chantLang: 'hi', chantGoal: 'g' }, 'merge')).toEqual({
+    chantLang: 'en',
+    chantGoal: 'g',
+  });
+  expect(newSessions([session(1000)], [session(1000), session(2000)], 'merge')).toHaveLength(1);
+  expect(newSessions([session(1000)], [session(1000)], 'replace')).toHaveLength(1);
+});
+
+test('replace keeps recordings of mantras it keeps and lists the orphaned ones', () => {
+  const current = {
+    mantras: [
+      { id: 'a', name: 'Sita Ram', text: 'sita ram', audio: true },
+      { id: 'b', name: 'Om', text: 'om', audio: true },
+      { id: 'c', name: 'Radha', text: 'radha' },
+    ],
+    activeId: 'a',
+  };
+  const incoming = { mantras: [{ id: 'a', name: 'Ram', text: 'ram' }], activeId: 'a' };
+  const merged = mergeLibrary(current, incoming, 'replace');
+  expect(merged.mantras).toEqual([{ id: 'a', name: 'Ram', text: 'ram', audio: true }]);
+  expect(orphanedRecordings(current, merged)).toEqual(['b']);
+  expect(orphanedRecordings(current, mergeLibrary(current, incoming, 'merge'))).toEqual([]);
+});
+
+test('exports sessions as CSV with escaping', () => {
+  const csv = sessionsToCsv([
+    session(0, { mantra: 'om, "shanti"', cycles: 12, goal: { kind: 'time', minutes: 20 }, goalReached: true }),
+  ]);
+  const [header, row] = csv.trim().split('\r\n');
+  expect(header.split(',')).toContain('silence_reminders');
+  expect(row).toBe(
+    '1970-01-01T00:00:00.000Z,1970-01-01T00:01:00.000Z,"om, ""shanti""",60,45,30,2,1,12,20min,1,0'
+  );
+});
@@ -0,0 +1,314 @@
+/* ===========================================================
+   Chant Engine (framework-free detection)
+   -----------------------------------------------------------
+   Feed it recognizer results (`transcript`), voice activity (`voice`)
+   or acoustic template matches (`recitation`) and clock ticks (`tick`);
+   it emits:
+     heard         { text, at, source }      mantra heard (source: speech, voice, acoustic)
+     mismatch      { text, confidence, at }  clearly something else
+     silence       { gapMs, repeat, at }     no mantra for silenceMs; `repeat`
+                                             counts reminders in a row (1, 2, …)
+     cycleComplete { count, at }             one full recitation
+     malaComplete  { malas, count, at }      malaTarget recitations
+   The clock is injectable (`now`) so tests can drive time by hand.
+   An `echo` guard (echoGuard.js) marks when the mic is hearing the
+   app's own prompts and sounds; mic input then counts for nothing.
+   =========================================================== */
+import { toPhonetic } from "./transliterate";
+import { DEFAULT_STRICTNESS, scoreMantra } from "./fuzzyMatch";
+
+// Wrong‑chant immediate beep cooldown (ms)
+export const MISMATCH_COOLDOWN_MS = 1500;
+
+/**
+ * When a non-matching result counts as a wrong chant. These defaults
+ * suit a typical headset; mismatchCalibration.js learns per-mic values.
+ *   noiseMaxLetters       results this short …
+ *   noiseMaxConfidence    … and below this confidence are noise, never a beep
+ *   minConfidence         otherwise beep at this recognizer confidence or above …
+ *   minLetters            … or when this many letters were heard
+ *   cooldownMs            at most one wrong-chant beep per this long
+ *   minInterimConfidence  interim results below this are recognizer garbage
+ */
+export const DEFAULT_MISMATCH_THRESHOLDS = {
+  noiseMaxLetters: 2,
+  noiseMaxConfidence: 0.5,
+  minConfidence: 0.25,
+  minLetters: 4,
+  cooldownMs: MISMATCH_COOLDOWN_MS,
+  minInterimConfidence: 0.1,
+};
+
+/* ===========================================================
+   Engine
+   =========================================================== */
+export function createChantEngine(options) {
+  let opts = {
+    silenceMs: 3000,
+    strictness: DEFAULT_STRICTNESS,
+    malaTarget: 108,
+    thresholds: DEFAULT_MISMATCH_THRESHOLDS,
+    now: Date.now,
+    echo: null,
+    ...options,
+  };
+  let md = buildMantraData(opts.mantra);
+
+  const listeners = {};
+  let lastHeardAt = 0; // last mantra heard OR silence cooldown target
+  let mismatchAt = -Infinity; // last wrong-chant event
+  let cyclePos = 0; // next expected mantra token
+  let cycles = 0;
+  let silenceRepeat = 0; // silence reminders since the mantra was last heard
+
+  const emit = (type, payload) => {
+    (listeners[type] || []).forEach((fn) => fn(payload));
+  };
+
+  const on = (type, fn) => {
+    (listeners[type] = listeners[type] || []).push(fn);
+    return () => {
+      listeners[type] = listeners[type].filter((f) => f !== fn);
+    };
+  };
+
+  const start = () => {
+    lastHeardAt = opts.now();
+    mismatchAt = -Infinity;
+    cyclePos = 0;
+    cycles = 0;
+    silenceRepeat = 0;
+  };
+
+  // Change options mid-session (e.g. silence gap); a new mantra restarts counting
+  const configure = (partial) => {
+    opts = { ...opts, ...partial };
+    if ("mantra" in partial) {
+      md = buildMantraData(opts.mantra);
+      cyclePos = 0;
+    }
+  };
+
+  /**
+   * One recognizer result: { text, isFinal, confidence }.
+   * Returns the verdict: "heard" | "mismatch" (even inside the beep
+   * cooldown) | "ignored".
+   */
+  const transcript = ({ text, isFinal, confidence }) => {
+    const txt = (text || "").trim().toLowerCase();
+    const conf = typeof confidence === "number" ? confidence : 1;
+    if (!txt || (opts.echo && opts.echo.speaking())) return "ignored";
+
+    if (isFinal) countCycles(txt);
+
+    const { minInterimConfidence, cooldownMs } = opts.thresholds;
+    if (!isFinal && conf < minInterimConfidence) return "ignored";
+
+    const at = opts.now();
+    if (matchMantra(txt, md, opts.strictness)) {
+      lastHeardAt = at;
+      mismatchAt = -Infinity;
+      silenceRepeat = 0;
+      emit("heard", { text: txt, at, source: "speech" });
+      return "heard";
+    }
+    if (isFinal && shouldMismatchBeep(txt, conf, md, opts.strictness, opts.thresholds)) {
+      if (at - mismatchAt > cooldownMs) {
+        mismatchAt = at;
+        lastHeardAt = at + opts.silenceMs; // cooldown
+        emit("mismatch", { text: txt, confidence: conf, at });
+      }
+      return "mismatch";
+    }
+    return "ignored";
+  };
+
+  /**
+   * Voice-activity mode: sustained voice counts as chanting (no transcript,
+   * so no mismatch or cycle counting). Ignored while the app itself sounds.
+   */
+  const voice = () => {
+    if (opts.echo && opts.echo.active()) return; // e.g. our own reminder beep
+    const at = opts.now();
+    lastHeardAt = at;
+    silenceRepeat = 0;
+    emit("heard", { text: "", at, source: "voice" });
+  };
+
+  /**
+   * Acoustic mode: the reference recording matched, i.e. one whole
+   * recitation was heard (no transcript, so no mismatch).
+   */
+  const recitation = () => {
+    const at = opts.now();
+    lastHeardAt = at;
+    silenceRepeat = 0;
+    emit("heard", { text: "", at, source: "acoustic" });
+    completeCycle(at);
+  };
+
+  const countCycles = (txt) => {
+    const { pos, completed } = alignCycles(cyclePos, txt, md);
+    cyclePos = pos;
+    const at = opts.now();
+    for (let i = 0; i < completed; i++) completeCycle(at);
+  };
+
+  const completeCycle = (at) => {
+    cycles += 1;
+    emit("cycleComplete", { count: cycles, at });
+    if (cycles % opts.malaTarget === 0) {
+      emit("malaComplete", { malas: cycles / opts.malaTarget, count: cycles, at });
+    }
+  };
+
+  /**
+   * Clock tick: repeating silence reminders with cooldown.
+   */
+  const tick = () => {
+    const at = opts.now();
+    const gapMs = at - lastHeardAt;
+    if (gapMs >= opts.silenceMs) {
+      // push lastHeard forward so we don't instantly fire again
+      lastHeardAt = at + opts.silenceMs;
+      silenceRepeat += 1;
+      emit("silence", { gapMs, repeat: silenceRepeat, at });
+    }
+  };
+
+  const getState = () => ({ cycles, cyclePos, lastHeardAt, silenceRepeat });
+
+  return { on, start, configure, transcript, voice, recitation, tick, getState };
+}
+
+/* ===========================================================
+   Detection Helpers
+   =========================================================== */
+export function buildMantraData(raw) {
+  const lower = (raw || "").trim().toLowerCase();
+  const tokens = lower.split(/\s+/).filter(Boolean);
+  const noSpace = tokens.join("");
+  const canonTokens = tokens.map((t) => canonicalize(t));
+  const canonicalPhrase = canonicalize(noSpace);
+  return { lower, tokens, noSpace, canonTokens, canonicalPhrase };
+}
+
+/**
+ * Script-neutral phonetic key: Devanagari is transliterated and loose
+ * romanizations are folded, so "राम", "raam" and "rama" all become "ram".
+ */
+export function canonicalize(str) {
+  return toPhonetic(str);
+}
+
+/**
+ * Scored match against the mantra (see fuzzyMatch.js):
+ *  - lenient accepts partial chanting like "ram ram" when mantra is "sita ram"
+ *  - strict needs the whole phrase in order
+ */
+export function matchMantra(txt, md, strictness) {
+  if (!md || !md.canonTokens.length) return false;
+  return scoreMantra(canonicalize(txt), md.canonTokens, strictness).matched;
+}
+
+/**
+ * Should we beep immediately for a "wrong chant"?
+ *  - only if NOT matchMantra()
+ *  - then mismatchBeeps() on its length and confidence
+ */
+export function shouldMismatchBeep(
+  txt,
+  conf,
+  md,
+  strictness,
+  thresholds = DEFAULT_MISMATCH_THRESHOLDS
+) {
+  if (matchMantra(txt, md, strictness)) return false;
+  return mismatchBeeps(mismatchLetters(txt), conf, thresholds);
+}
+
+/**
+ * The threshold rule for a result that isn't the mantra: ignore super
+ * short / low confidence garbage, then beep when confident enough or
+ * long enough (see DEFAULT_MISMATCH_THRESHOLDS).
+ */
+export function mismatchBeeps(letters, conf, thresholds = DEFAULT_MISMATCH_THRESHOLDS) {
+  if (letters <= thresholds.noiseMaxLetters && conf < thresholds.noiseMaxConfidence) return false;
+  return conf >= thresholds.minConfidence || letters >= thresholds.minLetters;
+}
+
+/**
+ * Letters counted towards a wrong chant's length.
+ */
+export function mismatchLetters(txt) {
+  return txt.replace(/[^a-z\u0900-\u0C7F]/g, "").length; // Latin and the Indic scripts
+}
+
+/**
+ * Explain how the listener would treat one utterance:
+ *  - per heard word: is it (loosely) one of the mantra words?
+ *  - per mantra token: was it heard, at the chosen strictness?
+ *  - overall: counted, wrong-chant beep, or ignored.
+ */
+export function scoreTranscript(txt, conf, md, strictness, thresholds) {
+  const scored = scoreMantra(canonicalize(txt), md.canonTokens, strictness);
+  const heardKeys = new Set(scored.tokens.filter((tok) => tok.heard).map((tok) => tok.key));
+  return {
+    words: txt
+      .split(/\s+/)
+      .filter(Boolean)
+      .map((word) => ({ word, matched: matchMantra(word, md, "lenient") })),
+    tokens: md.tokens.map((token, i) => ({
+      token,
+      heard: heardKeys.has(md.canonTokens[i]),
+    })),
+    matched: scored.matched,
+    mismatch: shouldMismatchBeep(txt, conf, md, strictness, thresholds),
+  };
+}
+
+/**
+ * Japa counter: sequence-align a final transcript against the mantra tokens.
+ *  - `pos` is the index of the next expected canonical token (carried between results).
+ *  - Glued words ("sitaram") consume several tokens; a broken sequence restarts
+ *    from the first token, and stray words are skipped.
+ *  - Returns the new position and how many full recitations completed.
+ */
+export function alignCycles(pos, txt, md) {
+  const seq = md && md.canonTokens ? md.canonTokens.filter(Boolean) : [];
+  let completed = 0;
+  if (!seq.length) return { pos: 0, completed };
+  if (pos >= seq.length) pos = 0;
+
+  for (const word of txt.split(/\s+/)) {
+    let rest = canonicalize(word);
+    while (rest) {
+      const want = seq[pos];
+      if (pos > 0 && !rest.startsWith(want) && rest.startsWith("a" + want)) {
+        rest = rest.slice(1); // glued schwa: "sitaram" vs keys "sit" + "ram"
+      }
+      if (rest.startsWith(want)) {
+        rest = rest.slice(want.length);
+        pos += 1;
+        if (pos === seq.length) {
+          completed += 1;
+          pos = 0;
+        }
+      } else if (pos > 0) {
+        pos = 0; // sequence broken: retry this word from the mantra start
+      } else {
+        break; // not part of the mantra
+      }
+    }
+  }
+  return { pos, completed };
+}
+
+/**
+ * Keep transcript from growing forever: trim to last ~2000 chars.
+ */
+export function trimTranscript(str, max = 2000) {
+  const out = str.replace(/\s+/g, " ").trim();
+  if (out.length <= max) return out;
+  return out.slice(-max).trimStart();
+}
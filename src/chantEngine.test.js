@@ -0,0 +1,289 @@
+import {
+  createChantEngine,
+  buildMantraData,
+  canonicalize,
+  matchMantra,
+  shouldMismatchBeep,
+  alignCycles,
+  trimTranscript,
+  DEFAULT_MISMATCH_THRESHOLDS,
+} from './chantEngine';
+import { createEchoGuard } from './echoGuard';
+
+// Hand-driven clock
+function fakeClock(start = 1000) {
+  let t = start;
+  const now = () => t;
+  now.advance = (ms) => {
+    t += ms;
+  };
+  return now;
+}
+
+function engineWithLog(options) {
+  const now = fakeClock();
+  const engine = createChantEngine({ silenceMs: 3000, now, ...options });
+  const events = [];
+  ['heard', 'mismatch', 'silence', 'cycleComplete', 'malaComplete'].forEach((type) =>
+    engine.on(type, (e) => events.push({ type, ...e }))
+  );
+  engine.start();
+  const types = () => events.map((e) => e.type);
+  return { engine, now, events, types };
+}
+
+describe('canonicalize', () => {
+  test('folds Devanagari and Latin spellings to one key', () => {
+    expect(canonicalize('राधा')).toBe(canonicalize('radha'));
+    expect(canonicalize('राम')).toBe(canonicalize('raam'));
+    expect(canonicalize('shiv')).toBe(canonicalize('shiva'));
+    expect(canonicalize('कृष्ण')).toBe(canonicalize('krishna'));
+    expect(canonicalize('kṛṣṇa')).toBe(canonicalize('krsna'));
+    expect(canonicalize('ॐ नमः शिवाय')).toBe(canonicalize('om namah shivaya'));
+  });
+
+  test('folds Bengali, Gurmukhi, Gujarati, Tamil and Telugu too', () => {
+    expect(canonicalize('ওঁ নমঃ শিবায়')).toBe(canonicalize('om namah shivaya'));
+    expect(canonicalize('সীতারাম')).toBe(canonicalize('sitaram'));
+    expect(canonicalize('ਸੀਤਾ ਰਾਮ')).toBe(canonicalize('sita ram'));
+    expect(canonicalize('ૐ નમઃ શિવાય')).toBe(canonicalize('ॐ नमः शिवाय'));
+    expect(canonicalize('ராம ராம')).toBe(canonicalize('ram ram'));
+    expect(canonicalize('நமசிவாய')).toBe(canonicalize('namasivaya'));
+    expect(canonicalize('హరే కృష్ణ')).toBe(canonicalize('hare krishna'));
+  });
+});
+
+describe('matchMantra', () => {
+  const md = buildMantraData('sita ram');
+
+  test('lenient accepts any one mantra word', () => {
+    expect(matchMantra('ram ram', md, 'lenient')).toBe(true);
+  });
+
+  test('normal tolerates spelling variants', () => {
+    expect(matchMantra('seetaram', md, 'normal')).toBe(true);
+    expect(matchMantra('सीता राम', md, 'normal')).toBe(true);
+  });
+
+  test('strict needs the full phrase in order', () => {
+    expect(matchMantra('sita ram', md, 'strict')).toBe(true);
+    expect(matchMantra('ram', md, 'strict')).toBe(false);
+    expect(matchMantra('ram sita', md, 'strict')).toBe(false);
+  });
+
+  test('unrelated speech does not match', () => {
+    expect(matchMantra('good morning', md, 'lenient')).toBe(false);
+  });
+});
+
+describe('shouldMismatchBeep', () => {
+  const md = buildMantraData('radha');
+
+  test('beeps on clear unrelated speech', () => {
+    expect(shouldMismatchBeep('hello there', 0.9, md, 'normal')).toBe(true);
+  });
+
+  test('ignores short low-confidence noise', () => {
+    expect(shouldMismatchBeep('uh', 0.2, md, 'normal')).toBe(false);
+  });
+
+  test('never beeps on the mantra itself', () => {
+    expect(shouldMismatchBeep('राधा राधा', 0.9, md, 'normal')).toBe(false);
+  });
+
+  test('uses calibrated thresholds', () => {
+    const thresholds = { ...DEFAULT_MISMATCH_THRESHOLDS, minConfidence: 0.8, minLetters: 12 };
+    expect(shouldMismatchBeep('hello there', 0.6, md, 'normal')).toBe(true);
+    expect(shouldMismatchBeep('hello there', 0.6, md, 'normal', thresholds)).toBe(false);
+    expect(shouldMismatchBeep('hello there', 0.9, md, 'normal', thresholds)).toBe(true);
+    const noNoiseFloor = { ...DEFAULT_MISMATCH_THRESHOLDS, noiseMaxConfidence: 0 };
+    expect(shouldMismatchBeep('uh', 0.3, md, 'normal')).toBe(false);
+    expect(shouldMismatchBeep('uh', 0.3, md, 'normal', noNoiseFloor)).toBe(true);
+  });
+});
+
+describe('alignCycles', () => {
+  test('counts complete recitations across results', () => {
+    const md = buildMantraData('om namah shivaya');
+    let r = alignCycles(0, 'om namah', md);
+    expect(r).toEqual({ pos: 2, completed: 0 });
+    r = alignCycles(r.pos, 'shivaya om namah shivaya', md);
+    expect(r).toEqual({ pos: 0, completed: 2 });
+  });
+
+  test('handles glued words and restarts on a broken sequence', () => {
+    const md = buildMantraData('sita ram');
+    expect(alignCycles(0, 'sitaram sitaram', md).completed).toBe(2);
+    expect(alignCycles(0, 'sita sita ram', md).completed).toBe(1);
+  });
+
+  test('counts Hindi transcripts against a Latin mantra', () => {
+    const md = buildMantraData('hare krishna');
+    expect(alignCycles(0, 'हरे कृष्ण हरे कृष्ण', md).completed).toBe(2);
+  });
+
+  test('counts Bengali and Tamil transcripts against a Latin mantra', () => {
+    const md = buildMantraData('om namah shivaya');
+    expect(alignCycles(0, 'ওঁ নমঃ শিবায় ওঁ নমঃ শিবায়', md).completed).toBe(2);
+    expect(alignCycles(0, 'ராம ராம', buildMantraData('ram')).completed).toBe(2);
+    expect(shouldMismatchBeep('ওঁ নমঃ শিবায়', 0.9, md, 'normal')).toBe(false);
+  });
+});
+
+describe('trimTranscript', () => {
+  test('collapses whitespace and keeps the tail', () => {
+    expect(trimTranscript('  a   b ')).toBe('a b');
+    expect(trimTranscript('one two three', 5)).toBe('three');
+  });
+});
+
+describe('createChantEngine', () => {
+  test('emits heard and resets the silence gap', () => {
+    const { engine, now, types } = engineWithLog({ mantra: 'radha' });
+    now.advance(2000);
+    engine.transcript({ text: 'radha', isFinal: false, confidence: 0.8 });
+    now.advance(2000);
+    engine.tick();
+    expect(types()).toEqual(['heard']);
+  });
+
+  test('emits silence after the gap, then waits a cooldown', () => {
+    const { engine, now, events, types } = engineWithLog({ mantra: 'radha' });
+    now.advance(3000);
+    engine.tick();
+    expect(types()).toEqual(['silence']);
+    expect(events[0].gapMs).toBe(3000);
+
+    now.advance(3000);
+    engine.tick();
+    expect(types()).toEqual(['silence']);
+    now.advance(3000);
+    engine.tick();
+    expect(types()).toEqual(['silence', 'silence']);
+  });
+
+  test('transcript returns its verdict, even inside the mismatch cooldown', () => {
+    const { engine, types } = engineWithLog({ mantra: 'radha' });
+    expect(engine.transcript({ text: 'radha', isFinal: true, confidence: 0.9 })).toBe('heard');
+    expect(engine.transcript({ text: 'hello world', isFinal: true, confidence: 0.9 })).toBe(
+      'mismatch'
+    );
+    expect(engine.transcript({ text: 'hello world', isFinal: true, confidence: 0.9 })).toBe(
+      'mismatch'
+    );
+    expect(engine.transcript({ text: 'hello', isFinal: false, confidence: 0.9 })).toBe('ignored');
+    expect(types().filter((ty) => ty !== 'cycleComplete')).toEqual(['heard', 'mismatch']);
+  });
+
+  test('counts silence reminders in a row until the mantra is heard', () => {
+    const { engine, now, events } = engineWithLog({ mantra: 'radha' });
+    const repeats = () => events.filter((e) => e.type === 'silence').map((e) => e.repeat);
+    now.advance(3000);
+    engine.tick();
+    now.advance(6000);
+    engine.tick();
+    expect(repeats()).toEqual([1, 2]);
+
+    engine.transcript({ text: 'radha', isFinal: true, confidence: 0.9 });
+    now.advance(3000);
+    engine.tick();
+    expect(repeats()).toEqual([1, 2, 1]);
+  });
+
+  test('emits mismatch for other speech, with a cooldown', () => {
+    const { engine, now, types } = engineWithLog({ mantra: 'sita ram' });
+    engine.transcript({ text: 'what is for dinner', isFinal: true, confidence: 0.9 });
+    now.advance(500);
+    engine.transcript({ text: 'what is for dinner', isFinal: true, confidence: 0.9 });
+    expect(types()).toEqual(['mismatch']);
+    now.advance(2000);
+    engine.transcript({ text: 'what is for dinner', isFinal: true, confidence: 0.9 });
+    expect(types()).toEqual(['mismatch', 'mismatch']);
+  });
+
+  test('skips low-confidence interim results', () => {
+    const { engine, types } = engineWithLog({ mantra: 'radha' });
+    engine.transcript({ text: 'radha', isFinal: false, confidence: 0.05 });
+    expect(types()).toEqual([]);
+  });
+
+  test('counts cycles and completes a mala (Hindi mantra)', () => {
+    const { engine, events } = engineWithLog({ mantra: 'राधा', malaTarget: 3 });
+    engine.transcript({ text: 'radha radha radha radha', isFinal: true, confidence: 0.9 });
+    const cycles = events.filter((e) => e.type === 'cycleComplete').map((e) => e.count);
+    const malas = events.filter((e) => e.type === 'malaComplete');
+    expect(cycles).toEqual([1, 2, 3, 4]);
+    expect(malas).toHaveLength(1);
+    expect(malas[0]).toMatchObject({ malas: 1, count: 3 });
+  });
+
+  test('voice() counts as chanting without a transcript', () => {
+    const { engine, now, events, types } = engineWithLog({ mantra: '' });
+    now.advance(2500);
+    engine.voice();
+    now.advance(2500);
+    engine.tick();
+    expect(types()).toEqual(['heard']);
+    expect(events[0].source).toBe('voice');
+  });
+
+  test('recitation() counts a whole cycle from an acoustic match', () => {
+    const { engine, events, types } = engineWithLog({ mantra: '', malaTarget: 2 });
+    engine.recitation();
+    engine.recitation();
+    expect(types()).toEqual(['heard', 'cycleComplete', 'heard', 'cycleComplete', 'malaComplete']);
+    expect(events[0].source).toBe('acoustic');
+    expect(engine.getState().cycles).toBe(2);
+  });
+
+  test('a prompt spoken mid-session is not counted as chanting', () => {
+    const now = fakeClock();
+    const echo = createEchoGuard({ now, tailMs: 1000 });
+    const engine = createChantEngine({ mantra: 'sita ram', silenceMs: 3000, now, echo });
+    engine.start();
+    engine.transcript({ text: 'sita ram', isFinal: true, confidence: 0.9 });
+    expect(engine.getState().cycles).toBe(1);
+
+    now.advance(3000);
+    engine.tick(); // the app says "Chant sita ram"
+    echo.begin();
+    expect(engine.transcript({ text: 'chant sita ram', isFinal: true, confidence: 0.9 })).toBe(
+      'ignored'
+    );
+    now.advance(1500);
+    echo.end();
+    now.advance(500);
+    expect(engine.transcript({ text: 'sita ram', isFinal: true, confidence: 0.9 })).toBe('ignored');
+    expect(engine.getState()).toMatchObject({ cycles: 1, silenceRepeat: 1 });
+
+    now.advance(600);
+    engine.transcript({ text: 'sita ram', isFinal: true, confidence: 0.9 });
+    expect(engine.getState()).toMatchObject({ cycles: 2, silenceRepeat: 0 });
+  });
+
+  test('voice() ignores the reminder beep but transcripts still count', () => {
+    const now = fakeClock();
+    const echo = createEchoGuard({ now, tailMs: 1000 });
+    const engine = createChantEngine({ mantra: 'radha', silenceMs: 3000, now, echo });
+    engine.start();
+    now.advance(3000);
+    engine.tick();
+    echo.hold(1500); // the beep for that reminder
+    now.advance(500);
+    engine.voice();
+    expect(engine.getState().silenceRepeat).toBe(1);
+    expect(engine.transcript({ text: 'radha', isFinal: true, confidence: 0.9 })).toBe('heard');
+
+    now.advance(2500);
+    engine.voice();
+    expect(engine.getState().lastHeardAt).toBe(now());
+  });
+
+  test('configure() applies a new silence gap mid-session', () => {
+    const { engine, now, types } = engineWithLog({ mantra: 'radha' });
+    engine.configure({ silenceMs: 1000 });
+    now.advance(1000);
+    engine.tick();
+    expect(types()).toEqual(['silence']);
+  });
+});
@@ -0,0 +1,65 @@
+/* ===========================================================
+   IndexedDB (shared by session history and reference recordings)
+   -----------------------------------------------------------
+   Resolves to null where IndexedDB is unavailable (private mode,
+   tests) or another tab blocks an upgrade; callers then degrade to
+   "nothing stored".
+   =========================================================== */
+const DB_NAME = "chantReminder";
+const DB_VERSION = 2; // 2: reference recordings
+
+export const STORE_SESSIONS = "sessions";
+export const STORE_RECORDINGS = "recordings";
+
+let dbPromise = null;
+
+export function openDb() {
+  if (typeof indexedDB === "undefined") return Promise.resolve(null);
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      let blocked = false;
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains(STORE_SESSIONS)) {
+          const store = db.createObjectStore(STORE_SESSIONS, {
+            keyPath: "id",
+            autoIncrement: true,
+          });
+          store.createIndex("startedAt", "startedAt");
+        }
+        if (!db.objectStoreNames.contains(STORE_RECORDINGS)) {
+          db.createObjectStore(STORE_RECORDINGS, { keyPath: "mantraId" });
+        }
+      };
+      req.onsuccess = () => {
+        const db = req.result;
+        if (blocked) {
+          db.close(); // gave up waiting; the next openDb() opens it again
+          return;
+        }
+        // a newer version in another tab: let it upgrade, reopen next time
+        db.onversionchange = () => {
+          db.close();
+          dbPromise = null;
+        };
+        resolve(db);
+      };
+      req.onerror = () => resolve(null); // private mode etc. -> storage disabled
+      // an older version is still open in another tab: don't wait for it
+      req.onblocked = () => {
+        blocked = true;
+        dbPromise = null;
+        resolve(null);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+export function requestToPromise(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
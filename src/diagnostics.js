@@ -0,0 +1,105 @@
+/* ===========================================================
+   Diagnostics: recognizer errors, mic permission, mic test
+   -----------------------------------------------------------
+   Recognizer error codes (Web Speech + our offline adapter) map to
+   an advice key; the UI looks the text up in `texts[lang].diagnostics`.
+   =========================================================== */
+import { startMicLevels } from "./voiceActivity";
+
+const ADVICE_BY_ERROR = {
+  "not-allowed": "permission",
+  "service-not-allowed": "permission",
+  network: "network",
+  "audio-capture": "audioCapture",
+  "no-speech": "noSpeech",
+  aborted: "aborted",
+  "language-not-supported": "language",
+  "model-load": "model",
+};
+
+export const MAX_ERROR_LOG = 5;
+export const MIC_TEST_MS = 2000;
+const MIC_OK_LEVEL = 0.02; // peak RMS that means "the mic hears you"
+
+export function adviceKey(code) {
+  return ADVICE_BY_ERROR[code] || "unknown";
+}
+
+/**
+ * Newest-first error log, capped at `max`; repeats of the newest code
+ * just bump its count and time.
+ */
+export function pushError(log, { error, message = "", source, at }, max = MAX_ERROR_LOG) {
+  const [head, ...rest] = log;
+  if (head && head.error === error && head.source === source) {
+    return [{ ...head, message, at, count: head.count + 1 }, ...rest];
+  }
+  return [{ error, message, source, at, count: 1 }, ...log].slice(0, max);
+}
+
+/**
+ * Advice keys for what actually went wrong, most relevant first.
+ * Empty when nothing did (the UI then shows the general tips).
+ */
+export function adviceFor(log, permission) {
+  const keys = [];
+  if (permission === "denied") keys.push("permission");
+  for (const entry of log) {
+    const key = adviceKey(entry.error);
+    if (!keys.includes(key)) keys.push(key);
+  }
+  return keys;
+}
+
+/* ---------- Microphone permission (Permissions API) ---------- */
+
+/**
+ * Calls onChange("granted" | "denied" | "prompt" | "unknown") now and
+ * whenever the permission changes. Returns an unsubscribe function.
+ */
+export function watchMicPermission(onChange) {
+  const perms = typeof navigator !== "undefined" && navigator.permissions;
+  if (!perms || !perms.query) {
+    onChange("unknown");
+    return () => {};
+  }
+  let status = null;
+  let cancelled = false;
+  const update = () => onChange(status.state);
+  perms
+    .query({ name: "microphone" })
+    .then((s) => {
+      if (cancelled) return;
+      status = s;
+      update();
+      status.addEventListener("change", update);
+    })
+    .catch(() => onChange("unknown")); // Firefox: "microphone" isn't queryable
+  return () => {
+    cancelled = true;
+    if (status) status.removeEventListener("change", update);
+  };
+}
+
+/* ---------- One-click mic test ---------- */
+
+/**
+ * Listen for MIC_TEST_MS; resolves { ok, peak } or rejects with an
+ * Error whose `error` is a recognizer error code.
+ */
+export async function testMicrophone(ctx) {
+  let peak = 0;
+  let stop;
+  try {
+    stop = await startMicLevels(ctx, (level) => {
+      peak = Math.max(peak, level);
+    });
+  } catch (err) {
+    const failure = new Error((err && err.message) || String(err));
+    failure.error = err && err.name === "NotAllowedError" ? "not-allowed" : "audio-capture";
+    throw failure;
+  }
+  await new Promise((resolve) => setTimeout(resolve, MIC_TEST_MS));
+  stop();
+  return { ok: peak >= MIC_OK_LEVEL, peak };
+}
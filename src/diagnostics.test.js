@@ -0,0 +1,29 @@
+import { adviceFor, adviceKey, pushError } from './diagnostics';
+
+test('maps recognizer error codes to advice', () => {
+  expect(adviceKey('not-allowed')).toBe('permission');
+  expect(adviceKey('service-not-allowed')).toBe('permission');
+  expect(adviceKey('network')).toBe('network');
+  expect(adviceKey('something-new')).toBe('unknown');
+});
+
+test('keeps a short newest-first log and folds repeats', () => {
+  let log = [];
+  log = pushError(log, { error: 'network', source: 'listen', at: 1 });
+  log = pushError(log, { error: 'network', source: 'listen', at: 2 });
+  expect(log).toEqual([{ error: 'network', message: '', source: 'listen', at: 2, count: 2 }]);
+
+  for (let i = 0; i < 6; i++) log = pushError(log, { error: `e${i}`, source: 'listen', at: i }, 3);
+  expect(log.map((e) => e.error)).toEqual(['e5', 'e4', 'e3']);
+});
+
+test('tailors advice to what happened', () => {
+  const log = [
+    { error: 'network', source: 'listen' },
+    { error: 'no-speech', source: 'listen' },
+    { error: 'network', source: 'record' },
+  ];
+  expect(adviceFor(log, 'granted')).toEqual(['network', 'noSpeech']);
+  expect(adviceFor([], 'denied')).toEqual(['permission']);
+  expect(adviceFor([], 'granted')).toEqual([]);
+});
@@ -0,0 +1,42 @@
+/* ===========================================================
+   Echo Guard
+   -----------------------------------------------------------
+   With speakers instead of a headset, the mic hears the app itself:
+   spoken prompts come back as transcripts and reminder sounds as
+   voice activity. While the app is making sound, and for a short
+   tail after (speaker and recognizer lag), mic input is treated as
+   the app's own echo, not the user.
+     begin() / end()   around speech of unknown length (voice prompts)
+     hold(ms)          a sound of known length (reminder tones)
+     speaking()        speech may still be heard (recognizers only turn
+                       speech into words, so tones don't count)
+     active()          any of the app's sound may still be heard
+   Like chantEngine, the clock is injectable (`now`) for tests.
+   =========================================================== */
+export const ECHO_TAIL_MS = 1000;
+
+export function createEchoGuard({ now = Date.now, tailMs = ECHO_TAIL_MS } = {}) {
+  let playing = 0; // voice prompts started and not yet ended
+  let speechUntil = -Infinity; // speech echo may be heard until then
+  let soundUntil = -Infinity; // tone echo may be heard until then
+
+  const begin = () => {
+    playing += 1;
+  };
+
+  const end = () => {
+    if (playing === 0) return;
+    playing -= 1;
+    speechUntil = Math.max(speechUntil, now() + tailMs);
+  };
+
+  const hold = (ms) => {
+    soundUntil = Math.max(soundUntil, now() + ms + tailMs);
+  };
+
+  const speaking = () => playing > 0 || now() < speechUntil;
+
+  const active = () => speaking() || now() < soundUntil;
+
+  return { begin, end, hold, speaking, active };
+}
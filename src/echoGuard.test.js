@@ -0,0 +1,50 @@
+import { createEchoGuard } from './echoGuard';
+
+function fakeClock(start = 1000) {
+  let t = start;
+  const now = () => t;
+  now.advance = (ms) => {
+    t += ms;
+  };
+  return now;
+}
+
+describe('createEchoGuard', () => {
+  test('is active while output plays and for the tail after', () => {
+    const now = fakeClock();
+    const guard = createEchoGuard({ now, tailMs: 800 });
+    expect(guard.active()).toBe(false);
+    guard.begin();
+    now.advance(5000);
+    expect(guard.active()).toBe(true);
+    guard.end();
+    now.advance(799);
+    expect(guard.active()).toBe(true);
+    now.advance(1);
+    expect(guard.active()).toBe(false);
+  });
+
+  test('overlapping outputs keep it active until the last one ends', () => {
+    const now = fakeClock();
+    const guard = createEchoGuard({ now, tailMs: 0 });
+    guard.begin();
+    guard.begin();
+    guard.end();
+    expect(guard.active()).toBe(true);
+    guard.end();
+    guard.end(); // a stray end is harmless
+    expect(guard.active()).toBe(false);
+  });
+
+  test('a held tone counts as sound but not as speech', () => {
+    const now = fakeClock();
+    const guard = createEchoGuard({ now, tailMs: 500 });
+    guard.hold(1500);
+    expect(guard.active()).toBe(true);
+    expect(guard.speaking()).toBe(false);
+    now.advance(1999);
+    expect(guard.active()).toBe(true);
+    now.advance(1);
+    expect(guard.active()).toBe(false);
+  });
+});
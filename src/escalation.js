@@ -0,0 +1,77 @@
+/* ===========================================================
+   Reminder Escalation
+   -----------------------------------------------------------
+   Counts consecutive silence reminders that got no chanting in
+   between (the engine's `repeat`) and decides how hard to nudge:
+   normal → louder → insistent sound (optionally spoken) → auto-pause
+   (only when the user turns it on).
+   =========================================================== */
+import { SOUND_PRESETS } from "./sounds";
+
+export const DEFAULT_ESCALATION = {
+  enabled: true,
+  louderAfter: 3, // reminders before raising the volume
+  insistentAfter: 5, // … before switching to the insistent sound
+  autoPause: false, // stopping someone's session is opt-in
+  pauseAfter: 10, // … before pausing the session as abandoned
+  insistentSound: "ghanta",
+  spoken: false, // also speak a wake-up prompt once insistent
+};
+
+const LOUDER_BOOST = 1.6;
+const INSISTENT_BOOST = 2;
+const MAX_STEP = 99;
+
+function clampStep(n, fallback) {
+  const v = parseInt(n, 10);
+  return Number.isInteger(v) && v >= 1 && v <= MAX_STEP ? v : fallback;
+}
+
+/**
+ * Merge stored policy over the defaults; thresholds stay in order.
+ */
+export function normalizeEscalation(raw) {
+  const src = raw && typeof raw === "object" ? raw : {};
+  const louderAfter = clampStep(src.louderAfter, DEFAULT_ESCALATION.louderAfter);
+  const insistentAfter = Math.max(
+    louderAfter,
+    clampStep(src.insistentAfter, DEFAULT_ESCALATION.insistentAfter)
+  );
+  const pauseAfter = Math.max(
+    insistentAfter,
+    clampStep(src.pauseAfter, DEFAULT_ESCALATION.pauseAfter)
+  );
+  return {
+    enabled: src.enabled === undefined ? DEFAULT_ESCALATION.enabled : !!src.enabled,
+    louderAfter,
+    insistentAfter,
+    autoPause: !!src.autoPause,
+    pauseAfter,
+    insistentSound: SOUND_PRESETS[src.insistentSound]
+      ? src.insistentSound
+      : DEFAULT_ESCALATION.insistentSound,
+    spoken: !!src.spoken,
+  };
+}
+
+/**
+ * What to do for the `repeat`-th unanswered reminder in a row (1-based).
+ * Returns { level, boost, sound, speak } where level is
+ * "normal" | "louder" | "insistent" | "pause"; `sound` is null unless the
+ * insistent sound should replace the configured one.
+ */
+export function escalationStep(repeat, policy) {
+  const step = { level: "normal", boost: 1, sound: null, speak: false };
+  if (!policy.enabled) return step;
+  if (policy.autoPause && repeat >= policy.pauseAfter) return { ...step, level: "pause" };
+  if (repeat >= policy.insistentAfter) {
+    return {
+      level: "insistent",
+      boost: INSISTENT_BOOST,
+      sound: policy.insistentSound,
+      speak: policy.spoken,
+    };
+  }
+  if (repeat >= policy.louderAfter) return { ...step, level: "louder", boost: LOUDER_BOOST };
+  return step;
+}
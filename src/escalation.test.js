@@ -0,0 +1,41 @@
+import { DEFAULT_ESCALATION, escalationStep, normalizeEscalation } from './escalation';
+
+test('escalates louder, then insistent, then pauses', () => {
+  const policy = normalizeEscalation({
+    louderAfter: 2,
+    insistentAfter: 3,
+    autoPause: true,
+    pauseAfter: 5,
+  });
+  const levels = [1, 2, 3, 4, 5].map((n) => escalationStep(n, policy).level);
+  expect(levels).toEqual(['normal', 'louder', 'insistent', 'insistent', 'pause']);
+  expect(escalationStep(3, policy).sound).toBe(DEFAULT_ESCALATION.insistentSound);
+  expect(escalationStep(2, policy).boost).toBeGreaterThan(1);
+  expect(escalationStep(3, policy).speak).toBe(false);
+  expect(escalationStep(3, { ...policy, spoken: true }).speak).toBe(true);
+});
+
+test('never pauses a session unless auto-pause is turned on', () => {
+  const policy = normalizeEscalation({ pauseAfter: 5 });
+  expect(DEFAULT_ESCALATION.autoPause).toBe(false);
+  expect(escalationStep(50, policy).level).toBe('insistent');
+});
+
+test('falls back to the default insistent sound for unknown presets', () => {
+  expect(normalizeEscalation({ insistentSound: 'chime' }).insistentSound).toBe('chime');
+  expect(normalizeEscalation({ insistentSound: 'conch' }).insistentSound).toBe(
+    DEFAULT_ESCALATION.insistentSound
+  );
+});
+
+test('disabled policy never escalates', () => {
+  const policy = normalizeEscalation({ enabled: false });
+  expect(escalationStep(50, policy).level).toBe('normal');
+});
+
+test('keeps thresholds in order and within range', () => {
+  const policy = normalizeEscalation({ louderAfter: 6, insistentAfter: 2, pauseAfter: 'x' });
+  expect(policy.louderAfter).toBe(6);
+  expect(policy.insistentAfter).toBe(6);
+  expect(policy.pauseAfter).toBe(DEFAULT_ESCALATION.pauseAfter);
+});
@@ -0,0 +1,69 @@
+/* ===========================================================
+   Fuzzy Mantra Matching (edit distance over phonetic keys)
+   -----------------------------------------------------------
+   Keys come from canonicalize()/toPhonetic(), so script and common
+   spelling variants are already folded; the edit distance absorbs what
+   is left ("seetaram", "krsna", recognizer slips).
+   =========================================================== */
+export const STRICTNESS_LEVELS = ["lenient", "normal", "strict"];
+export const DEFAULT_STRICTNESS = "normal";
+
+/**
+ * lenient: any one mantra word, loosely spelled
+ * normal:  at least half of the distinct mantra words
+ * strict:  the full phrase, in order
+ */
+const LEVELS = {
+  lenient: { tokenSim: 0.6, tokenShare: 0 },
+  normal: { tokenSim: 0.75, tokenShare: 0.5 },
+  strict: { tokenSim: 0.8, phraseSim: 0.8 },
+};
+
+export function isStrictness(v) {
+  return STRICTNESS_LEVELS.includes(v);
+}
+
+/**
+ * Best similarity (0..1) of `needle` against any substring of `hay`
+ * (semi-global edit distance: skipping text around the match is free).
+ */
+export function substringSimilarity(needle, hay) {
+  const n = needle.length;
+  if (!n) return 0;
+  if (hay.includes(needle)) return 1;
+
+  let prev = new Array(hay.length + 1).fill(0);
+  for (let i = 1; i <= n; i++) {
+    const cur = [i];
+    for (let j = 1; j <= hay.length; j++) {
+      const cost = needle[i - 1] === hay[j - 1] ? 0 : 1;
+      cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+    }
+    prev = cur;
+  }
+  return Math.max(0, 1 - Math.min(...prev) / n);
+}
+
+/**
+ * Score a canonicalized utterance against the mantra's canonical tokens.
+ * Returns { score, matched, tokens: [{ key, sim, heard }] } where `score` is the
+ * share of distinct tokens heard (or the phrase similarity when strict).
+ */
+export function scoreMantra(cInput, canonTokens, strictness = DEFAULT_STRICTNESS) {
+  const level = LEVELS[strictness] || LEVELS[DEFAULT_STRICTNESS];
+  const keys = [...new Set(canonTokens.filter(Boolean))];
+  const tokens = keys.map((key) => {
+    const sim = substringSimilarity(key, cInput);
+    return { key, sim, heard: sim >= level.tokenSim };
+  });
+  if (!keys.length || !cInput) return { score: 0, matched: false, tokens };
+
+  if (level.phraseSim) {
+    const score = substringSimilarity(canonTokens.join(""), cInput);
+    return { score, matched: score >= level.phraseSim, tokens };
+  }
+
+  const heard = tokens.filter((t) => t.heard).length;
+  const score = heard / keys.length;
+  return { score, matched: heard > 0 && score >= level.tokenShare, tokens };
+}
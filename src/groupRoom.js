@@ -0,0 +1,134 @@
+/* ===========================================================
+   Group Rooms (client)
+   -----------------------------------------------------------
+   Chant together: members join a room by code, their counted
+   recitations and reminders go to the room, and the host can start
+   or stop everyone. Talks to the room server in server/ (protocol in
+   server/README.md). Connection errors are Errors with a `code`:
+     unreachable
+   =========================================================== */
+export const ROOM_CODE_LENGTH = 6;
+export const ROOM_PORT = 8787;
+export const MAX_ROOM_NAME = 40;
+export const ROOM_FEED_SIZE = 5; // latest member events shown
+
+export const DEFAULT_ROOM = { server: "", name: "" }; // "" server = same host, ROOM_PORT
+
+/**
+ * Merge stored room settings over the defaults (only ws:// or wss:// servers).
+ */
+export function normalizeRoomSettings(raw) {
+  const src = raw && typeof raw === "object" ? raw : {};
+  const server = typeof src.server === "string" ? src.server.trim() : "";
+  return {
+    server: /^wss?:\/\/\S+$/i.test(server) ? server : DEFAULT_ROOM.server,
+    name: typeof src.name === "string" ? src.name.slice(0, MAX_ROOM_NAME) : DEFAULT_ROOM.name,
+  };
+}
+
+/**
+ * The server to use: the configured one, else ROOM_PORT on the page's host.
+ */
+export function roomServerUrl(settings, loc = window.location) {
+  if (settings.server) return settings.server;
+  const scheme = loc.protocol === "https:" ? "wss" : "ws";
+  return `${scheme}://${loc.hostname || "localhost"}:${ROOM_PORT}`;
+}
+
+/**
+ * Typed or pasted code -> canonical form ("k7pq 2m" -> "K7PQ2M").
+ */
+export function normalizeRoomCode(raw) {
+  return String(raw || "")
+    .toUpperCase()
+    .replace(/[^A-Z0-9]/g, "")
+    .slice(0, ROOM_CODE_LENGTH);
+}
+
+export function isRoomCode(code) {
+  return new RegExp(`^[A-Z0-9]{${ROOM_CODE_LENGTH}}$`).test(code);
+}
+
+/**
+ * Combined counter from a server "state" message; `now` is on the
+ * server's clock (see serverClockOffset).
+ *   { cycles, members, listening, elapsedMs }
+ */
+export function roomTotals(state, now) {
+  const members = state ? state.members : [];
+  let elapsedMs = 0;
+  if (state && state.startedAt) {
+    elapsedMs = Math.max(0, (state.running ? now : state.stoppedAt) - state.startedAt);
+  }
+  return {
+    cycles: members.reduce((sum, m) => sum + m.cycles, 0),
+    members: members.length,
+    listening: members.filter((m) => m.listening).length,
+    elapsedMs,
+  };
+}
+
+/**
+ * Local minus server clock, from a message stamped with the server's `now`.
+ */
+export function serverClockOffset(message, localNow) {
+  return typeof message.now === "number" ? localNow - message.now : 0;
+}
+
+/**
+ * New feed with a relayed member event added, newest first.
+ */
+export function pushFeed(feed, event, max = ROOM_FEED_SIZE) {
+  return [event, ...feed].slice(0, max);
+}
+
+function roomError(code) {
+  const err = new Error(code);
+  err.code = code;
+  return err;
+}
+
+/**
+ * Open a connection; resolves to { send(message), close() } once open.
+ * onMessage gets every parsed server message; onClose fires when the
+ * connection drops (not after close()).
+ */
+export function connectRoom(url, { onMessage, onClose }) {
+  return new Promise((resolve, reject) => {
+    let ws;
+    try {
+      ws = new WebSocket(url);
+    } catch {
+      reject(roomError("unreachable"));
+      return;
+    }
+    let opened = false;
+    let closing = false;
+
+    ws.onopen = () => {
+      opened = true;
+      resolve({
+        send: (message) => {
+          if (ws.readyState === WebSocket.OPEN) ws.send(JSON.stringify(message));
+        },
+        close: () => {
+          closing = true;
+          ws.close();
+        },
+      });
+    };
+    ws.onmessage = (e) => {
+      let message;
+      try {
+        message = JSON.parse(e.data);
+      } catch {
+        return; // not ours
+      }
+      onMessage(message);
+    };
+    ws.onclose = () => {
+      if (!opened) reject(roomError("unreachable"));
+      else if (!closing) onClose();
+    };
+  });
+}
@@ -0,0 +1,135 @@
+import {
+  connectRoom,
+  isRoomCode,
+  normalizeRoomCode,
+  normalizeRoomSettings,
+  pushFeed,
+  roomServerUrl,
+  roomTotals,
+  serverClockOffset,
+  DEFAULT_ROOM,
+} from './groupRoom';
+
+const member = (id, cycles, listening = true) => ({
+  id,
+  name: id,
+  listening,
+  cycles,
+  silence: 0,
+  mismatch: 0,
+});
+
+test('normalizes stored settings', () => {
+  expect(normalizeRoomSettings(null)).toEqual(DEFAULT_ROOM);
+  expect(normalizeRoomSettings({ server: ' ws://10.0.0.5:8787 ', name: 'Asha' })).toEqual({
+    server: 'ws://10.0.0.5:8787',
+    name: 'Asha',
+  });
+  expect(normalizeRoomSettings({ server: 'http://example.com' }).server).toBe('');
+});
+
+test('defaults to the room port on the page host', () => {
+  const settings = normalizeRoomSettings({});
+  expect(roomServerUrl(settings, { protocol: 'http:', hostname: '192.168.1.4' })).toBe(
+    'ws://192.168.1.4:8787'
+  );
+  expect(roomServerUrl(settings, { protocol: 'https:', hostname: 'chant.example' })).toBe(
+    'wss://chant.example:8787'
+  );
+  expect(roomServerUrl({ server: 'ws://x:1' }, {})).toBe('ws://x:1');
+});
+
+test('cleans up typed room codes', () => {
+  expect(normalizeRoomCode('k7pq 2m')).toBe('K7PQ2M');
+  expect(isRoomCode(normalizeRoomCode('k7-pq-2m-extra'))).toBe(true);
+  expect(isRoomCode('K7PQ')).toBe(false);
+});
+
+test('adds up the room counter', () => {
+  const state = {
+    running: true,
+    startedAt: 1000,
+    stoppedAt: null,
+    members: [member('m1', 5), member('m2', 3, false)],
+  };
+  expect(roomTotals(state, 61000)).toEqual({
+    cycles: 8,
+    members: 2,
+    listening: 1,
+    elapsedMs: 60000,
+  });
+  expect(roomTotals({ ...state, running: false, stoppedAt: 31000 }, 99999).elapsedMs).toBe(30000);
+  expect(roomTotals(null, 0).cycles).toBe(0);
+});
+
+test('measures the server clock offset', () => {
+  expect(serverClockOffset({ now: 1000 }, 4000)).toBe(3000);
+  expect(serverClockOffset({}, 4000)).toBe(0);
+});
+
+test('keeps the newest member events', () => {
+  const feed = [1, 2, 3, 4, 5, 6].reduce((f, n) => pushFeed(f, n), []);
+  expect(feed).toEqual([6, 5, 4, 3, 2]);
+});
+
+describe('connectRoom', () => {
+  const RealWebSocket = global.WebSocket;
+  let sockets;
+
+  beforeEach(() => {
+    sockets = [];
+    global.WebSocket = class {
+      static OPEN = 1;
+      constructor(url) {
+        this.url = url;
+        this.readyState = 0;
+        this.sent = [];
+        sockets.push(this);
+      }
+      send(data) {
+        this.sent.push(JSON.parse(data));
+      }
+      close() {
+        this.readyState = 3;
+        this.onclose();
+      }
+    };
+  });
+
+  afterEach(() => {
+    global.WebSocket = RealWebSocket;
+  });
+
+  test('sends and receives JSON once open', async () => {
+    const received = [];
+    const onClose = jest.fn();
+    const pending = connectRoom('ws://room', { onMessage: (m) => received.push(m), onClose });
+    const ws = sockets[0];
+    ws.readyState = 1;
+    ws.onopen();
+    const conn = await pending;
+
+    conn.send({ type: 'create', name: 'Asha' });
+    ws.onmessage({ data: '{"type":"joined","room":"K7PQ2M","memberId":"m1"}' });
+    ws.onmessage({ data: 'not json' });
+    expect(ws.sent).toEqual([{ type: 'create', name: 'Asha' }]);
+    expect(received).toEqual([{ type: 'joined', room: 'K7PQ2M', memberId: 'm1' }]);
+
+    ws.onclose(); // dropped by the server
+    expect(onClose).toHaveBeenCalledTimes(1);
+  });
+
+  test('rejects with a code when the server is unreachable', async () => {
+    const pending = connectRoom('ws://nowhere', { onMessage: jest.fn(), onClose: jest.fn() });
+    sockets[0].onclose();
+    await expect(pending).rejects.toMatchObject({ code: 'unreachable' });
+  });
+
+  test('leaving on purpose is not reported as a drop', async () => {
+    const onClose = jest.fn();
+    const pending = connectRoom('ws://room', { onMessage: jest.fn(), onClose });
+    sockets[0].onopen();
+    (await pending).close();
+    expect(onClose).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,157 @@
+/* ===========================================================
+   Guided Chanting (call and response)
+   -----------------------------------------------------------
+   For beginners: the app chants the mantra (reference recording or
+   synthesized voice) at a set tempo and waits for the user to repeat
+   it. Responses are judged with the listener's own matching
+   (matchMantra / shouldMismatchBeep). Emits:
+     call     { index, at }                 play the mantra now
+     answer   { index, latencyMs, onPace }  the user repeated it
+     mismatch { index, text, at }           the user chanted something else
+     behind   { index, missedInRow, at }    no answer before the next call
+   Like chantEngine, the clock is injectable (`now`) for tests.
+   =========================================================== */
+import { matchMantra, shouldMismatchBeep } from "./chantEngine";
+import { createEchoGuard } from "./echoGuard";
+
+// Tempo = calls per minute
+export const MIN_TEMPO = 2;
+export const MAX_TEMPO = 20;
+export const GUIDE_VOICES = ["recording", "speech"];
+
+export const DEFAULT_GUIDED = { tempo: 6, voice: "recording" };
+
+// The user always gets at least this long to answer, however fast the tempo
+export const MIN_RESPONSE_MS = 2500;
+// An answer on pace finishes within the call's own length plus this lead-in
+const PACE_SLACK_MS = 1000;
+
+/**
+ * Merge stored guided-mode settings over the defaults.
+ */
+export function normalizeGuided(raw) {
+  const src = raw && typeof raw === "object" ? raw : {};
+  const tempo = parseInt(src.tempo, 10);
+  return {
+    tempo: tempo >= MIN_TEMPO && tempo <= MAX_TEMPO ? tempo : DEFAULT_GUIDED.tempo,
+    voice: GUIDE_VOICES.includes(src.voice) ? src.voice : DEFAULT_GUIDED.voice,
+  };
+}
+
+/**
+ * One final recognizer result against the mantra, the way the listener
+ * would treat it: "heard" | "mismatch" | "ignored".
+ */
+export function judgeResponse(text, confidence, md, strictness, thresholds) {
+  const txt = (text || "").trim().toLowerCase();
+  if (!txt) return "ignored";
+  const conf = typeof confidence === "number" ? confidence : 1;
+  if (matchMantra(txt, md, strictness)) return "heard";
+  return shouldMismatchBeep(txt, conf, md, strictness, thresholds) ? "mismatch" : "ignored";
+}
+
+/**
+ * options: { tempo, now }
+ *   start()                 first call
+ *   callEnded()             the call finished playing (utterance or recording
+ *                           end); the user's turn after the echo tail
+ *   response(verdict, text) a judged result (see judgeResponse)
+ *   tick()                  clock tick: next call when due
+ *   waiting()               true during the user's turn
+ *   getStats()              { calls, onPace, late, missed, mismatches }
+ */
+export function createGuidedSession(options) {
+  const opts = { tempo: DEFAULT_GUIDED.tempo, now: Date.now, ...options };
+  const periodMs = 60000 / opts.tempo;
+  const echo = createEchoGuard({ now: opts.now }); // the call, heard back by the mic
+
+  const listeners = {};
+  let phase = "idle"; // "idle" | "calling" | "waiting"
+  let index = 0;
+  let callStartedAt = 0;
+  let callEndedAt = 0;
+  let answered = false;
+  let mismatched = false;
+  let missedInRow = 0;
+  const stats = { calls: 0, onPace: 0, late: 0, missed: 0, mismatches: 0 };
+
+  const emit = (type, payload) => {
+    (listeners[type] || []).forEach((fn) => fn(payload));
+  };
+
+  const on = (type, fn) => {
+    (listeners[type] = listeners[type] || []).push(fn);
+    return () => {
+      listeners[type] = listeners[type].filter((f) => f !== fn);
+    };
+  };
+
+  const call = () => {
+    phase = "calling";
+    index += 1;
+    callStartedAt = opts.now();
+    echo.begin();
+    answered = false;
+    mismatched = false;
+    stats.calls += 1;
+    emit("call", { index, at: callStartedAt });
+  };
+
+  const callMs = () => callEndedAt - callStartedAt;
+
+  // Next call on the beat, unless that leaves too little time to answer
+  const nextCallAt = () =>
+    Math.max(callStartedAt + periodMs, callEndedAt + Math.max(MIN_RESPONSE_MS, callMs() * 2));
+
+  const start = () => {
+    index = 0;
+    missedInRow = 0;
+    call();
+  };
+
+  const callEnded = () => {
+    if (phase !== "calling") return;
+    phase = "waiting";
+    callEndedAt = opts.now();
+    echo.end();
+  };
+
+  const response = (verdict, text = "") => {
+    if (phase !== "waiting" || answered || echo.speaking()) return;
+    const at = opts.now();
+
+    if (verdict === "heard") {
+      answered = true;
+      missedInRow = 0;
+      const latencyMs = at - callEndedAt;
+      const onPace = latencyMs <= callMs() + PACE_SLACK_MS;
+      if (onPace) stats.onPace += 1;
+      else stats.late += 1;
+      emit("answer", { index, latencyMs, onPace });
+    } else if (verdict === "mismatch" && !mismatched) {
+      mismatched = true; // one reminder per call; they may still get it right
+      stats.mismatches += 1;
+      emit("mismatch", { index, text, at });
+    }
+  };
+
+  const tick = () => {
+    if (phase !== "waiting" || opts.now() < nextCallAt()) return;
+    if (!answered) {
+      missedInRow += 1;
+      stats.missed += 1;
+      emit("behind", { index, missedInRow, at: opts.now() });
+    }
+    call();
+  };
+
+  return {
+    on,
+    start,
+    callEnded,
+    response,
+    tick,
+    waiting: () => phase === "waiting",
+    getStats: () => ({ ...stats }),
+  };
+}
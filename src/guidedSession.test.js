@@ -0,0 +1,133 @@
+import {
+  createGuidedSession,
+  judgeResponse,
+  normalizeGuided,
+  DEFAULT_GUIDED,
+  MIN_RESPONSE_MS,
+} from './guidedSession';
+import { buildMantraData } from './chantEngine';
+import { ECHO_TAIL_MS } from './echoGuard';
+
+// Hand-driven clock
+function fakeClock(start = 1000) {
+  let t = start;
+  const now = () => t;
+  now.advance = (ms) => {
+    t += ms;
+  };
+  return now;
+}
+
+// tempo 6 = one call every 10 s; each call takes 2 s to play
+function guidedWithLog(options) {
+  const now = fakeClock();
+  const session = createGuidedSession({ tempo: 6, now, ...options });
+  const events = [];
+  ['call', 'answer', 'mismatch', 'behind'].forEach((type) =>
+    session.on(type, (e) => events.push({ type, ...e }))
+  );
+  const playCall = () => {
+    now.advance(2000);
+    session.callEnded();
+  };
+  return { session, now, events, playCall, types: () => events.map((e) => e.type) };
+}
+
+test('normalizes stored settings', () => {
+  expect(normalizeGuided(null)).toEqual(DEFAULT_GUIDED);
+  expect(normalizeGuided({ tempo: '12', voice: 'speech' })).toEqual({ tempo: 12, voice: 'speech' });
+  expect(normalizeGuided({ tempo: 99, voice: 'kazoo' })).toEqual(DEFAULT_GUIDED);
+});
+
+test('judges responses like the listener does', () => {
+  const md = buildMantraData('om namah shivaya');
+  expect(judgeResponse('Om Namah Shivaya', 0.9, md, 'normal')).toBe('heard');
+  expect(judgeResponse('hello there friend', 0.9, md, 'normal')).toBe('mismatch');
+  expect(judgeResponse('uh', 0.1, md, 'normal')).toBe('ignored');
+  expect(judgeResponse('  ', 1, md, 'normal')).toBe('ignored');
+});
+
+test('an answer soon after the call is on pace, a slow one is late', () => {
+  const { session, now, events, playCall } = guidedWithLog();
+  session.start();
+  playCall();
+  now.advance(2500);
+  session.response('heard');
+  expect(events[1]).toMatchObject({ type: 'answer', index: 1, onPace: true, latencyMs: 2500 });
+
+  now.advance(5500);
+  session.tick();
+  expect(events[2]).toMatchObject({ type: 'call', index: 2 });
+  playCall();
+  now.advance(4500);
+  session.response('heard');
+  expect(events[3]).toMatchObject({ type: 'answer', index: 2, onPace: false });
+  expect(session.getStats()).toEqual({ calls: 2, onPace: 1, late: 1, missed: 0, mismatches: 0 });
+});
+
+test('ignores the speaker being heard while and right after the call plays', () => {
+  const { session, now, types, playCall } = guidedWithLog();
+  session.start();
+  session.response('heard'); // still calling
+  playCall();
+  now.advance(500);
+  session.response('heard'); // echo of the call
+  expect(types()).toEqual(['call']);
+});
+
+test('the echo tail runs from the end of the call, however short the call', () => {
+  const { session, now, types } = guidedWithLog();
+  session.start();
+  now.advance(400);
+  session.callEnded();
+  now.advance(ECHO_TAIL_MS - 1);
+  session.response('heard');
+  expect(types()).toEqual(['call']);
+  now.advance(1);
+  session.response('heard');
+  expect(types()).toEqual(['call', 'answer']);
+});
+
+test('no answer before the next call means the user fell behind', () => {
+  const { session, now, events, types, playCall } = guidedWithLog();
+  session.start();
+  playCall();
+  now.advance(7000);
+  session.tick();
+  expect(types()).toEqual(['call']); // not due yet
+  now.advance(1000);
+  session.tick();
+  expect(types()).toEqual(['call', 'behind', 'call']);
+  expect(events[1]).toMatchObject({ index: 1, missedInRow: 1 });
+
+  playCall();
+  now.advance(8000);
+  session.tick();
+  expect(events[3]).toMatchObject({ type: 'behind', index: 2, missedInRow: 2 });
+  expect(session.getStats().missed).toBe(2);
+});
+
+test('one mismatch reminder per call, and a later right answer still counts', () => {
+  const { session, now, types, playCall } = guidedWithLog();
+  session.start();
+  playCall();
+  now.advance(1500);
+  session.response('mismatch', 'hello');
+  session.response('mismatch', 'hello again');
+  session.response('heard');
+  expect(types()).toEqual(['call', 'mismatch', 'answer']);
+  expect(session.getStats().mismatches).toBe(1);
+});
+
+test('a fast tempo still leaves time to answer', () => {
+  const { session, now, types } = guidedWithLog({ tempo: 20 }); // 3 s period
+  session.start();
+  now.advance(1000);
+  session.callEnded();
+  now.advance(2000); // on the beat, but only 2 s after a 1 s call
+  session.tick();
+  expect(types()).toEqual(['call']);
+  now.advance(MIN_RESPONSE_MS - 2000);
+  session.tick();
+  expect(types()).toEqual(['call', 'behind', 'call']);
+});
@@ -0,0 +1,58 @@
+import { LOCALES, isLocale, speechLangFor, loadCatalog, cachedCatalog } from './index';
+import { pluralizer } from './plural';
+import en from './locales/en';
+
+describe('pluralizer', () => {
+  it('picks the CLDR category and substitutes the number', () => {
+    const plural = pluralizer('en');
+    const forms = { one: '# session', other: '# sessions' };
+    expect(plural(1, forms)).toBe('1 session');
+    expect(plural(3, forms)).toBe('3 sessions');
+    expect(plural(1200, forms)).toBe('1,200 sessions');
+  });
+
+  it('falls back to `other` for a missing category', () => {
+    expect(pluralizer('en')(1, { other: '# days' })).toBe('1 days');
+  });
+});
+
+describe('locale registry', () => {
+  it('maps every locale to an Indian recognition language', () => {
+    Object.keys(LOCALES).forEach((code) => {
+      expect(speechLangFor(code)).toBe(`${code}-IN`);
+    });
+    expect(speechLangFor('xx')).toBe('en-IN');
+    expect(isLocale('ta')).toBe(true);
+    expect(isLocale('toString')).toBe(false);
+  });
+
+  it('loads catalogs lazily and caches them', async () => {
+    expect(cachedCatalog('mr')).toBeNull();
+    const mr = await loadCatalog('mr');
+    expect(mr.startListening).not.toBe(en.startListening);
+    expect(mr.voicePrompts.silence).not.toBe(en.voicePrompts.silence);
+    expect(cachedCatalog('mr')).toBe(mr);
+  });
+
+  // every key with the same kind of value as English: string, function or array
+  const shape = (value) => {
+    if (typeof value === 'function') return 'fn';
+    if (Array.isArray(value)) return `array(${value.length})`;
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, shape(v)]));
+    }
+    return typeof value;
+  };
+
+  it.each(Object.keys(LOCALES).filter((code) => code !== 'en'))(
+    'translates every English key in %s',
+    async (code) => {
+      const { default: catalog } = await LOCALES[code].load();
+      expect(shape(catalog)).toEqual(shape(en));
+    }
+  );
+
+  it('returns English for an unknown locale', async () => {
+    expect(await loadCatalog('xx')).toBe(en);
+  });
+});
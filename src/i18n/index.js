@@ -0,0 +1,77 @@
+/* ===========================================================
+   Locale Registry
+   -----------------------------------------------------------
+   Each locale has a native name, the BCP-47 tag handed to speech
+   recognition / synthesis, and a lazy catalog. English is bundled
+   and is the fallback for any key a catalog doesn't translate.
+   =========================================================== */
+import en from "./locales/en";
+
+export const DEFAULT_LOCALE = "en";
+
+export const LOCALES = {
+  en: { name: "English", speechLang: "en-IN", load: () => Promise.resolve({ default: en }) },
+  hi: { name: "हिन्दी", speechLang: "hi-IN", load: () => import("./locales/hi") },
+  mr: { name: "मराठी", speechLang: "mr-IN", load: () => import("./locales/mr") },
+  gu: { name: "ગુજરાતી", speechLang: "gu-IN", load: () => import("./locales/gu") },
+  bn: { name: "বাংলা", speechLang: "bn-IN", load: () => import("./locales/bn") },
+  ta: { name: "தமிழ்", speechLang: "ta-IN", load: () => import("./locales/ta") },
+  te: { name: "తెలుగు", speechLang: "te-IN", load: () => import("./locales/te") },
+  pa: { name: "ਪੰਜਾਬੀ", speechLang: "pa-IN", load: () => import("./locales/pa") },
+};
+
+export function isLocale(code) {
+  return Object.prototype.hasOwnProperty.call(LOCALES, code);
+}
+
+/**
+ * Recognition / synthesis language for a UI locale.
+ */
+export function speechLangFor(code) {
+  return (LOCALES[code] || LOCALES[DEFAULT_LOCALE]).speechLang;
+}
+
+/**
+ * Recognition locales a mantra can be chanted in: [{ lang, name }].
+ */
+export function speechLangOptions() {
+  return Object.values(LOCALES).map(({ name, speechLang }) => ({ lang: speechLang, name }));
+}
+
+export function speechLangName(lang) {
+  const match = speechLangOptions().find((o) => o.lang === lang);
+  return match ? match.name : lang;
+}
+
+// Nested objects merge key by key; arrays and functions replace whole
+function withFallback(base, over) {
+  const out = { ...base };
+  for (const [key, value] of Object.entries(over)) {
+    const isPlain = value && typeof value === "object" && !Array.isArray(value);
+    out[key] = isPlain && base[key] ? withFallback(base[key], value) : value;
+  }
+  return out;
+}
+
+export const baseCatalog = en;
+
+const loaded = { en };
+
+/**
+ * Catalog for `code` with English filling the gaps (cached).
+ */
+export async function loadCatalog(code) {
+  if (!isLocale(code)) return en;
+  if (!loaded[code]) {
+    const mod = await LOCALES[code].load();
+    loaded[code] = withFallback(en, mod.default);
+  }
+  return loaded[code];
+}
+
+/**
+ * Synchronous lookup for catalogs that are already loaded.
+ */
+export function cachedCatalog(code) {
+  return loaded[code] || null;
+}
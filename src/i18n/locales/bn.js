@@ -0,0 +1,334 @@
+/* বাংলা */
+import { pluralizer } from "../plural";
+
+const plural = pluralizer("bn");
+
+const catalog = {
+  title: "জপ স্মরণ",
+  step1: "আপনার মন্ত্র রেকর্ড করে সংরক্ষণ করুন।",
+  step2: "জপ অনুসরণ করতে শোনা শুরু করুন।",
+  step3: "আপনি থেমে গেলে বা অন্য কিছু বললে মৃদু বিপ।",
+  gotIt: "ঠিক আছে",
+  savedMantra: "সংরক্ষিত মন্ত্র",
+  record: "মন্ত্র রেকর্ড করুন",
+  recordAnother: "আরেকটি মন্ত্র রেকর্ড করুন",
+  stopSave: "থামান ও সংরক্ষণ করুন",
+  startListening: "শোনা শুরু করুন",
+  stopListening: "শোনা বন্ধ করুন",
+  chantSince: "শেষ স্মরণের পর জপের সময়",
+  gapLabel: "বিপের ব্যবধান (সেকেন্ড)",
+  troubleshooting: "সমস্যা সমাধান",
+  recording: "রেকর্ড হচ্ছে...",
+  note1: "আপনি",
+  note2: "সেকেন্ডের বেশি থামলে বা অন্য কিছু বললে বিপ।",
+  pleaseRecordFirst: "অনুগ্রহ করে আগে একটি মন্ত্র রেকর্ড করুন।",
+  noAudio: "কোনো শব্দ পাওয়া যায়নি। আবার রেকর্ড করুন।",
+  mantraSaved: (m) => `মন্ত্র সংরক্ষিত: "${m}"`,
+  liveChant: "সরাসরি জপ",
+  showLive: "সরাসরি জপ দেখান",
+  hideLive: "সরাসরি জপ লুকান",
+  repetitions: "জপ সংখ্যা",
+  malas: "মালা",
+  malaTarget: "মালার লক্ষ্য",
+  custom: "নিজের মতো",
+  history: "সাধনার ইতিহাস",
+  streak: (n) => plural(n, { one: "টানা # দিন", other: "টানা # দিন" }),
+  today: "আজ",
+  last7Days: "গত 7 দিন",
+  last4Weeks: "গত 4 সপ্তাহ",
+  weekOf: "সপ্তাহ",
+  sessionsCount: (n) => plural(n, { one: "# সেশন", other: "# সেশন" }),
+  noHistory: "এখনও কোনো সেশন নেই। একটি রেকর্ড করতে শোনা শুরু করুন।",
+  recentSessions: "সাম্প্রতিক সেশন",
+  longestStreak: "দীর্ঘতম",
+  silenceShort: "নীরবতা",
+  mismatchShort: "ভুল",
+  none: "কিছু নেই",
+  listening: "শুনছে...",
+  duration: (m, s) => (m ? `${m} মি ${s} সে` : `${s} সে`),
+  languageLabel: "ভাষা",
+  youtubeTitle: "জীবন বদলাতে চাইলে অবশ্যই দেখুন",
+  emailTitle: "আমাকে ইমেল করুন",
+  typeMantra: "মন্ত্র লিখুন",
+  edit: "সম্পাদনা",
+  delete: "মুছুন",
+  mantraName: "নাম",
+  mantraText: "মন্ত্র",
+  save: "সংরক্ষণ",
+  cancel: "বাতিল",
+  confirmDelete: (n) => `"${n}" মুছবেন?`,
+  mantraHint: "লাতিন (sita ram) বা যেকোনো ভারতীয় লিপিতে (সীতা রাম) লিখুন।",
+  script: "লিপি",
+  scripts: {
+    latin: "লাতিন",
+    devanagari: "দেবনাগরী",
+    bengali: "বাংলা",
+    gurmukhi: "গুরুমুখী",
+    gujarati: "গুজরাটি",
+    tamil: "তামিল",
+    telugu: "তেলুগু",
+    mixed: "মিশ্র",
+  },
+  testIt: "যাচাই করুন",
+  testStop: "যাচাই থামান",
+  testPrompt: "মন্ত্রটি একবার বলুন…",
+  testNothing: "কিছু শোনা যায়নি। আবার চেষ্টা করুন।",
+  testHeard: "আপনি বলেছেন",
+  testTokens: "মন্ত্রের শব্দ",
+  testCounts: "জপ হিসেবে গণনা হবে।",
+  testMismatch: "ভুল জপের বিপ বাজবে।",
+  testIgnored: "আওয়াজ ধরে উপেক্ষা করা হবে।",
+  strictnessLabel: "মিলানো",
+  strictness: { lenient: "শিথিল", normal: "সাধারণ", strict: "কঠোর" },
+  strictnessHint: {
+    lenient: "মন্ত্রের যেকোনো একটি শব্দ, উচ্চারণ একটু আলাদা হলেও, গণনা হয়।",
+    normal: "মন্ত্রের অন্তত অর্ধেক শব্দ শোনা যেতে হবে।",
+    strict: "পুরো মন্ত্রটি ক্রম অনুযায়ী শোনা যেতে হবে।",
+  },
+  recognizerLabel: "কণ্ঠস্বর শনাক্তকরণ ইঞ্জিন",
+  recognizers: { webspeech: "ব্রাউজার (অনলাইন)", offline: "অফলাইন (ডিভাইসে)" },
+  offlineHint: "অফলাইন মোড একবার একটি ছোট কণ্ঠস্বর মডেল ডাউনলোড করে; সেটি /models-এ রাখা থাকতে হবে।",
+  recognitionLang: "জপের ভাষা",
+  recognitionLangHint: "শনাক্তকরণ মন্ত্রের ভাষা অনুযায়ী হয়, অ্যাপের ভাষা অনুযায়ী নয়। সংস্কৃতের জন্য হিন্দি বেছে নিন।",
+  tryLocales: "কয়েকটি শনাক্তকরণ ভাষা চেষ্টা করুন",
+  tryLocalesHint: "প্রথম কয়েকটি জপ পালা করে প্রতিটি ভাষায় শোনা হয় এবং সেরা মিলটি এই মন্ত্রের জন্য রাখা হয়।",
+  localeProbing: (name) => `${name} চেষ্টা করা হচ্ছে…`,
+  localeChosen: (name) => `সেরা শনাক্তকরণ মিল: ${name}`,
+  noSupportedLocale: "চেষ্টা করা কোনো ভাষাই এই ব্রাউজারে শনাক্ত করা যায় না। Chrome বা অফলাইন ইঞ্জিন চেষ্টা করুন।",
+  noReference: "এই মন্ত্রের এখনও কোনো রেকর্ডিং নেই। আগে রেকর্ড করুন।",
+  playReference: "রেকর্ডিং শুনুন",
+  stopReference: "থামান",
+  audioMantraName: (time) => `রেকর্ডিং ${time}`,
+  audioMantraSaved: "রেকর্ডিং সংরক্ষিত। এর সাথে জপ করতে ধ্বনি মিল বেছে নিন।",
+  timeline: {
+    silence: "নীরবতার স্মরণ",
+    mismatch: "ভুল জপের স্মরণ",
+    pace: "গাইডের থেকে পিছিয়ে পড়েছেন",
+    fast: "খুব দ্রুত জপের স্মরণ",
+    review: "ডিটেক্টর কী শুনেছে দেখুন",
+    verdicts: { heard: "মন্ত্র হিসেবে গণনা হয়েছে", mismatch: "মন্ত্র নয়", ignored: "উপেক্ষিত" },
+  },
+  listenModeLabel: "শনাক্তকরণ",
+  listenModes: {
+    speech: "মন্ত্র শনাক্তকরণ",
+    voice: "শুধু কণ্ঠস্বর",
+    acoustic: "ধ্বনি মিল",
+    guided: "একসাথে জপ",
+  },
+  listenModeHint: {
+    speech: "আপনি নিজের মন্ত্রই জপ করছেন কি না যাচাই করে।",
+    voice: "শব্দ থামলেই বিপ। যেকোনো ব্রাউজারে, অফলাইনেও চলে।",
+    acoustic:
+      "আপনার জপকে মন্ত্রের আপনার নিজের রেকর্ডিংয়ের সাথে মেলায়। শনাক্তকরণ ইঞ্জিন যে বীজ মন্ত্র লিখতে পারে না তার জন্য।",
+    guided: "অ্যাপ মন্ত্র বলে, আপনি তা আবার বলেন। নতুনদের ও শিশুদের জন্য ভালো।",
+  },
+  room: {
+    title: "সম্মিলিত জপ কক্ষ",
+    nameLabel: "আপনার নাম",
+    serverLabel: "কক্ষ সার্ভার",
+    create: "কক্ষ তৈরি করুন",
+    codePlaceholder: "কোড",
+    join: "যোগ দিন",
+    connecting: "সংযোগ হচ্ছে…",
+    hint: "একজন কক্ষ সার্ভার চালান (npm run room-server); বাকি সবাই কক্ষের কোড দিয়ে যোগ দেন।",
+    together: "সবাই মিলে",
+    host: "হোস্ট",
+    you: "আপনি",
+    startAll: "সবার জপ শুরু করুন",
+    stopAll: "সবার জপ থামান",
+    leave: "ছেড়ে যান",
+    events: {
+      cycle: (name) => `${name} একটি জপ সম্পূর্ণ করেছেন`,
+      silence: (name) => `${name} নীরবতার স্মরণ পেয়েছেন`,
+      mismatch: (name) => `${name} ভুল জপের স্মরণ পেয়েছেন`,
+    },
+    errors: {
+      unreachable: "কক্ষ সার্ভারে পৌঁছানো যায়নি। ঠিকানা দেখুন এবং সার্ভার চলছে কি না দেখুন।",
+      disconnected: "কক্ষের সাথে সংযোগ বিচ্ছিন্ন হয়েছে।",
+      roomNotFound: "এই কোডের কোনো কক্ষ নেই।",
+      notHost: "শুধু হোস্টই সবাইকে শুরু বা বন্ধ করতে পারেন।",
+      badMessage: "কক্ষ সার্ভার অ্যাপটিকে বুঝতে পারেনি। সার্ভার আপডেট করুন।",
+      alreadyInRoom: "আপনি ইতিমধ্যে একটি কক্ষে আছেন।",
+      notInRoom: "আপনি কোনো কক্ষে নেই।",
+    },
+  },
+  pace: {
+    tooFastLabel: "খুব দ্রুত জপ করলে মনে করিয়ে দিন",
+    perMinute: "প্রতি মিনিটে সর্বোচ্চ জপ",
+    live: (rpm, steady) => `গতি ${rpm.toFixed(1)}/মিনিট · স্থিরতা ${steady}%`,
+    summary: (rpm, steady) => `গড় গতি: ${rpm.toFixed(1)}/মিনিট · স্থিরতা ${steady}%`,
+  },
+  guided: {
+    tempo: (n) => `গতি: প্রতি মিনিটে ${n}`,
+    voiceLabel: "গাইডের কণ্ঠ",
+    voices: { recording: "আমার রেকর্ডিং", speech: "কৃত্রিম কণ্ঠ" },
+    listen: "শুনুন…",
+    yourTurn: "এবার আপনি",
+    stats: ({ onPace, late, missed }) => `সময়মতো ${onPace} · দেরিতে ${late} · বাদ ${missed}`,
+    noVoice: "এই ব্রাউজার মন্ত্রটি বলতে পারে না। আগে এর একটি রেকর্ডিং করুন।",
+  },
+  mismatchCal: {
+    start: "ভুল জপের বিপ মাপুন",
+    hint: "এই মাইক্রোফোনের জন্য ভুল জপে কখন বিপ বাজবে তা ঠিক করে।",
+    phases: {
+      mantra: (s) => `যেমন করেন তেমনই মন্ত্র জপ করুন… ${s} সে`,
+      other: (s) => `এবার অন্য যেকোনো কিছু বলুন… ${s} সে`,
+    },
+    cancel: "বাতিল",
+    result: (fp, base, det) =>
+      `এইমাত্র রেকর্ড করা নমুনায় — আপনার জপে ভুল বিপ: ${fp}% (ডিফল্ট: ${base}%)। অন্য কথা ধরা পড়েছে: ${det}%। আসল জপে একটু কম নির্ভুল হতে পারে।`,
+    save: "এগুলো ব্যবহার করুন",
+    discard: "বাদ দিন",
+    reset: "ডিফল্টে ফিরুন",
+    calibrated: (fp) => `এই মাইক্রোফোনের জন্য মাপা · প্রায় ${fp}% ভুল বিপ`,
+    errors: {
+      tooFewChants: "মন্ত্র খুব কম শনাক্ত হয়েছে। একটু জোরে জপ করে আবার চেষ্টা করুন।",
+      tooFewOther: "অন্য কোনো কথা শনাক্ত হয়নি। একটি পুরো বাক্য বলে আবার চেষ্টা করুন।",
+    },
+  },
+  calibrate: "ঘরের আওয়াজ মাপুন",
+  calibrating: "3 সেকেন্ড চুপ থাকুন…",
+  noiseLevel: "ঘরের আওয়াজের মাত্রা",
+  noMic: "মাইক্রোফোন পাওয়া যাচ্ছে না। অনুগ্রহ করে মাইক্রোফোনের অনুমতি দিন।",
+  soundSettings: "স্মরণের শব্দ",
+  volume: "আওয়াজ",
+  soundEvents: {
+    silence: "নীরবতা",
+    mismatch: "ভুল জপ",
+    pace: "পিছিয়ে পড়া (একসাথে জপ)",
+    fast: "খুব দ্রুত",
+    mala: "মালা সম্পূর্ণ",
+    goal: "লক্ষ্য পূরণ",
+  },
+  soundPresets: {
+    soft: "মৃদু বিপ",
+    bell: "ঘণ্টি",
+    ghanta: "ঘণ্টা",
+    tanpura: "তানপুরা",
+    chime: "টুংটাং",
+  },
+  vibration: "কম্পন",
+  vibrationPatterns: { off: "বন্ধ", short: "ছোট", double: "দ্বিগুণ", long: "লম্বা" },
+  preview: "শুনুন",
+  escalation: "উপেক্ষিত স্মরণের তীব্রতা বাড়ান",
+  louderAfter: "জোরে, এতবার পরে",
+  insistentAfter: "তীব্র শব্দ, এতবার পরে",
+  pauseAfter: "সেশন থামান, এতবার পরে",
+  remindersUnit: "স্মরণ",
+  spokenPrompt: "জাগানোর বার্তাও বলে শোনান",
+  wakePrompt: "অনুগ্রহ করে জপ চালিয়ে যান",
+  abandonedNotice: (n) => plural(n, { other: "#টি স্মরণে সাড়া না পেয়ে সেশন থামানো হয়েছে।" }),
+  abandoned: "অসম্পূর্ণ",
+  dismiss: "বন্ধ করুন",
+  noSpeechRecognition: "এই ব্রাউজারে কণ্ঠস্বর শনাক্তকরণ সমর্থিত নয়।",
+  voiceGuidance: "কণ্ঠ নির্দেশনা",
+  voiceGuidanceOn: "স্মরণ ও বার্তা বলে শোনান",
+  voiceLabel: "কণ্ঠ",
+  voiceDefault: "ডিফল্ট",
+  voiceRate: "গতি",
+  voicePrompts: {
+    silence: "জপ চালিয়ে যান",
+    mismatch: (m) => `${m} জপ করুন`,
+    mala: (n) => `মালা ${n} সম্পূর্ণ`,
+    goal: "সেশন সম্পূর্ণ",
+    behind: "ধীরে সুস্থে। আমার পরে বলুন।",
+    slowDown: "ধীরে জপ করুন",
+  },
+  goalLabel: "সেশনের লক্ষ্য",
+  goalKinds: { open: "খোলা", time: "সময়", reps: "জপ সংখ্যা" },
+  minutesUnit: "মিনিট",
+  goalRepsHint: "জপ সংখ্যার লক্ষ্যের জন্য মন্ত্র শনাক্তকরণ লাগে।",
+  timeLeft: "বাকি",
+  summaryTitle: "সেশনের সারাংশ",
+  goalReached: "লক্ষ্য পূরণ 🎉",
+  summaryChanting: "জপ",
+  summarySilent: "নীরবতা",
+  summarySilenceReminders: "নীরবতার স্মরণ",
+  summaryMismatchReminders: "ভুল জপের স্মরণ",
+  summaryLongest: "দীর্ঘতম টানা জপ",
+  scheduleTitle: "সাধনার স্মরণ",
+  scheduleEnable: "এই সময়গুলোতে জানান",
+  scheduleMantra: "মন্ত্র",
+  scheduleActiveMantra: "বর্তমান মন্ত্র",
+  addReminder: "+ সময় যোগ করুন",
+  removeReminder: "সরান",
+  weekdays: ["রবি", "সোম", "মঙ্গল", "বুধ", "বৃহঃ", "শুক্র", "শনি"],
+  nextReminder: "পরের স্মরণ",
+  scheduleHint:
+    "এই পেজ (বা ইনস্টল করা অ্যাপ) খোলা থাকলেই শুধু স্মরণ আসে, পেছনের ট্যাবেও। বন্ধ করলে কোনো স্মরণ আসে না।",
+  notificationsBlocked: "বিজ্ঞপ্তি বন্ধ আছে। ব্রাউজারের সাইট সেটিংসে অনুমতি দিন।",
+  notificationsUnsupported: "এই ব্রাউজার বিজ্ঞপ্তি দেখাতে পারে না।",
+  notifyTitle: "জপের সময় 🙏",
+  notifyBody: (m) => (m ? `"${m}" জপ শুরু করতে ট্যাপ করুন।` : "জপ শুরু করতে ট্যাপ করুন।"),
+  reconnecting: "শনাক্তকরণ থেমেছে, আবার সংযোগ হচ্ছে…",
+  backup: {
+    title: "ব্যাকআপ",
+    exportJson: "ব্যাকআপ রপ্তানি (JSON)",
+    exportCsv: "ইতিহাস রপ্তানি (CSV)",
+    importFile: "ব্যাকআপ আমদানি…",
+    modes: { merge: "এই ডিভাইসের ডেটার সাথে মেলান", replace: "এই ডিভাইসের ডেটা বদলে দিন" },
+    confirmReplace: "আপনার মন্ত্র, সেটিংস ও ইতিহাস ব্যাকআপ দিয়ে বদলে দেবেন?",
+    imported: (m, s) =>
+      `${plural(m, { other: "#টি মন্ত্র" })} ও ${plural(s, { other: "#টি সেশন" })} আমদানি হয়েছে।`,
+    errors: {
+      invalidJson: "ফাইলটি বৈধ JSON নয়।",
+      notBackup: "ফাইলটি জপ স্মরণের ব্যাকআপ নয়।",
+      newerVersion: "এই ব্যাকআপ অ্যাপের নতুন সংস্করণের। অনুগ্রহ করে আগে আপডেট করুন।",
+      badField: "ব্যাকআপ ফাইলটি নষ্ট, আমদানি হয়নি।",
+    },
+  },
+  diagnostics: {
+    micPermission: "মাইক্রোফোনের অনুমতি",
+    permissionStates: {
+      granted: "অনুমতি আছে",
+      denied: "অবরুদ্ধ",
+      prompt: "এখনও জিজ্ঞাসা করা হয়নি",
+      unknown: "অজানা",
+    },
+    recognizerState: "শনাক্তকরণ",
+    states: {
+      idle: "নিষ্ক্রিয়",
+      listening: "শুনছে",
+      reconnecting: "আবার সংযোগ হচ্ছে",
+      recording: "রেকর্ড হচ্ছে",
+      testing: "যাচাই",
+    },
+    lastErrors: "সাম্প্রতিক সমস্যা",
+    noErrors: "এখন পর্যন্ত কোনো সমস্যা নেই।",
+    sources: {
+      listen: "শোনা",
+      record: "রেকর্ডিং",
+      test: "যাচাই",
+      mic: "মাইক যাচাই",
+      calibrate: "মাপা",
+    },
+    micTest: "মাইক্রোফোন যাচাই করুন",
+    micTesting: "কিছু বলুন…",
+    micOk: "মাইক্রোফোন ঠিকমতো কাজ করছে।",
+    micSilent: "মাইক্রোফোন চালু আছে কিন্তু প্রায় কিছুই শোনা যায়নি। ইনপুট ডিভাইস দেখুন বা কাছে এসে বলুন।",
+    whatToTry: "কী চেষ্টা করবেন",
+    advice: {
+      permission:
+        "মাইক্রোফোন অবরুদ্ধ। ঠিকানা বারের তালা চিহ্নে ক্লিক করুন, মাইক্রোফোনের অনুমতি দিন, তারপর পেজ রিলোড করুন।",
+      network:
+        "ব্রাউজারের কণ্ঠস্বর শনাক্তকরণের জন্য ইন্টারনেট লাগে। সংযোগ দেখুন, অ্যাড ব্লকার / Brave শিল্ড বন্ধ করুন, বা অফলাইন ইঞ্জিন বেছে নিন।",
+      audioCapture:
+        "মাইক্রোফোন পাওয়া যায়নি বা অন্য কোনো অ্যাপ সেটি ব্যবহার করছে। হেডসেট লাগান বা মাইক ব্যবহারকারী অন্য অ্যাপ বন্ধ করুন।",
+      noSpeech: "কিছুক্ষণ কিছু শোনা যায়নি। একটু জোরে বা মাইকের কাছে বলুন।",
+      aborted: "শনাক্তকরণ মাঝপথে থেমে গেছে (প্রায়ই অন্য ট্যাব মাইক ব্যবহার করায়)। এটি নিজে থেকেই আবার শুরু হয়।",
+      language: "এই ব্রাউজার বেছে নেওয়া ভাষা চিনতে পারে না। Chrome বা অফলাইন ইঞ্জিন চেষ্টা করুন।",
+      model: "অফলাইন কণ্ঠস্বর মডেল লোড হয়নি। সেটি /models-এ রাখা আছে কি না দেখুন।",
+      unknown: "অপ্রত্যাশিত কিছু ভুল হয়েছে। পেজ রিলোড করে আবার চেষ্টা করুন।",
+    },
+    general: [
+      "অ্যাড ব্লকার / Brave শিল্ড বন্ধ করুন।",
+      "মাইক্রোফোনের অনুমতি দিন।",
+      "সেরা শনাক্তকরণের জন্য Chrome ব্যবহার করুন।",
+      "মাইকসহ ইয়ারবাড/হেডসেট ব্যবহার করুন।",
+      "যেখানে সম্ভব, শোনার সময় স্ক্রিন জেগে থাকে; পেছনের ট্যাব তবুও শোনা থামিয়ে দিতে পারে।",
+      "স্পষ্ট করে বলুন; স্থির গতিতে শনাক্তকরণ ভালো হয়।",
+    ],
+  },
+};
+
+export default catalog;
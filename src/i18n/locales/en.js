@@ -0,0 +1,342 @@
+/* English (base catalog: every key lives here; other locales fall back to it) */
+import { pluralizer } from "../plural";
+
+const plural = pluralizer("en");
+
+const catalog = {
+  title: "Chant Reminder",
+  step1: "Record your mantra and save it.",
+  step2: "Start listening to track your chant.",
+  step3: "Soft beep if you stop (gap) or chant something else.",
+  gotIt: "Continue",
+  savedMantra: "Saved Mantra",
+  record: "Record Mantra",
+  recordAnother: "Record Another Mantra",
+  stopSave: "Stop & Save",
+  startListening: "Start Listening",
+  stopListening: "Stop Listening",
+  chantSince: "Chant Time Since Reminder",
+  gapLabel: "Silence Beep Gap (seconds)",
+  troubleshooting: "Troubleshooting",
+  recording: "Recording...",
+  note1: "Beep if you stop chanting longer than",
+  note2: "seconds or your speech doesn't include your mantra.",
+  pleaseRecordFirst: "Please record a mantra first.",
+  noAudio: "No audio captured. Please record again.",
+  mantraSaved: (m) => `Mantra saved: "${m}"`,
+  liveChant: "Live Chant",
+  showLive: "Show Live Chant",
+  hideLive: "Hide Live Chant",
+  repetitions: "Repetitions",
+  malas: "Malas",
+  malaTarget: "Mala Target",
+  custom: "Custom",
+  history: "Practice History",
+  streak: (n) => plural(n, { one: "#-day streak", other: "#-day streak" }),
+  today: "Today",
+  last7Days: "Last 7 days",
+  last4Weeks: "Last 4 weeks",
+  weekOf: "Week of",
+  sessionsCount: (n) => plural(n, { one: "# session", other: "# sessions" }),
+  noHistory: "No sessions yet. Start listening to record one.",
+  recentSessions: "Recent sessions",
+  longestStreak: "longest",
+  silenceShort: "silence",
+  mismatchShort: "wrong",
+  none: "None",
+  listening: "Listening...",
+  duration: (m, s) => (m ? `${m}m ${s}s` : `${s}s`),
+  languageLabel: "Language",
+  youtubeTitle: "Please check if you want to change your life",
+  emailTitle: "Email me",
+  typeMantra: "Type a Mantra",
+  edit: "Edit",
+  delete: "Delete",
+  mantraName: "Name",
+  mantraText: "Mantra",
+  save: "Save",
+  cancel: "Cancel",
+  confirmDelete: (n) => `Delete "${n}"?`,
+  mantraHint: "Type in Latin (sita ram) or any Indian script (सीता राम).",
+  script: "Script",
+  scripts: {
+    latin: "Latin",
+    devanagari: "Devanagari",
+    bengali: "Bengali",
+    gurmukhi: "Gurmukhi",
+    gujarati: "Gujarati",
+    tamil: "Tamil",
+    telugu: "Telugu",
+    mixed: "Mixed",
+  },
+  testIt: "Test It",
+  testStop: "Stop Test",
+  testPrompt: "Say the mantra once…",
+  testNothing: "Nothing heard. Try again.",
+  testHeard: "You said",
+  testTokens: "Mantra words",
+  testCounts: "Counts as chanting.",
+  testMismatch: "Would beep as a wrong chant.",
+  testIgnored: "Ignored as noise.",
+  strictnessLabel: "Matching",
+  strictness: { lenient: "Lenient", normal: "Normal", strict: "Strict" },
+  strictnessHint: {
+    lenient: "Any one mantra word counts, even loosely pronounced.",
+    normal: "At least half of the mantra's words must be heard.",
+    strict: "The full mantra must be heard, in order.",
+  },
+  recognizerLabel: "Speech Engine",
+  recognizers: { webspeech: "Browser (online)", offline: "Offline (on-device)" },
+  offlineHint: "Offline mode downloads a small speech model once; it must be hosted under /models.",
+  recognitionLang: "Chanted In",
+  recognitionLangHint: "Recognition follows the mantra, not the interface language. For Sanskrit choose हिन्दी.",
+  tryLocales: "Try several recognition languages",
+  tryLocalesHint: "The first chants are heard in each language in turn and the best match is kept for this mantra.",
+  localeProbing: (name) => `Trying ${name}…`,
+  localeChosen: (name) => `Best recognition match: ${name}`,
+  noSupportedLocale: "None of the languages tried can be recognized in this browser. Try Chrome or the offline engine.",
+  noReference: "This mantra has no recording yet. Record it first.",
+  playReference: "Play recording",
+  stopReference: "Stop playback",
+  audioMantraName: (time) => `Recording ${time}`,
+  audioMantraSaved: "Recording saved. Choose Sound match to chant with it.",
+  timeline: {
+    silence: "Silence reminder",
+    mismatch: "Wrong-chant reminder",
+    pace: "Fell behind the guide",
+    fast: "Too-fast reminder",
+    review: "Review what the detector heard",
+    verdicts: { heard: "Counted as the mantra", mismatch: "Not the mantra", ignored: "Ignored" },
+  },
+  listenModeLabel: "Detection",
+  listenModes: {
+    speech: "Mantra recognition",
+    voice: "Voice only",
+    acoustic: "Sound match",
+    guided: "Guided",
+  },
+  listenModeHint: {
+    speech: "Checks that what you chant is your mantra.",
+    voice: "Beeps when you stop making sound. Works in any browser, even offline.",
+    acoustic:
+      "Compares your chanting with your own recording of the mantra. For bija mantras the recognizer can't spell.",
+    guided: "The app chants the mantra, you repeat it. Good for beginners and kids.",
+  },
+  room: {
+    title: "Group Room",
+    nameLabel: "Your name",
+    serverLabel: "Room server",
+    create: "Create room",
+    codePlaceholder: "Code",
+    join: "Join",
+    connecting: "Connecting…",
+    hint:
+      "One person runs the room server (npm run room-server); everyone joins with the room code.",
+    together: "Together",
+    host: "host",
+    you: "you",
+    startAll: "Start everyone",
+    stopAll: "Stop everyone",
+    leave: "Leave",
+    events: {
+      cycle: (name) => `${name} completed a recitation`,
+      silence: (name) => `${name} got a silence reminder`,
+      mismatch: (name) => `${name} got a wrong-chant reminder`,
+    },
+    errors: {
+      unreachable: "Couldn't reach the room server. Check the address and that it is running.",
+      disconnected: "Lost the connection to the room.",
+      roomNotFound: "No room with that code.",
+      notHost: "Only the host can start or stop everyone.",
+      badMessage: "The room server didn't understand the app. Update the server.",
+      alreadyInRoom: "Already in a room.",
+      notInRoom: "Not in a room.",
+    },
+  },
+  pace: {
+    tooFastLabel: "Remind me when I chant too fast",
+    perMinute: "recitations per minute at most",
+    live: (rpm, steady) => `Pace ${rpm.toFixed(1)}/min · Steadiness ${steady}%`,
+    summary: (rpm, steady) => `Average pace: ${rpm.toFixed(1)}/min · Steadiness ${steady}%`,
+  },
+  guided: {
+    tempo: (n) => `Tempo: ${n} per minute`,
+    voiceLabel: "Guide voice",
+    voices: { recording: "My recording", speech: "Synthesized voice" },
+    listen: "Listen…",
+    yourTurn: "Your turn",
+    stats: ({ onPace, late, missed }) => `On pace ${onPace} · Late ${late} · Missed ${missed}`,
+    noVoice: "This browser can't speak the mantra. Record a reference for it first.",
+  },
+  mismatchCal: {
+    start: "Calibrate Wrong-Chant Beeps",
+    hint: "Tunes when a wrong chant beeps, for the microphone in use.",
+    phases: {
+      mantra: (s) => `Chant your mantra as usual… ${s}s`,
+      other: (s) => `Now say anything else… ${s}s`,
+    },
+    cancel: "Cancel",
+    result: (fp, base, det) =>
+      `On this recording: ${fp}% false beeps on your chanting (defaults: ${base}%), ${det}% of other speech caught. Expect a little worse in practice.`,
+    save: "Use These",
+    discard: "Discard",
+    reset: "Reset to Defaults",
+    calibrated: (fp) => `Calibrated for this microphone · about ${fp}% false beeps`,
+    errors: {
+      tooFewChants: "Too little of the mantra was recognized. Chant a little louder and try again.",
+      tooFewOther: "No other speech was recognized. Speak a full sentence and try again.",
+    },
+  },
+  calibrate: "Calibrate Room Noise",
+  calibrating: "Stay quiet for 3 seconds…",
+  noiseLevel: "Room noise level",
+  noMic: "Microphone not available. Please allow microphone access.",
+  soundSettings: "Reminder Sounds",
+  volume: "Volume",
+  soundEvents: {
+    silence: "Silence",
+    mismatch: "Wrong chant",
+    pace: "Fell behind (guided)",
+    fast: "Too fast",
+    mala: "Mala complete",
+    goal: "Goal reached",
+  },
+  soundPresets: {
+    soft: "Soft beep",
+    bell: "Bell",
+    ghanta: "Ghanta",
+    tanpura: "Tanpura drone",
+    chime: "Chime",
+  },
+  vibration: "Vibration",
+  vibrationPatterns: { off: "Off", short: "Short", double: "Double", long: "Long" },
+  preview: "Play",
+  escalation: "Escalate ignored reminders",
+  louderAfter: "Louder after",
+  insistentAfter: "Insistent sound after",
+  pauseAfter: "Pause session after",
+  remindersUnit: "reminders",
+  spokenPrompt: "Also speak a wake-up prompt",
+  wakePrompt: "Please continue chanting",
+  abandonedNotice: (n) =>
+    plural(n, {
+      one: "Session paused after # unanswered reminder.",
+      other: "Session paused after # unanswered reminders.",
+    }),
+  abandoned: "abandoned",
+  dismiss: "Dismiss",
+  noSpeechRecognition: "Speech Recognition not supported in this browser.",
+  voiceGuidance: "Voice Guidance",
+  voiceGuidanceOn: "Speak reminders and messages",
+  voiceLabel: "Voice",
+  voiceDefault: "Default",
+  voiceRate: "Speed",
+  voicePrompts: {
+    silence: "Continue chanting",
+    mismatch: (m) => `Chant ${m}`,
+    mala: (n) => `Mala ${n} complete`,
+    goal: "Session complete",
+    behind: "Take your time. Repeat after me.",
+    slowDown: "Slow down",
+  },
+  goalLabel: "Session Goal",
+  goalKinds: { open: "Open", time: "Timed", reps: "Repetitions" },
+  minutesUnit: "min",
+  goalRepsHint: "Repetition goals need mantra recognition.",
+  timeLeft: "left",
+  summaryTitle: "Session Summary",
+  goalReached: "Goal reached 🎉",
+  summaryChanting: "Chanting",
+  summarySilent: "Silence",
+  summarySilenceReminders: "Silence reminders",
+  summaryMismatchReminders: "Wrong-chant reminders",
+  summaryLongest: "Longest unbroken run",
+  scheduleTitle: "Practice Reminders",
+  scheduleEnable: "Notify me at these times",
+  scheduleMantra: "Mantra",
+  scheduleActiveMantra: "Current mantra",
+  addReminder: "+ Add time",
+  removeReminder: "Remove",
+  weekdays: ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"],
+  nextReminder: "Next reminder",
+  scheduleHint:
+    "Reminders only come while this page (or the installed app) stays open, even in a background tab. Once it is closed, none arrive.",
+  notificationsBlocked: "Notifications are blocked. Allow them in the browser's site settings.",
+  notificationsUnsupported: "This browser can't show notifications.",
+  notifyTitle: "Time to chant 🙏",
+  notifyBody: (m) => (m ? `Tap to start chanting "${m}".` : "Tap to start chanting."),
+  reconnecting: "Recognizer paused, reconnecting…",
+  backup: {
+    title: "Backup",
+    exportJson: "Export backup (JSON)",
+    exportCsv: "Export history (CSV)",
+    importFile: "Import backup…",
+    modes: { merge: "Merge with this device", replace: "Replace this device's data" },
+    confirmReplace: "Replace your mantras, settings and history with the backup?",
+    imported: (m, s) =>
+      `Imported ${plural(m, { one: "# mantra", other: "# mantras" })} and ${plural(s, {
+        one: "# session",
+        other: "# sessions",
+      })}.`,
+    errors: {
+      invalidJson: "That file isn't valid JSON.",
+      notBackup: "That file isn't a Chant Reminder backup.",
+      newerVersion: "That backup is from a newer version of the app. Please update first.",
+      badField: "The backup file is damaged and wasn't imported.",
+    },
+  },
+  diagnostics: {
+    micPermission: "Microphone permission",
+    permissionStates: {
+      granted: "Allowed",
+      denied: "Blocked",
+      prompt: "Not asked yet",
+      unknown: "Unknown",
+    },
+    recognizerState: "Recognizer",
+    states: {
+      idle: "Idle",
+      listening: "Listening",
+      reconnecting: "Reconnecting",
+      recording: "Recording",
+      testing: "Testing",
+    },
+    lastErrors: "Recent problems",
+    noErrors: "No problems so far.",
+    sources: {
+      listen: "listening",
+      record: "recording",
+      test: "test",
+      mic: "mic test",
+      calibrate: "calibration",
+    },
+    micTest: "Test Microphone",
+    micTesting: "Say something…",
+    micOk: "Microphone works.",
+    micSilent: "Microphone is on but heard almost nothing. Check the input device or move closer.",
+    whatToTry: "What to try",
+    advice: {
+      permission:
+        "The microphone is blocked. Click the lock icon in the address bar, allow the microphone, then reload.",
+      network:
+        "Browser speech recognition needs the internet. Check your connection, disable ad blockers / Brave shields, or switch to the offline speech engine.",
+      audioCapture:
+        "No microphone was found or another app is using it. Plug in a headset or close other apps using the mic.",
+      noSpeech: "Nothing was heard for a while. Speak a little louder or closer to the mic.",
+      aborted: "Recognition was interrupted (often by another tab using the mic). It restarts by itself.",
+      language: "This browser can't recognize the selected language. Try Chrome or the offline engine.",
+      model: "The offline speech model couldn't load. Check that it is hosted under /models.",
+      unknown: "Something unexpected went wrong. Reload the page and try again.",
+    },
+    general: [
+      "Disable ad blockers / Brave shields.",
+      "Allow microphone permission.",
+      "Use Chrome for best speech recognition.",
+      "Use earbuds/headset with a mic.",
+      "The screen stays awake while listening where supported; background tabs may still pause listening.",
+      "Speak clearly; steady pace helps recognition.",
+    ],
+  },
+};
+
+export default catalog;
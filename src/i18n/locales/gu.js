@@ -0,0 +1,337 @@
+/* ગુજરાતી */
+import { pluralizer } from "../plural";
+
+const plural = pluralizer("gu");
+
+const catalog = {
+  title: "જપ યાદ",
+  step1: "તમારો મંત્ર રેકોર્ડ કરો અને સાચવો.",
+  step2: "જપ પર નજર રાખવા માટે સાંભળવાનું શરૂ કરો.",
+  step3: "તમે અટકો અથવા બીજું કંઈ બોલો તો હળવો બીપ.",
+  gotIt: "બરાબર",
+  savedMantra: "સાચવેલો મંત્ર",
+  record: "મંત્ર રેકોર્ડ કરો",
+  recordAnother: "બીજો મંત્ર રેકોર્ડ કરો",
+  stopSave: "રોકો અને સાચવો",
+  startListening: "સાંભળવાનું શરૂ કરો",
+  stopListening: "સાંભળવાનું બંધ કરો",
+  chantSince: "છેલ્લી યાદ પછીનો જપ સમય",
+  gapLabel: "બીપ અંતરાલ (સેકન્ડ)",
+  troubleshooting: "સમસ્યા નિવારણ",
+  recording: "રેકોર્ડ થઈ રહ્યું છે...",
+  note1: "જો તમે",
+  note2: "સેકન્ડથી વધુ અટકો અથવા બીજું કંઈ બોલો તો બીપ.",
+  pleaseRecordFirst: "કૃપા કરીને પહેલા મંત્ર રેકોર્ડ કરો.",
+  noAudio: "કોઈ અવાજ મળ્યો નથી. ફરી રેકોર્ડ કરો.",
+  mantraSaved: (m) => `મંત્ર સાચવ્યો: "${m}"`,
+  liveChant: "જીવંત જપ",
+  showLive: "જીવંત જપ બતાવો",
+  hideLive: "જીવંત જપ છુપાવો",
+  repetitions: "જપ સંખ્યા",
+  malas: "માળા",
+  malaTarget: "માળા લક્ષ્ય",
+  custom: "પોતાનું",
+  history: "સાધના ઇતિહાસ",
+  streak: (n) => plural(n, { one: "સતત # દિવસ", other: "સતત # દિવસ" }),
+  today: "આજે",
+  last7Days: "છેલ્લા 7 દિવસ",
+  last4Weeks: "છેલ્લા 4 અઠવાડિયા",
+  weekOf: "અઠવાડિયું",
+  sessionsCount: (n) => plural(n, { one: "# સત્ર", other: "# સત્રો" }),
+  noHistory: "હજી કોઈ સત્ર નથી. એક નોંધવા માટે સાંભળવાનું શરૂ કરો.",
+  recentSessions: "તાજેતરનાં સત્રો",
+  longestStreak: "સૌથી લાંબો",
+  silenceShort: "મૌન",
+  mismatchShort: "ખોટો",
+  none: "કંઈ નહીં",
+  listening: "સાંભળી રહ્યું છે...",
+  duration: (m, s) => (m ? `${m} મિ ${s} સે` : `${s} સે`),
+  languageLabel: "ભાષા",
+  youtubeTitle: "તમે તમારું જીવન બદલવા માંગતા હો તો જરૂર જુઓ",
+  emailTitle: "મને ઇમેઇલ કરો",
+  typeMantra: "મંત્ર લખો",
+  edit: "બદલો",
+  delete: "કાઢી નાખો",
+  mantraName: "નામ",
+  mantraText: "મંત્ર",
+  save: "સાચવો",
+  cancel: "રદ કરો",
+  confirmDelete: (n) => `"${n}" કાઢી નાખવો છે?`,
+  mantraHint: "લેટિન (sita ram) અથવા કોઈપણ ભારતીય લિપિમાં (સીતા રામ) લખો.",
+  script: "લિપિ",
+  scripts: {
+    latin: "લેટિન",
+    devanagari: "દેવનાગરી",
+    bengali: "બંગાળી",
+    gurmukhi: "ગુરુમુખી",
+    gujarati: "ગુજરાતી",
+    tamil: "તમિલ",
+    telugu: "તેલુગુ",
+    mixed: "મિશ્ર",
+  },
+  testIt: "ચકાસો",
+  testStop: "ચકાસણી રોકો",
+  testPrompt: "મંત્ર એક વાર બોલો…",
+  testNothing: "કંઈ સંભળાયું નહીં. ફરી પ્રયત્ન કરો.",
+  testHeard: "તમે બોલ્યા",
+  testTokens: "મંત્રના શબ્દો",
+  testCounts: "જપ તરીકે ગણાશે.",
+  testMismatch: "ખોટા જપનો બીપ વાગશે.",
+  testIgnored: "અવાજ ગણીને અવગણાશે.",
+  strictnessLabel: "મેળ",
+  strictness: { lenient: "ઢીલું", normal: "સામાન્ય", strict: "કડક" },
+  strictnessHint: {
+    lenient: "મંત્રનો કોઈપણ એક શબ્દ, થોડો અલગ ઉચ્ચાર હોય તો પણ, ગણાય છે.",
+    normal: "મંત્રના ઓછામાં ઓછા અડધા શબ્દો સંભળાવા જોઈએ.",
+    strict: "આખો મંત્ર ક્રમમાં સંભળાવો જોઈએ.",
+  },
+  recognizerLabel: "વાણી ઓળખ એન્જિન",
+  recognizers: { webspeech: "બ્રાઉઝર (ઓનલાઇન)", offline: "ઓફલાઇન (ઉપકરણ પર)" },
+  offlineHint: "ઓફલાઇન મોડ એક વાર નાનું વાણી મોડેલ ડાઉનલોડ કરે છે; તે /models પર હોવું જોઈએ.",
+  recognitionLang: "જપની ભાષા",
+  recognitionLangHint: "ઓળખ મંત્રની ભાષા પ્રમાણે થાય છે, એપની ભાષા પ્રમાણે નહીં. સંસ્કૃત માટે હિન્દી પસંદ કરો.",
+  tryLocales: "ઘણી ઓળખ ભાષાઓ અજમાવો",
+  tryLocalesHint: "પહેલા થોડા જપ દરેક ભાષામાં વારાફરતી સાંભળવામાં આવે છે અને શ્રેષ્ઠ મેળ આ મંત્ર માટે રખાય છે.",
+  localeProbing: (name) => `${name} અજમાવી રહ્યા છીએ…`,
+  localeChosen: (name) => `શ્રેષ્ઠ ઓળખ મેળ: ${name}`,
+  noSupportedLocale: "અજમાવેલી કોઈ પણ ભાષા આ બ્રાઉઝરમાં ઓળખી શકાતી નથી. Chrome અથવા ઑફલાઇન એન્જિન અજમાવો.",
+  noReference: "આ મંત્રનું હજી કોઈ રેકોર્ડિંગ નથી. પહેલા રેકોર્ડ કરો.",
+  playReference: "રેકોર્ડિંગ સાંભળો",
+  stopReference: "રોકો",
+  audioMantraName: (time) => `રેકોર્ડિંગ ${time}`,
+  audioMantraSaved: "રેકોર્ડિંગ સાચવ્યું. તેની સાથે જપ કરવા ધ્વનિ મેળ પસંદ કરો.",
+  timeline: {
+    silence: "મૌનની યાદ",
+    mismatch: "ખોટા જપની યાદ",
+    pace: "માર્ગદર્શકથી પાછળ રહી ગયા",
+    fast: "ખૂબ ઝડપી જપની યાદ",
+    review: "ડિટેક્ટરે શું સાંભળ્યું તે જુઓ",
+    verdicts: { heard: "મંત્ર તરીકે ગણાયું", mismatch: "મંત્ર નથી", ignored: "અવગણ્યું" },
+  },
+  listenModeLabel: "ઓળખ",
+  listenModes: {
+    speech: "મંત્ર ઓળખ",
+    voice: "ફક્ત અવાજ",
+    acoustic: "ધ્વનિ મેળ",
+    guided: "સાથે જપ",
+  },
+  listenModeHint: {
+    speech: "તમે તમારો જ મંત્ર જપો છો કે નહીં તે ચકાસે છે.",
+    voice: "અવાજ અટકે કે તરત બીપ. દરેક બ્રાઉઝરમાં, ઓફલાઇન પણ ચાલે છે.",
+    acoustic:
+      "તમારા જપને મંત્રના તમારા પોતાના રેકોર્ડિંગ સાથે મેળવે છે. ઓળખ એન્જિન લખી ન શકે તેવા બીજ મંત્રો માટે.",
+    guided: "એપ મંત્ર બોલે છે, તમે તેને ફરી બોલો છો. શરૂઆત કરનારા અને બાળકો માટે સારું.",
+  },
+  room: {
+    title: "સામૂહિક જપ ખંડ",
+    nameLabel: "તમારું નામ",
+    serverLabel: "ખંડ સર્વર",
+    create: "ખંડ બનાવો",
+    codePlaceholder: "કોડ",
+    join: "જોડાઓ",
+    connecting: "જોડાઈ રહ્યા છીએ…",
+    hint: "એક વ્યક્તિ ખંડ સર્વર ચલાવે (npm run room-server); બાકીના બધા ખંડ કોડથી જોડાય.",
+    together: "બધા મળીને",
+    host: "યજમાન",
+    you: "તમે",
+    startAll: "બધાનો જપ શરૂ કરો",
+    stopAll: "બધાનો જપ રોકો",
+    leave: "છોડો",
+    events: {
+      cycle: (name) => `${name}એ એક જપ પૂર્ણ કર્યો`,
+      silence: (name) => `${name}ને મૌનની યાદ મળી`,
+      mismatch: (name) => `${name}ને ખોટા જપની યાદ મળી`,
+    },
+    errors: {
+      unreachable: "ખંડ સર્વર સુધી પહોંચી શકાયું નહીં. સરનામું તપાસો અને સર્વર ચાલુ છે કે નહીં તે જુઓ.",
+      disconnected: "ખંડ સાથેનો સંપર્ક તૂટી ગયો.",
+      roomNotFound: "આ કોડનો કોઈ ખંડ નથી.",
+      notHost: "ફક્ત યજમાન જ બધાને શરૂ કે બંધ કરી શકે છે.",
+      badMessage: "ખંડ સર્વર એપને સમજી શક્યું નહીં. સર્વર અપડેટ કરો.",
+      alreadyInRoom: "તમે પહેલેથી એક ખંડમાં છો.",
+      notInRoom: "તમે કોઈ ખંડમાં નથી.",
+    },
+  },
+  pace: {
+    tooFastLabel: "ખૂબ ઝડપથી જપ કરું તો યાદ અપાવો",
+    perMinute: "પ્રતિ મિનિટ વધુમાં વધુ જપ",
+    live: (rpm, steady) => `ગતિ ${rpm.toFixed(1)}/મિનિટ · સ્થિરતા ${steady}%`,
+    summary: (rpm, steady) => `સરેરાશ ગતિ: ${rpm.toFixed(1)}/મિનિટ · સ્થિરતા ${steady}%`,
+  },
+  guided: {
+    tempo: (n) => `ગતિ: પ્રતિ મિનિટ ${n}`,
+    voiceLabel: "માર્ગદર્શકનો અવાજ",
+    voices: { recording: "મારું રેકોર્ડિંગ", speech: "કૃત્રિમ અવાજ" },
+    listen: "સાંભળો…",
+    yourTurn: "હવે તમે",
+    stats: ({ onPace, late, missed }) => `સમયસર ${onPace} · મોડું ${late} · ચૂક્યા ${missed}`,
+    noVoice: "આ બ્રાઉઝર મંત્ર બોલી શકતું નથી. પહેલા તેનું રેકોર્ડિંગ કરો.",
+  },
+  mismatchCal: {
+    start: "ખોટા જપના બીપ માપો",
+    hint: "આ માઇક્રોફોન માટે ખોટા જપ પર બીપ ક્યારે વાગે તે નક્કી કરે છે.",
+    phases: {
+      mantra: (s) => `હંમેશની જેમ મંત્ર જપો… ${s} સે`,
+      other: (s) => `હવે બીજું કંઈ પણ બોલો… ${s} સે`,
+    },
+    cancel: "રદ કરો",
+    result: (fp, base, det) =>
+      `હમણાં રેકોર્ડ કરેલા નમૂનાઓ પર — તમારા જપ પર ખોટા બીપ: ${fp}% (ડિફૉલ્ટ: ${base}%). બીજી વાતો પકડાઈ: ${det}%. ખરેખરા જપમાં થોડું ઓછું સચોટ હોઈ શકે.`,
+    save: "આ વાપરો",
+    discard: "રદ કરો",
+    reset: "ડિફૉલ્ટ પર પાછા જાઓ",
+    calibrated: (fp) => `આ માઇક્રોફોન માટે માપ્યું · લગભગ ${fp}% ખોટા બીપ`,
+    errors: {
+      tooFewChants: "મંત્ર બહુ ઓછો ઓળખાયો. થોડા મોટેથી જપો અને ફરી પ્રયત્ન કરો.",
+      tooFewOther: "બીજી કોઈ વાત ઓળખાઈ નહીં. આખું વાક્ય બોલો અને ફરી પ્રયત્ન કરો.",
+    },
+  },
+  calibrate: "ઓરડાનો અવાજ માપો",
+  calibrating: "3 સેકન્ડ શાંત રહો…",
+  noiseLevel: "ઓરડાના અવાજનું સ્તર",
+  noMic: "માઇક્રોફોન ઉપલબ્ધ નથી. કૃપા કરીને માઇક્રોફોનની પરવાનગી આપો.",
+  soundSettings: "યાદના અવાજો",
+  volume: "અવાજ",
+  soundEvents: {
+    silence: "મૌન",
+    mismatch: "ખોટો જપ",
+    pace: "પાછળ રહી ગયા (સાથે જપ)",
+    fast: "ખૂબ ઝડપી",
+    mala: "માળા પૂર્ણ",
+    goal: "લક્ષ્ય પૂર્ણ",
+  },
+  soundPresets: {
+    soft: "હળવો બીપ",
+    bell: "ઘંટડી",
+    ghanta: "ઘંટ",
+    tanpura: "તાનપુરો",
+    chime: "રણકાર",
+  },
+  vibration: "કંપન",
+  vibrationPatterns: { off: "બંધ", short: "ટૂંકું", double: "બેવડું", long: "લાંબું" },
+  preview: "સાંભળો",
+  escalation: "અવગણાયેલી યાદની તીવ્રતા વધારો",
+  louderAfter: "મોટો અવાજ, આટલી વાર પછી",
+  insistentAfter: "તીવ્ર અવાજ, આટલી વાર પછી",
+  pauseAfter: "સત્ર રોકો, આટલી વાર પછી",
+  remindersUnit: "યાદ",
+  spokenPrompt: "જગાડવાનો સંદેશ બોલીને પણ સંભળાવો",
+  wakePrompt: "કૃપા કરીને જપ ચાલુ રાખો",
+  abandonedNotice: (n) => plural(n, { other: "# વાર અનુત્તર યાદ પછી સત્ર રોક્યું." }),
+  abandoned: "અધૂરું છોડ્યું",
+  dismiss: "બંધ કરો",
+  noSpeechRecognition: "આ બ્રાઉઝરમાં વાણી ઓળખ ઉપલબ્ધ નથી.",
+  voiceGuidance: "અવાજ માર્ગદર્શન",
+  voiceGuidanceOn: "યાદ અને સંદેશા બોલીને સંભળાવો",
+  voiceLabel: "અવાજ",
+  voiceDefault: "ડિફૉલ્ટ",
+  voiceRate: "ગતિ",
+  voicePrompts: {
+    silence: "જપ ચાલુ રાખો",
+    mismatch: (m) => `${m} જપો`,
+    mala: (n) => `માળા ${n} પૂર્ણ થઈ`,
+    goal: "સત્ર પૂર્ણ થયું",
+    behind: "આરામથી. મારી પાછળ બોલો.",
+    slowDown: "ધીમે જપો",
+  },
+  goalLabel: "સત્ર લક્ષ્ય",
+  goalKinds: { open: "ખુલ્લું", time: "સમય", reps: "જપ સંખ્યા" },
+  minutesUnit: "મિનિટ",
+  goalRepsHint: "જપ સંખ્યાના લક્ષ્ય માટે મંત્ર ઓળખ જોઈએ.",
+  timeLeft: "બાકી",
+  summaryTitle: "સત્ર સારાંશ",
+  goalReached: "લક્ષ્ય પૂર્ણ 🎉",
+  summaryChanting: "જપ",
+  summarySilent: "મૌન",
+  summarySilenceReminders: "મૌનની યાદ",
+  summaryMismatchReminders: "ખોટા જપની યાદ",
+  summaryLongest: "સૌથી લાંબો સતત જપ",
+  scheduleTitle: "સાધનાની યાદ",
+  scheduleEnable: "આ સમયે સૂચના આપો",
+  scheduleMantra: "મંત્ર",
+  scheduleActiveMantra: "હાલનો મંત્ર",
+  addReminder: "+ સમય ઉમેરો",
+  removeReminder: "કાઢો",
+  weekdays: ["રવિ", "સોમ", "મંગળ", "બુધ", "ગુરુ", "શુક્ર", "શનિ"],
+  nextReminder: "આગલી યાદ",
+  scheduleHint:
+    "આ પેજ (અથવા ઇન્સ્ટોલ કરેલી એપ) ખુલ્લું રહે ત્યાં સુધી જ યાદ આવે છે, પાછળના ટેબમાં પણ. બંધ કર્યા પછી કોઈ યાદ આવતી નથી.",
+  notificationsBlocked: "સૂચનાઓ બંધ છે. બ્રાઉઝરની સાઇટ સેટિંગ્સમાં પરવાનગી આપો.",
+  notificationsUnsupported: "આ બ્રાઉઝર સૂચનાઓ બતાવી શકતું નથી.",
+  notifyTitle: "જપનો સમય 🙏",
+  notifyBody: (m) => (m ? `"${m}" જપ શરૂ કરવા ટેપ કરો.` : "જપ શરૂ કરવા ટેપ કરો."),
+  reconnecting: "ઓળખ અટકી છે, ફરી જોડાઈ રહ્યા છીએ…",
+  backup: {
+    title: "બેકઅપ",
+    exportJson: "બેકઅપ નિકાસ કરો (JSON)",
+    exportCsv: "ઇતિહાસ નિકાસ કરો (CSV)",
+    importFile: "બેકઅપ આયાત કરો…",
+    modes: { merge: "આ ઉપકરણના ડેટામાં ઉમેરો", replace: "આ ઉપકરણનો ડેટા બદલો" },
+    confirmReplace: "તમારા મંત્રો, સેટિંગ્સ અને ઇતિહાસ બેકઅપથી બદલવા છે?",
+    imported: (m, s) =>
+      `${plural(m, { one: "# મંત્ર", other: "# મંત્રો" })} અને ${plural(s, {
+        one: "# સત્ર",
+        other: "# સત્રો",
+      })} આયાત કર્યાં.`,
+    errors: {
+      invalidJson: "આ ફાઇલ માન્ય JSON નથી.",
+      notBackup: "આ ફાઇલ જપ યાદ બેકઅપ નથી.",
+      newerVersion: "આ બેકઅપ એપના નવા સંસ્કરણનો છે. કૃપા કરીને પહેલા અપડેટ કરો.",
+      badField: "બેકઅપ ફાઇલ ખરાબ છે, આયાત કરી નથી.",
+    },
+  },
+  diagnostics: {
+    micPermission: "માઇક્રોફોન પરવાનગી",
+    permissionStates: {
+      granted: "મંજૂર",
+      denied: "અવરોધિત",
+      prompt: "હજી પૂછ્યું નથી",
+      unknown: "અજ્ઞાત",
+    },
+    recognizerState: "ઓળખ",
+    states: {
+      idle: "નિષ્ક્રિય",
+      listening: "સાંભળી રહ્યું છે",
+      reconnecting: "ફરી જોડાઈ રહ્યું છે",
+      recording: "રેકોર્ડ કરી રહ્યું છે",
+      testing: "ચકાસણી",
+    },
+    lastErrors: "તાજેતરની સમસ્યાઓ",
+    noErrors: "અત્યાર સુધી કોઈ સમસ્યા નથી.",
+    sources: {
+      listen: "સાંભળવું",
+      record: "રેકોર્ડિંગ",
+      test: "ચકાસણી",
+      mic: "માઇક ચકાસણી",
+      calibrate: "માપન",
+    },
+    micTest: "માઇક્રોફોન ચકાસો",
+    micTesting: "કંઈક બોલો…",
+    micOk: "માઇક્રોફોન બરાબર કામ કરે છે.",
+    micSilent: "માઇક્રોફોન ચાલુ છે પણ લગભગ કંઈ સંભળાયું નહીં. ઇનપુટ ઉપકરણ તપાસો અથવા નજીક આવીને બોલો.",
+    whatToTry: "શું અજમાવવું",
+    advice: {
+      permission:
+        "માઇક્રોફોન અવરોધિત છે. એડ્રેસ બારમાં તાળાના ચિહ્ન પર ક્લિક કરો, માઇક્રોફોનની પરવાનગી આપો, પછી પેજ રીલોડ કરો.",
+      network:
+        "બ્રાઉઝરની વાણી ઓળખને ઇન્ટરનેટ જોઈએ. કનેક્શન તપાસો, એડ બ્લોકર / Brave શીલ્ડ બંધ કરો, અથવા ઓફલાઇન એન્જિન પસંદ કરો.",
+      audioCapture:
+        "માઇક્રોફોન મળ્યો નથી અથવા બીજી એપ તેને વાપરી રહી છે. હેડસેટ લગાવો અથવા માઇક વાપરતી બીજી એપ્સ બંધ કરો.",
+      noSpeech: "થોડા સમયથી કંઈ સંભળાયું નથી. થોડા મોટેથી અથવા માઇકની નજીક બોલો.",
+      aborted: "ઓળખ વચ્ચે અટકી ગઈ (ઘણી વાર બીજા ટેબે માઇક વાપરવાથી). તે આપમેળે ફરી શરૂ થાય છે.",
+      language: "આ બ્રાઉઝર પસંદ કરેલી ભાષા ઓળખી શકતું નથી. Chrome અથવા ઓફલાઇન એન્જિન અજમાવો.",
+      model: "ઓફલાઇન વાણી મોડેલ લોડ થયું નહીં. તે /models પર રાખેલું છે કે નહીં તે તપાસો.",
+      unknown: "કંઈક અણધાર્યું ખોટું થયું. પેજ રીલોડ કરીને ફરી પ્રયત્ન કરો.",
+    },
+    general: [
+      "એડ બ્લોકર / Brave શીલ્ડ બંધ કરો.",
+      "માઇક્રોફોનની પરવાનગી આપો.",
+      "શ્રેષ્ઠ ઓળખ માટે Chrome વાપરો.",
+      "માઇકવાળા ઇયરબડ/હેડસેટ વાપરો.",
+      "જ્યાં શક્ય હોય ત્યાં સાંભળતી વખતે સ્ક્રીન ચાલુ રહે છે; પાછળના ટેબ છતાં સાંભળવાનું રોકી શકે છે.",
+      "સ્પષ્ટ બોલો; સ્થિર ગતિથી ઓળખ સુધરે છે.",
+    ],
+  },
+};
+
+export default catalog;
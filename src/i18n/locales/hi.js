@@ -0,0 +1,334 @@
+/* हिन्दी */
+import { pluralizer } from "../plural";
+
+const plural = pluralizer("hi");
+
+const catalog = {
+  title: "जप याद दिलाने वाला",
+  step1: "अपना मंत्र रिकॉर्ड करें और सेव करें।",
+  step2: "जप ट्रैक करने के लिए सुनना शुरू करें।",
+  step3: "यदि आप रुक जाते हैं या कुछ और बोलते हैं तो हल्का बीप।",
+  gotIt: "ठीक है",
+  savedMantra: "सहेजा गया मंत्र",
+  record: "मंत्र रिकॉर्ड करें",
+  recordAnother: "एक और मंत्र रिकॉर्ड करें",
+  stopSave: "रोकें और सेव करें",
+  startListening: "सुनना शुरू करें",
+  stopListening: "सुनना बंद करें",
+  chantSince: "पिछली याद से जप समय",
+  gapLabel: "बीप अंतराल (सेकंड)",
+  troubleshooting: "समस्या निवारण",
+  recording: "रिकॉर्ड हो रहा है...",
+  note1: "यदि आप",
+  note2: "सेकंड से अधिक रुकते हैं या कुछ और बोलते हैं तो बीप।",
+  pleaseRecordFirst: "कृपया पहले मंत्र रिकॉर्ड करें।",
+  noAudio: "कोई ऑडियो कैप्चर नहीं हुआ। फिर से रिकॉर्ड करें।",
+  mantraSaved: (m) => `मंत्र सेव हुआ: "${m}"`,
+  liveChant: "लाइव जप",
+  showLive: "लाइव जप दिखाएं",
+  hideLive: "लाइव जप छिपाएं",
+  repetitions: "जप संख्या",
+  malas: "मालाएं",
+  malaTarget: "माला लक्ष्य",
+  custom: "अपना",
+  history: "अभ्यास इतिहास",
+  streak: (n) => plural(n, { other: "लगातार # दिन" }),
+  today: "आज",
+  last7Days: "पिछले 7 दिन",
+  last4Weeks: "पिछले 4 सप्ताह",
+  weekOf: "सप्ताह",
+  sessionsCount: (n) => plural(n, { other: "# सत्र" }),
+  noHistory: "अभी कोई सत्र नहीं। रिकॉर्ड करने के लिए सुनना शुरू करें।",
+  recentSessions: "हाल के सत्र",
+  longestStreak: "सबसे लंबा",
+  silenceShort: "मौन",
+  mismatchShort: "गलत",
+  none: "कोई नहीं",
+  listening: "सुन रहा है...",
+  duration: (m, s) => (m ? `${m} मि ${s} से` : `${s} से`),
+  languageLabel: "भाषा",
+  youtubeTitle: "अगर आप अपना जीवन बदलना चाहते हैं तो ज़रूर देखें",
+  emailTitle: "मुझे ईमेल करें",
+  typeMantra: "मंत्र टाइप करें",
+  edit: "बदलें",
+  delete: "हटाएं",
+  mantraName: "नाम",
+  mantraText: "मंत्र",
+  save: "सेव करें",
+  cancel: "रद्द करें",
+  confirmDelete: (n) => `"${n}" हटाएं?`,
+  mantraHint: "लैटिन (sita ram) या किसी भी भारतीय लिपि (सीता राम) में टाइप करें।",
+  script: "लिपि",
+  scripts: {
+    latin: "लैटिन",
+    devanagari: "देवनागरी",
+    bengali: "बांग्ला",
+    gurmukhi: "गुरमुखी",
+    gujarati: "गुजराती",
+    tamil: "तमिल",
+    telugu: "तेलुगु",
+    mixed: "मिश्रित",
+  },
+  testIt: "जांचें",
+  testStop: "जांच रोकें",
+  testPrompt: "मंत्र एक बार बोलें…",
+  testNothing: "कुछ सुनाई नहीं दिया। फिर से कोशिश करें।",
+  testHeard: "आपने कहा",
+  testTokens: "मंत्र के शब्द",
+  testCounts: "जप के रूप में गिना जाएगा।",
+  testMismatch: "गलत जप का बीप बजेगा।",
+  testIgnored: "शोर मानकर अनदेखा किया जाएगा।",
+  strictnessLabel: "मिलान",
+  strictness: { lenient: "ढीला", normal: "सामान्य", strict: "सख़्त" },
+  strictnessHint: {
+    lenient: "मंत्र का कोई एक शब्द भी गिना जाएगा।",
+    normal: "मंत्र के कम से कम आधे शब्द सुनाई देने चाहिए।",
+    strict: "पूरा मंत्र क्रम से सुनाई देना चाहिए।",
+  },
+  recognizerLabel: "वाक् पहचान इंजन",
+  recognizers: { webspeech: "ब्राउज़र (ऑनलाइन)", offline: "ऑफ़लाइन (डिवाइस पर)" },
+  offlineHint: "ऑफ़लाइन मोड एक बार छोटा वाक् मॉडल डाउनलोड करता है; वह /models पर होना चाहिए।",
+  recognitionLang: "जप की भाषा",
+  recognitionLangHint: "पहचान मंत्र की भाषा में होती है, ऐप की भाषा में नहीं। संस्कृत के लिए हिन्दी चुनें।",
+  tryLocales: "कई पहचान भाषाएँ आज़माएँ",
+  tryLocalesHint: "पहले कुछ जप हर भाषा में बारी-बारी से सुने जाते हैं और सबसे अच्छा मेल इस मंत्र के लिए रखा जाता है।",
+  localeProbing: (name) => `${name} आज़मा रहे हैं…`,
+  localeChosen: (name) => `सबसे अच्छा पहचान मेल: ${name}`,
+  noSupportedLocale: "आज़माई गई कोई भी भाषा इस ब्राउज़र में पहचानी नहीं जा सकती। Chrome या ऑफ़लाइन इंजन आज़माएँ।",
+  noReference: "इस मंत्र की अभी कोई रिकॉर्डिंग नहीं है। पहले रिकॉर्ड करें।",
+  playReference: "रिकॉर्डिंग सुनें",
+  stopReference: "रोकें",
+  audioMantraName: (time) => `रिकॉर्डिंग ${time}`,
+  audioMantraSaved: "रिकॉर्डिंग सहेजी गई। इसके साथ जप के लिए ध्वनि मिलान चुनें।",
+  timeline: {
+    silence: "मौन अनुस्मारक",
+    mismatch: "गलत जप अनुस्मारक",
+    pace: "गाइड से पीछे रह गए",
+    fast: "बहुत तेज़ जप अनुस्मारक",
+    review: "देखें कि डिटेक्टर ने क्या सुना",
+    verdicts: { heard: "मंत्र के रूप में गिना गया", mismatch: "मंत्र नहीं", ignored: "अनदेखा किया" },
+  },
+  listenModeLabel: "पहचान",
+  listenModes: {
+    speech: "मंत्र पहचान",
+    voice: "केवल आवाज़",
+    acoustic: "ध्वनि मिलान",
+    guided: "साथ में जप",
+  },
+  listenModeHint: {
+    speech: "जांचता है कि आप अपना ही मंत्र जप रहे हैं।",
+    voice: "आवाज़ रुकते ही बीप। हर ब्राउज़र में, ऑफ़लाइन भी चलता है।",
+    acoustic:
+      "आपके जप को मंत्र की आपकी अपनी रिकॉर्डिंग से मिलाता है। उन बीज मंत्रों के लिए जिन्हें पहचान इंजन लिख नहीं पाता।",
+    guided: "ऐप मंत्र बोलता है, आप उसे दोहराते हैं। शुरुआत करने वालों और बच्चों के लिए।",
+  },
+  room: {
+    title: "सामूहिक जप कक्ष",
+    nameLabel: "आपका नाम",
+    serverLabel: "कक्ष सर्वर",
+    create: "कक्ष बनाएँ",
+    codePlaceholder: "कोड",
+    join: "जुड़ें",
+    connecting: "जुड़ रहे हैं…",
+    hint: "एक व्यक्ति कक्ष सर्वर चलाए (npm run room-server); बाकी सब कक्ष कोड से जुड़ें।",
+    together: "सब मिलकर",
+    host: "मेज़बान",
+    you: "आप",
+    startAll: "सबका जप शुरू करें",
+    stopAll: "सबका जप रोकें",
+    leave: "छोड़ें",
+    events: {
+      cycle: (name) => `${name} ने एक जप पूरा किया`,
+      silence: (name) => `${name} को मौन अनुस्मारक मिला`,
+      mismatch: (name) => `${name} को गलत जप अनुस्मारक मिला`,
+    },
+    errors: {
+      unreachable: "कक्ष सर्वर तक नहीं पहुँच सके। पता जाँचें और देखें कि सर्वर चल रहा है।",
+      disconnected: "कक्ष से संपर्क टूट गया।",
+      roomNotFound: "इस कोड का कोई कक्ष नहीं है।",
+      notHost: "केवल मेज़बान सबको शुरू या बंद कर सकता है।",
+      badMessage: "कक्ष सर्वर ऐप को समझ नहीं पाया। सर्वर अपडेट करें।",
+      alreadyInRoom: "आप पहले से एक कक्ष में हैं।",
+      notInRoom: "आप किसी कक्ष में नहीं हैं।",
+    },
+  },
+  pace: {
+    tooFastLabel: "बहुत तेज़ जप करने पर याद दिलाएँ",
+    perMinute: "प्रति मिनट अधिकतम जप",
+    live: (rpm, steady) => `गति ${rpm.toFixed(1)}/मिनट · स्थिरता ${steady}%`,
+    summary: (rpm, steady) => `औसत गति: ${rpm.toFixed(1)}/मिनट · स्थिरता ${steady}%`,
+  },
+  guided: {
+    tempo: (n) => `गति: ${n} प्रति मिनट`,
+    voiceLabel: "गाइड की आवाज़",
+    voices: { recording: "मेरी रिकॉर्डिंग", speech: "कृत्रिम आवाज़" },
+    listen: "सुनें…",
+    yourTurn: "अब आप",
+    stats: ({ onPace, late, missed }) => `समय पर ${onPace} · देर से ${late} · छूटे ${missed}`,
+    noVoice: "यह ब्राउज़र मंत्र बोल नहीं सकता। पहले इसकी रिकॉर्डिंग करें।",
+  },
+  mismatchCal: {
+    start: "गलत जप की बीप मापें",
+    hint: "इस माइक्रोफ़ोन के लिए तय करता है कि गलत जप पर बीप कब बजे।",
+    phases: {
+      mantra: (s) => `हमेशा की तरह मंत्र जपें… ${s} से.`,
+      other: (s) => `अब कुछ और बोलें… ${s} से.`,
+    },
+    cancel: "रद्द करें",
+    result: (fp, base, det) =>
+      `अभी रिकॉर्ड किए नमूनों पर — आपके जप पर गलत बीप: ${fp}% (डिफ़ॉल्ट: ${base}%)। दूसरी बातें पकड़ी गईं: ${det}%। असल जप में थोड़ा कम सटीक हो सकता है।`,
+    save: "इन्हें अपनाएँ",
+    discard: "छोड़ें",
+    reset: "डिफ़ॉल्ट पर लौटें",
+    calibrated: (fp) => `इस माइक्रोफ़ोन के लिए मापा गया · लगभग ${fp}% गलत बीप`,
+    errors: {
+      tooFewChants: "मंत्र बहुत कम पहचाना गया। थोड़ा ज़ोर से जपें और फिर कोशिश करें।",
+      tooFewOther: "कोई दूसरी बात नहीं पहचानी गई। पूरा वाक्य बोलें और फिर कोशिश करें।",
+    },
+  },
+  calibrate: "कमरे का शोर मापें",
+  calibrating: "3 सेकंड शांत रहें…",
+  noiseLevel: "कमरे का शोर स्तर",
+  noMic: "माइक्रोफ़ोन उपलब्ध नहीं है। कृपया माइक्रोफ़ोन की अनुमति दें।",
+  soundSettings: "याद दिलाने की ध्वनियाँ",
+  volume: "आवाज़",
+  soundEvents: {
+    silence: "मौन",
+    mismatch: "गलत जप",
+    pace: "पीछे रह गए (साथ में जप)",
+    fast: "बहुत तेज़",
+    mala: "माला पूरी",
+    goal: "लक्ष्य पूरा",
+  },
+  soundPresets: {
+    soft: "हल्की बीप",
+    bell: "घंटी",
+    ghanta: "घंटा",
+    tanpura: "तानपुरा",
+    chime: "झंकार",
+  },
+  vibration: "कंपन",
+  vibrationPatterns: { off: "बंद", short: "छोटा", double: "दोहरा", long: "लंबा" },
+  preview: "सुनें",
+  escalation: "अनसुनी याद पर तीव्रता बढ़ाएँ",
+  louderAfter: "तेज़ आवाज़, इतनी बार बाद",
+  insistentAfter: "तीखी ध्वनि, इतनी बार बाद",
+  pauseAfter: "सत्र रोकें, इतनी बार बाद",
+  remindersUnit: "याद",
+  spokenPrompt: "जगाने का संदेश बोलकर भी सुनाएँ",
+  wakePrompt: "कृपया जप जारी रखें",
+  abandonedNotice: (n) => plural(n, { other: "# बार अनसुनी याद के बाद सत्र रोका गया।" }),
+  abandoned: "अधूरा छोड़ा",
+  dismiss: "बंद करें",
+  noSpeechRecognition: "इस ब्राउज़र में वाक् पहचान उपलब्ध नहीं है।",
+  voiceGuidance: "आवाज़ मार्गदर्शन",
+  voiceGuidanceOn: "याद और संदेश बोलकर सुनाएँ",
+  voiceLabel: "आवाज़",
+  voiceDefault: "डिफ़ॉल्ट",
+  voiceRate: "गति",
+  voicePrompts: {
+    silence: "जप जारी रखें",
+    mismatch: (m) => `${m} जपें`,
+    mala: (n) => `माला ${n} पूरी हुई`,
+    goal: "सत्र पूरा हुआ",
+    behind: "आराम से। मेरे बाद दोहराएँ।",
+    slowDown: "धीरे जपें",
+  },
+  goalLabel: "सत्र लक्ष्य",
+  goalKinds: { open: "खुला", time: "समय", reps: "जप संख्या" },
+  minutesUnit: "मिनट",
+  goalRepsHint: "जप संख्या लक्ष्य के लिए मंत्र पहचान चाहिए।",
+  timeLeft: "शेष",
+  summaryTitle: "सत्र सारांश",
+  goalReached: "लक्ष्य पूरा 🎉",
+  summaryChanting: "जप",
+  summarySilent: "मौन",
+  summarySilenceReminders: "मौन पर याद",
+  summaryMismatchReminders: "गलत जप पर याद",
+  summaryLongest: "सबसे लंबा निरंतर जप",
+  scheduleTitle: "अभ्यास याद",
+  scheduleEnable: "इन समयों पर सूचना दें",
+  scheduleMantra: "मंत्र",
+  scheduleActiveMantra: "वर्तमान मंत्र",
+  addReminder: "+ समय जोड़ें",
+  removeReminder: "हटाएँ",
+  weekdays: ["रवि", "सोम", "मंगल", "बुध", "गुरु", "शुक्र", "शनि"],
+  nextReminder: "अगली याद",
+  scheduleHint:
+    "याद तभी आती है जब यह पेज (या इंस्टॉल किया गया ऐप) खुला रहे, पीछे के टैब में भी। बंद होने पर कोई याद नहीं आती।",
+  notificationsBlocked: "सूचनाएँ बंद हैं। ब्राउज़र की साइट सेटिंग में अनुमति दें।",
+  notificationsUnsupported: "यह ब्राउज़र सूचनाएँ नहीं दिखा सकता।",
+  notifyTitle: "जप का समय 🙏",
+  notifyBody: (m) => (m ? `"${m}" का जप शुरू करने के लिए टैप करें।` : "जप शुरू करने के लिए टैप करें।"),
+  reconnecting: "पहचान रुकी है, फिर से जोड़ रहे हैं…",
+  backup: {
+    title: "बैकअप",
+    exportJson: "बैकअप निर्यात करें (JSON)",
+    exportCsv: "इतिहास निर्यात करें (CSV)",
+    importFile: "बैकअप आयात करें…",
+    modes: { merge: "इस डिवाइस के डेटा में जोड़ें", replace: "इस डिवाइस का डेटा बदलें" },
+    confirmReplace: "अपने मंत्र, सेटिंग और इतिहास को बैकअप से बदलें?",
+    imported: (m, s) =>
+      `${plural(m, { other: "# मंत्र" })} और ${plural(s, { other: "# सत्र" })} आयात किए गए।`,
+    errors: {
+      invalidJson: "यह फ़ाइल मान्य JSON नहीं है।",
+      notBackup: "यह फ़ाइल जप याद बैकअप नहीं है।",
+      newerVersion: "यह बैकअप ऐप के नए संस्करण का है। कृपया पहले अपडेट करें।",
+      badField: "बैकअप फ़ाइल खराब है, आयात नहीं की गई।",
+    },
+  },
+  diagnostics: {
+    micPermission: "माइक्रोफ़ोन अनुमति",
+    permissionStates: {
+      granted: "अनुमति है",
+      denied: "अवरुद्ध",
+      prompt: "अभी पूछा नहीं गया",
+      unknown: "अज्ञात",
+    },
+    recognizerState: "पहचान",
+    states: {
+      idle: "निष्क्रिय",
+      listening: "सुन रहा है",
+      reconnecting: "फिर से जोड़ रहा है",
+      recording: "रिकॉर्ड कर रहा है",
+      testing: "परीक्षण",
+    },
+    lastErrors: "हाल की समस्याएँ",
+    noErrors: "अब तक कोई समस्या नहीं।",
+    sources: {
+      listen: "सुनना",
+      record: "रिकॉर्डिंग",
+      test: "परीक्षण",
+      mic: "माइक परीक्षण",
+      calibrate: "मापन",
+    },
+    micTest: "माइक्रोफ़ोन जाँचें",
+    micTesting: "कुछ बोलिए…",
+    micOk: "माइक्रोफ़ोन ठीक काम कर रहा है।",
+    micSilent: "माइक्रोफ़ोन चालू है पर लगभग कुछ सुनाई नहीं दिया। इनपुट डिवाइस जाँचें या पास आकर बोलें।",
+    whatToTry: "क्या करें",
+    advice: {
+      permission:
+        "माइक्रोफ़ोन अवरुद्ध है। एड्रेस बार में ताले के आइकन पर क्लिक करें, माइक्रोफ़ोन की अनुमति दें, फिर पेज रीलोड करें।",
+      network:
+        "ब्राउज़र की वाक् पहचान को इंटरनेट चाहिए। कनेक्शन जाँचें, ऐड ब्लॉकर / Brave शील्ड बंद करें, या ऑफ़लाइन इंजन चुनें।",
+      audioCapture:
+        "माइक्रोफ़ोन नहीं मिला या कोई और ऐप उसे उपयोग कर रहा है। हेडसेट लगाएँ या माइक उपयोग करने वाले ऐप बंद करें।",
+      noSpeech: "कुछ देर से कुछ सुनाई नहीं दिया। थोड़ा ज़ोर से या माइक के पास बोलें।",
+      aborted: "पहचान बीच में रुक गई (अक्सर किसी और टैब के माइक उपयोग से)। यह अपने आप फिर शुरू होती है।",
+      language: "यह ब्राउज़र चुनी गई भाषा नहीं पहचान सकता। Chrome या ऑफ़लाइन इंजन आज़माएँ।",
+      model: "ऑफ़लाइन वाक् मॉडल लोड नहीं हुआ। जाँचें कि वह /models में रखा है।",
+      unknown: "कुछ अनपेक्षित गड़बड़ हुई। पेज रीलोड करके फिर कोशिश करें।",
+    },
+    general: [
+      "ऐड ब्लॉकर / Brave शील्ड बंद करें।",
+      "माइक्रोफ़ोन की अनुमति दें।",
+      "सबसे अच्छी पहचान के लिए Chrome उपयोग करें।",
+      "माइक वाले ईयरबड/हेडसेट उपयोग करें।",
+      "जहाँ संभव हो, सुनते समय स्क्रीन जगी रहती है; पृष्ठभूमि टैब फिर भी सुनना रोक सकते हैं।",
+      "साफ़ बोलें; स्थिर गति से पहचान बेहतर होती है।",
+    ],
+  },
+};
+
+export default catalog;
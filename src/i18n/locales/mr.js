@@ -0,0 +1,341 @@
+/* मराठी */
+import { pluralizer } from "../plural";
+
+const plural = pluralizer("mr");
+
+const catalog = {
+  title: "जप आठवण",
+  step1: "तुमचा मंत्र रेकॉर्ड करा आणि जतन करा.",
+  step2: "जपाचा मागोवा घेण्यासाठी ऐकणे सुरू करा.",
+  step3: "तुम्ही थांबलात किंवा दुसरे काही म्हणालात तर हलका बीप.",
+  gotIt: "ठीक आहे",
+  savedMantra: "जतन केलेला मंत्र",
+  record: "मंत्र रेकॉर्ड करा",
+  recordAnother: "आणखी एक मंत्र रेकॉर्ड करा",
+  stopSave: "थांबवा आणि जतन करा",
+  startListening: "ऐकणे सुरू करा",
+  stopListening: "ऐकणे थांबवा",
+  chantSince: "मागील आठवणीपासून जप वेळ",
+  gapLabel: "बीप अंतर (सेकंद)",
+  troubleshooting: "समस्या निवारण",
+  recording: "रेकॉर्डिंग सुरू आहे...",
+  note1: "तुम्ही",
+  note2: "सेकंदांपेक्षा जास्त थांबलात किंवा दुसरे काही म्हणालात तर बीप.",
+  pleaseRecordFirst: "कृपया आधी मंत्र रेकॉर्ड करा.",
+  noAudio: "कोणताही आवाज मिळाला नाही. पुन्हा रेकॉर्ड करा.",
+  mantraSaved: (m) => `मंत्र जतन झाला: "${m}"`,
+  liveChant: "थेट जप",
+  showLive: "थेट जप दाखवा",
+  hideLive: "थेट जप लपवा",
+  repetitions: "जप संख्या",
+  malas: "माळा",
+  malaTarget: "माळ लक्ष्य",
+  custom: "स्वतःचे",
+  history: "साधना इतिहास",
+  streak: (n) => plural(n, { one: "सलग # दिवस", other: "सलग # दिवस" }),
+  today: "आज",
+  last7Days: "मागील 7 दिवस",
+  last4Weeks: "मागील 4 आठवडे",
+  weekOf: "आठवडा",
+  sessionsCount: (n) => plural(n, { one: "# सत्र", other: "# सत्रे" }),
+  noHistory: "अजून एकही सत्र नाही. ऐकणे सुरू करून एक नोंदवा.",
+  recentSessions: "अलीकडील सत्रे",
+  longestStreak: "सर्वात लांब",
+  silenceShort: "शांतता",
+  mismatchShort: "चुकीचा",
+  none: "काहीही नाही",
+  listening: "ऐकत आहे...",
+  duration: (m, s) => (m ? `${m} मि ${s} से` : `${s} से`),
+  languageLabel: "भाषा",
+  youtubeTitle: "तुम्हाला तुमचे आयुष्य बदलायचे असेल तर नक्की पाहा",
+  emailTitle: "मला ईमेल करा",
+  typeMantra: "मंत्र टाइप करा",
+  edit: "बदला",
+  delete: "हटवा",
+  mantraName: "नाव",
+  mantraText: "मंत्र",
+  save: "जतन करा",
+  cancel: "रद्द करा",
+  confirmDelete: (n) => `"${n}" हटवायचा?`,
+  mantraHint: "लॅटिन (sita ram) किंवा कोणत्याही भारतीय लिपीत (सीता राम) टाइप करा.",
+  script: "लिपी",
+  scripts: {
+    latin: "लॅटिन",
+    devanagari: "देवनागरी",
+    bengali: "बंगाली",
+    gurmukhi: "गुरुमुखी",
+    gujarati: "गुजराती",
+    tamil: "तमिळ",
+    telugu: "तेलुगू",
+    mixed: "मिश्र",
+  },
+  testIt: "तपासा",
+  testStop: "तपासणी थांबवा",
+  testPrompt: "मंत्र एकदा म्हणा…",
+  testNothing: "काहीच ऐकू आले नाही. पुन्हा प्रयत्न करा.",
+  testHeard: "तुम्ही म्हणालात",
+  testTokens: "मंत्राचे शब्द",
+  testCounts: "जप म्हणून मोजले जाईल.",
+  testMismatch: "चुकीच्या जपाचा बीप वाजेल.",
+  testIgnored: "आवाज समजून दुर्लक्षित केले जाईल.",
+  strictnessLabel: "जुळणी",
+  strictness: { lenient: "सैल", normal: "सामान्य", strict: "काटेकोर" },
+  strictnessHint: {
+    lenient: "मंत्राचा कोणताही एक शब्द, थोडा वेगळा उच्चारला तरी, मोजला जातो.",
+    normal: "मंत्राचे किमान अर्धे शब्द ऐकू यायला हवेत.",
+    strict: "पूर्ण मंत्र क्रमाने ऐकू यायला हवा.",
+  },
+  recognizerLabel: "उच्चार ओळख इंजिन",
+  recognizers: { webspeech: "ब्राउझर (ऑनलाइन)", offline: "ऑफलाइन (डिव्हाइसवर)" },
+  offlineHint: "ऑफलाइन मोड एकदाच लहान उच्चार मॉडेल डाउनलोड करतो; ते /models येथे ठेवलेले असावे.",
+  recognitionLang: "जपाची भाषा",
+  recognitionLangHint: "ओळख मंत्राच्या भाषेनुसार होते, ॲपच्या भाषेनुसार नाही. संस्कृतसाठी हिन्दी निवडा.",
+  tryLocales: "अनेक ओळख भाषा वापरून पाहा",
+  tryLocalesHint: "पहिले काही जप प्रत्येक भाषेत आलटून पालटून ऐकले जातात आणि सर्वोत्तम जुळणी या मंत्रासाठी ठेवली जाते.",
+  localeProbing: (name) => `${name} वापरून पाहत आहे…`,
+  localeChosen: (name) => `सर्वोत्तम ओळख जुळणी: ${name}`,
+  noSupportedLocale: "वापरून पाहिलेली कोणतीही भाषा या ब्राउझरमध्ये ओळखता येत नाही. Chrome किंवा ऑफलाइन इंजिन वापरून पहा.",
+  noReference: "या मंत्राचे अजून रेकॉर्डिंग नाही. आधी रेकॉर्ड करा.",
+  playReference: "रेकॉर्डिंग ऐका",
+  stopReference: "थांबवा",
+  audioMantraName: (time) => `रेकॉर्डिंग ${time}`,
+  audioMantraSaved: "रेकॉर्डिंग जतन झाले. त्यासोबत जप करण्यासाठी ध्वनी जुळणी निवडा.",
+  timeline: {
+    silence: "शांततेची आठवण",
+    mismatch: "चुकीच्या जपाची आठवण",
+    pace: "मार्गदर्शकाच्या मागे पडलात",
+    fast: "खूप वेगवान जपाची आठवण",
+    review: "डिटेक्टरने काय ऐकले ते पाहा",
+    verdicts: { heard: "मंत्र म्हणून मोजले", mismatch: "मंत्र नाही", ignored: "दुर्लक्षित" },
+  },
+  listenModeLabel: "ओळख",
+  listenModes: {
+    speech: "मंत्र ओळख",
+    voice: "फक्त आवाज",
+    acoustic: "ध्वनी जुळणी",
+    guided: "सोबत जप",
+  },
+  listenModeHint: {
+    speech: "तुम्ही तुमचाच मंत्र जपत आहात का ते तपासते.",
+    voice: "आवाज थांबताच बीप. प्रत्येक ब्राउझरमध्ये, ऑफलाइनसुद्धा चालते.",
+    acoustic:
+      "तुमचा जप मंत्राच्या तुमच्याच रेकॉर्डिंगशी जुळवते. ओळख इंजिन लिहू न शकणाऱ्या बीज मंत्रांसाठी.",
+    guided: "ॲप मंत्र म्हणते, तुम्ही तो पुन्हा म्हणता. नवशिक्या आणि मुलांसाठी उपयुक्त.",
+  },
+  room: {
+    title: "सामूहिक जप कक्ष",
+    nameLabel: "तुमचे नाव",
+    serverLabel: "कक्ष सर्व्हर",
+    create: "कक्ष तयार करा",
+    codePlaceholder: "कोड",
+    join: "सामील व्हा",
+    connecting: "जोडत आहे…",
+    hint: "एक व्यक्ती कक्ष सर्व्हर चालवते (npm run room-server); इतर सर्व कक्ष कोडने सामील होतात.",
+    together: "सर्व मिळून",
+    host: "यजमान",
+    you: "तुम्ही",
+    startAll: "सर्वांचा जप सुरू करा",
+    stopAll: "सर्वांचा जप थांबवा",
+    leave: "बाहेर पडा",
+    events: {
+      cycle: (name) => `${name} यांनी एक जप पूर्ण केला`,
+      silence: (name) => `${name} यांना शांततेची आठवण मिळाली`,
+      mismatch: (name) => `${name} यांना चुकीच्या जपाची आठवण मिळाली`,
+    },
+    errors: {
+      unreachable: "कक्ष सर्व्हरपर्यंत पोहोचता आले नाही. पत्ता तपासा आणि सर्व्हर चालू आहे का ते पाहा.",
+      disconnected: "कक्षाशी संपर्क तुटला.",
+      roomNotFound: "या कोडचा कोणताही कक्ष नाही.",
+      notHost: "फक्त यजमानच सर्वांना सुरू किंवा बंद करू शकतो.",
+      badMessage: "कक्ष सर्व्हरला ॲप समजले नाही. सर्व्हर अपडेट करा.",
+      alreadyInRoom: "तुम्ही आधीच एका कक्षात आहात.",
+      notInRoom: "तुम्ही कोणत्याही कक्षात नाही.",
+    },
+  },
+  pace: {
+    tooFastLabel: "खूप वेगाने जप केल्यास आठवण द्या",
+    perMinute: "प्रति मिनिट जास्तीत जास्त जप",
+    live: (rpm, steady) => `वेग ${rpm.toFixed(1)}/मिनिट · स्थिरता ${steady}%`,
+    summary: (rpm, steady) => `सरासरी वेग: ${rpm.toFixed(1)}/मिनिट · स्थिरता ${steady}%`,
+  },
+  guided: {
+    tempo: (n) => `वेग: प्रति मिनिट ${n}`,
+    voiceLabel: "मार्गदर्शकाचा आवाज",
+    voices: { recording: "माझे रेकॉर्डिंग", speech: "कृत्रिम आवाज" },
+    listen: "ऐका…",
+    yourTurn: "आता तुम्ही",
+    stats: ({ onPace, late, missed }) => `वेळेवर ${onPace} · उशिरा ${late} · चुकले ${missed}`,
+    noVoice: "हा ब्राउझर मंत्र बोलू शकत नाही. आधी त्याचे रेकॉर्डिंग करा.",
+  },
+  mismatchCal: {
+    start: "चुकीच्या जपाचे बीप मोजा",
+    hint: "या मायक्रोफोनसाठी चुकीच्या जपावर बीप कधी वाजावा ते ठरवते.",
+    phases: {
+      mantra: (s) => `नेहमीप्रमाणे मंत्र जपा… ${s} से`,
+      other: (s) => `आता दुसरे काहीही बोला… ${s} से`,
+    },
+    cancel: "रद्द करा",
+    result: (fp, base, det) =>
+      `आत्ता रेकॉर्ड केलेल्या नमुन्यांवर — तुमच्या जपावर चुकीचे बीप: ${fp}% (डीफॉल्ट: ${base}%). इतर बोलणे पकडले: ${det}%. प्रत्यक्ष जपात थोडे कमी अचूक असू शकते.`,
+    save: "हे वापरा",
+    discard: "टाकून द्या",
+    reset: "डीफॉल्टवर परत जा",
+    calibrated: (fp) => `या मायक्रोफोनसाठी मोजले · सुमारे ${fp}% चुकीचे बीप`,
+    errors: {
+      tooFewChants: "मंत्र फारच कमी ओळखला गेला. थोडे मोठ्याने जपा आणि पुन्हा प्रयत्न करा.",
+      tooFewOther: "इतर कोणतेही बोलणे ओळखले नाही. पूर्ण वाक्य बोला आणि पुन्हा प्रयत्न करा.",
+    },
+  },
+  calibrate: "खोलीतील आवाज मोजा",
+  calibrating: "3 सेकंद शांत राहा…",
+  noiseLevel: "खोलीतील आवाजाची पातळी",
+  noMic: "मायक्रोफोन उपलब्ध नाही. कृपया मायक्रोफोनला परवानगी द्या.",
+  soundSettings: "आठवणीचे आवाज",
+  volume: "आवाजाची पातळी",
+  soundEvents: {
+    silence: "शांतता",
+    mismatch: "चुकीचा जप",
+    pace: "मागे पडलात (सोबत जप)",
+    fast: "खूप वेगवान",
+    mala: "माळ पूर्ण",
+    goal: "लक्ष्य पूर्ण",
+  },
+  soundPresets: {
+    soft: "हलका बीप",
+    bell: "घंटी",
+    ghanta: "घंटा",
+    tanpura: "तानपुरा",
+    chime: "किणकिण",
+  },
+  vibration: "कंपन",
+  vibrationPatterns: { off: "बंद", short: "लहान", double: "दुहेरी", long: "लांब" },
+  preview: "ऐका",
+  escalation: "दुर्लक्षित आठवणींची तीव्रता वाढवा",
+  louderAfter: "मोठा आवाज, इतक्या वेळा नंतर",
+  insistentAfter: "तीव्र आवाज, इतक्या वेळा नंतर",
+  pauseAfter: "सत्र थांबवा, इतक्या वेळा नंतर",
+  remindersUnit: "आठवणी",
+  spokenPrompt: "जागे करणारा संदेश बोलूनही ऐकवा",
+  wakePrompt: "कृपया जप सुरू ठेवा",
+  abandonedNotice: (n) =>
+    plural(n, {
+      one: "# आठवणीला उत्तर न मिळाल्याने सत्र थांबवले.",
+      other: "# आठवणींना उत्तर न मिळाल्याने सत्र थांबवले.",
+    }),
+  abandoned: "अर्धवट सोडले",
+  dismiss: "बंद करा",
+  noSpeechRecognition: "या ब्राउझरमध्ये उच्चार ओळख उपलब्ध नाही.",
+  voiceGuidance: "आवाज मार्गदर्शन",
+  voiceGuidanceOn: "आठवणी आणि संदेश बोलून ऐकवा",
+  voiceLabel: "आवाज",
+  voiceDefault: "डीफॉल्ट",
+  voiceRate: "वेग",
+  voicePrompts: {
+    silence: "जप सुरू ठेवा",
+    mismatch: (m) => `${m} जपा`,
+    mala: (n) => `माळ ${n} पूर्ण झाली`,
+    goal: "सत्र पूर्ण झाले",
+    behind: "सावकाश. माझ्या मागोमाग म्हणा.",
+    slowDown: "हळू जपा",
+  },
+  goalLabel: "सत्र लक्ष्य",
+  goalKinds: { open: "मुक्त", time: "वेळ", reps: "जप संख्या" },
+  minutesUnit: "मिनिटे",
+  goalRepsHint: "जप संख्येच्या लक्ष्यासाठी मंत्र ओळख लागते.",
+  timeLeft: "बाकी",
+  summaryTitle: "सत्र सारांश",
+  goalReached: "लक्ष्य पूर्ण 🎉",
+  summaryChanting: "जप",
+  summarySilent: "शांतता",
+  summarySilenceReminders: "शांततेच्या आठवणी",
+  summaryMismatchReminders: "चुकीच्या जपाच्या आठवणी",
+  summaryLongest: "सर्वात लांब सलग जप",
+  scheduleTitle: "साधनेच्या आठवणी",
+  scheduleEnable: "या वेळांना सूचना द्या",
+  scheduleMantra: "मंत्र",
+  scheduleActiveMantra: "सध्याचा मंत्र",
+  addReminder: "+ वेळ जोडा",
+  removeReminder: "काढा",
+  weekdays: ["रवि", "सोम", "मंगळ", "बुध", "गुरु", "शुक्र", "शनि"],
+  nextReminder: "पुढील आठवण",
+  scheduleHint:
+    "हे पेज (किंवा इंस्टॉल केलेले ॲप) उघडे असेपर्यंतच आठवणी येतात, मागच्या टॅबमध्येही. बंद केल्यावर एकही आठवण येत नाही.",
+  notificationsBlocked: "सूचना बंद आहेत. ब्राउझरच्या साइट सेटिंगमध्ये परवानगी द्या.",
+  notificationsUnsupported: "हा ब्राउझर सूचना दाखवू शकत नाही.",
+  notifyTitle: "जपाची वेळ 🙏",
+  notifyBody: (m) => (m ? `"${m}" जप सुरू करण्यासाठी टॅप करा.` : "जप सुरू करण्यासाठी टॅप करा."),
+  reconnecting: "ओळख थांबली आहे, पुन्हा जोडत आहे…",
+  backup: {
+    title: "बॅकअप",
+    exportJson: "बॅकअप निर्यात करा (JSON)",
+    exportCsv: "इतिहास निर्यात करा (CSV)",
+    importFile: "बॅकअप आयात करा…",
+    modes: { merge: "या डिव्हाइसच्या डेटात जोडा", replace: "या डिव्हाइसचा डेटा बदला" },
+    confirmReplace: "तुमचे मंत्र, सेटिंग्ज आणि इतिहास बॅकअपने बदलायचे?",
+    imported: (m, s) =>
+      `${plural(m, { other: "# मंत्र" })} आणि ${plural(s, {
+        one: "# सत्र",
+        other: "# सत्रे",
+      })} आयात केले.`,
+    errors: {
+      invalidJson: "ही फाइल वैध JSON नाही.",
+      notBackup: "ही फाइल जप आठवण बॅकअप नाही.",
+      newerVersion: "हा बॅकअप ॲपच्या नवीन आवृत्तीचा आहे. कृपया आधी अपडेट करा.",
+      badField: "बॅकअप फाइल खराब आहे, आयात केली नाही.",
+    },
+  },
+  diagnostics: {
+    micPermission: "मायक्रोफोन परवानगी",
+    permissionStates: {
+      granted: "परवानगी आहे",
+      denied: "अवरोधित",
+      prompt: "अजून विचारले नाही",
+      unknown: "अज्ञात",
+    },
+    recognizerState: "ओळख",
+    states: {
+      idle: "निष्क्रिय",
+      listening: "ऐकत आहे",
+      reconnecting: "पुन्हा जोडत आहे",
+      recording: "रेकॉर्ड करत आहे",
+      testing: "तपासणी",
+    },
+    lastErrors: "अलीकडील समस्या",
+    noErrors: "आतापर्यंत कोणतीही समस्या नाही.",
+    sources: {
+      listen: "ऐकणे",
+      record: "रेकॉर्डिंग",
+      test: "तपासणी",
+      mic: "माइक तपासणी",
+      calibrate: "मोजमाप",
+    },
+    micTest: "मायक्रोफोन तपासा",
+    micTesting: "काहीतरी बोला…",
+    micOk: "मायक्रोफोन व्यवस्थित काम करत आहे.",
+    micSilent: "मायक्रोफोन चालू आहे पण जवळजवळ काहीच ऐकू आले नाही. इनपुट डिव्हाइस तपासा किंवा जवळ येऊन बोला.",
+    whatToTry: "काय करून पाहावे",
+    advice: {
+      permission:
+        "मायक्रोफोन अवरोधित आहे. ॲड्रेस बारमधील कुलपाच्या चिन्हावर क्लिक करा, मायक्रोफोनला परवानगी द्या, मग पेज रीलोड करा.",
+      network:
+        "ब्राउझरच्या उच्चार ओळखीला इंटरनेट लागते. कनेक्शन तपासा, ॲड ब्लॉकर / Brave शील्ड बंद करा, किंवा ऑफलाइन इंजिन निवडा.",
+      audioCapture:
+        "मायक्रोफोन सापडला नाही किंवा दुसरे ॲप तो वापरत आहे. हेडसेट लावा किंवा माइक वापरणारी इतर ॲप्स बंद करा.",
+      noSpeech: "काही वेळ काहीच ऐकू आले नाही. थोडे मोठ्याने किंवा माइकजवळ बोला.",
+      aborted: "ओळख मध्येच थांबली (बहुधा दुसऱ्या टॅबने माइक वापरल्यामुळे). ती आपोआप पुन्हा सुरू होते.",
+      language: "हा ब्राउझर निवडलेली भाषा ओळखू शकत नाही. Chrome किंवा ऑफलाइन इंजिन वापरून पाहा.",
+      model: "ऑफलाइन उच्चार मॉडेल लोड झाले नाही. ते /models येथे ठेवले आहे का ते तपासा.",
+      unknown: "काहीतरी अनपेक्षित बिघडले. पेज रीलोड करून पुन्हा प्रयत्न करा.",
+    },
+    general: [
+      "ॲड ब्लॉकर / Brave शील्ड बंद करा.",
+      "मायक्रोफोनला परवानगी द्या.",
+      "सर्वोत्तम ओळखीसाठी Chrome वापरा.",
+      "माइक असलेले इयरबड/हेडसेट वापरा.",
+      "शक्य असेल तिथे ऐकताना स्क्रीन चालू राहते; मागचे टॅब तरीही ऐकणे थांबवू शकतात.",
+      "स्पष्ट बोला; स्थिर वेगाने ओळख सुधारते.",
+    ],
+  },
+};
+
+export default catalog;
@@ -0,0 +1,341 @@
+/* ਪੰਜਾਬੀ */
+import { pluralizer } from "../plural";
+
+const plural = pluralizer("pa");
+
+const catalog = {
+  title: "ਜਪ ਯਾਦ",
+  step1: "ਆਪਣਾ ਮੰਤਰ ਰਿਕਾਰਡ ਕਰੋ ਅਤੇ ਸੰਭਾਲੋ।",
+  step2: "ਜਪ ਦਾ ਧਿਆਨ ਰੱਖਣ ਲਈ ਸੁਣਨਾ ਸ਼ੁਰੂ ਕਰੋ।",
+  step3: "ਜੇ ਤੁਸੀਂ ਰੁਕ ਜਾਓ ਜਾਂ ਕੁਝ ਹੋਰ ਬੋਲੋ ਤਾਂ ਹਲਕੀ ਬੀਪ।",
+  gotIt: "ਠੀਕ ਹੈ",
+  savedMantra: "ਸੰਭਾਲਿਆ ਮੰਤਰ",
+  record: "ਮੰਤਰ ਰਿਕਾਰਡ ਕਰੋ",
+  recordAnother: "ਇੱਕ ਹੋਰ ਮੰਤਰ ਰਿਕਾਰਡ ਕਰੋ",
+  stopSave: "ਰੋਕੋ ਅਤੇ ਸੰਭਾਲੋ",
+  startListening: "ਸੁਣਨਾ ਸ਼ੁਰੂ ਕਰੋ",
+  stopListening: "ਸੁਣਨਾ ਬੰਦ ਕਰੋ",
+  chantSince: "ਪਿਛਲੀ ਯਾਦ ਤੋਂ ਜਪ ਸਮਾਂ",
+  gapLabel: "ਬੀਪ ਅੰਤਰਾਲ (ਸਕਿੰਟ)",
+  troubleshooting: "ਸਮੱਸਿਆ ਹੱਲ",
+  recording: "ਰਿਕਾਰਡ ਹੋ ਰਿਹਾ ਹੈ...",
+  note1: "ਜੇ ਤੁਸੀਂ",
+  note2: "ਸਕਿੰਟ ਤੋਂ ਵੱਧ ਰੁਕੋ ਜਾਂ ਕੁਝ ਹੋਰ ਬੋਲੋ ਤਾਂ ਬੀਪ।",
+  pleaseRecordFirst: "ਕਿਰਪਾ ਕਰਕੇ ਪਹਿਲਾਂ ਮੰਤਰ ਰਿਕਾਰਡ ਕਰੋ।",
+  noAudio: "ਕੋਈ ਆਵਾਜ਼ ਨਹੀਂ ਮਿਲੀ। ਦੁਬਾਰਾ ਰਿਕਾਰਡ ਕਰੋ।",
+  mantraSaved: (m) => `ਮੰਤਰ ਸੰਭਾਲਿਆ: "${m}"`,
+  liveChant: "ਲਾਈਵ ਜਪ",
+  showLive: "ਲਾਈਵ ਜਪ ਦਿਖਾਓ",
+  hideLive: "ਲਾਈਵ ਜਪ ਲੁਕਾਓ",
+  repetitions: "ਜਪ ਗਿਣਤੀ",
+  malas: "ਮਾਲਾਵਾਂ",
+  malaTarget: "ਮਾਲਾ ਟੀਚਾ",
+  custom: "ਆਪਣਾ",
+  history: "ਅਭਿਆਸ ਇਤਿਹਾਸ",
+  streak: (n) => plural(n, { one: "ਲਗਾਤਾਰ # ਦਿਨ", other: "ਲਗਾਤਾਰ # ਦਿਨ" }),
+  today: "ਅੱਜ",
+  last7Days: "ਪਿਛਲੇ 7 ਦਿਨ",
+  last4Weeks: "ਪਿਛਲੇ 4 ਹਫ਼ਤੇ",
+  weekOf: "ਹਫ਼ਤਾ",
+  sessionsCount: (n) => plural(n, { one: "# ਸੈਸ਼ਨ", other: "# ਸੈਸ਼ਨ" }),
+  noHistory: "ਅਜੇ ਕੋਈ ਸੈਸ਼ਨ ਨਹੀਂ। ਇੱਕ ਦਰਜ ਕਰਨ ਲਈ ਸੁਣਨਾ ਸ਼ੁਰੂ ਕਰੋ।",
+  recentSessions: "ਹਾਲੀਆ ਸੈਸ਼ਨ",
+  longestStreak: "ਸਭ ਤੋਂ ਲੰਬਾ",
+  silenceShort: "ਚੁੱਪ",
+  mismatchShort: "ਗ਼ਲਤ",
+  none: "ਕੋਈ ਨਹੀਂ",
+  listening: "ਸੁਣ ਰਿਹਾ ਹੈ...",
+  duration: (m, s) => (m ? `${m} ਮਿੰ ${s} ਸ` : `${s} ਸ`),
+  languageLabel: "ਭਾਸ਼ਾ",
+  youtubeTitle: "ਜੇ ਤੁਸੀਂ ਆਪਣੀ ਜ਼ਿੰਦਗੀ ਬਦਲਣਾ ਚਾਹੁੰਦੇ ਹੋ ਤਾਂ ਜ਼ਰੂਰ ਦੇਖੋ",
+  emailTitle: "ਮੈਨੂੰ ਈਮੇਲ ਕਰੋ",
+  typeMantra: "ਮੰਤਰ ਟਾਈਪ ਕਰੋ",
+  edit: "ਬਦਲੋ",
+  delete: "ਮਿਟਾਓ",
+  mantraName: "ਨਾਮ",
+  mantraText: "ਮੰਤਰ",
+  save: "ਸੰਭਾਲੋ",
+  cancel: "ਰੱਦ ਕਰੋ",
+  confirmDelete: (n) => `"${n}" ਮਿਟਾਉਣਾ ਹੈ?`,
+  mantraHint: "ਲਾਤੀਨੀ (sita ram) ਜਾਂ ਕਿਸੇ ਵੀ ਭਾਰਤੀ ਲਿਪੀ (ਸੀਤਾ ਰਾਮ) ਵਿੱਚ ਟਾਈਪ ਕਰੋ।",
+  script: "ਲਿਪੀ",
+  scripts: {
+    latin: "ਲਾਤੀਨੀ",
+    devanagari: "ਦੇਵਨਾਗਰੀ",
+    bengali: "ਬੰਗਾਲੀ",
+    gurmukhi: "ਗੁਰਮੁਖੀ",
+    gujarati: "ਗੁਜਰਾਤੀ",
+    tamil: "ਤਮਿਲ",
+    telugu: "ਤੇਲਗੂ",
+    mixed: "ਮਿਲੀ-ਜੁਲੀ",
+  },
+  testIt: "ਜਾਂਚੋ",
+  testStop: "ਜਾਂਚ ਰੋਕੋ",
+  testPrompt: "ਮੰਤਰ ਇੱਕ ਵਾਰ ਬੋਲੋ…",
+  testNothing: "ਕੁਝ ਸੁਣਾਈ ਨਹੀਂ ਦਿੱਤਾ। ਦੁਬਾਰਾ ਕੋਸ਼ਿਸ਼ ਕਰੋ।",
+  testHeard: "ਤੁਸੀਂ ਕਿਹਾ",
+  testTokens: "ਮੰਤਰ ਦੇ ਸ਼ਬਦ",
+  testCounts: "ਜਪ ਵਜੋਂ ਗਿਣਿਆ ਜਾਵੇਗਾ।",
+  testMismatch: "ਗ਼ਲਤ ਜਪ ਦੀ ਬੀਪ ਵੱਜੇਗੀ।",
+  testIgnored: "ਸ਼ੋਰ ਮੰਨ ਕੇ ਅਣਡਿੱਠਾ ਕੀਤਾ ਜਾਵੇਗਾ।",
+  strictnessLabel: "ਮਿਲਾਨ",
+  strictness: { lenient: "ਢਿੱਲਾ", normal: "ਆਮ", strict: "ਸਖ਼ਤ" },
+  strictnessHint: {
+    lenient: "ਮੰਤਰ ਦਾ ਕੋਈ ਇੱਕ ਸ਼ਬਦ, ਥੋੜ੍ਹਾ ਵੱਖਰਾ ਉਚਾਰਣ ਹੋਵੇ ਤਾਂ ਵੀ, ਗਿਣਿਆ ਜਾਂਦਾ ਹੈ।",
+    normal: "ਮੰਤਰ ਦੇ ਘੱਟੋ-ਘੱਟ ਅੱਧੇ ਸ਼ਬਦ ਸੁਣਾਈ ਦੇਣੇ ਚਾਹੀਦੇ ਹਨ।",
+    strict: "ਪੂਰਾ ਮੰਤਰ ਤਰਤੀਬ ਵਿੱਚ ਸੁਣਾਈ ਦੇਣਾ ਚਾਹੀਦਾ ਹੈ।",
+  },
+  recognizerLabel: "ਬੋਲੀ ਪਛਾਣ ਇੰਜਣ",
+  recognizers: { webspeech: "ਬ੍ਰਾਊਜ਼ਰ (ਔਨਲਾਈਨ)", offline: "ਔਫ਼ਲਾਈਨ (ਡਿਵਾਈਸ 'ਤੇ)" },
+  offlineHint: "ਔਫ਼ਲਾਈਨ ਮੋਡ ਇੱਕ ਵਾਰ ਛੋਟਾ ਬੋਲੀ ਮਾਡਲ ਡਾਊਨਲੋਡ ਕਰਦਾ ਹੈ; ਉਹ /models 'ਤੇ ਹੋਣਾ ਚਾਹੀਦਾ ਹੈ।",
+  recognitionLang: "ਜਪ ਦੀ ਭਾਸ਼ਾ",
+  recognitionLangHint: "ਪਛਾਣ ਮੰਤਰ ਦੀ ਭਾਸ਼ਾ ਮੁਤਾਬਕ ਹੁੰਦੀ ਹੈ, ਐਪ ਦੀ ਭਾਸ਼ਾ ਮੁਤਾਬਕ ਨਹੀਂ। ਸੰਸਕ੍ਰਿਤ ਲਈ हिन्दी ਚੁਣੋ।",
+  tryLocales: "ਕਈ ਪਛਾਣ ਭਾਸ਼ਾਵਾਂ ਅਜ਼ਮਾਓ",
+  tryLocalesHint: "ਪਹਿਲੇ ਕੁਝ ਜਪ ਵਾਰੀ-ਵਾਰੀ ਹਰ ਭਾਸ਼ਾ ਵਿੱਚ ਸੁਣੇ ਜਾਂਦੇ ਹਨ ਅਤੇ ਸਭ ਤੋਂ ਵਧੀਆ ਮੇਲ ਇਸ ਮੰਤਰ ਲਈ ਰੱਖਿਆ ਜਾਂਦਾ ਹੈ।",
+  localeProbing: (name) => `${name} ਅਜ਼ਮਾ ਰਹੇ ਹਾਂ…`,
+  localeChosen: (name) => `ਸਭ ਤੋਂ ਵਧੀਆ ਪਛਾਣ ਮੇਲ: ${name}`,
+  noSupportedLocale: "ਅਜ਼ਮਾਈ ਗਈ ਕੋਈ ਵੀ ਭਾਸ਼ਾ ਇਸ ਬ੍ਰਾਊਜ਼ਰ ਵਿੱਚ ਪਛਾਣੀ ਨਹੀਂ ਜਾ ਸਕਦੀ। Chrome ਜਾਂ ਆਫ਼ਲਾਈਨ ਇੰਜਣ ਅਜ਼ਮਾਓ।",
+  noReference: "ਇਸ ਮੰਤਰ ਦੀ ਅਜੇ ਕੋਈ ਰਿਕਾਰਡਿੰਗ ਨਹੀਂ। ਪਹਿਲਾਂ ਰਿਕਾਰਡ ਕਰੋ।",
+  playReference: "ਰਿਕਾਰਡਿੰਗ ਸੁਣੋ",
+  stopReference: "ਰੋਕੋ",
+  audioMantraName: (time) => `ਰਿਕਾਰਡਿੰਗ ${time}`,
+  audioMantraSaved: "ਰਿਕਾਰਡਿੰਗ ਸੰਭਾਲੀ ਗਈ। ਇਸ ਨਾਲ ਜਪ ਕਰਨ ਲਈ ਧੁਨੀ ਮੇਲ ਚੁਣੋ।",
+  timeline: {
+    silence: "ਚੁੱਪ ਦੀ ਯਾਦ",
+    mismatch: "ਗ਼ਲਤ ਜਪ ਦੀ ਯਾਦ",
+    pace: "ਗਾਈਡ ਤੋਂ ਪਿੱਛੇ ਰਹਿ ਗਏ",
+    fast: "ਬਹੁਤ ਤੇਜ਼ ਜਪ ਦੀ ਯਾਦ",
+    review: "ਦੇਖੋ ਡਿਟੈਕਟਰ ਨੇ ਕੀ ਸੁਣਿਆ",
+    verdicts: { heard: "ਮੰਤਰ ਵਜੋਂ ਗਿਣਿਆ", mismatch: "ਮੰਤਰ ਨਹੀਂ", ignored: "ਅਣਡਿੱਠਾ" },
+  },
+  listenModeLabel: "ਪਛਾਣ",
+  listenModes: {
+    speech: "ਮੰਤਰ ਪਛਾਣ",
+    voice: "ਸਿਰਫ਼ ਆਵਾਜ਼",
+    acoustic: "ਧੁਨੀ ਮੇਲ",
+    guided: "ਨਾਲ ਜਪ",
+  },
+  listenModeHint: {
+    speech: "ਜਾਂਚਦਾ ਹੈ ਕਿ ਤੁਸੀਂ ਆਪਣਾ ਹੀ ਮੰਤਰ ਜਪ ਰਹੇ ਹੋ।",
+    voice: "ਆਵਾਜ਼ ਰੁਕਦੇ ਹੀ ਬੀਪ। ਹਰ ਬ੍ਰਾਊਜ਼ਰ ਵਿੱਚ, ਔਫ਼ਲਾਈਨ ਵੀ ਚੱਲਦਾ ਹੈ।",
+    acoustic:
+      "ਤੁਹਾਡੇ ਜਪ ਨੂੰ ਮੰਤਰ ਦੀ ਤੁਹਾਡੀ ਆਪਣੀ ਰਿਕਾਰਡਿੰਗ ਨਾਲ ਮਿਲਾਉਂਦਾ ਹੈ। ਉਹਨਾਂ ਬੀਜ ਮੰਤਰਾਂ ਲਈ ਜਿਨ੍ਹਾਂ ਨੂੰ ਪਛਾਣ ਇੰਜਣ ਲਿਖ ਨਹੀਂ ਸਕਦਾ।",
+    guided: "ਐਪ ਮੰਤਰ ਬੋਲਦਾ ਹੈ, ਤੁਸੀਂ ਉਸ ਨੂੰ ਦੁਹਰਾਉਂਦੇ ਹੋ। ਸ਼ੁਰੂਆਤ ਕਰਨ ਵਾਲਿਆਂ ਅਤੇ ਬੱਚਿਆਂ ਲਈ ਵਧੀਆ।",
+  },
+  room: {
+    title: "ਸਮੂਹਿਕ ਜਪ ਕਮਰਾ",
+    nameLabel: "ਤੁਹਾਡਾ ਨਾਮ",
+    serverLabel: "ਕਮਰਾ ਸਰਵਰ",
+    create: "ਕਮਰਾ ਬਣਾਓ",
+    codePlaceholder: "ਕੋਡ",
+    join: "ਜੁੜੋ",
+    connecting: "ਜੁੜ ਰਹੇ ਹਾਂ…",
+    hint: "ਇੱਕ ਵਿਅਕਤੀ ਕਮਰਾ ਸਰਵਰ ਚਲਾਉਂਦਾ ਹੈ (npm run room-server); ਬਾਕੀ ਸਾਰੇ ਕਮਰੇ ਦੇ ਕੋਡ ਨਾਲ ਜੁੜਦੇ ਹਨ।",
+    together: "ਸਾਰੇ ਮਿਲ ਕੇ",
+    host: "ਮੇਜ਼ਬਾਨ",
+    you: "ਤੁਸੀਂ",
+    startAll: "ਸਭ ਦਾ ਜਪ ਸ਼ੁਰੂ ਕਰੋ",
+    stopAll: "ਸਭ ਦਾ ਜਪ ਰੋਕੋ",
+    leave: "ਛੱਡੋ",
+    events: {
+      cycle: (name) => `${name} ਨੇ ਇੱਕ ਜਪ ਪੂਰਾ ਕੀਤਾ`,
+      silence: (name) => `${name} ਨੂੰ ਚੁੱਪ ਦੀ ਯਾਦ ਮਿਲੀ`,
+      mismatch: (name) => `${name} ਨੂੰ ਗ਼ਲਤ ਜਪ ਦੀ ਯਾਦ ਮਿਲੀ`,
+    },
+    errors: {
+      unreachable: "ਕਮਰਾ ਸਰਵਰ ਤੱਕ ਨਹੀਂ ਪਹੁੰਚ ਸਕੇ। ਪਤਾ ਜਾਂਚੋ ਅਤੇ ਦੇਖੋ ਕਿ ਸਰਵਰ ਚੱਲ ਰਿਹਾ ਹੈ।",
+      disconnected: "ਕਮਰੇ ਨਾਲ ਸੰਪਰਕ ਟੁੱਟ ਗਿਆ।",
+      roomNotFound: "ਇਸ ਕੋਡ ਦਾ ਕੋਈ ਕਮਰਾ ਨਹੀਂ।",
+      notHost: "ਸਿਰਫ਼ ਮੇਜ਼ਬਾਨ ਹੀ ਸਭ ਨੂੰ ਸ਼ੁਰੂ ਜਾਂ ਬੰਦ ਕਰ ਸਕਦਾ ਹੈ।",
+      badMessage: "ਕਮਰਾ ਸਰਵਰ ਐਪ ਨੂੰ ਸਮਝ ਨਹੀਂ ਸਕਿਆ। ਸਰਵਰ ਅੱਪਡੇਟ ਕਰੋ।",
+      alreadyInRoom: "ਤੁਸੀਂ ਪਹਿਲਾਂ ਹੀ ਇੱਕ ਕਮਰੇ ਵਿੱਚ ਹੋ।",
+      notInRoom: "ਤੁਸੀਂ ਕਿਸੇ ਕਮਰੇ ਵਿੱਚ ਨਹੀਂ ਹੋ।",
+    },
+  },
+  pace: {
+    tooFastLabel: "ਬਹੁਤ ਤੇਜ਼ ਜਪ ਕਰਾਂ ਤਾਂ ਯਾਦ ਕਰਾਓ",
+    perMinute: "ਪ੍ਰਤੀ ਮਿੰਟ ਵੱਧ ਤੋਂ ਵੱਧ ਜਪ",
+    live: (rpm, steady) => `ਗਤੀ ${rpm.toFixed(1)}/ਮਿੰਟ · ਸਥਿਰਤਾ ${steady}%`,
+    summary: (rpm, steady) => `ਔਸਤ ਗਤੀ: ${rpm.toFixed(1)}/ਮਿੰਟ · ਸਥਿਰਤਾ ${steady}%`,
+  },
+  guided: {
+    tempo: (n) => `ਗਤੀ: ${n} ਪ੍ਰਤੀ ਮਿੰਟ`,
+    voiceLabel: "ਗਾਈਡ ਦੀ ਆਵਾਜ਼",
+    voices: { recording: "ਮੇਰੀ ਰਿਕਾਰਡਿੰਗ", speech: "ਨਕਲੀ ਆਵਾਜ਼" },
+    listen: "ਸੁਣੋ…",
+    yourTurn: "ਹੁਣ ਤੁਸੀਂ",
+    stats: ({ onPace, late, missed }) => `ਸਮੇਂ ਸਿਰ ${onPace} · ਦੇਰ ਨਾਲ ${late} · ਖੁੰਝੇ ${missed}`,
+    noVoice: "ਇਹ ਬ੍ਰਾਊਜ਼ਰ ਮੰਤਰ ਬੋਲ ਨਹੀਂ ਸਕਦਾ। ਪਹਿਲਾਂ ਇਸ ਦੀ ਰਿਕਾਰਡਿੰਗ ਕਰੋ।",
+  },
+  mismatchCal: {
+    start: "ਗ਼ਲਤ ਜਪ ਦੀਆਂ ਬੀਪਾਂ ਮਾਪੋ",
+    hint: "ਇਸ ਮਾਈਕ੍ਰੋਫ਼ੋਨ ਲਈ ਤੈਅ ਕਰਦਾ ਹੈ ਕਿ ਗ਼ਲਤ ਜਪ 'ਤੇ ਬੀਪ ਕਦੋਂ ਵੱਜੇ।",
+    phases: {
+      mantra: (s) => `ਹਮੇਸ਼ਾ ਵਾਂਗ ਮੰਤਰ ਜਪੋ… ${s} ਸ`,
+      other: (s) => `ਹੁਣ ਕੁਝ ਵੀ ਹੋਰ ਬੋਲੋ… ${s} ਸ`,
+    },
+    cancel: "ਰੱਦ ਕਰੋ",
+    result: (fp, base, det) =>
+      `ਹੁਣੇ ਰਿਕਾਰਡ ਕੀਤੇ ਨਮੂਨਿਆਂ 'ਤੇ — ਤੁਹਾਡੇ ਜਪ 'ਤੇ ਗ਼ਲਤ ਬੀਪਾਂ: ${fp}% (ਡਿਫ਼ੌਲਟ: ${base}%)। ਹੋਰ ਗੱਲਾਂ ਫੜੀਆਂ: ${det}%। ਅਸਲ ਜਪ ਵਿੱਚ ਥੋੜ੍ਹਾ ਘੱਟ ਸਹੀ ਹੋ ਸਕਦਾ ਹੈ।`,
+    save: "ਇਹ ਵਰਤੋ",
+    discard: "ਛੱਡੋ",
+    reset: "ਡਿਫ਼ੌਲਟ 'ਤੇ ਵਾਪਸ",
+    calibrated: (fp) => `ਇਸ ਮਾਈਕ੍ਰੋਫ਼ੋਨ ਲਈ ਮਾਪਿਆ · ਲਗਭਗ ${fp}% ਗ਼ਲਤ ਬੀਪਾਂ`,
+    errors: {
+      tooFewChants: "ਮੰਤਰ ਬਹੁਤ ਘੱਟ ਪਛਾਣਿਆ ਗਿਆ। ਥੋੜ੍ਹਾ ਉੱਚਾ ਜਪੋ ਅਤੇ ਦੁਬਾਰਾ ਕੋਸ਼ਿਸ਼ ਕਰੋ।",
+      tooFewOther: "ਕੋਈ ਹੋਰ ਗੱਲ ਨਹੀਂ ਪਛਾਣੀ ਗਈ। ਪੂਰਾ ਵਾਕ ਬੋਲੋ ਅਤੇ ਦੁਬਾਰਾ ਕੋਸ਼ਿਸ਼ ਕਰੋ।",
+    },
+  },
+  calibrate: "ਕਮਰੇ ਦਾ ਸ਼ੋਰ ਮਾਪੋ",
+  calibrating: "3 ਸਕਿੰਟ ਚੁੱਪ ਰਹੋ…",
+  noiseLevel: "ਕਮਰੇ ਦੇ ਸ਼ੋਰ ਦਾ ਪੱਧਰ",
+  noMic: "ਮਾਈਕ੍ਰੋਫ਼ੋਨ ਉਪਲਬਧ ਨਹੀਂ। ਕਿਰਪਾ ਕਰਕੇ ਮਾਈਕ੍ਰੋਫ਼ੋਨ ਦੀ ਇਜਾਜ਼ਤ ਦਿਓ।",
+  soundSettings: "ਯਾਦ ਦੀਆਂ ਆਵਾਜ਼ਾਂ",
+  volume: "ਆਵਾਜ਼",
+  soundEvents: {
+    silence: "ਚੁੱਪ",
+    mismatch: "ਗ਼ਲਤ ਜਪ",
+    pace: "ਪਿੱਛੇ ਰਹਿ ਗਏ (ਨਾਲ ਜਪ)",
+    fast: "ਬਹੁਤ ਤੇਜ਼",
+    mala: "ਮਾਲਾ ਪੂਰੀ",
+    goal: "ਟੀਚਾ ਪੂਰਾ",
+  },
+  soundPresets: {
+    soft: "ਹਲਕੀ ਬੀਪ",
+    bell: "ਘੰਟੀ",
+    ghanta: "ਘੰਟਾ",
+    tanpura: "ਤਾਨਪੁਰਾ",
+    chime: "ਟੁਣਕਾਰ",
+  },
+  vibration: "ਕੰਬਣੀ",
+  vibrationPatterns: { off: "ਬੰਦ", short: "ਛੋਟੀ", double: "ਦੋਹਰੀ", long: "ਲੰਬੀ" },
+  preview: "ਸੁਣੋ",
+  escalation: "ਅਣਸੁਣੀਆਂ ਯਾਦਾਂ ਦੀ ਤੀਬਰਤਾ ਵਧਾਓ",
+  louderAfter: "ਉੱਚੀ ਆਵਾਜ਼, ਇੰਨੀ ਵਾਰ ਬਾਅਦ",
+  insistentAfter: "ਤਿੱਖੀ ਆਵਾਜ਼, ਇੰਨੀ ਵਾਰ ਬਾਅਦ",
+  pauseAfter: "ਸੈਸ਼ਨ ਰੋਕੋ, ਇੰਨੀ ਵਾਰ ਬਾਅਦ",
+  remindersUnit: "ਯਾਦਾਂ",
+  spokenPrompt: "ਜਗਾਉਣ ਵਾਲਾ ਸੁਨੇਹਾ ਬੋਲ ਕੇ ਵੀ ਸੁਣਾਓ",
+  wakePrompt: "ਕਿਰਪਾ ਕਰਕੇ ਜਪ ਜਾਰੀ ਰੱਖੋ",
+  abandonedNotice: (n) =>
+    plural(n, {
+      one: "# ਅਣਸੁਣੀ ਯਾਦ ਤੋਂ ਬਾਅਦ ਸੈਸ਼ਨ ਰੋਕਿਆ ਗਿਆ।",
+      other: "# ਅਣਸੁਣੀਆਂ ਯਾਦਾਂ ਤੋਂ ਬਾਅਦ ਸੈਸ਼ਨ ਰੋਕਿਆ ਗਿਆ।",
+    }),
+  abandoned: "ਅਧੂਰਾ ਛੱਡਿਆ",
+  dismiss: "ਬੰਦ ਕਰੋ",
+  noSpeechRecognition: "ਇਸ ਬ੍ਰਾਊਜ਼ਰ ਵਿੱਚ ਬੋਲੀ ਪਛਾਣ ਉਪਲਬਧ ਨਹੀਂ।",
+  voiceGuidance: "ਆਵਾਜ਼ ਮਾਰਗਦਰਸ਼ਨ",
+  voiceGuidanceOn: "ਯਾਦਾਂ ਅਤੇ ਸੁਨੇਹੇ ਬੋਲ ਕੇ ਸੁਣਾਓ",
+  voiceLabel: "ਆਵਾਜ਼",
+  voiceDefault: "ਡਿਫ਼ੌਲਟ",
+  voiceRate: "ਗਤੀ",
+  voicePrompts: {
+    silence: "ਜਪ ਜਾਰੀ ਰੱਖੋ",
+    mismatch: (m) => `${m} ਜਪੋ`,
+    mala: (n) => `ਮਾਲਾ ${n} ਪੂਰੀ ਹੋਈ`,
+    goal: "ਸੈਸ਼ਨ ਪੂਰਾ ਹੋਇਆ",
+    behind: "ਆਰਾਮ ਨਾਲ। ਮੇਰੇ ਪਿੱਛੇ ਦੁਹਰਾਓ।",
+    slowDown: "ਹੌਲੀ ਜਪੋ",
+  },
+  goalLabel: "ਸੈਸ਼ਨ ਟੀਚਾ",
+  goalKinds: { open: "ਖੁੱਲ੍ਹਾ", time: "ਸਮਾਂ", reps: "ਜਪ ਗਿਣਤੀ" },
+  minutesUnit: "ਮਿੰਟ",
+  goalRepsHint: "ਜਪ ਗਿਣਤੀ ਦੇ ਟੀਚੇ ਲਈ ਮੰਤਰ ਪਛਾਣ ਚਾਹੀਦੀ ਹੈ।",
+  timeLeft: "ਬਾਕੀ",
+  summaryTitle: "ਸੈਸ਼ਨ ਸਾਰ",
+  goalReached: "ਟੀਚਾ ਪੂਰਾ 🎉",
+  summaryChanting: "ਜਪ",
+  summarySilent: "ਚੁੱਪ",
+  summarySilenceReminders: "ਚੁੱਪ ਦੀਆਂ ਯਾਦਾਂ",
+  summaryMismatchReminders: "ਗ਼ਲਤ ਜਪ ਦੀਆਂ ਯਾਦਾਂ",
+  summaryLongest: "ਸਭ ਤੋਂ ਲੰਬਾ ਲਗਾਤਾਰ ਜਪ",
+  scheduleTitle: "ਅਭਿਆਸ ਯਾਦਾਂ",
+  scheduleEnable: "ਇਹਨਾਂ ਸਮਿਆਂ 'ਤੇ ਸੂਚਨਾ ਦਿਓ",
+  scheduleMantra: "ਮੰਤਰ",
+  scheduleActiveMantra: "ਮੌਜੂਦਾ ਮੰਤਰ",
+  addReminder: "+ ਸਮਾਂ ਜੋੜੋ",
+  removeReminder: "ਹਟਾਓ",
+  weekdays: ["ਐਤ", "ਸੋਮ", "ਮੰਗਲ", "ਬੁੱਧ", "ਵੀਰ", "ਸ਼ੁੱਕਰ", "ਸ਼ਨਿੱਚਰ"],
+  nextReminder: "ਅਗਲੀ ਯਾਦ",
+  scheduleHint:
+    "ਯਾਦਾਂ ਸਿਰਫ਼ ਉਦੋਂ ਆਉਂਦੀਆਂ ਹਨ ਜਦੋਂ ਇਹ ਪੰਨਾ (ਜਾਂ ਇੰਸਟਾਲ ਕੀਤਾ ਐਪ) ਖੁੱਲ੍ਹਾ ਰਹੇ, ਪਿਛਲੇ ਟੈਬ ਵਿੱਚ ਵੀ। ਬੰਦ ਹੋਣ 'ਤੇ ਕੋਈ ਯਾਦ ਨਹੀਂ ਆਉਂਦੀ।",
+  notificationsBlocked: "ਸੂਚਨਾਵਾਂ ਬੰਦ ਹਨ। ਬ੍ਰਾਊਜ਼ਰ ਦੀਆਂ ਸਾਈਟ ਸੈਟਿੰਗਾਂ ਵਿੱਚ ਇਜਾਜ਼ਤ ਦਿਓ।",
+  notificationsUnsupported: "ਇਹ ਬ੍ਰਾਊਜ਼ਰ ਸੂਚਨਾਵਾਂ ਨਹੀਂ ਦਿਖਾ ਸਕਦਾ।",
+  notifyTitle: "ਜਪ ਦਾ ਸਮਾਂ 🙏",
+  notifyBody: (m) => (m ? `"${m}" ਦਾ ਜਪ ਸ਼ੁਰੂ ਕਰਨ ਲਈ ਟੈਪ ਕਰੋ।` : "ਜਪ ਸ਼ੁਰੂ ਕਰਨ ਲਈ ਟੈਪ ਕਰੋ।"),
+  reconnecting: "ਪਛਾਣ ਰੁਕੀ ਹੈ, ਦੁਬਾਰਾ ਜੁੜ ਰਹੇ ਹਾਂ…",
+  backup: {
+    title: "ਬੈਕਅੱਪ",
+    exportJson: "ਬੈਕਅੱਪ ਨਿਰਯਾਤ ਕਰੋ (JSON)",
+    exportCsv: "ਇਤਿਹਾਸ ਨਿਰਯਾਤ ਕਰੋ (CSV)",
+    importFile: "ਬੈਕਅੱਪ ਆਯਾਤ ਕਰੋ…",
+    modes: { merge: "ਇਸ ਡਿਵਾਈਸ ਦੇ ਡਾਟੇ ਵਿੱਚ ਜੋੜੋ", replace: "ਇਸ ਡਿਵਾਈਸ ਦਾ ਡਾਟਾ ਬਦਲੋ" },
+    confirmReplace: "ਆਪਣੇ ਮੰਤਰ, ਸੈਟਿੰਗਾਂ ਅਤੇ ਇਤਿਹਾਸ ਬੈਕਅੱਪ ਨਾਲ ਬਦਲਣੇ ਹਨ?",
+    imported: (m, s) =>
+      `${plural(m, { one: "# ਮੰਤਰ", other: "# ਮੰਤਰ" })} ਅਤੇ ${plural(s, {
+        one: "# ਸੈਸ਼ਨ",
+        other: "# ਸੈਸ਼ਨ",
+      })} ਆਯਾਤ ਕੀਤੇ।`,
+    errors: {
+      invalidJson: "ਇਹ ਫ਼ਾਈਲ ਸਹੀ JSON ਨਹੀਂ ਹੈ।",
+      notBackup: "ਇਹ ਫ਼ਾਈਲ ਜਪ ਯਾਦ ਬੈਕਅੱਪ ਨਹੀਂ ਹੈ।",
+      newerVersion: "ਇਹ ਬੈਕਅੱਪ ਐਪ ਦੇ ਨਵੇਂ ਸੰਸਕਰਣ ਦਾ ਹੈ। ਕਿਰਪਾ ਕਰਕੇ ਪਹਿਲਾਂ ਅੱਪਡੇਟ ਕਰੋ।",
+      badField: "ਬੈਕਅੱਪ ਫ਼ਾਈਲ ਖ਼ਰਾਬ ਹੈ, ਆਯਾਤ ਨਹੀਂ ਕੀਤੀ ਗਈ।",
+    },
+  },
+  diagnostics: {
+    micPermission: "ਮਾਈਕ੍ਰੋਫ਼ੋਨ ਇਜਾਜ਼ਤ",
+    permissionStates: {
+      granted: "ਇਜਾਜ਼ਤ ਹੈ",
+      denied: "ਰੋਕਿਆ ਹੋਇਆ",
+      prompt: "ਅਜੇ ਪੁੱਛਿਆ ਨਹੀਂ",
+      unknown: "ਅਣਜਾਣ",
+    },
+    recognizerState: "ਪਛਾਣ",
+    states: {
+      idle: "ਵਿਹਲਾ",
+      listening: "ਸੁਣ ਰਿਹਾ ਹੈ",
+      reconnecting: "ਦੁਬਾਰਾ ਜੁੜ ਰਿਹਾ ਹੈ",
+      recording: "ਰਿਕਾਰਡ ਕਰ ਰਿਹਾ ਹੈ",
+      testing: "ਜਾਂਚ",
+    },
+    lastErrors: "ਹਾਲੀਆ ਸਮੱਸਿਆਵਾਂ",
+    noErrors: "ਹੁਣ ਤੱਕ ਕੋਈ ਸਮੱਸਿਆ ਨਹੀਂ।",
+    sources: {
+      listen: "ਸੁਣਨਾ",
+      record: "ਰਿਕਾਰਡਿੰਗ",
+      test: "ਜਾਂਚ",
+      mic: "ਮਾਈਕ ਜਾਂਚ",
+      calibrate: "ਮਾਪ",
+    },
+    micTest: "ਮਾਈਕ੍ਰੋਫ਼ੋਨ ਜਾਂਚੋ",
+    micTesting: "ਕੁਝ ਬੋਲੋ…",
+    micOk: "ਮਾਈਕ੍ਰੋਫ਼ੋਨ ਠੀਕ ਕੰਮ ਕਰ ਰਿਹਾ ਹੈ।",
+    micSilent: "ਮਾਈਕ੍ਰੋਫ਼ੋਨ ਚਾਲੂ ਹੈ ਪਰ ਲਗਭਗ ਕੁਝ ਸੁਣਾਈ ਨਹੀਂ ਦਿੱਤਾ। ਇਨਪੁਟ ਡਿਵਾਈਸ ਜਾਂਚੋ ਜਾਂ ਨੇੜੇ ਆ ਕੇ ਬੋਲੋ।",
+    whatToTry: "ਕੀ ਅਜ਼ਮਾਈਏ",
+    advice: {
+      permission:
+        "ਮਾਈਕ੍ਰੋਫ਼ੋਨ ਰੋਕਿਆ ਹੋਇਆ ਹੈ। ਐਡਰੈੱਸ ਬਾਰ ਵਿੱਚ ਤਾਲੇ ਦੇ ਨਿਸ਼ਾਨ 'ਤੇ ਕਲਿੱਕ ਕਰੋ, ਮਾਈਕ੍ਰੋਫ਼ੋਨ ਦੀ ਇਜਾਜ਼ਤ ਦਿਓ, ਫਿਰ ਪੰਨਾ ਰੀਲੋਡ ਕਰੋ।",
+      network:
+        "ਬ੍ਰਾਊਜ਼ਰ ਦੀ ਬੋਲੀ ਪਛਾਣ ਨੂੰ ਇੰਟਰਨੈੱਟ ਚਾਹੀਦਾ ਹੈ। ਕਨੈਕਸ਼ਨ ਜਾਂਚੋ, ਐਡ ਬਲੌਕਰ / Brave ਸ਼ੀਲਡ ਬੰਦ ਕਰੋ, ਜਾਂ ਔਫ਼ਲਾਈਨ ਇੰਜਣ ਚੁਣੋ।",
+      audioCapture:
+        "ਮਾਈਕ੍ਰੋਫ਼ੋਨ ਨਹੀਂ ਮਿਲਿਆ ਜਾਂ ਕੋਈ ਹੋਰ ਐਪ ਉਸ ਨੂੰ ਵਰਤ ਰਿਹਾ ਹੈ। ਹੈੱਡਸੈੱਟ ਲਗਾਓ ਜਾਂ ਮਾਈਕ ਵਰਤਣ ਵਾਲੇ ਹੋਰ ਐਪ ਬੰਦ ਕਰੋ।",
+      noSpeech: "ਕੁਝ ਦੇਰ ਤੋਂ ਕੁਝ ਸੁਣਾਈ ਨਹੀਂ ਦਿੱਤਾ। ਥੋੜ੍ਹਾ ਉੱਚਾ ਜਾਂ ਮਾਈਕ ਦੇ ਨੇੜੇ ਬੋਲੋ।",
+      aborted: "ਪਛਾਣ ਵਿਚਕਾਰ ਰੁਕ ਗਈ (ਅਕਸਰ ਕਿਸੇ ਹੋਰ ਟੈਬ ਦੇ ਮਾਈਕ ਵਰਤਣ ਕਾਰਨ)। ਇਹ ਆਪਣੇ ਆਪ ਦੁਬਾਰਾ ਸ਼ੁਰੂ ਹੁੰਦੀ ਹੈ।",
+      language: "ਇਹ ਬ੍ਰਾਊਜ਼ਰ ਚੁਣੀ ਭਾਸ਼ਾ ਨਹੀਂ ਪਛਾਣ ਸਕਦਾ। Chrome ਜਾਂ ਔਫ਼ਲਾਈਨ ਇੰਜਣ ਅਜ਼ਮਾਓ।",
+      model: "ਔਫ਼ਲਾਈਨ ਬੋਲੀ ਮਾਡਲ ਲੋਡ ਨਹੀਂ ਹੋਇਆ। ਜਾਂਚੋ ਕਿ ਉਹ /models 'ਤੇ ਰੱਖਿਆ ਹੈ।",
+      unknown: "ਕੁਝ ਅਣਕਿਆਸੀ ਗੜਬੜ ਹੋਈ। ਪੰਨਾ ਰੀਲੋਡ ਕਰਕੇ ਦੁਬਾਰਾ ਕੋਸ਼ਿਸ਼ ਕਰੋ।",
+    },
+    general: [
+      "ਐਡ ਬਲੌਕਰ / Brave ਸ਼ੀਲਡ ਬੰਦ ਕਰੋ।",
+      "ਮਾਈਕ੍ਰੋਫ਼ੋਨ ਦੀ ਇਜਾਜ਼ਤ ਦਿਓ।",
+      "ਸਭ ਤੋਂ ਵਧੀਆ ਪਛਾਣ ਲਈ Chrome ਵਰਤੋ।",
+      "ਮਾਈਕ ਵਾਲੇ ਈਅਰਬੱਡ/ਹੈੱਡਸੈੱਟ ਵਰਤੋ।",
+      "ਜਿੱਥੇ ਸੰਭਵ ਹੋਵੇ, ਸੁਣਦੇ ਸਮੇਂ ਸਕ੍ਰੀਨ ਜਾਗਦੀ ਰਹਿੰਦੀ ਹੈ; ਪਿਛਲੇ ਟੈਬ ਫਿਰ ਵੀ ਸੁਣਨਾ ਰੋਕ ਸਕਦੇ ਹਨ।",
+      "ਸਾਫ਼ ਬੋਲੋ; ਇੱਕਸਾਰ ਗਤੀ ਨਾਲ ਪਛਾਣ ਬਿਹਤਰ ਹੁੰਦੀ ਹੈ।",
+    ],
+  },
+};
+
+export default catalog;
@@ -0,0 +1,341 @@
+/* தமிழ் */
+import { pluralizer } from "../plural";
+
+const plural = pluralizer("ta");
+
+const catalog = {
+  title: "ஜப நினைவூட்டி",
+  step1: "உங்கள் மந்திரத்தைப் பதிவு செய்து சேமியுங்கள்.",
+  step2: "ஜபத்தைக் கண்காணிக்கக் கேட்கத் தொடங்குங்கள்.",
+  step3: "நீங்கள் நிறுத்தினால் அல்லது வேறு ஏதாவது சொன்னால் மென்மையான பீப்.",
+  gotIt: "சரி",
+  savedMantra: "சேமித்த மந்திரம்",
+  record: "மந்திரத்தைப் பதிவு செய்",
+  recordAnother: "இன்னொரு மந்திரத்தைப் பதிவு செய்",
+  stopSave: "நிறுத்தி சேமி",
+  startListening: "கேட்கத் தொடங்கு",
+  stopListening: "கேட்பதை நிறுத்து",
+  chantSince: "கடைசி நினைவூட்டலிலிருந்து ஜப நேரம்",
+  gapLabel: "பீப் இடைவெளி (விநாடிகள்)",
+  troubleshooting: "சிக்கல் தீர்வு",
+  recording: "பதிவாகிறது...",
+  note1: "நீங்கள்",
+  note2: "விநாடிகளுக்கு மேல் நிறுத்தினால் அல்லது வேறு ஏதாவது சொன்னால் பீப்.",
+  pleaseRecordFirst: "முதலில் ஒரு மந்திரத்தைப் பதிவு செய்யுங்கள்.",
+  noAudio: "ஒலி எதுவும் பதிவாகவில்லை. மீண்டும் பதிவு செய்யுங்கள்.",
+  mantraSaved: (m) => `மந்திரம் சேமிக்கப்பட்டது: "${m}"`,
+  liveChant: "நேரடி ஜபம்",
+  showLive: "நேரடி ஜபத்தைக் காட்டு",
+  hideLive: "நேரடி ஜபத்தை மறை",
+  repetitions: "ஜப எண்ணிக்கை",
+  malas: "மாலைகள்",
+  malaTarget: "மாலை இலக்கு",
+  custom: "தனிப்பயன்",
+  history: "பயிற்சி வரலாறு",
+  streak: (n) => plural(n, { one: "தொடர்ந்து # நாள்", other: "தொடர்ந்து # நாட்கள்" }),
+  today: "இன்று",
+  last7Days: "கடந்த 7 நாட்கள்",
+  last4Weeks: "கடந்த 4 வாரங்கள்",
+  weekOf: "வாரம்",
+  sessionsCount: (n) => plural(n, { one: "# அமர்வு", other: "# அமர்வுகள்" }),
+  noHistory: "இன்னும் அமர்வுகள் இல்லை. ஒன்றைப் பதிவு செய்ய கேட்கத் தொடங்குங்கள்.",
+  recentSessions: "சமீபத்திய அமர்வுகள்",
+  longestStreak: "நீண்டது",
+  silenceShort: "மௌனம்",
+  mismatchShort: "தவறு",
+  none: "எதுவும் இல்லை",
+  listening: "கேட்கிறது...",
+  duration: (m, s) => (m ? `${m} நி ${s} வி` : `${s} வி`),
+  languageLabel: "மொழி",
+  youtubeTitle: "உங்கள் வாழ்க்கையை மாற்ற விரும்பினால் அவசியம் பாருங்கள்",
+  emailTitle: "எனக்கு மின்னஞ்சல் அனுப்புங்கள்",
+  typeMantra: "மந்திரத்தைத் தட்டச்சு செய்",
+  edit: "திருத்து",
+  delete: "நீக்கு",
+  mantraName: "பெயர்",
+  mantraText: "மந்திரம்",
+  save: "சேமி",
+  cancel: "ரத்து செய்",
+  confirmDelete: (n) => `"${n}" நீக்கவா?`,
+  mantraHint: "லத்தீன் (sita ram) அல்லது ஏதேனும் இந்திய எழுத்தில் (சீதா ராம்) தட்டச்சு செய்யுங்கள்.",
+  script: "எழுத்து",
+  scripts: {
+    latin: "லத்தீன்",
+    devanagari: "தேவநாகரி",
+    bengali: "வங்காளம்",
+    gurmukhi: "குருமுகி",
+    gujarati: "குஜராத்தி",
+    tamil: "தமிழ்",
+    telugu: "தெலுங்கு",
+    mixed: "கலப்பு",
+  },
+  testIt: "சோதி",
+  testStop: "சோதனையை நிறுத்து",
+  testPrompt: "மந்திரத்தை ஒருமுறை சொல்லுங்கள்…",
+  testNothing: "எதுவும் கேட்கவில்லை. மீண்டும் முயலுங்கள்.",
+  testHeard: "நீங்கள் சொன்னது",
+  testTokens: "மந்திரச் சொற்கள்",
+  testCounts: "ஜபமாகக் கணக்கிடப்படும்.",
+  testMismatch: "தவறான ஜப பீப் ஒலிக்கும்.",
+  testIgnored: "இரைச்சலாகக் கருதிப் புறக்கணிக்கப்படும்.",
+  strictnessLabel: "பொருத்தம்",
+  strictness: { lenient: "தளர்வு", normal: "இயல்பு", strict: "கண்டிப்பு" },
+  strictnessHint: {
+    lenient: "மந்திரத்தின் ஏதேனும் ஒரு சொல், சற்று வேறுபட்ட உச்சரிப்பிலும், கணக்கிடப்படும்.",
+    normal: "மந்திரத்தின் குறைந்தது பாதிச் சொற்கள் கேட்க வேண்டும்.",
+    strict: "முழு மந்திரமும் வரிசையாகக் கேட்க வேண்டும்.",
+  },
+  recognizerLabel: "பேச்சு அறிதல் இயந்திரம்",
+  recognizers: { webspeech: "உலாவி (இணையத்தில்)", offline: "இணைப்பின்றி (சாதனத்தில்)" },
+  offlineHint: "இணைப்பின்றி பயன்முறை ஒருமுறை சிறிய பேச்சு மாதிரியைப் பதிவிறக்கும்; அது /models இல் இருக்க வேண்டும்.",
+  recognitionLang: "ஜப மொழி",
+  recognitionLangHint: "அறிதல் மந்திரத்தின் மொழியைப் பொறுத்தது, செயலியின் மொழியை அல்ல. சமஸ்கிருதத்திற்கு हिन्दी தேர்வு செய்யுங்கள்.",
+  tryLocales: "பல அறிதல் மொழிகளை முயலுங்கள்",
+  tryLocalesHint: "முதல் சில ஜபங்கள் ஒவ்வொரு மொழியிலும் மாறி மாறிக் கேட்கப்பட்டு, சிறந்த பொருத்தம் இந்த மந்திரத்திற்கு வைக்கப்படும்.",
+  localeProbing: (name) => `${name} முயல்கிறது…`,
+  localeChosen: (name) => `சிறந்த அறிதல் பொருத்தம்: ${name}`,
+  noSupportedLocale: "முயன்ற எந்த மொழியையும் இந்த உலாவியில் அறிய முடியாது. Chrome அல்லது ஆஃப்லைன் இயந்திரத்தை முயலவும்.",
+  noReference: "இந்த மந்திரத்திற்கு இன்னும் பதிவு இல்லை. முதலில் பதிவு செய்யுங்கள்.",
+  playReference: "பதிவைக் கேள்",
+  stopReference: "நிறுத்து",
+  audioMantraName: (time) => `பதிவு ${time}`,
+  audioMantraSaved: "பதிவு சேமிக்கப்பட்டது. அதனுடன் ஜபிக்க ஒலிப் பொருத்தத்தைத் தேர்வு செய்யுங்கள்.",
+  timeline: {
+    silence: "மௌன நினைவூட்டல்",
+    mismatch: "தவறான ஜப நினைவூட்டல்",
+    pace: "வழிகாட்டியை விடப் பின்தங்கினீர்கள்",
+    fast: "மிக வேக ஜப நினைவூட்டல்",
+    review: "கண்டறிவி என்ன கேட்டது என்று பாருங்கள்",
+    verdicts: { heard: "மந்திரமாகக் கணக்கிடப்பட்டது", mismatch: "மந்திரம் அல்ல", ignored: "புறக்கணிக்கப்பட்டது" },
+  },
+  listenModeLabel: "கண்டறிதல்",
+  listenModes: {
+    speech: "மந்திர அறிதல்",
+    voice: "குரல் மட்டும்",
+    acoustic: "ஒலிப் பொருத்தம்",
+    guided: "வழிகாட்டல்",
+  },
+  listenModeHint: {
+    speech: "நீங்கள் ஜபிப்பது உங்கள் மந்திரம்தானா என்று சரிபார்க்கும்.",
+    voice: "ஒலி நின்றதும் பீப். எந்த உலாவியிலும், இணைப்பின்றியும் இயங்கும்.",
+    acoustic:
+      "உங்கள் ஜபத்தை மந்திரத்தின் உங்கள் சொந்தப் பதிவுடன் ஒப்பிடும். அறிதல் இயந்திரம் எழுத முடியாத பீஜ மந்திரங்களுக்கு.",
+    guided: "செயலி மந்திரத்தைச் சொல்லும், நீங்கள் திரும்பச் சொல்லுங்கள். தொடக்கநிலையாளர்களுக்கும் குழந்தைகளுக்கும் ஏற்றது.",
+  },
+  room: {
+    title: "கூட்டு ஜப அறை",
+    nameLabel: "உங்கள் பெயர்",
+    serverLabel: "அறை சேவையகம்",
+    create: "அறையை உருவாக்கு",
+    codePlaceholder: "குறியீடு",
+    join: "சேர்",
+    connecting: "இணைக்கிறது…",
+    hint: "ஒருவர் அறை சேவையகத்தை இயக்குகிறார் (npm run room-server); மற்றவர்கள் அறைக் குறியீட்டுடன் சேர்கிறார்கள்.",
+    together: "அனைவரும் சேர்ந்து",
+    host: "நடத்துநர்",
+    you: "நீங்கள்",
+    startAll: "அனைவரையும் தொடங்கு",
+    stopAll: "அனைவரையும் நிறுத்து",
+    leave: "வெளியேறு",
+    events: {
+      cycle: (name) => `${name} ஒரு ஜபத்தை நிறைவு செய்தார்`,
+      silence: (name) => `${name} மௌன நினைவூட்டல் பெற்றார்`,
+      mismatch: (name) => `${name} தவறான ஜப நினைவூட்டல் பெற்றார்`,
+    },
+    errors: {
+      unreachable: "அறை சேவையகத்தை அடைய முடியவில்லை. முகவரியையும் சேவையகம் இயங்குகிறதா என்பதையும் சரிபாருங்கள்.",
+      disconnected: "அறையுடனான இணைப்பு துண்டிக்கப்பட்டது.",
+      roomNotFound: "இந்தக் குறியீட்டில் அறை இல்லை.",
+      notHost: "நடத்துநர் மட்டுமே அனைவரையும் தொடங்கவோ நிறுத்தவோ முடியும்.",
+      badMessage: "அறை சேவையகத்திற்குச் செயலியைப் புரியவில்லை. சேவையகத்தைப் புதுப்பியுங்கள்.",
+      alreadyInRoom: "ஏற்கனவே ஒரு அறையில் இருக்கிறீர்கள்.",
+      notInRoom: "நீங்கள் எந்த அறையிலும் இல்லை.",
+    },
+  },
+  pace: {
+    tooFastLabel: "மிக வேகமாக ஜபித்தால் நினைவூட்டு",
+    perMinute: "நிமிடத்திற்கு அதிகபட்ச ஜபங்கள்",
+    live: (rpm, steady) => `வேகம் ${rpm.toFixed(1)}/நிமிடம் · நிலைத்தன்மை ${steady}%`,
+    summary: (rpm, steady) => `சராசரி வேகம்: ${rpm.toFixed(1)}/நிமிடம் · நிலைத்தன்மை ${steady}%`,
+  },
+  guided: {
+    tempo: (n) => `வேகம்: நிமிடத்திற்கு ${n}`,
+    voiceLabel: "வழிகாட்டி குரல்",
+    voices: { recording: "என் பதிவு", speech: "செயற்கைக் குரல்" },
+    listen: "கேளுங்கள்…",
+    yourTurn: "உங்கள் முறை",
+    stats: ({ onPace, late, missed }) => `சரியான நேரம் ${onPace} · தாமதம் ${late} · தவறியது ${missed}`,
+    noVoice: "இந்த உலாவியால் மந்திரத்தைச் சொல்ல முடியாது. முதலில் அதற்கு ஒரு பதிவு செய்யுங்கள்.",
+  },
+  mismatchCal: {
+    start: "தவறான ஜப பீப்களை அளவிடு",
+    hint: "இந்த மைக்ரோஃபோனுக்குத் தவறான ஜபத்தில் பீப் எப்போது ஒலிக்க வேண்டும் என்று அமைக்கும்.",
+    phases: {
+      mantra: (s) => `வழக்கம்போல் மந்திரத்தை ஜபியுங்கள்… ${s} வி`,
+      other: (s) => `இப்போது வேறு ஏதாவது பேசுங்கள்… ${s} வி`,
+    },
+    cancel: "ரத்து செய்",
+    result: (fp, base, det) =>
+      `இப்போது பதிவு செய்த மாதிரிகளில் — உங்கள் ஜபத்தில் தவறான பீப்கள்: ${fp}% (இயல்புநிலை: ${base}%). பிற பேச்சு பிடிபட்டது: ${det}%. உண்மையான ஜபத்தில் சற்று குறைவாக இருக்கலாம்.`,
+    save: "இவற்றைப் பயன்படுத்து",
+    discard: "கைவிடு",
+    reset: "இயல்புநிலைக்குத் திரும்பு",
+    calibrated: (fp) => `இந்த மைக்ரோஃபோனுக்கு அளவிடப்பட்டது · சுமார் ${fp}% தவறான பீப்கள்`,
+    errors: {
+      tooFewChants: "மந்திரம் மிகக் குறைவாகவே அறியப்பட்டது. சற்று உரக்க ஜபித்து மீண்டும் முயலுங்கள்.",
+      tooFewOther: "பிற பேச்சு எதுவும் அறியப்படவில்லை. ஒரு முழு வாக்கியம் பேசி மீண்டும் முயலுங்கள்.",
+    },
+  },
+  calibrate: "அறை இரைச்சலை அளவிடு",
+  calibrating: "3 விநாடிகள் அமைதியாக இருங்கள்…",
+  noiseLevel: "அறை இரைச்சல் அளவு",
+  noMic: "மைக்ரோஃபோன் கிடைக்கவில்லை. மைக்ரோஃபோன் அனுமதியை வழங்குங்கள்.",
+  soundSettings: "நினைவூட்டல் ஒலிகள்",
+  volume: "ஒலியளவு",
+  soundEvents: {
+    silence: "மௌனம்",
+    mismatch: "தவறான ஜபம்",
+    pace: "பின்தங்கல் (வழிகாட்டல்)",
+    fast: "மிக வேகம்",
+    mala: "மாலை நிறைவு",
+    goal: "இலக்கு எட்டப்பட்டது",
+  },
+  soundPresets: {
+    soft: "மென்மையான பீப்",
+    bell: "மணி",
+    ghanta: "கண்டா மணி",
+    tanpura: "தம்புரா",
+    chime: "கிண்கிணி",
+  },
+  vibration: "அதிர்வு",
+  vibrationPatterns: { off: "அணை", short: "குறுகிய", double: "இரட்டை", long: "நீண்ட" },
+  preview: "கேள்",
+  escalation: "புறக்கணிக்கப்பட்ட நினைவூட்டல்களைத் தீவிரப்படுத்து",
+  louderAfter: "உரத்த ஒலி, இத்தனைக்குப் பிறகு",
+  insistentAfter: "தீவிர ஒலி, இத்தனைக்குப் பிறகு",
+  pauseAfter: "அமர்வை நிறுத்து, இத்தனைக்குப் பிறகு",
+  remindersUnit: "நினைவூட்டல்கள்",
+  spokenPrompt: "எழுப்பும் செய்தியையும் பேசிச் சொல்",
+  wakePrompt: "தயவுசெய்து ஜபத்தைத் தொடருங்கள்",
+  abandonedNotice: (n) =>
+    plural(n, {
+      one: "# நினைவூட்டலுக்குப் பதில் இல்லாததால் அமர்வு நிறுத்தப்பட்டது.",
+      other: "# நினைவூட்டல்களுக்குப் பதில் இல்லாததால் அமர்வு நிறுத்தப்பட்டது.",
+    }),
+  abandoned: "கைவிடப்பட்டது",
+  dismiss: "மூடு",
+  noSpeechRecognition: "இந்த உலாவியில் பேச்சு அறிதல் ஆதரிக்கப்படவில்லை.",
+  voiceGuidance: "குரல் வழிகாட்டல்",
+  voiceGuidanceOn: "நினைவூட்டல்களையும் செய்திகளையும் பேசிச் சொல்",
+  voiceLabel: "குரல்",
+  voiceDefault: "இயல்புநிலை",
+  voiceRate: "வேகம்",
+  voicePrompts: {
+    silence: "ஜபத்தைத் தொடருங்கள்",
+    mismatch: (m) => `${m} ஜபியுங்கள்`,
+    mala: (n) => `மாலை ${n} நிறைவு`,
+    goal: "அமர்வு நிறைவு",
+    behind: "நிதானமாக. என்னைத் தொடர்ந்து சொல்லுங்கள்.",
+    slowDown: "மெதுவாக ஜபியுங்கள்",
+  },
+  goalLabel: "அமர்வு இலக்கு",
+  goalKinds: { open: "திறந்த", time: "நேரம்", reps: "ஜப எண்ணிக்கை" },
+  minutesUnit: "நிமி",
+  goalRepsHint: "ஜப எண்ணிக்கை இலக்குகளுக்கு மந்திர அறிதல் தேவை.",
+  timeLeft: "மீதம்",
+  summaryTitle: "அமர்வுச் சுருக்கம்",
+  goalReached: "இலக்கு எட்டப்பட்டது 🎉",
+  summaryChanting: "ஜபம்",
+  summarySilent: "மௌனம்",
+  summarySilenceReminders: "மௌன நினைவூட்டல்கள்",
+  summaryMismatchReminders: "தவறான ஜப நினைவூட்டல்கள்",
+  summaryLongest: "நீண்ட தொடர் ஜபம்",
+  scheduleTitle: "பயிற்சி நினைவூட்டல்கள்",
+  scheduleEnable: "இந்த நேரங்களில் அறிவி",
+  scheduleMantra: "மந்திரம்",
+  scheduleActiveMantra: "தற்போதைய மந்திரம்",
+  addReminder: "+ நேரம் சேர்",
+  removeReminder: "நீக்கு",
+  weekdays: ["ஞா", "தி", "செ", "பு", "வி", "வெ", "ச"],
+  nextReminder: "அடுத்த நினைவூட்டல்",
+  scheduleHint:
+    "இந்தப் பக்கம் (அல்லது நிறுவிய செயலி) திறந்திருக்கும்போது மட்டுமே நினைவூட்டல்கள் வரும், பின்னணித் தாவலிலும். மூடிய பின் எதுவும் வராது.",
+  notificationsBlocked: "அறிவிப்புகள் தடுக்கப்பட்டுள்ளன. உலாவியின் தள அமைப்புகளில் அனுமதியுங்கள்.",
+  notificationsUnsupported: "இந்த உலாவியால் அறிவிப்புகளைக் காட்ட முடியாது.",
+  notifyTitle: "ஜப நேரம் 🙏",
+  notifyBody: (m) => (m ? `"${m}" ஜபத்தைத் தொடங்கத் தட்டுங்கள்.` : "ஜபத்தைத் தொடங்கத் தட்டுங்கள்."),
+  reconnecting: "அறிதல் நின்றுள்ளது, மீண்டும் இணைக்கிறது…",
+  backup: {
+    title: "காப்புப்பிரதி",
+    exportJson: "காப்புப்பிரதியை ஏற்றுமதி செய் (JSON)",
+    exportCsv: "வரலாற்றை ஏற்றுமதி செய் (CSV)",
+    importFile: "காப்புப்பிரதியை இறக்குமதி செய்…",
+    modes: { merge: "இந்தச் சாதனத் தரவுடன் இணை", replace: "இந்தச் சாதனத் தரவை மாற்று" },
+    confirmReplace: "உங்கள் மந்திரங்கள், அமைப்புகள், வரலாற்றைக் காப்புப்பிரதியால் மாற்றவா?",
+    imported: (m, s) =>
+      `${plural(m, { one: "# மந்திரம்", other: "# மந்திரங்கள்" })}, ${plural(s, {
+        one: "# அமர்வு",
+        other: "# அமர்வுகள்",
+      })} இறக்குமதி செய்யப்பட்டன.`,
+    errors: {
+      invalidJson: "இந்தக் கோப்பு சரியான JSON அல்ல.",
+      notBackup: "இந்தக் கோப்பு ஜப நினைவூட்டி காப்புப்பிரதி அல்ல.",
+      newerVersion: "இந்தக் காப்புப்பிரதி செயலியின் புதிய பதிப்பினுடையது. முதலில் புதுப்பியுங்கள்.",
+      badField: "காப்புப்பிரதிக் கோப்பு சேதமடைந்துள்ளது, இறக்குமதி செய்யப்படவில்லை.",
+    },
+  },
+  diagnostics: {
+    micPermission: "மைக்ரோஃபோன் அனுமதி",
+    permissionStates: {
+      granted: "அனுமதிக்கப்பட்டது",
+      denied: "தடுக்கப்பட்டது",
+      prompt: "இன்னும் கேட்கவில்லை",
+      unknown: "தெரியவில்லை",
+    },
+    recognizerState: "அறிதல்",
+    states: {
+      idle: "செயலற்றது",
+      listening: "கேட்கிறது",
+      reconnecting: "மீண்டும் இணைக்கிறது",
+      recording: "பதிவு செய்கிறது",
+      testing: "சோதிக்கிறது",
+    },
+    lastErrors: "சமீபத்திய சிக்கல்கள்",
+    noErrors: "இதுவரை சிக்கல் இல்லை.",
+    sources: {
+      listen: "கேட்டல்",
+      record: "பதிவு",
+      test: "சோதனை",
+      mic: "மைக் சோதனை",
+      calibrate: "அளவீடு",
+    },
+    micTest: "மைக்ரோஃபோனைச் சோதி",
+    micTesting: "ஏதாவது பேசுங்கள்…",
+    micOk: "மைக்ரோஃபோன் சரியாக இயங்குகிறது.",
+    micSilent: "மைக்ரோஃபோன் இயங்குகிறது, ஆனால் கிட்டத்தட்ட எதுவும் கேட்கவில்லை. உள்ளீட்டுச் சாதனத்தைச் சரிபாருங்கள் அல்லது அருகில் வந்து பேசுங்கள்.",
+    whatToTry: "என்ன முயலலாம்",
+    advice: {
+      permission:
+        "மைக்ரோஃபோன் தடுக்கப்பட்டுள்ளது. முகவரிப் பட்டியில் பூட்டுக் குறியைச் சொடுக்கி, மைக்ரோஃபோனை அனுமதித்து, பக்கத்தை மீண்டும் ஏற்றுங்கள்.",
+      network:
+        "உலாவிப் பேச்சு அறிதலுக்கு இணையம் தேவை. இணைப்பைச் சரிபாருங்கள், விளம்பரத் தடுப்பான் / Brave கவசத்தை அணையுங்கள், அல்லது இணைப்பின்றி இயந்திரத்திற்கு மாறுங்கள்.",
+      audioCapture:
+        "மைக்ரோஃபோன் கிடைக்கவில்லை அல்லது வேறு செயலி அதைப் பயன்படுத்துகிறது. ஹெட்செட்டைச் செருகுங்கள் அல்லது மைக்கைப் பயன்படுத்தும் பிற செயலிகளை மூடுங்கள்.",
+      noSpeech: "சிறிது நேரமாக எதுவும் கேட்கவில்லை. சற்று உரக்க அல்லது மைக்கின் அருகில் பேசுங்கள்.",
+      aborted: "அறிதல் இடையில் நின்றது (பெரும்பாலும் வேறு தாவல் மைக்கைப் பயன்படுத்துவதால்). அது தானாக மீண்டும் தொடங்கும்.",
+      language: "இந்த உலாவியால் தேர்ந்தெடுத்த மொழியை அறிய முடியாது. Chrome அல்லது இணைப்பின்றி இயந்திரத்தை முயலுங்கள்.",
+      model: "இணைப்பின்றிப் பேச்சு மாதிரி ஏற்றப்படவில்லை. அது /models இல் உள்ளதா எனச் சரிபாருங்கள்.",
+      unknown: "எதிர்பாராத பிழை ஏற்பட்டது. பக்கத்தை மீண்டும் ஏற்றி முயலுங்கள்.",
+    },
+    general: [
+      "விளம்பரத் தடுப்பான் / Brave கவசத்தை அணையுங்கள்.",
+      "மைக்ரோஃபோன் அனுமதியை வழங்குங்கள்.",
+      "சிறந்த பேச்சு அறிதலுக்கு Chrome பயன்படுத்துங்கள்.",
+      "மைக் உள்ள இயர்பட்/ஹெட்செட் பயன்படுத்துங்கள்.",
+      "முடிந்தவரை கேட்கும்போது திரை விழித்திருக்கும்; பின்னணித் தாவல்கள் இருந்தும் கேட்பதை நிறுத்தக்கூடும்.",
+      "தெளிவாகப் பேசுங்கள்; சீரான வேகம் அறிதலுக்கு உதவும்.",
+    ],
+  },
+};
+
+export default catalog;
@@ -0,0 +1,341 @@
+/* తెలుగు */
+import { pluralizer } from "../plural";
+
+const plural = pluralizer("te");
+
+const catalog = {
+  title: "జప గుర్తుచేసేది",
+  step1: "మీ మంత్రాన్ని రికార్డ్ చేసి సేవ్ చేయండి.",
+  step2: "జపాన్ని గమనించడానికి వినడం ప్రారంభించండి.",
+  step3: "మీరు ఆగిపోయినా లేదా వేరేది పలికినా మృదువైన బీప్.",
+  gotIt: "సరే",
+  savedMantra: "సేవ్ చేసిన మంత్రం",
+  record: "మంత్రాన్ని రికార్డ్ చేయండి",
+  recordAnother: "మరో మంత్రాన్ని రికార్డ్ చేయండి",
+  stopSave: "ఆపి సేవ్ చేయండి",
+  startListening: "వినడం ప్రారంభించండి",
+  stopListening: "వినడం ఆపండి",
+  chantSince: "చివరి గుర్తుచేత తర్వాత జప సమయం",
+  gapLabel: "బీప్ విరామం (సెకన్లు)",
+  troubleshooting: "సమస్య పరిష్కారం",
+  recording: "రికార్డ్ అవుతోంది...",
+  note1: "మీరు",
+  note2: "సెకన్ల కంటే ఎక్కువ ఆగినా లేదా వేరేది పలికినా బీప్.",
+  pleaseRecordFirst: "దయచేసి ముందుగా ఒక మంత్రాన్ని రికార్డ్ చేయండి.",
+  noAudio: "ఏ శబ్దమూ రాలేదు. మళ్లీ రికార్డ్ చేయండి.",
+  mantraSaved: (m) => `మంత్రం సేవ్ అయింది: "${m}"`,
+  liveChant: "ప్రత్యక్ష జపం",
+  showLive: "ప్రత్యక్ష జపం చూపించు",
+  hideLive: "ప్రత్యక్ష జపం దాచు",
+  repetitions: "జప సంఖ్య",
+  malas: "మాలలు",
+  malaTarget: "మాల లక్ష్యం",
+  custom: "స్వంతం",
+  history: "సాధన చరిత్ర",
+  streak: (n) => plural(n, { one: "వరుసగా # రోజు", other: "వరుసగా # రోజులు" }),
+  today: "ఈరోజు",
+  last7Days: "గత 7 రోజులు",
+  last4Weeks: "గత 4 వారాలు",
+  weekOf: "వారం",
+  sessionsCount: (n) => plural(n, { one: "# సెషన్", other: "# సెషన్లు" }),
+  noHistory: "ఇంకా సెషన్లు లేవు. ఒకటి నమోదు చేయడానికి వినడం ప్రారంభించండి.",
+  recentSessions: "ఇటీవలి సెషన్లు",
+  longestStreak: "అతి పొడవైనది",
+  silenceShort: "నిశ్శబ్దం",
+  mismatchShort: "తప్పు",
+  none: "ఏమీ లేదు",
+  listening: "వింటోంది...",
+  duration: (m, s) => (m ? `${m} ని ${s} సె` : `${s} సె`),
+  languageLabel: "భాష",
+  youtubeTitle: "మీ జీవితాన్ని మార్చుకోవాలనుకుంటే తప్పక చూడండి",
+  emailTitle: "నాకు ఈమెయిల్ చేయండి",
+  typeMantra: "మంత్రాన్ని టైప్ చేయండి",
+  edit: "సవరించు",
+  delete: "తొలగించు",
+  mantraName: "పేరు",
+  mantraText: "మంత్రం",
+  save: "సేవ్ చేయి",
+  cancel: "రద్దు చేయి",
+  confirmDelete: (n) => `"${n}" తొలగించాలా?`,
+  mantraHint: "లాటిన్ (sita ram) లేదా ఏదైనా భారతీయ లిపిలో (సీతా రామ్) టైప్ చేయండి.",
+  script: "లిపి",
+  scripts: {
+    latin: "లాటిన్",
+    devanagari: "దేవనాగరి",
+    bengali: "బెంగాలీ",
+    gurmukhi: "గురుముఖి",
+    gujarati: "గుజరాతీ",
+    tamil: "తమిళం",
+    telugu: "తెలుగు",
+    mixed: "మిశ్రమం",
+  },
+  testIt: "పరీక్షించు",
+  testStop: "పరీక్ష ఆపు",
+  testPrompt: "మంత్రాన్ని ఒకసారి పలకండి…",
+  testNothing: "ఏమీ వినబడలేదు. మళ్లీ ప్రయత్నించండి.",
+  testHeard: "మీరు అన్నది",
+  testTokens: "మంత్ర పదాలు",
+  testCounts: "జపంగా లెక్కించబడుతుంది.",
+  testMismatch: "తప్పు జప బీప్ మోగుతుంది.",
+  testIgnored: "శబ్దంగా భావించి పట్టించుకోదు.",
+  strictnessLabel: "సరిపోలిక",
+  strictness: { lenient: "సడలింపు", normal: "సాధారణం", strict: "కఠినం" },
+  strictnessHint: {
+    lenient: "మంత్రంలోని ఏ ఒక్క పదమైనా, ఉచ్చారణ కొంచెం తేడాగా ఉన్నా, లెక్కించబడుతుంది.",
+    normal: "మంత్రంలోని కనీసం సగం పదాలు వినబడాలి.",
+    strict: "పూర్తి మంత్రం క్రమంలో వినబడాలి.",
+  },
+  recognizerLabel: "మాటల గుర్తింపు ఇంజిన్",
+  recognizers: { webspeech: "బ్రౌజర్ (ఆన్‌లైన్)", offline: "ఆఫ్‌లైన్ (పరికరంలో)" },
+  offlineHint: "ఆఫ్‌లైన్ మోడ్ ఒక్కసారి చిన్న మాటల మోడల్‌ను డౌన్‌లోడ్ చేస్తుంది; అది /models లో ఉండాలి.",
+  recognitionLang: "జప భాష",
+  recognitionLangHint: "గుర్తింపు మంత్రం భాషను అనుసరిస్తుంది, యాప్ భాషను కాదు. సంస్కృతానికి हिन्दी ఎంచుకోండి.",
+  tryLocales: "అనేక గుర్తింపు భాషలను ప్రయత్నించండి",
+  tryLocalesHint: "మొదటి కొన్ని జపాలు ఒక్కో భాషలో వంతుల వారీగా వినబడతాయి, ఉత్తమ సరిపోలిక ఈ మంత్రానికి ఉంచబడుతుంది.",
+  localeProbing: (name) => `${name} ప్రయత్నిస్తోంది…`,
+  localeChosen: (name) => `ఉత్తమ గుర్తింపు సరిపోలిక: ${name}`,
+  noSupportedLocale: "ప్రయత్నించిన ఏ భాషనూ ఈ బ్రౌజర్‌లో గుర్తించలేము. Chrome లేదా ఆఫ్‌లైన్ ఇంజిన్‌ను ప్రయత్నించండి.",
+  noReference: "ఈ మంత్రానికి ఇంకా రికార్డింగ్ లేదు. ముందుగా రికార్డ్ చేయండి.",
+  playReference: "రికార్డింగ్ వినండి",
+  stopReference: "ఆపు",
+  audioMantraName: (time) => `రికార్డింగ్ ${time}`,
+  audioMantraSaved: "రికార్డింగ్ సేవ్ అయింది. దానితో జపించడానికి ధ్వని సరిపోలిక ఎంచుకోండి.",
+  timeline: {
+    silence: "నిశ్శబ్ద గుర్తుచేత",
+    mismatch: "తప్పు జప గుర్తుచేత",
+    pace: "మార్గదర్శి కంటే వెనుకబడ్డారు",
+    fast: "చాలా వేగ జప గుర్తుచేత",
+    review: "డిటెక్టర్ ఏమి విన్నదో చూడండి",
+    verdicts: { heard: "మంత్రంగా లెక్కించబడింది", mismatch: "మంత్రం కాదు", ignored: "పట్టించుకోలేదు" },
+  },
+  listenModeLabel: "గుర్తింపు",
+  listenModes: {
+    speech: "మంత్ర గుర్తింపు",
+    voice: "స్వరం మాత్రమే",
+    acoustic: "ధ్వని సరిపోలిక",
+    guided: "మార్గదర్శనం",
+  },
+  listenModeHint: {
+    speech: "మీరు జపిస్తున్నది మీ మంత్రమేనా అని తనిఖీ చేస్తుంది.",
+    voice: "శబ్దం ఆగగానే బీప్. ఏ బ్రౌజర్‌లోనైనా, ఆఫ్‌లైన్‌లో కూడా పనిచేస్తుంది.",
+    acoustic:
+      "మీ జపాన్ని మంత్రం యొక్క మీ సొంత రికార్డింగ్‌తో పోలుస్తుంది. గుర్తింపు ఇంజిన్ రాయలేని బీజ మంత్రాల కోసం.",
+    guided: "యాప్ మంత్రాన్ని పలుకుతుంది, మీరు మళ్లీ పలుకుతారు. ప్రారంభకులకు, పిల్లలకు మంచిది.",
+  },
+  room: {
+    title: "సామూహిక జప గది",
+    nameLabel: "మీ పేరు",
+    serverLabel: "గది సర్వర్",
+    create: "గది సృష్టించు",
+    codePlaceholder: "కోడ్",
+    join: "చేరండి",
+    connecting: "కనెక్ట్ అవుతోంది…",
+    hint: "ఒకరు గది సర్వర్‌ను నడుపుతారు (npm run room-server); మిగతా అందరూ గది కోడ్‌తో చేరతారు.",
+    together: "అందరూ కలిసి",
+    host: "నిర్వాహకులు",
+    you: "మీరు",
+    startAll: "అందరినీ ప్రారంభించు",
+    stopAll: "అందరినీ ఆపు",
+    leave: "వెళ్లిపో",
+    events: {
+      cycle: (name) => `${name} ఒక జపం పూర్తి చేశారు`,
+      silence: (name) => `${name}కి నిశ్శబ్ద గుర్తుచేత వచ్చింది`,
+      mismatch: (name) => `${name}కి తప్పు జప గుర్తుచేత వచ్చింది`,
+    },
+    errors: {
+      unreachable: "గది సర్వర్‌ను చేరుకోలేకపోయాం. చిరునామాను, సర్వర్ నడుస్తోందో లేదో తనిఖీ చేయండి.",
+      disconnected: "గదితో కనెక్షన్ పోయింది.",
+      roomNotFound: "ఈ కోడ్‌తో గది లేదు.",
+      notHost: "నిర్వాహకులు మాత్రమే అందరినీ ప్రారంభించగలరు లేదా ఆపగలరు.",
+      badMessage: "గది సర్వర్‌కు యాప్ అర్థం కాలేదు. సర్వర్‌ను అప్‌డేట్ చేయండి.",
+      alreadyInRoom: "మీరు ఇప్పటికే ఒక గదిలో ఉన్నారు.",
+      notInRoom: "మీరు ఏ గదిలోనూ లేరు.",
+    },
+  },
+  pace: {
+    tooFastLabel: "చాలా వేగంగా జపిస్తే గుర్తుచేయి",
+    perMinute: "నిమిషానికి గరిష్ఠ జపాలు",
+    live: (rpm, steady) => `వేగం ${rpm.toFixed(1)}/నిమి · స్థిరత్వం ${steady}%`,
+    summary: (rpm, steady) => `సగటు వేగం: ${rpm.toFixed(1)}/నిమి · స్థిరత్వం ${steady}%`,
+  },
+  guided: {
+    tempo: (n) => `వేగం: నిమిషానికి ${n}`,
+    voiceLabel: "మార్గదర్శి స్వరం",
+    voices: { recording: "నా రికార్డింగ్", speech: "కృత్రిమ స్వరం" },
+    listen: "వినండి…",
+    yourTurn: "మీ వంతు",
+    stats: ({ onPace, late, missed }) => `సమయానికి ${onPace} · ఆలస్యం ${late} · తప్పినవి ${missed}`,
+    noVoice: "ఈ బ్రౌజర్ మంత్రాన్ని పలకలేదు. ముందుగా దానికి ఒక రికార్డింగ్ చేయండి.",
+  },
+  mismatchCal: {
+    start: "తప్పు జప బీప్‌లను కొలవండి",
+    hint: "ఈ మైక్రోఫోన్ కోసం తప్పు జపానికి బీప్ ఎప్పుడు మోగాలో నిర్ణయిస్తుంది.",
+    phases: {
+      mantra: (s) => `ఎప్పటిలాగే మంత్రం జపించండి… ${s} సె`,
+      other: (s) => `ఇప్పుడు వేరే ఏదైనా మాట్లాడండి… ${s} సె`,
+    },
+    cancel: "రద్దు చేయి",
+    result: (fp, base, det) =>
+      `ఇప్పుడే రికార్డ్ చేసిన నమూనాలపై — మీ జపంపై తప్పు బీప్‌లు: ${fp}% (డిఫాల్ట్: ${base}%). ఇతర మాటలు పట్టుబడినవి: ${det}%. అసలు జపంలో కొంచెం తక్కువగా ఉండవచ్చు.`,
+    save: "వీటిని వాడు",
+    discard: "వదిలేయి",
+    reset: "డిఫాల్ట్‌కు తిరిగి వెళ్లు",
+    calibrated: (fp) => `ఈ మైక్రోఫోన్ కోసం కొలిచింది · సుమారు ${fp}% తప్పు బీప్‌లు`,
+    errors: {
+      tooFewChants: "మంత్రం చాలా తక్కువగా గుర్తించబడింది. కొంచెం గట్టిగా జపించి మళ్లీ ప్రయత్నించండి.",
+      tooFewOther: "ఇతర మాటలేవీ గుర్తించబడలేదు. ఒక పూర్తి వాక్యం మాట్లాడి మళ్లీ ప్రయత్నించండి.",
+    },
+  },
+  calibrate: "గది శబ్దాన్ని కొలవండి",
+  calibrating: "3 సెకన్లు నిశ్శబ్దంగా ఉండండి…",
+  noiseLevel: "గది శబ్ద స్థాయి",
+  noMic: "మైక్రోఫోన్ అందుబాటులో లేదు. దయచేసి మైక్రోఫోన్ అనుమతి ఇవ్వండి.",
+  soundSettings: "గుర్తుచేసే శబ్దాలు",
+  volume: "వాల్యూమ్",
+  soundEvents: {
+    silence: "నిశ్శబ్దం",
+    mismatch: "తప్పు జపం",
+    pace: "వెనుకబడటం (మార్గదర్శనం)",
+    fast: "చాలా వేగం",
+    mala: "మాల పూర్తి",
+    goal: "లక్ష్యం చేరారు",
+  },
+  soundPresets: {
+    soft: "మృదువైన బీప్",
+    bell: "గంట",
+    ghanta: "ఘంట",
+    tanpura: "తంబురా",
+    chime: "గజ్జెల మోత",
+  },
+  vibration: "కంపనం",
+  vibrationPatterns: { off: "ఆఫ్", short: "చిన్నది", double: "రెండుసార్లు", long: "పొడవైనది" },
+  preview: "వినండి",
+  escalation: "పట్టించుకోని గుర్తుచేతలను తీవ్రం చేయి",
+  louderAfter: "గట్టి శబ్దం, ఇన్నిసార్ల తర్వాత",
+  insistentAfter: "తీవ్ర శబ్దం, ఇన్నిసార్ల తర్వాత",
+  pauseAfter: "సెషన్ ఆపు, ఇన్నిసార్ల తర్వాత",
+  remindersUnit: "గుర్తుచేతలు",
+  spokenPrompt: "మేల్కొలిపే సందేశాన్ని మాటలతో కూడా వినిపించు",
+  wakePrompt: "దయచేసి జపం కొనసాగించండి",
+  abandonedNotice: (n) =>
+    plural(n, {
+      one: "# గుర్తుచేతకు స్పందన లేనందున సెషన్ ఆపబడింది.",
+      other: "# గుర్తుచేతలకు స్పందన లేనందున సెషన్ ఆపబడింది.",
+    }),
+  abandoned: "మధ్యలో వదిలేసింది",
+  dismiss: "మూసివేయి",
+  noSpeechRecognition: "ఈ బ్రౌజర్‌లో మాటల గుర్తింపు లేదు.",
+  voiceGuidance: "స్వర మార్గదర్శనం",
+  voiceGuidanceOn: "గుర్తుచేతలు, సందేశాలను మాటలతో వినిపించు",
+  voiceLabel: "స్వరం",
+  voiceDefault: "డిఫాల్ట్",
+  voiceRate: "వేగం",
+  voicePrompts: {
+    silence: "జపం కొనసాగించండి",
+    mismatch: (m) => `${m} జపించండి`,
+    mala: (n) => `మాల ${n} పూర్తయింది`,
+    goal: "సెషన్ పూర్తయింది",
+    behind: "నెమ్మదిగా. నా తర్వాత పలకండి.",
+    slowDown: "నెమ్మదిగా జపించండి",
+  },
+  goalLabel: "సెషన్ లక్ష్యం",
+  goalKinds: { open: "ఓపెన్", time: "సమయం", reps: "జప సంఖ్య" },
+  minutesUnit: "నిమి",
+  goalRepsHint: "జప సంఖ్య లక్ష్యాలకు మంత్ర గుర్తింపు అవసరం.",
+  timeLeft: "మిగిలింది",
+  summaryTitle: "సెషన్ సారాంశం",
+  goalReached: "లక్ష్యం చేరారు 🎉",
+  summaryChanting: "జపం",
+  summarySilent: "నిశ్శబ్దం",
+  summarySilenceReminders: "నిశ్శబ్ద గుర్తుచేతలు",
+  summaryMismatchReminders: "తప్పు జప గుర్తుచేతలు",
+  summaryLongest: "అతి పొడవైన నిరంతర జపం",
+  scheduleTitle: "సాధన గుర్తుచేతలు",
+  scheduleEnable: "ఈ సమయాల్లో తెలియజేయి",
+  scheduleMantra: "మంత్రం",
+  scheduleActiveMantra: "ప్రస్తుత మంత్రం",
+  addReminder: "+ సమయం జోడించు",
+  removeReminder: "తీసివేయి",
+  weekdays: ["ఆది", "సోమ", "మంగళ", "బుధ", "గురు", "శుక్ర", "శని"],
+  nextReminder: "తదుపరి గుర్తుచేత",
+  scheduleHint:
+    "ఈ పేజీ (లేదా ఇన్‌స్టాల్ చేసిన యాప్) తెరిచి ఉన్నప్పుడే గుర్తుచేతలు వస్తాయి, వెనుక ట్యాబ్‌లో కూడా. మూసివేశాక ఏవీ రావు.",
+  notificationsBlocked: "నోటిఫికేషన్లు నిరోధించబడ్డాయి. బ్రౌజర్ సైట్ సెట్టింగ్స్‌లో అనుమతించండి.",
+  notificationsUnsupported: "ఈ బ్రౌజర్ నోటిఫికేషన్లు చూపలేదు.",
+  notifyTitle: "జప సమయం 🙏",
+  notifyBody: (m) => (m ? `"${m}" జపం ప్రారంభించడానికి నొక్కండి.` : "జపం ప్రారంభించడానికి నొక్కండి."),
+  reconnecting: "గుర్తింపు ఆగింది, మళ్లీ కనెక్ట్ అవుతోంది…",
+  backup: {
+    title: "బ్యాకప్",
+    exportJson: "బ్యాకప్ ఎగుమతి (JSON)",
+    exportCsv: "చరిత్ర ఎగుమతి (CSV)",
+    importFile: "బ్యాకప్ దిగుమతి…",
+    modes: { merge: "ఈ పరికర డేటాతో కలుపు", replace: "ఈ పరికర డేటాను మార్చు" },
+    confirmReplace: "మీ మంత్రాలు, సెట్టింగ్స్, చరిత్రను బ్యాకప్‌తో మార్చాలా?",
+    imported: (m, s) =>
+      `${plural(m, { one: "# మంత్రం", other: "# మంత్రాలు" })}, ${plural(s, {
+        one: "# సెషన్",
+        other: "# సెషన్లు",
+      })} దిగుమతి అయ్యాయి.`,
+    errors: {
+      invalidJson: "ఈ ఫైల్ సరైన JSON కాదు.",
+      notBackup: "ఈ ఫైల్ జప గుర్తుచేసేది బ్యాకప్ కాదు.",
+      newerVersion: "ఈ బ్యాకప్ యాప్ యొక్క కొత్త వెర్షన్‌ది. దయచేసి ముందుగా అప్‌డేట్ చేయండి.",
+      badField: "బ్యాకప్ ఫైల్ పాడైంది, దిగుమతి కాలేదు.",
+    },
+  },
+  diagnostics: {
+    micPermission: "మైక్రోఫోన్ అనుమతి",
+    permissionStates: {
+      granted: "అనుమతించబడింది",
+      denied: "నిరోధించబడింది",
+      prompt: "ఇంకా అడగలేదు",
+      unknown: "తెలియదు",
+    },
+    recognizerState: "గుర్తింపు",
+    states: {
+      idle: "నిష్క్రియం",
+      listening: "వింటోంది",
+      reconnecting: "మళ్లీ కనెక్ట్ అవుతోంది",
+      recording: "రికార్డ్ చేస్తోంది",
+      testing: "పరీక్షిస్తోంది",
+    },
+    lastErrors: "ఇటీవలి సమస్యలు",
+    noErrors: "ఇప్పటివరకు ఏ సమస్యా లేదు.",
+    sources: {
+      listen: "వినడం",
+      record: "రికార్డింగ్",
+      test: "పరీక్ష",
+      mic: "మైక్ పరీక్ష",
+      calibrate: "కొలత",
+    },
+    micTest: "మైక్రోఫోన్ పరీక్షించు",
+    micTesting: "ఏదైనా మాట్లాడండి…",
+    micOk: "మైక్రోఫోన్ సరిగ్గా పనిచేస్తోంది.",
+    micSilent: "మైక్రోఫోన్ ఆన్‌లో ఉంది కానీ దాదాపు ఏమీ వినబడలేదు. ఇన్‌పుట్ పరికరాన్ని తనిఖీ చేయండి లేదా దగ్గరగా వచ్చి మాట్లాడండి.",
+    whatToTry: "ఏమి ప్రయత్నించాలి",
+    advice: {
+      permission:
+        "మైక్రోఫోన్ నిరోధించబడింది. అడ్రస్ బార్‌లో తాళం గుర్తుపై క్లిక్ చేసి, మైక్రోఫోన్‌ను అనుమతించి, పేజీని రీలోడ్ చేయండి.",
+      network:
+        "బ్రౌజర్ మాటల గుర్తింపుకు ఇంటర్నెట్ అవసరం. కనెక్షన్ తనిఖీ చేయండి, యాడ్ బ్లాకర్ / Brave షీల్డ్స్ ఆపండి, లేదా ఆఫ్‌లైన్ ఇంజిన్‌కు మారండి.",
+      audioCapture:
+        "మైక్రోఫోన్ దొరకలేదు లేదా వేరే యాప్ దాన్ని వాడుతోంది. హెడ్‌సెట్ పెట్టండి లేదా మైక్ వాడే ఇతర యాప్‌లను మూసివేయండి.",
+      noSpeech: "కొంతసేపుగా ఏమీ వినబడలేదు. కొంచెం గట్టిగా లేదా మైక్‌కు దగ్గరగా మాట్లాడండి.",
+      aborted: "గుర్తింపు మధ్యలో ఆగిపోయింది (తరచుగా వేరే ట్యాబ్ మైక్ వాడటం వల్ల). అది దానంతట అదే మళ్లీ ప్రారంభమవుతుంది.",
+      language: "ఈ బ్రౌజర్ ఎంచుకున్న భాషను గుర్తించలేదు. Chrome లేదా ఆఫ్‌లైన్ ఇంజిన్ ప్రయత్నించండి.",
+      model: "ఆఫ్‌లైన్ మాటల మోడల్ లోడ్ కాలేదు. అది /models లో ఉందో లేదో తనిఖీ చేయండి.",
+      unknown: "ఏదో అనుకోని పొరపాటు జరిగింది. పేజీని రీలోడ్ చేసి మళ్లీ ప్రయత్నించండి.",
+    },
+    general: [
+      "యాడ్ బ్లాకర్ / Brave షీల్డ్స్ ఆపండి.",
+      "మైక్రోఫోన్ అనుమతి ఇవ్వండి.",
+      "ఉత్తమ మాటల గుర్తింపు కోసం Chrome వాడండి.",
+      "మైక్ ఉన్న ఇయర్‌బడ్స్/హెడ్‌సెట్ వాడండి.",
+      "వీలైన చోట వింటున్నప్పుడు స్క్రీన్ ఆన్‌లో ఉంటుంది; వెనుక ట్యాబ్‌లు అయినా వినడాన్ని ఆపవచ్చు.",
+      "స్పష్టంగా మాట్లాడండి; స్థిరమైన వేగం గుర్తింపుకు సహాయపడుతుంది.",
+    ],
+  },
+};
+
+export default catalog;
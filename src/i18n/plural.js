@@ -0,0 +1,13 @@
+/* ===========================================================
+   Pluralization (CLDR categories via Intl.PluralRules)
+   -----------------------------------------------------------
+     const plural = pluralizer("en");
+     plural(3, { one: "# session", other: "# sessions" }) // "3 sessions"
+   "#" is replaced by the locale-formatted number; a missing category
+   falls back to `other`.
+   =========================================================== */
+export function pluralizer(locale) {
+  const rules = new Intl.PluralRules(locale);
+  const numbers = new Intl.NumberFormat(locale);
+  return (n, forms) => (forms[rules.select(n)] || forms.other).replace(/#/g, numbers.format(n));
+}
@@ -0,0 +1,43 @@
+/* ===========================================================
+   Live Transcript Timeline
+   -----------------------------------------------------------
+   What the detector saw during a session, in order: each final
+   recognizer result with the engine's verdict, and a marker wherever
+   a reminder fired. Shown live and saved with the session so a
+   review can show what tripped the detector.
+     { kind: "speech", at, text, verdict, words: [{ word, matched }] }
+     { kind: "reminder", at, event: "silence" | "mismatch" | "pace" | "fast" }
+   =========================================================== */
+import { matchMantra } from "./chantEngine";
+
+export const MAX_TIMELINE_ENTRIES = 300;
+
+/**
+ * verdict: chantEngine transcript() result ("heard" | "mismatch" | "ignored").
+ * Words are matched leniently so partial chants still show what was right.
+ */
+export function speechEntry(text, at, verdict, md) {
+  const txt = (text || "").trim().toLowerCase();
+  return {
+    kind: "speech",
+    at,
+    text: txt,
+    verdict,
+    words: txt
+      .split(/\s+/)
+      .filter(Boolean)
+      .map((word) => ({ word, matched: matchMantra(word, md, "lenient") })),
+  };
+}
+
+export function reminderEntry(event, at) {
+  return { kind: "reminder", at, event };
+}
+
+/**
+ * New timeline with `entry` appended, keeping the newest `max` entries.
+ */
+export function pushEntry(timeline, entry, max = MAX_TIMELINE_ENTRIES) {
+  const next = [...timeline, entry];
+  return next.length > max ? next.slice(next.length - max) : next;
+}
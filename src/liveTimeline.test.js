@@ -0,0 +1,20 @@
+import { speechEntry, reminderEntry, pushEntry } from './liveTimeline';
+import { buildMantraData } from './chantEngine';
+
+test('marks each heard word that belongs to the mantra', () => {
+  const md = buildMantraData('sita ram');
+  const entry = speechEntry(' Sita  hello राम ', 5000, 'heard', md);
+  expect(entry).toMatchObject({ kind: 'speech', at: 5000, text: 'sita  hello राम', verdict: 'heard' });
+  expect(entry.words).toEqual([
+    { word: 'sita', matched: true },
+    { word: 'hello', matched: false },
+    { word: 'राम', matched: true },
+  ]);
+});
+
+test('keeps only the newest entries', () => {
+  let timeline = [];
+  for (let i = 0; i < 5; i++) timeline = pushEntry(timeline, reminderEntry('silence', i), 3);
+  expect(timeline.map((e) => e.at)).toEqual([2, 3, 4]);
+  expect(timeline[0]).toEqual({ kind: 'reminder', at: 2, event: 'silence' });
+});
@@ -0,0 +1,77 @@
+/* ===========================================================
+   Recognition Locale Probe
+   -----------------------------------------------------------
+   Optional: the first chants of a session are heard in several
+   recognition locales in turn; each final result is scored against
+   the mantra and the locale with the best average is kept.
+   =========================================================== */
+import { canonicalize } from "./chantEngine";
+import { scoreMantra } from "./fuzzyMatch";
+
+export const PROBE_RESULTS_PER_LANG = 2;
+
+/**
+ * Locales to try: `primary` first, then `extras`, without repeats.
+ */
+export function probeCandidates(primary, extras = []) {
+  return [...new Set([primary, ...extras].filter(Boolean))];
+}
+
+/**
+ * How well one final result matches the mantra (0..1), at lenient
+ * matching so partly recognized chants still rank their locale.
+ */
+export function transcriptScore(text, md) {
+  return scoreMantra(canonicalize((text || "").toLowerCase()), md.canonTokens, "lenient").score;
+}
+
+/**
+ * candidates: locales in the order to try.
+ *   probe.lang()        locale to listen in now
+ *   probe.push(score)   record a result; returns the locale to listen in next
+ *   probe.skip()        current locale is unusable (e.g. not supported)
+ *   probe.settled()     all locales tried (or only one to begin with)
+ *   probe.best()        best-scoring locale so far (earlier wins ties);
+ *                       null once every locale was skipped
+ * lang(), push() and skip() return null too when nothing is usable.
+ */
+export function createLocaleProbe(candidates, { resultsPerLang = PROBE_RESULTS_PER_LANG } = {}) {
+  const scores = candidates.map(() => []);
+  const skipped = candidates.map(() => false);
+  let idx = 0;
+  let done = candidates.length <= 1;
+
+  const mean = (list) => (list.length ? list.reduce((a, b) => a + b, 0) / list.length : -1);
+
+  const best = () => {
+    let top = -1;
+    scores.forEach((list, i) => {
+      if (!skipped[i] && (top < 0 || mean(list) > mean(scores[top]))) top = i;
+    });
+    return top < 0 ? null : candidates[top];
+  };
+
+  const lang = () => (done ? best() : candidates[idx]);
+
+  const advance = () => {
+    idx += 1;
+    if (idx >= candidates.length) done = true;
+  };
+
+  const push = (score) => {
+    if (done) return lang();
+    scores[idx].push(score);
+    if (scores[idx].length >= resultsPerLang) advance();
+    return lang();
+  };
+
+  const skip = () => {
+    if (done) return lang();
+    scores[idx] = [];
+    skipped[idx] = true;
+    advance();
+    return lang();
+  };
+
+  return { lang, push, skip, settled: () => done, best };
+}
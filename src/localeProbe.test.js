@@ -0,0 +1,54 @@
+import { createLocaleProbe, probeCandidates, transcriptScore } from './localeProbe';
+import { buildMantraData } from './chantEngine';
+
+test('candidates keep the mantra locale first without repeats', () => {
+  expect(probeCandidates('hi-IN', ['en-IN', 'hi-IN', '', 'en-IN'])).toEqual(['hi-IN', 'en-IN']);
+});
+
+test('scores transcripts against the mantra in any script', () => {
+  const md = buildMantraData('sita ram');
+  expect(transcriptScore('सीता राम', md)).toBe(1);
+  expect(transcriptScore('hello there', md)).toBeLessThan(0.5);
+});
+
+test('tries each locale in turn and settles on the best average', () => {
+  const probe = createLocaleProbe(['en-IN', 'hi-IN', 'ta-IN'], { resultsPerLang: 2 });
+  expect(probe.lang()).toBe('en-IN');
+  expect(probe.push(0.2)).toBe('en-IN');
+  expect(probe.push(0.4)).toBe('hi-IN');
+  probe.push(0.9);
+  expect(probe.settled()).toBe(false);
+  expect(probe.push(1)).toBe('ta-IN');
+  probe.push(0.5);
+  expect(probe.push(0.5)).toBe('hi-IN');
+  expect(probe.settled()).toBe(true);
+  expect(probe.push(0)).toBe('hi-IN'); // ignored once settled
+});
+
+test('skips unusable locales and keeps the first on a tie', () => {
+  const probe = createLocaleProbe(['mr-IN', 'hi-IN'], { resultsPerLang: 1 });
+  expect(probe.skip()).toBe('hi-IN');
+  expect(probe.push(0)).toBe('hi-IN');
+
+  const tie = createLocaleProbe(['en-IN', 'hi-IN'], { resultsPerLang: 1 });
+  tie.push(0.5);
+  expect(tie.push(0.5)).toBe('en-IN');
+});
+
+test('no locale once every candidate was skipped', () => {
+  const probe = createLocaleProbe(['mr-IN', 'hi-IN'], { resultsPerLang: 1 });
+  probe.skip();
+  expect(probe.skip()).toBeNull();
+  expect(probe.settled()).toBe(true);
+  expect(probe.best()).toBeNull();
+
+  const partly = createLocaleProbe(['mr-IN', 'hi-IN'], { resultsPerLang: 1 });
+  partly.push(0);
+  expect(partly.skip()).toBe('mr-IN'); // a scored locale beats an unusable one
+});
+
+test('a single candidate is settled from the start', () => {
+  const probe = createLocaleProbe(['hi-IN']);
+  expect(probe.settled()).toBe(true);
+  expect(probe.lang()).toBe('hi-IN');
+});
@@ -0,0 +1,123 @@
+/* ===========================================================
+   Mantra Library (localStorage)
+   =========================================================== */
+const STORAGE_KEY_LIBRARY = "chantMantras";
+const STORAGE_KEY_ACTIVE = "chantActiveMantra";
+const STORAGE_KEY_LEGACY = "chantMantra"; // single-slot mantra (pre-library)
+
+/**
+ * Entry shape: { id, name, text, lang, script }
+ *   lang    recognition locale the mantra is chanted in ("hi-IN"), independent
+ *           of the interface language; "" = not chosen (see mantraLang)
+ *   script  detectScript(text) when saved
+ *   audio   true once a reference recording is stored (referenceAudio.js)
+ */
+export function newMantraId() {
+  return Date.now().toString(36) + Math.random().toString(36).slice(2, 6);
+}
+
+/**
+ * Typed/pasted text: keep letters + combining marks (matras, virama) in any
+ * script; drop punctuation such as "," or the Devanagari danda "।".
+ */
+export function cleanMantraText(text) {
+  return (text || "")
+    .normalize("NFC")
+    .replace(/[^\p{L}\p{M}\s]/gu, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+const SCRIPT_RANGES = {
+  latin: /[a-z]/i,
+  devanagari: /[\u0900-\u097F]/,
+  bengali: /[\u0980-\u09FF]/,
+  gurmukhi: /[\u0A00-\u0A7F]/,
+  gujarati: /[\u0A80-\u0AFF]/,
+  tamil: /[\u0B80-\u0BFF]/,
+  telugu: /[\u0C00-\u0C7F]/,
+};
+
+// Likely recognition locale for text in a script (Sanskrit is heard best as Hindi)
+const SCRIPT_SPEECH_LANGS = {
+  devanagari: "hi-IN",
+  bengali: "bn-IN",
+  gurmukhi: "pa-IN",
+  gujarati: "gu-IN",
+  tamil: "ta-IN",
+  telugu: "te-IN",
+};
+
+/**
+ * A SCRIPT_RANGES key, "mixed" (more than one script) or "" (empty)
+ */
+export function detectScript(text) {
+  const found = Object.keys(SCRIPT_RANGES).filter((s) => SCRIPT_RANGES[s].test(text || ""));
+  if (found.length > 1) return "mixed";
+  return found[0] || "";
+}
+
+export function makeMantra(text, name, lang = "") {
+  const clean = cleanMantraText(text);
+  return {
+    id: newMantraId(),
+    name: (name || "").trim() || clean,
+    text: clean,
+    lang,
+    script: detectScript(clean),
+  };
+}
+
+/**
+ * Locale to recognize `entry` in: its own choice, else a guess from its
+ * script, else `fallback` (Latin text could be any language).
+ */
+export function mantraLang(entry, fallback) {
+  if (!entry) return fallback;
+  if (typeof entry.lang === "string" && entry.lang) return entry.lang;
+  return SCRIPT_SPEECH_LANGS[detectScript(entry.text)] || fallback;
+}
+
+/**
+ * Load library + active id; migrates the old single `chantMantra` slot.
+ */
+export function loadLibrary() {
+  let mantras = [];
+  try {
+    const parsed = JSON.parse(localStorage.getItem(STORAGE_KEY_LIBRARY) || "[]");
+    if (Array.isArray(parsed)) {
+      mantras = parsed.filter((m) => m && m.id && typeof m.text === "string");
+    }
+  } catch {}
+
+  const legacy = localStorage.getItem(STORAGE_KEY_LEGACY);
+  if (legacy) {
+    if (!mantras.some((m) => m.text === legacy)) mantras.push(makeMantra(legacy));
+    localStorage.removeItem(STORAGE_KEY_LEGACY);
+  }
+
+  let activeId = localStorage.getItem(STORAGE_KEY_ACTIVE) || "";
+  if (!mantras.some((m) => m.id === activeId)) {
+    activeId = mantras.length ? mantras[0].id : "";
+  }
+  return { mantras, activeId };
+}
+
+export function saveLibrary(mantras, activeId) {
+  localStorage.setItem(STORAGE_KEY_LIBRARY, JSON.stringify(mantras));
+  if (activeId) localStorage.setItem(STORAGE_KEY_ACTIVE, activeId);
+  else localStorage.removeItem(STORAGE_KEY_ACTIVE);
+}
+
+/* ---------- Pure list updates ---------- */
+export function upsertMantra(mantras, entry) {
+  const idx = mantras.findIndex((m) => m.id === entry.id);
+  if (idx === -1) return [...mantras, entry];
+  const next = mantras.slice();
+  next[idx] = { ...mantras[idx], ...entry };
+  return next;
+}
+
+export function removeMantra(mantras, id) {
+  return mantras.filter((m) => m.id !== id);
+}
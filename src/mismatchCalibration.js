@@ -0,0 +1,215 @@
+/* ===========================================================
+   Wrong-Chant Calibration (per microphone)
+   -----------------------------------------------------------
+   The user chants the mantra for a while, then says something else.
+   From what the recognizer returned in each phase we pick the
+   confidence and length thresholds that beep least on the mantra
+   while still catching other speech, staying as close to the
+   defaults as the data allows. Results are stored per microphone on
+   this device (not in backups, like the noise floor):
+     { [micKey]: { thresholds, falsePositiveRate, detectionRate, calibratedAt } }
+   =========================================================== */
+import {
+  DEFAULT_MISMATCH_THRESHOLDS,
+  matchMantra,
+  mismatchBeeps,
+  mismatchLetters,
+  shouldMismatchBeep,
+} from "./chantEngine";
+
+export const CALIBRATION_PHASES = [
+  { phase: "mantra", ms: 30000 },
+  { phase: "other", ms: 10000 },
+];
+export const MIN_MANTRA_RESULTS = 3;
+export const MIN_OTHER_RESULTS = 1;
+
+const CONFIDENCE_STEPS = Array.from({ length: 21 }, (_, i) => i / 20).concat(Infinity);
+const LETTER_STEPS = Array.from({ length: 24 }, (_, i) => i + 1).concat(Infinity);
+const NOISE_CONFIDENCE_STEPS = Array.from({ length: 11 }, (_, i) => i / 10);
+const NOISE_LETTER_STEPS = Array.from({ length: 7 }, (_, i) => i);
+const FALSE_POSITIVE_WEIGHT = 3; // one false beep costs more than one missed wrong chant
+const MIN_COOLDOWN_MS = 1000;
+const MAX_COOLDOWN_MS = 5000;
+
+/**
+ * Stored thresholds, each clamped to a sane range (defaults otherwise).
+ */
+export function normalizeThresholds(raw) {
+  const src = raw && typeof raw === "object" ? raw : {};
+  const num = (key, min, max) => {
+    const v = Number(src[key]);
+    return v >= min && v <= max ? v : DEFAULT_MISMATCH_THRESHOLDS[key];
+  };
+  const never = (v) => v === null || v === Infinity; // this measure alone never beeps
+  return {
+    noiseMaxLetters: num("noiseMaxLetters", 0, 100),
+    noiseMaxConfidence: num("noiseMaxConfidence", 0, 1),
+    minConfidence: never(src.minConfidence) ? Infinity : num("minConfidence", 0, 1),
+    minLetters: never(src.minLetters) ? Infinity : num("minLetters", 1, 100),
+    cooldownMs: num("cooldownMs", MIN_COOLDOWN_MS, MAX_COOLDOWN_MS),
+    minInterimConfidence: num("minInterimConfidence", 0, 1),
+  };
+}
+
+/**
+ * Stored calibrations by microphone; broken entries are dropped.
+ * (Infinity means "never by this measure" and is stored as null.)
+ */
+export function normalizeCalibrations(raw) {
+  const out = {};
+  if (!raw || typeof raw !== "object") return out;
+  for (const [key, entry] of Object.entries(raw)) {
+    if (!entry || typeof entry !== "object") continue;
+    out[key] = {
+      thresholds: normalizeThresholds(entry.thresholds),
+      falsePositiveRate: Number(entry.falsePositiveRate) || 0,
+      detectionRate: Number(entry.detectionRate) || 0,
+      calibratedAt: Number(entry.calibratedAt) || 0,
+    };
+  }
+  return out;
+}
+
+export function serializeCalibrations(calibrations) {
+  return JSON.stringify(calibrations, (_, v) => (v === Infinity ? null : v));
+}
+
+export function thresholdsFor(calibrations, micKey) {
+  const entry = calibrations[micKey];
+  return entry ? entry.thresholds : DEFAULT_MISMATCH_THRESHOLDS;
+}
+
+/**
+ * Stable name for the microphone in use: its label once the mic
+ * permission is granted, else "default".
+ */
+export async function currentMicKey() {
+  if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return "default";
+  const inputs = (await navigator.mediaDevices.enumerateDevices()).filter(
+    (d) => d.kind === "audioinput"
+  );
+  const mic = inputs.find((d) => d.deviceId === "default") || inputs[0];
+  return (mic && mic.label) || "default";
+}
+
+/* ---------- Learning ---------- */
+
+/**
+ * One recognizer result heard during calibration.
+ */
+export function calibrationSample({ text, isFinal, confidence }, at) {
+  return {
+    text: (text || "").trim().toLowerCase(),
+    isFinal: !!isFinal,
+    confidence: typeof confidence === "number" ? confidence : 1,
+    at,
+  };
+}
+
+/**
+ * How `thresholds` would have done on the samples:
+ *   falsePositiveRate  share of final mantra results that would beep
+ *   detectionRate      share of final other-speech results that would beep
+ */
+export function evaluateThresholds({ mantra, other }, md, strictness, thresholds) {
+  const beeps = (s) => shouldMismatchBeep(s.text, s.confidence, md, strictness, thresholds);
+  const finals = (list) => list.filter((s) => s.isFinal && s.text);
+  const rate = (list) => (list.length ? list.filter(beeps).length / list.length : 0);
+  return {
+    falsePositiveRate: rate(finals(mantra)),
+    detectionRate: rate(finals(other)),
+  };
+}
+
+function median(list) {
+  const sorted = [...list].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
+
+const GRID_KEYS = ["noiseMaxLetters", "noiseMaxConfidence", "minConfidence", "minLetters"];
+
+// Letter counts weigh like confidence over a 20-letter span
+const distanceFromDefaults = (t) => {
+  const d = DEFAULT_MISMATCH_THRESHOLDS;
+  return (
+    Math.abs(t.noiseMaxLetters - d.noiseMaxLetters) / 20 +
+    Math.abs(t.noiseMaxConfidence - d.noiseMaxConfidence) +
+    Math.abs(Math.min(t.minConfidence, 1.05) - d.minConfidence) +
+    Math.abs(Math.min(t.minLetters, 25) - d.minLetters) / 20
+  );
+};
+
+// Every combination of the grid steps
+function* thresholdGrid() {
+  for (const noiseMaxLetters of NOISE_LETTER_STEPS) {
+    for (const noiseMaxConfidence of NOISE_CONFIDENCE_STEPS) {
+      for (const minConfidence of CONFIDENCE_STEPS) {
+        for (const minLetters of LETTER_STEPS) {
+          yield { noiseMaxLetters, noiseMaxConfidence, minConfidence, minLetters };
+        }
+      }
+    }
+  }
+}
+
+/**
+ * samples: { mantra: [...], other: [...] } from calibrationSample().
+ * Returns { thresholds, estimate, baseline } (estimate/baseline are
+ * evaluateThresholds() of the learned and default thresholds), or
+ * { error: "tooFewChants" | "tooFewOther" }. The estimate is measured
+ * on the same samples the thresholds were fitted to, so it is a
+ * training-set figure: new chanting will usually do somewhat worse.
+ */
+export function learnThresholds(samples, md, strictness) {
+  const mantraFinals = samples.mantra.filter((s) => s.isFinal && s.text);
+  const otherFinals = samples.other.filter((s) => s.isFinal && s.text);
+  if (mantraFinals.length < MIN_MANTRA_RESULTS) return { error: "tooFewChants" };
+  if (otherFinals.length < MIN_OTHER_RESULTS) return { error: "tooFewOther" };
+
+  // Only results that aren't the mantra can beep; precompute what decides it
+  const mantraMisses = mantraFinals.filter((s) => !matchMantra(s.text, md, strictness));
+  const otherMisses = otherFinals.filter((s) => !matchMantra(s.text, md, strictness));
+  const features = (s) => ({ conf: s.confidence, letters: mismatchLetters(s.text) });
+  const mantraF = mantraMisses.map(features);
+  const otherF = otherMisses.map(features);
+
+  let best = null;
+  for (const candidate of thresholdGrid()) {
+    const beeps = (f) => mismatchBeeps(f.letters, f.conf, candidate);
+    const score = otherF.filter(beeps).length - FALSE_POSITIVE_WEIGHT * mantraF.filter(beeps).length;
+    if (
+      !best ||
+      score > best.score ||
+      (score === best.score && distanceFromDefaults(candidate) < distanceFromDefaults(best))
+    ) {
+      best = { ...candidate, score };
+    }
+  }
+
+  // One wrong-chant beep per burst of results, at this recognizer's pace
+  const gaps = mantraFinals.slice(1).map((s, i) => s.at - mantraFinals[i].at);
+  const cooldownMs = Math.min(
+    MAX_COOLDOWN_MS,
+    Math.max(MIN_COOLDOWN_MS, Math.round(median(gaps)))
+  );
+
+  // Never skip interim results that carried the mantra
+  const matchedInterims = samples.mantra
+    .filter((s) => !s.isFinal && s.text && matchMantra(s.text, md, strictness))
+    .map((s) => s.confidence);
+  const minInterimConfidence = matchedInterims.length
+    ? Math.min(DEFAULT_MISMATCH_THRESHOLDS.minInterimConfidence, Math.min(...matchedInterims))
+    : DEFAULT_MISMATCH_THRESHOLDS.minInterimConfidence;
+
+  const thresholds = {
+    ...Object.fromEntries(GRID_KEYS.map((key) => [key, best[key]])),
+    cooldownMs,
+    minInterimConfidence,
+  };
+  return {
+    thresholds,
+    estimate: evaluateThresholds(samples, md, strictness, thresholds),
+    baseline: evaluateThresholds(samples, md, strictness, DEFAULT_MISMATCH_THRESHOLDS),
+  };
+}
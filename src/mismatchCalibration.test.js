@@ -0,0 +1,127 @@
+import {
+  calibrationSample,
+  evaluateThresholds,
+  learnThresholds,
+  normalizeCalibrations,
+  serializeCalibrations,
+  thresholdsFor,
+} from './mismatchCalibration';
+import { buildMantraData, DEFAULT_MISMATCH_THRESHOLDS } from './chantEngine';
+
+const md = buildMantraData('om namah shivaya');
+
+// final results, one every `gap` ms
+const finals = (list, gap = 2000) =>
+  list.map(([text, confidence], i) =>
+    calibrationSample({ text, confidence, isFinal: true }, i * gap)
+  );
+
+test('learns thresholds that stop false beeps from a mumbling mic', () => {
+  // This mic garbles the mantra into short words at middling confidence,
+  // while real other speech comes back long and confident.
+  const samples = {
+    mantra: finals([
+      ['om namah shivaya', 0.9],
+      ['home number', 0.4],
+      ['om namah shivaya', 0.8],
+      ['oh nama', 0.45],
+      ['om namah shivaya', 0.85],
+    ], 3000),
+    other: finals([
+      ['what should we cook for dinner tonight', 0.9],
+      ['the weather is lovely today', 0.85],
+    ]),
+  };
+  const { thresholds, estimate, baseline } = learnThresholds(samples, md, 'normal');
+  expect(baseline.falsePositiveRate).toBeCloseTo(0.4);
+  expect(estimate.falsePositiveRate).toBe(0);
+  expect(estimate.detectionRate).toBe(1);
+  expect(thresholds.minConfidence).toBeGreaterThan(0.45);
+  expect(thresholds.cooldownMs).toBe(3000);
+});
+
+test('can raise the noise floor for short mishearings of the mantra', () => {
+  const sitaRam = buildMantraData('sita ram');
+  const samples = {
+    mantra: finals([
+      ['sita ram', 0.9],
+      ['om', 0.6],
+      ['sita ram', 0.9],
+      ['sita ram', 0.9],
+    ]),
+    other: finals([
+      ['no', 0.9],
+      ['what is for dinner', 0.8],
+    ]),
+  };
+  const { thresholds, estimate } = learnThresholds(samples, sitaRam, 'normal');
+  expect(estimate).toEqual({ falsePositiveRate: 0, detectionRate: 1 });
+  expect(thresholds.noiseMaxConfidence).toBeGreaterThan(0.6);
+  expect(thresholds.minConfidence).toBe(DEFAULT_MISMATCH_THRESHOLDS.minConfidence);
+});
+
+test('keeps the defaults when they already work', () => {
+  const samples = {
+    mantra: finals([
+      ['om namah shivaya', 0.9],
+      ['om namah shivaya', 0.9],
+      ['om namah shivaya', 0.9],
+    ]),
+    other: finals([['good morning everyone', 0.9]]),
+  };
+  const { thresholds } = learnThresholds(samples, md, 'normal');
+  expect(thresholds).toEqual({ ...DEFAULT_MISMATCH_THRESHOLDS, cooldownMs: 2000 });
+});
+
+test('lowers the interim floor for a mic that reports low interim confidence', () => {
+  const samples = {
+    mantra: [
+      ...finals([
+        ['om namah shivaya', 0.9],
+        ['om namah shivaya', 0.9],
+        ['om namah shivaya', 0.9],
+      ]),
+      calibrationSample({ text: 'om namah', confidence: 0.02, isFinal: false }, 500),
+    ],
+    other: finals([['good morning everyone', 0.9]]),
+  };
+  expect(learnThresholds(samples, md, 'normal').thresholds.minInterimConfidence).toBe(0.02);
+});
+
+test('needs enough of both phases', () => {
+  const other = finals([['good morning everyone', 0.9]]);
+  expect(learnThresholds({ mantra: finals([['om', 0.9]]), other }, md, 'normal')).toEqual({
+    error: 'tooFewChants',
+  });
+  const mantra = finals([
+    ['om namah shivaya', 0.9],
+    ['om namah shivaya', 0.9],
+    ['om namah shivaya', 0.9],
+  ]);
+  expect(learnThresholds({ mantra, other: [] }, md, 'normal')).toEqual({ error: 'tooFewOther' });
+});
+
+test('evaluates only final results', () => {
+  const samples = {
+    mantra: [calibrationSample({ text: 'hello there', confidence: 0.9, isFinal: false }, 0)],
+    other: finals([['hello there', 0.9], ['uh', 0.1]]),
+  };
+  expect(evaluateThresholds(samples, md, 'normal', DEFAULT_MISMATCH_THRESHOLDS)).toEqual({
+    falsePositiveRate: 0,
+    detectionRate: 0.5,
+  });
+});
+
+test('stores calibrations per microphone, including "never" thresholds', () => {
+  const entry = {
+    thresholds: { ...DEFAULT_MISMATCH_THRESHOLDS, minLetters: Infinity },
+    falsePositiveRate: 0.1,
+    detectionRate: 0.9,
+    calibratedAt: 5,
+  };
+  const stored = JSON.parse(serializeCalibrations({ 'USB Mic': entry }));
+  const loaded = normalizeCalibrations({ ...stored, broken: 'x' });
+  expect(loaded).toEqual({ 'USB Mic': entry });
+  expect(thresholdsFor(loaded, 'USB Mic').minLetters).toBe(Infinity);
+  expect(thresholdsFor(loaded, 'Laptop Mic')).toBe(DEFAULT_MISMATCH_THRESHOLDS);
+});
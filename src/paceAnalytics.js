@@ -0,0 +1,114 @@
+/* ===========================================================
+   Pace & Rhythm Analytics
+   -----------------------------------------------------------
+   Built from the times whole recitations complete (the engine's
+   cycleComplete). Several recitations in one recognizer result share
+   a timestamp; they are spread evenly over the time since the
+   previous result. A reminder breaks the run, so a pause is never
+   counted as one slow recitation.
+     rpm          recitations per minute while chanting
+     recentRpm    the same over the last RECENT_INTERVALS
+     variability  spread of the intervals (coefficient of variation;
+                  0 = perfectly steady)
+     series       rpm per recitation, lightly smoothed (rhythm graph)
+   =========================================================== */
+export const MIN_MAX_RPM = 1;
+export const MAX_MAX_RPM = 120;
+export const RECENT_INTERVALS = 4;
+export const MAX_SERIES_POINTS = 60;
+const SMOOTHING = 3; // series = rolling mean over this many recitations
+
+export const DEFAULT_PACE = { tooFast: false, maxPerMinute: 12 };
+
+/**
+ * Merge stored pace settings over the defaults.
+ */
+export function normalizePace(raw) {
+  const src = raw && typeof raw === "object" ? raw : {};
+  const max = parseInt(src.maxPerMinute, 10);
+  return {
+    tooFast: !!src.tooFast,
+    maxPerMinute: max >= MIN_MAX_RPM && max <= MAX_MAX_RPM ? max : DEFAULT_PACE.maxPerMinute,
+  };
+}
+
+const toRpm = (ms) => (ms > 0 ? 60000 / ms : 0);
+const mean = (list) => list.reduce((a, b) => a + b, 0) / list.length;
+
+/**
+ * Summary of recitation intervals (ms): { count, rpm, recentRpm, variability, series }.
+ */
+export function paceStats(intervals) {
+  if (!intervals.length) {
+    return { count: 0, rpm: 0, recentRpm: 0, variability: 0, series: [] };
+  }
+  const avg = mean(intervals);
+  const sd = Math.sqrt(mean(intervals.map((ms) => (ms - avg) ** 2)));
+  const series = intervals.map((_, i) =>
+    toRpm(mean(intervals.slice(Math.max(0, i - SMOOTHING + 1), i + 1)))
+  );
+  return {
+    count: intervals.length,
+    rpm: toRpm(avg),
+    recentRpm: toRpm(mean(intervals.slice(-RECENT_INTERVALS))),
+    variability: avg > 0 ? sd / avg : 0,
+    series: series.slice(-MAX_SERIES_POINTS),
+  };
+}
+
+/**
+ * Variability as a 0–100 "steadiness" score for display.
+ */
+export function steadiness(variability) {
+  return Math.round(Math.max(0, 1 - variability) * 100);
+}
+
+/**
+ *   tracker.push(at)              one recitation completed at `at`
+ *   tracker.pause()               a reminder fired: the next recitation starts a new run
+ *   tracker.checkTooFast(maxRpm)  true when the recent pace is above maxRpm; after
+ *                                 that, only again once RECENT_INTERVALS more have passed
+ *   tracker.stats()               paceStats() of everything so far
+ */
+export function createPaceTracker() {
+  const intervals = [];
+  let lastAt = null; // previous result's timestamp (null = new run)
+  let group = 0; // recitations sharing lastAt
+  let runStart = 0; // index in `intervals` where the current group's split starts
+  let groupSpan = 0; // ms those recitations share
+  let cuedAt = -Infinity; // intervals.length when "too fast" last fired
+
+  const push = (at) => {
+    if (lastAt !== null && at === lastAt && groupSpan > 0) {
+      // another recitation in the same result: re-split the shared span
+      group += 1;
+      intervals.splice(runStart, group - 1, ...Array(group).fill(groupSpan / group));
+      return;
+    }
+    if (lastAt !== null && at > lastAt) {
+      groupSpan = at - lastAt;
+      group = 1;
+      runStart = intervals.length;
+      intervals.push(groupSpan);
+    } else {
+      groupSpan = 0; // first of a run: nothing to measure from yet
+    }
+    lastAt = at;
+  };
+
+  const pause = () => {
+    lastAt = null;
+    groupSpan = 0;
+  };
+
+  const checkTooFast = (maxRpm) => {
+    if (intervals.length < RECENT_INTERVALS || intervals.length - cuedAt < RECENT_INTERVALS) {
+      return false;
+    }
+    if (toRpm(mean(intervals.slice(-RECENT_INTERVALS))) <= maxRpm) return false;
+    cuedAt = intervals.length;
+    return true;
+  };
+
+  return { push, pause, checkTooFast, stats: () => paceStats(intervals) };
+}
@@ -0,0 +1,88 @@
+import {
+  createPaceTracker,
+  paceStats,
+  steadiness,
+  normalizePace,
+  DEFAULT_PACE,
+  RECENT_INTERVALS,
+} from './paceAnalytics';
+
+test('normalizes stored settings', () => {
+  expect(normalizePace(undefined)).toEqual(DEFAULT_PACE);
+  expect(normalizePace({ tooFast: true, maxPerMinute: '20' })).toEqual({
+    tooFast: true,
+    maxPerMinute: 20,
+  });
+  expect(normalizePace({ maxPerMinute: 0 }).maxPerMinute).toBe(DEFAULT_PACE.maxPerMinute);
+});
+
+test('steady chanting: rate and zero variability', () => {
+  const stats = paceStats([5000, 5000, 5000]);
+  expect(stats.rpm).toBe(12);
+  expect(stats.recentRpm).toBe(12);
+  expect(stats.variability).toBe(0);
+  expect(stats.series).toEqual([12, 12, 12]);
+  expect(paceStats([]).count).toBe(0);
+});
+
+test('uneven chanting has higher variability', () => {
+  expect(paceStats([2000, 8000, 2000, 8000]).variability).toBeCloseTo(0.6);
+});
+
+test('measures between recitations, not from the session start', () => {
+  const pace = createPaceTracker();
+  pace.push(10000);
+  pace.push(15000);
+  pace.push(21000);
+  expect(pace.stats().count).toBe(2);
+  expect(pace.stats().rpm).toBeCloseTo(60000 / 5500);
+});
+
+test('spreads recitations from one result over the time since the last', () => {
+  const pace = createPaceTracker();
+  pace.push(0);
+  pace.push(9000); // "ram ram ram" in one final result
+  pace.push(9000);
+  pace.push(9000);
+  const stats = pace.stats();
+  expect(stats.count).toBe(3);
+  expect(stats.rpm).toBe(20);
+  expect(stats.variability).toBe(0);
+});
+
+test('a reminder pause is not counted as a slow recitation', () => {
+  const pace = createPaceTracker();
+  pace.push(0);
+  pace.push(4000);
+  pace.pause();
+  pace.push(60000);
+  pace.push(64000);
+  expect(pace.stats().count).toBe(2);
+  expect(pace.stats().rpm).toBe(15);
+});
+
+test('too-fast fires once, then only after fresh recitations', () => {
+  const pace = createPaceTracker();
+  let at = 0;
+  pace.push(at);
+  const next = (ms) => {
+    at += ms;
+    pace.push(at);
+  };
+  for (let i = 0; i < RECENT_INTERVALS - 1; i++) next(2000);
+  expect(pace.checkTooFast(20)).toBe(false); // not enough recitations yet
+  next(2000);
+  expect(pace.checkTooFast(20)).toBe(true); // 30 per minute
+  next(2000);
+  expect(pace.checkTooFast(20)).toBe(false);
+  for (let i = 0; i < RECENT_INTERVALS; i++) next(2000);
+  expect(pace.checkTooFast(20)).toBe(true);
+  for (let i = 0; i < RECENT_INTERVALS; i++) next(5000);
+  expect(pace.checkTooFast(20)).toBe(false); // 12 per minute
+});
+
+test('steadiness is variability as a percentage', () => {
+  expect(steadiness(0)).toBe(100);
+  expect(steadiness(0.25)).toBe(75);
+  expect(steadiness(1.5)).toBe(0);
+});
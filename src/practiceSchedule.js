@@ -0,0 +1,78 @@
+/* ===========================================================
+   Practice Schedule (daily / weekday reminders)
+   -----------------------------------------------------------
+   A schedule is a list of local-time slots:
+     { enabled, mantraId, slots: [{ time: "05:30", days: [0..6] }] }
+   `days` uses Date#getDay() numbering (0 = Sunday). `mantraId` ""
+   means "whatever mantra is active".
+   =========================================================== */
+export const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+const TIME_RE = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_SCAN_DAYS = 8; // one full week + today
+
+export const DEFAULT_SCHEDULE = { enabled: false, mantraId: "", slots: [] };
+
+export function makeSlot(time = "05:30", days = ALL_DAYS) {
+  return { time, days: [...days] };
+}
+
+function normalizeSlot(raw) {
+  if (!raw || !TIME_RE.test(raw.time)) return null;
+  const days = Array.isArray(raw.days)
+    ? [...new Set(raw.days.filter((d) => ALL_DAYS.includes(d)))].sort()
+    : ALL_DAYS;
+  return { time: raw.time, days };
+}
+
+/**
+ * Merge a stored schedule over the defaults, dropping broken slots.
+ */
+export function normalizeSchedule(raw) {
+  const src = raw && typeof raw === "object" ? raw : {};
+  return {
+    enabled: !!src.enabled,
+    mantraId: typeof src.mantraId === "string" ? src.mantraId : "",
+    slots: (Array.isArray(src.slots) ? src.slots : []).map(normalizeSlot).filter(Boolean),
+  };
+}
+
+// Timestamps of every slot occurrence on the local day containing `dayTs`
+function occurrencesOn(slots, dayTs) {
+  const day = new Date(dayTs);
+  const out = [];
+  for (const slot of slots) {
+    if (!slot.days.includes(day.getDay())) continue;
+    const [h, m] = slot.time.split(":").map(Number);
+    out.push(new Date(day.getFullYear(), day.getMonth(), day.getDate(), h, m).getTime());
+  }
+  return out;
+}
+
+/**
+ * Slot occurrences in (from, to], oldest first. Gaps longer than a
+ * week (device asleep) only report the last week.
+ */
+export function dueReminders(schedule, from, to) {
+  if (!schedule.enabled || to <= from) return [];
+  const start = Math.max(from, to - (MAX_SCAN_DAYS - 1) * DAY_MS);
+  const out = [];
+  for (let d = start; d <= to + DAY_MS; d += DAY_MS) {
+    out.push(...occurrencesOn(schedule.slots, d).filter((ts) => ts > from && ts <= to));
+  }
+  return [...new Set(out)].sort((a, b) => a - b);
+}
+
+/**
+ * Next slot occurrence after `now`, or null if nothing is scheduled.
+ */
+export function nextReminder(schedule, now) {
+  if (!schedule.enabled) return null;
+  for (let i = 0; i < MAX_SCAN_DAYS; i++) {
+    const next = occurrencesOn(schedule.slots, now + i * DAY_MS)
+      .filter((ts) => ts > now)
+      .sort((a, b) => a - b)[0];
+    if (next) return next;
+  }
+  return null;
+}
@@ -0,0 +1,39 @@
+import {
+  DEFAULT_SCHEDULE,
+  makeSlot,
+  normalizeSchedule,
+  dueReminders,
+  nextReminder,
+} from './practiceSchedule';
+
+// Local-time helper: Wed 2025-01-15 is getDay() === 3
+const at = (day, h, m = 0) => new Date(2025, 0, day, h, m).getTime();
+
+const schedule = normalizeSchedule({
+  enabled: true,
+  slots: [makeSlot('05:30'), makeSlot('19:00', [1, 3, 5])],
+});
+
+test('drops broken slots and bad weekdays', () => {
+  expect(normalizeSchedule(null)).toEqual(DEFAULT_SCHEDULE);
+  const out = normalizeSchedule({ slots: [{ time: '25:00' }, { time: '07:05', days: [9, 2, 2] }] });
+  expect(out.slots).toEqual([{ time: '07:05', days: [2] }]);
+});
+
+test('reports slots that fell due since the last check', () => {
+  expect(dueReminders(schedule, at(15, 5, 0), at(15, 5, 30))).toEqual([at(15, 5, 30)]);
+  expect(dueReminders(schedule, at(15, 5, 30), at(15, 6, 0))).toEqual([]);
+  expect(dueReminders(schedule, at(15, 12), at(16, 12))).toEqual([at(15, 19), at(16, 5, 30)]);
+});
+
+test('respects weekdays and the enabled flag', () => {
+  // Thursday 16th has no evening slot
+  expect(dueReminders(schedule, at(16, 18), at(16, 20))).toEqual([]);
+  expect(dueReminders({ ...schedule, enabled: false }, at(15, 0), at(16, 0))).toEqual([]);
+});
+
+test('finds the next reminder', () => {
+  expect(nextReminder(schedule, at(15, 6))).toBe(at(15, 19));
+  expect(nextReminder(schedule, at(16, 6))).toBe(at(17, 5, 30));
+  expect(nextReminder({ ...schedule, slots: [] }, at(16, 6))).toBeNull();
+});
@@ -0,0 +1,93 @@
+/* ===========================================================
+   PWA: service worker + local notifications
+   -----------------------------------------------------------
+   public/service-worker.js caches the app shell and turns a tap on
+   a practice notification into a "start-session" message (or opens
+   the app with ?listen=1&mantra=<id>).
+   =========================================================== */
+export const START_SESSION_MESSAGE = "start-session";
+
+/**
+ * Register the service worker (production builds only, so the dev
+ * server never serves stale bundles).
+ */
+export function registerServiceWorker() {
+  if (process.env.NODE_ENV !== "production" || !("serviceWorker" in navigator)) return;
+  window.addEventListener("load", () => {
+    navigator.serviceWorker
+      .register(`${process.env.PUBLIC_URL}/service-worker.js`)
+      .catch(() => {}); // the app still works, it just won't open offline
+  });
+}
+
+export function notificationsSupported() {
+  return typeof window !== "undefined" && "Notification" in window;
+}
+
+/**
+ * Ask for notification permission; resolves to "granted" | "denied" | "default".
+ */
+export async function requestNotificationPermission() {
+  if (!notificationsSupported()) return "denied";
+  if (Notification.permission !== "default") return Notification.permission;
+  return Notification.requestPermission();
+}
+
+/**
+ * Query-string that opens the app straight into a listen session.
+ */
+export function sessionLink(mantraId) {
+  const params = new URLSearchParams({ listen: "1" });
+  if (mantraId) params.set("mantra", mantraId);
+  return `?${params}`;
+}
+
+/**
+ * Parse a sessionLink() query; null when the page wasn't opened by one.
+ */
+export function parseSessionLink(search) {
+  const params = new URLSearchParams(search);
+  if (params.get("listen") !== "1") return null;
+  return { mantraId: params.get("mantra") || "" };
+}
+
+/**
+ * Show a practice notification. Goes through the service worker when
+ * there is one (required on Android); `onOpen` handles taps on the
+ * page-level fallback.
+ */
+export async function showPracticeNotification(title, { body, mantraId, onOpen }) {
+  if (!notificationsSupported() || Notification.permission !== "granted") return;
+  const options = {
+    body,
+    icon: `${process.env.PUBLIC_URL}/logo192.png`,
+    tag: "chant-practice",
+    data: { url: sessionLink(mantraId), mantraId },
+  };
+
+  const reg =
+    "serviceWorker" in navigator ? await navigator.serviceWorker.getRegistration() : null;
+  if (reg) {
+    await reg.showNotification(title, options);
+    return;
+  }
+  const n = new Notification(title, options);
+  n.onclick = () => {
+    window.focus();
+    n.close();
+    if (onOpen) onOpen(mantraId);
+  };
+}
+
+/**
+ * Listen for "start-session" messages from the service worker.
+ * Returns an unsubscribe function.
+ */
+export function onStartSessionMessage(handler) {
+  if (typeof navigator === "undefined" || !("serviceWorker" in navigator)) return () => {};
+  const listener = (e) => {
+    if (e.data && e.data.type === START_SESSION_MESSAGE) handler(e.data.mantraId || "");
+  };
+  navigator.serviceWorker.addEventListener("message", listener);
+  return () => navigator.serviceWorker.removeEventListener("message", listener);
+}
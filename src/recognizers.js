@@ -0,0 +1,417 @@
+/* ===========================================================
+   Speech Recognizer Backends
+   -----------------------------------------------------------
+   Every backend returns the same small adapter:
+
+     const rec = createRecognizer("webspeech", { lang, interimResults, continuous });
+     rec.onresult = (results) => {};  // [{ text, isFinal, confidence }]
+     rec.onerror  = (err) => {};      // { error, message }
+     rec.onend    = () => {};
+     rec.start(); rec.stop();
+
+   Backends:
+     webspeech  browser SpeechRecognition (Chrome/Edge/Safari, network)
+     offline    on-device Vosk (WASM) model, vocabulary limited to the mantra
+     scripted   replays canned results on timers (tests, demos)
+   =========================================================== */
+
+const registry = {};
+
+/**
+ * adapter: { isAvailable() => bool, create(options) => recognizer, hidden? }
+ */
+export function registerRecognizer(kind, adapter) {
+  registry[kind] = adapter;
+}
+
+export function recognizerKinds() {
+  return Object.keys(registry).filter((k) => !registry[k].hidden);
+}
+
+export function isRecognizerAvailable(kind) {
+  return !!registry[kind] && registry[kind].isAvailable();
+}
+
+/**
+ * First available visible backend, preferring `preferred`.
+ */
+export function pickRecognizer(preferred) {
+  if (isRecognizerAvailable(preferred)) return preferred;
+  return recognizerKinds().find(isRecognizerAvailable) || "";
+}
+
+export function createRecognizer(kind, options = {}) {
+  if (!isRecognizerAvailable(kind)) return null;
+  return registry[kind].create(options);
+}
+
+/* ---------- shared handler plumbing ---------- */
+const realTimers = {
+  setTimeout: (fn, ms) => setTimeout(fn, ms),
+  clearTimeout: (h) => clearTimeout(h),
+};
+
+function baseRecognizer() {
+  return { onresult: null, onerror: null, onend: null };
+}
+
+function fire(rec, handler, arg) {
+  if (typeof rec[handler] === "function") rec[handler](arg);
+}
+
+/* ===========================================================
+   Web Speech API
+   =========================================================== */
+function webSpeechClass() {
+  if (typeof window === "undefined") return null;
+  return window.SpeechRecognition || window.webkitSpeechRecognition || null;
+}
+
+function createWebSpeechRecognizer({ lang, interimResults = true, continuous = true }) {
+  const SR = webSpeechClass();
+  const rec = baseRecognizer();
+  const native = new SR();
+  native.lang = lang;
+  native.interimResults = interimResults;
+  native.continuous = continuous;
+
+  native.onresult = (e) => {
+    const results = [];
+    for (let i = e.resultIndex; i < e.results.length; i++) {
+      const r = e.results[i];
+      results.push({
+        text: r[0].transcript.trim(),
+        isFinal: r.isFinal,
+        confidence: r[0].confidence,
+      });
+    }
+    fire(rec, "onresult", results);
+  };
+  native.onerror = (e) => fire(rec, "onerror", { error: e.error, message: e.message || "" });
+  native.onend = () => fire(rec, "onend");
+
+  rec.start = () => {
+    try { native.start(); } catch {}
+  };
+  rec.stop = () => {
+    try { native.stop(); } catch {}
+  };
+  return rec;
+}
+
+registerRecognizer("webspeech", {
+  isAvailable: () => !!webSpeechClass(),
+  create: createWebSpeechRecognizer,
+});
+
+/* ===========================================================
+   Offline: Vosk (WASM) in the browser
+   -----------------------------------------------------------
+   Models are not bundled; put them under public/models/ (see MODEL_FILES).
+   The backend is offered only once probeOfflineModels() finds one.
+   =========================================================== */
+const MODEL_FILES = {
+  "hi-IN": "vosk-model-small-hi-0.22.tar.gz",
+  "en-IN": "vosk-model-small-en-in-0.4.tar.gz",
+};
+const DEFAULT_MODEL_LANG = "en-IN";
+
+const modelCache = {}; // url -> Promise<Model>
+let modelsHosted = false; // set by probeOfflineModels()
+
+export function offlineModelUrl(lang) {
+  const file = MODEL_FILES[lang] || MODEL_FILES[DEFAULT_MODEL_LANG];
+  return `${process.env.PUBLIC_URL || ""}/models/${file}`;
+}
+
+/**
+ * Ask the server for each model file; resolves true when at least one
+ * is hosted. (A single-page-app fallback answering with index.html
+ * doesn't count.)
+ */
+export function probeOfflineModels(fetchFn = typeof fetch === "function" ? fetch : null) {
+  if (!fetchFn) return Promise.resolve(false);
+  const urls = [...new Set(Object.keys(MODEL_FILES).map(offlineModelUrl))];
+  const hosted = (url) =>
+    fetchFn(url, { method: "HEAD" }).then(
+      (res) => res.ok && !/text\/html/.test(res.headers.get("content-type") || ""),
+      () => false
+    );
+  return Promise.all(urls.map(hosted)).then((found) => {
+    modelsHosted = found.some(Boolean);
+    return modelsHosted;
+  });
+}
+
+function loadModel(url) {
+  if (!modelCache[url]) {
+    modelCache[url] = import("vosk-browser")
+      .then(({ createModel }) => createModel(url))
+      .catch((err) => {
+        delete modelCache[url]; // allow retry
+        throw err;
+      });
+  }
+  return modelCache[url];
+}
+
+/**
+ * vocabulary: words the grammar may emit (usually the mantra tokens);
+ * anything else is reported as "[unk]" so it can still count as a mismatch.
+ * Words missing from the model's lexicon are ignored by Vosk.
+ */
+function createOfflineRecognizer({ lang, interimResults = true, vocabulary = [] }) {
+  const rec = baseRecognizer();
+  let stopped = false;
+  let cleanup = () => {};
+
+  rec.start = async () => {
+    stopped = false;
+    try {
+      const model = await loadModel(offlineModelUrl(lang));
+      const stream = await navigator.mediaDevices.getUserMedia({
+        audio: { echoCancellation: true, noiseSuppression: true, channelCount: 1 },
+      });
+      if (stopped) {
+        stream.getTracks().forEach((tr) => tr.stop());
+        return;
+      }
+
+      const Ctx = window.AudioContext || window.webkitAudioContext;
+      const ctx = new Ctx();
+      const words = [...new Set(vocabulary.filter(Boolean))];
+      const grammar = words.length ? JSON.stringify([...words, "[unk]"]) : undefined;
+      const kaldi = new model.KaldiRecognizer(ctx.sampleRate, grammar);
+      kaldi.setWords(true);
+
+      kaldi.on("result", (m) => {
+        const text = (m.result.text || "").trim();
+        if (!text) return;
+        const confs = (m.result.result || []).map((w) => w.conf);
+        const confidence = confs.length
+          ? confs.reduce((a, b) => a + b, 0) / confs.length
+          : 1;
+        fire(rec, "onresult", [{ text, isFinal: true, confidence }]);
+      });
+      if (interimResults) {
+        kaldi.on("partialresult", (m) => {
+          const text = (m.result.partial || "").trim();
+          if (text) fire(rec, "onresult", [{ text, isFinal: false, confidence: 1 }]);
+        });
+      }
+
+      // ScriptProcessor is deprecated but is what vosk-browser documents
+      const source = ctx.createMediaStreamSource(stream);
+      const node = ctx.createScriptProcessor(4096, 1, 1);
+      node.onaudioprocess = (e) => {
+        try { kaldi.acceptWaveform(e.inputBuffer); } catch {}
+      };
+      source.connect(node);
+      node.connect(ctx.destination);
+
+      cleanup = () => {
+        node.disconnect();
+        source.disconnect();
+        stream.getTracks().forEach((tr) => tr.stop());
+        try { kaldi.remove(); } catch {}
+        try { ctx.close(); } catch {}
+      };
+    } catch (err) {
+      const denied = err && err.name === "NotAllowedError";
+      fire(rec, "onerror", {
+        error: denied ? "not-allowed" : "model-load",
+        message: (err && err.message) || String(err),
+      });
+      fire(rec, "onend");
+    }
+  };
+
+  rec.stop = () => {
+    stopped = true;
+    cleanup();
+    cleanup = () => {};
+    fire(rec, "onend");
+  };
+  return rec;
+}
+
+registerRecognizer("offline", {
+  isAvailable: () =>
+    modelsHosted &&
+    typeof window !== "undefined" &&
+    typeof WebAssembly !== "undefined" &&
+    !!(window.AudioContext || window.webkitAudioContext) &&
+    !!(navigator.mediaDevices && navigator.mediaDevices.getUserMedia),
+  create: createOfflineRecognizer,
+});
+
+/* ===========================================================
+   Keep-alive wrapper
+   -----------------------------------------------------------
+   Browsers end recognition on their own (silence timeouts, network
+   hiccups, background tabs). keepAlive() restarts the inner recognizer
+   after onend/onerror, backing off when restarts keep failing, and
+   reports what it is doing:
+
+     rec.onstatus = ({ state, attempt, error }) => {};
+     // state: "listening" | "reconnecting" | "failed"
+
+   rec.nudge() retries right away (e.g. when the tab is visible again).
+   =========================================================== */
+const FATAL_ERRORS = [
+  "not-allowed",
+  "service-not-allowed",
+  "language-not-supported",
+  "model-load", // offline model missing or broken: retrying won't help
+];
+const QUIET_ERRORS = ["no-speech", "aborted"]; // recognizer works, just heard nothing
+const QUIET_RESTARTS = 2; // ends in a row restarted at once, without a status change
+const RESTART_BASE_MS = 500;
+const RESTART_MAX_MS = 15000;
+
+/**
+ * Delay before restart number `misses` (ends in a row with no result).
+ */
+export function restartDelay(misses) {
+  if (misses <= QUIET_RESTARTS) return 0;
+  return Math.min(RESTART_MAX_MS, RESTART_BASE_MS * 2 ** (misses - QUIET_RESTARTS - 1));
+}
+
+export function keepAlive(inner, { timers = realTimers } = {}) {
+  const rec = { ...baseRecognizer(), onstatus: null };
+  let running = false;
+  let misses = 0;
+  let lastError = null;
+  let handle = null;
+  let state = "listening";
+
+  const setState = (next, extra = {}) => {
+    if (next === state && next === "listening") return;
+    state = next;
+    fire(rec, "onstatus", { state, attempt: misses, error: lastError, ...extra });
+  };
+
+  const restartNow = () => {
+    handle = null;
+    if (running) inner.start();
+  };
+
+  inner.onresult = (results) => {
+    misses = 0;
+    lastError = null;
+    setState("listening");
+    fire(rec, "onresult", results);
+  };
+
+  inner.onerror = (err) => {
+    lastError = err.error;
+    fire(rec, "onerror", err);
+    if (QUIET_ERRORS.includes(err.error)) {
+      misses = 0;
+    } else if (FATAL_ERRORS.includes(err.error)) {
+      running = false;
+      setState("failed");
+    }
+  };
+
+  inner.onend = () => {
+    if (!running) {
+      fire(rec, "onend");
+      return;
+    }
+    const quiet = !lastError || QUIET_ERRORS.includes(lastError);
+    if (lastError !== "no-speech") misses += 1;
+    if (!quiet || misses > QUIET_RESTARTS) setState("reconnecting");
+    lastError = null;
+    handle = timers.setTimeout(restartNow, restartDelay(misses));
+  };
+
+  rec.start = () => {
+    running = true;
+    misses = 0;
+    lastError = null;
+    state = "listening";
+    inner.start();
+  };
+
+  rec.stop = () => {
+    running = false;
+    if (handle) {
+      // inner already ended and is waiting to restart
+      timers.clearTimeout(handle);
+      handle = null;
+      fire(rec, "onend");
+      return;
+    }
+    inner.stop();
+  };
+
+  rec.nudge = () => {
+    if (!running || !handle) return;
+    timers.clearTimeout(handle);
+    restartNow();
+  };
+
+  return rec;
+}
+
+/* ===========================================================
+   Scripted fake (tests)
+   =========================================================== */
+
+/**
+ * steps: [{ after: ms, text, isFinal = true, confidence = 1 } | { after, error }]
+ * Steps run in order, each `after` ms after the previous one; onend fires
+ * after the last step (or on stop()).
+ */
+
+export function createScriptedRecognizer(steps, { timers = realTimers } = {}) {
+  const rec = baseRecognizer();
+  let handle = null;
+  let ended = false;
+
+  const end = () => {
+    if (ended) return;
+    ended = true;
+    fire(rec, "onend");
+  };
+
+  const run = (i) => {
+    if (i >= steps.length) {
+      end();
+      return;
+    }
+    const step = steps[i];
+    handle = timers.setTimeout(() => {
+      if (step.error) {
+        fire(rec, "onerror", { error: step.error, message: step.message || "" });
+      } else {
+        fire(rec, "onresult", [
+          {
+            text: step.text,
+            isFinal: step.isFinal !== false,
+            confidence: step.confidence === undefined ? 1 : step.confidence,
+          },
+        ]);
+      }
+      run(i + 1);
+    }, step.after || 0);
+  };
+
+  rec.start = () => {
+    ended = false;
+    run(0);
+  };
+  rec.stop = () => {
+    if (handle) timers.clearTimeout(handle);
+    handle = null;
+    end();
+  };
+  return rec;
+}
+
+registerRecognizer("scripted", {
+  hidden: true,
+  isAvailable: () => true,
+  create: ({ steps = [] }) => createScriptedRecognizer(steps),
+});
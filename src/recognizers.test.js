@@ -0,0 +1,243 @@
+import {
+  createRecognizer,
+  createScriptedRecognizer,
+  isRecognizerAvailable,
+  keepAlive,
+  pickRecognizer,
+  probeOfflineModels,
+  recognizerKinds,
+  restartDelay,
+} from './recognizers';
+import { createChantEngine } from './chantEngine';
+
+describe('scripted recognizer', () => {
+  beforeEach(() => jest.useFakeTimers());
+  afterEach(() => jest.useRealTimers());
+
+  test('replays steps in order and ends', () => {
+    const rec = createScriptedRecognizer([
+      { after: 100, text: 'radha', isFinal: false },
+      { after: 100, text: 'radha radha' },
+      { after: 50, error: 'no-speech' },
+    ]);
+    const log = [];
+    rec.onresult = (results) => log.push(['result', results[0].text, results[0].isFinal]);
+    rec.onerror = (e) => log.push(['error', e.error]);
+    rec.onend = () => log.push(['end']);
+    rec.start();
+
+    jest.advanceTimersByTime(100);
+    expect(log).toEqual([['result', 'radha', false]]);
+    jest.advanceTimersByTime(150);
+    expect(log).toEqual([
+      ['result', 'radha', false],
+      ['result', 'radha radha', true],
+      ['error', 'no-speech'],
+      ['end'],
+    ]);
+  });
+
+  test('stop() cancels pending steps', () => {
+    const rec = createScriptedRecognizer([{ after: 100, text: 'radha' }]);
+    const onresult = jest.fn();
+    const onend = jest.fn();
+    Object.assign(rec, { onresult, onend });
+    rec.start();
+    rec.stop();
+    jest.advanceTimersByTime(500);
+    expect(onresult).not.toHaveBeenCalled();
+    expect(onend).toHaveBeenCalledTimes(1);
+  });
+
+  test('drives the chant engine end to end', () => {
+    let now = 0;
+    const engine = createChantEngine({ mantra: 'sita ram', malaTarget: 2, now: () => now });
+    const events = [];
+    ['heard', 'mismatch', 'cycleComplete', 'malaComplete'].forEach((type) =>
+      engine.on(type, () => events.push(type))
+    );
+    engine.start();
+
+    const rec = createRecognizer('scripted', {
+      steps: [
+        { after: 1000, text: 'sita ram sita ram' },
+        { after: 2000, text: 'good morning everyone', confidence: 0.9 },
+      ],
+    });
+    rec.onresult = (results) => results.forEach((r) => engine.transcript(r));
+    rec.start();
+
+    now = 1000;
+    jest.advanceTimersByTime(1000);
+    now = 3000;
+    jest.advanceTimersByTime(2000);
+
+    expect(events).toEqual([
+      'cycleComplete',
+      'cycleComplete',
+      'malaComplete',
+      'heard',
+      'mismatch',
+    ]);
+  });
+});
+
+describe('web speech adapter', () => {
+  class FakeSpeechRecognition {
+    constructor() {
+      FakeSpeechRecognition.last = this;
+    }
+    start() {}
+    stop() {
+      this.onend();
+    }
+  }
+
+  beforeEach(() => {
+    window.SpeechRecognition = FakeSpeechRecognition;
+  });
+  afterEach(() => {
+    delete window.SpeechRecognition;
+  });
+
+  test('is offered only when the browser has SpeechRecognition', () => {
+    expect(isRecognizerAvailable('webspeech')).toBe(true);
+    expect(pickRecognizer('webspeech')).toBe('webspeech');
+    expect(recognizerKinds()).not.toContain('scripted');
+    delete window.SpeechRecognition;
+    expect(isRecognizerAvailable('webspeech')).toBe(false);
+  });
+
+  test('normalizes native results from resultIndex on', () => {
+    const rec = createRecognizer('webspeech', { lang: 'hi-IN' });
+    const native = FakeSpeechRecognition.last;
+    expect(native.lang).toBe('hi-IN');
+
+    const onresult = jest.fn();
+    rec.onresult = onresult;
+    const result = (transcript, isFinal) => Object.assign([{ transcript, confidence: 0.7 }], { isFinal });
+    native.onresult({
+      resultIndex: 1,
+      results: [result('old', true), result(' राधा ', true), result('रा', false)],
+    });
+
+    expect(onresult).toHaveBeenCalledWith([
+      { text: 'राधा', isFinal: true, confidence: 0.7 },
+      { text: 'रा', isFinal: false, confidence: 0.7 },
+    ]);
+  });
+});
+
+describe('offline adapter', () => {
+  const response = (ok, type) => ({ ok, headers: { get: () => type } });
+
+  test('is offered only once a model file is hosted', async () => {
+    const fetchFn = jest.fn(() => Promise.resolve(response(true, 'text/html')));
+    expect(await probeOfflineModels(fetchFn)).toBe(false); // SPA fallback page
+    expect(isRecognizerAvailable('offline')).toBe(false);
+    expect(fetchFn).toHaveBeenCalledWith(expect.stringMatching(/\/models\//), { method: 'HEAD' });
+
+    const hosted = (url) =>
+      Promise.resolve(url.includes('-hi-') ? response(true, 'application/gzip') : response(false));
+    expect(await probeOfflineModels(hosted)).toBe(true);
+    expect(await probeOfflineModels(() => Promise.reject(new Error('offline')))).toBe(false);
+  });
+});
+
+describe('keepAlive', () => {
+  beforeEach(() => jest.useFakeTimers());
+  afterEach(() => jest.useRealTimers());
+
+  // Inner recognizer driven by hand
+  function manualRecognizer() {
+    const rec = { starts: 0 };
+    rec.start = () => {
+      rec.starts += 1;
+    };
+    rec.stop = () => rec.onend();
+    return rec;
+  }
+
+  test('restarts quietly after a normal end', () => {
+    const inner = manualRecognizer();
+    const rec = keepAlive(inner);
+    const onstatus = jest.fn();
+    rec.onstatus = onstatus;
+    rec.start();
+    inner.onend();
+    jest.advanceTimersByTime(0);
+    expect(inner.starts).toBe(2);
+    expect(onstatus).not.toHaveBeenCalled();
+  });
+
+  test('reports reconnecting on errors, backs off, and recovers on results', () => {
+    const inner = manualRecognizer();
+    const rec = keepAlive(inner);
+    const states = [];
+    rec.onstatus = (s) => states.push(s.state);
+    rec.onresult = jest.fn();
+    rec.start();
+
+    for (let i = 0; i < 4; i++) {
+      inner.onerror({ error: 'network' });
+      inner.onend();
+      jest.advanceTimersByTime(restartDelay(i + 1));
+    }
+    expect(inner.starts).toBe(5);
+    expect(restartDelay(4)).toBeGreaterThan(restartDelay(3));
+    expect(states[0]).toBe('reconnecting');
+
+    inner.onresult([{ text: 'radha', isFinal: true, confidence: 1 }]);
+    expect(states[states.length - 1]).toBe('listening');
+    expect(rec.onresult).toHaveBeenCalled();
+  });
+
+  test('gives up on permission errors', () => {
+    const inner = manualRecognizer();
+    const rec = keepAlive(inner);
+    const onstatus = jest.fn();
+    const onend = jest.fn();
+    Object.assign(rec, { onstatus, onend });
+    rec.start();
+    inner.onerror({ error: 'not-allowed' });
+    inner.onend();
+    jest.advanceTimersByTime(60000);
+    expect(inner.starts).toBe(1);
+    expect(onstatus).toHaveBeenCalledWith(expect.objectContaining({ state: 'failed' }));
+    expect(onend).toHaveBeenCalledTimes(1);
+  });
+
+  test('gives up when the offline model cannot load', () => {
+    const inner = manualRecognizer();
+    const rec = keepAlive(inner);
+    const onstatus = jest.fn();
+    rec.onstatus = onstatus;
+    rec.start();
+    inner.onerror({ error: 'model-load' });
+    inner.onend();
+    jest.advanceTimersByTime(60000);
+    expect(inner.starts).toBe(1);
+    expect(onstatus).toHaveBeenCalledWith({ state: 'failed', attempt: 0, error: 'model-load' });
+  });
+
+  test('stop() while waiting to restart ends at once; nudge() skips the wait', () => {
+    const inner = manualRecognizer();
+    const rec = keepAlive(inner);
+    rec.start();
+    for (let i = 0; i < 3; i++) {
+      inner.onend();
+      jest.advanceTimersByTime(restartDelay(i + 1));
+    }
+    inner.onend(); // 4th miss: waits restartDelay(4)
+    rec.nudge();
+    expect(inner.starts).toBe(5);
+
+    inner.onend();
+    const onend = jest.fn();
+    rec.onend = onend;
+    rec.stop();
+    jest.advanceTimersByTime(60000);
+    expect(onend).toHaveBeenCalledTimes(1);
+    expect(inner.starts).toBe(5);
+  });
+});
@@ -0,0 +1,120 @@
+/* ===========================================================
+   Reference Audio (MediaRecorder + IndexedDB)
+   -----------------------------------------------------------
+   The mantra as the user actually chanted it: captured next to the
+   recognizer while recording, stored per mantra, replayed as a
+   pronunciation guide and turned into an acoustic template (see
+   acousticMatch.js). Recordings stay on this device; backups don't
+   carry them.
+     { mantraId, blob, mimeType, durationMs, template, savedAt }
+   =========================================================== */
+import { openDb, requestToPromise, STORE_RECORDINGS } from "./db";
+import { buildTemplate } from "./acousticMatch";
+
+// Shorter captures are a mis-tap, not a mantra
+export const MIN_REFERENCE_MS = 500;
+
+export function isAudioCaptureAvailable() {
+  return (
+    typeof window !== "undefined" &&
+    typeof window.MediaRecorder !== "undefined" &&
+    !!(navigator.mediaDevices && navigator.mediaDevices.getUserMedia)
+  );
+}
+
+/**
+ * Start recording the mic. Resolves to { stop, cancel }:
+ * stop() resolves to { blob, mimeType, durationMs }, cancel() discards.
+ */
+export async function startAudioCapture() {
+  const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+  const recorder = new window.MediaRecorder(stream);
+  const chunks = [];
+  const startedAt = Date.now();
+  recorder.ondataavailable = (e) => {
+    if (e.data && e.data.size) chunks.push(e.data);
+  };
+  recorder.start();
+
+  const release = () => stream.getTracks().forEach((tr) => tr.stop());
+
+  const stop = () =>
+    new Promise((resolve) => {
+      recorder.onstop = () => {
+        release();
+        const mimeType = recorder.mimeType || (chunks[0] && chunks[0].type) || "audio/webm";
+        resolve({
+          blob: new Blob(chunks, { type: mimeType }),
+          mimeType,
+          durationMs: Date.now() - startedAt,
+        });
+      };
+      recorder.stop();
+    });
+
+  const cancel = () => {
+    recorder.onstop = release;
+    if (recorder.state !== "inactive") recorder.stop();
+    else release();
+  };
+
+  return { stop, cancel };
+}
+
+/**
+ * Decode a recording and derive its acoustic template (null when the
+ * recording holds too little sound to match against).
+ */
+export async function templateFromBlob(ctx, blob) {
+  const buffer = await ctx.decodeAudioData(await blob.arrayBuffer());
+  return buildTemplate(buffer.getChannelData(0), buffer.sampleRate);
+}
+
+/* ---------- Storage (keyed by mantra id) ---------- */
+export async function saveRecording(mantraId, recording) {
+  const db = await openDb();
+  if (!db) return false;
+  const tx = db.transaction(STORE_RECORDINGS, "readwrite");
+  await requestToPromise(
+    tx.objectStore(STORE_RECORDINGS).put({ ...recording, mantraId, savedAt: Date.now() })
+  );
+  return true;
+}
+
+export async function loadRecording(mantraId) {
+  const db = await openDb();
+  if (!db) return null;
+  const tx = db.transaction(STORE_RECORDINGS, "readonly");
+  return (await requestToPromise(tx.objectStore(STORE_RECORDINGS).get(mantraId))) || null;
+}
+
+export async function deleteRecording(mantraId) {
+  const db = await openDb();
+  if (!db) return;
+  const tx = db.transaction(STORE_RECORDINGS, "readwrite");
+  await requestToPromise(tx.objectStore(STORE_RECORDINGS).delete(mantraId));
+}
+
+/* ---------- Playback (pronunciation guide) ---------- */
+
+/**
+ * Play `blob`; returns stop(). onEnd fires when it finishes or is stopped.
+ */
+export function playRecording(blob, { onEnd } = {}) {
+  const url = URL.createObjectURL(blob);
+  const audio = new Audio(url);
+  let done = false;
+  const finish = () => {
+    if (done) return;
+    done = true;
+    URL.revokeObjectURL(url);
+    if (onEnd) onEnd();
+  };
+  audio.onended = finish;
+  audio.onerror = finish;
+  audio.play().catch(finish);
+  return () => {
+    audio.pause();
+    finish();
+  };
+}
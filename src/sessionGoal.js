@@ -0,0 +1,47 @@
+/* ===========================================================
+   Session Goal (timed / counted sessions)
+   -----------------------------------------------------------
+   kind "open" runs until stopped; "time" ends after `minutes`;
+   "reps" ends after `reps` full recitations (speech mode only,
+   voice-only detection can't count).
+   =========================================================== */
+export const GOAL_KINDS = ["open", "time", "reps"];
+export const MAX_GOAL_MINUTES = 240;
+export const MAX_GOAL_REPS = 10000;
+
+export const DEFAULT_GOAL = { kind: "open", minutes: 20, reps: 108 };
+
+function clampInt(n, max, fallback) {
+  const v = parseInt(n, 10);
+  return Number.isInteger(v) && v >= 1 && v <= max ? v : fallback;
+}
+
+/**
+ * Merge a stored goal over the defaults.
+ */
+export function normalizeGoal(raw) {
+  const src = raw && typeof raw === "object" ? raw : {};
+  return {
+    kind: GOAL_KINDS.includes(src.kind) ? src.kind : DEFAULT_GOAL.kind,
+    minutes: clampInt(src.minutes, MAX_GOAL_MINUTES, DEFAULT_GOAL.minutes),
+    reps: clampInt(src.reps, MAX_GOAL_REPS, DEFAULT_GOAL.reps),
+  };
+}
+
+/**
+ * Progress towards the goal: { fraction (0..1), done, remaining } where
+ * `remaining` is ms for time goals and recitations for reps goals.
+ * Open sessions never finish.
+ */
+export function goalProgress(goal, { elapsedMs, cycles }) {
+  if (goal.kind === "time") {
+    const total = goal.minutes * 60000;
+    const remaining = Math.max(0, total - elapsedMs);
+    return { fraction: Math.min(1, elapsedMs / total), done: remaining === 0, remaining };
+  }
+  if (goal.kind === "reps") {
+    const remaining = Math.max(0, goal.reps - cycles);
+    return { fraction: Math.min(1, cycles / goal.reps), done: remaining === 0, remaining };
+  }
+  return { fraction: 0, done: false, remaining: Infinity };
+}
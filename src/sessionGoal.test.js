@@ -0,0 +1,31 @@
+import { DEFAULT_GOAL, normalizeGoal, goalProgress } from './sessionGoal';
+
+test('falls back to defaults for broken goals', () => {
+  expect(normalizeGoal(null)).toEqual(DEFAULT_GOAL);
+  expect(normalizeGoal({ kind: 'forever', minutes: 0, reps: 'x' })).toEqual(DEFAULT_GOAL);
+  expect(normalizeGoal({ kind: 'time', minutes: '15' })).toEqual({ ...DEFAULT_GOAL, kind: 'time', minutes: 15 });
+});
+
+test('time goal counts down to done', () => {
+  const goal = normalizeGoal({ kind: 'time', minutes: 10 });
+  expect(goalProgress(goal, { elapsedMs: 150000, cycles: 0 })).toEqual({
+    fraction: 0.25,
+    done: false,
+    remaining: 450000,
+  });
+  expect(goalProgress(goal, { elapsedMs: 600000, cycles: 0 }).done).toBe(true);
+});
+
+test('reps goal finishes at the target count', () => {
+  const goal = normalizeGoal({ kind: 'reps', reps: 4 });
+  expect(goalProgress(goal, { elapsedMs: 0, cycles: 3 })).toEqual({
+    fraction: 0.75,
+    done: false,
+    remaining: 1,
+  });
+  expect(goalProgress(goal, { elapsedMs: 0, cycles: 5 }).done).toBe(true);
+});
+
+test('open sessions never finish', () => {
+  expect(goalProgress(DEFAULT_GOAL, { elapsedMs: 1e9, cycles: 1e6 }).done).toBe(false);
+});
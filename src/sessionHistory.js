@@ -0,0 +1,180 @@
+/* ===========================================================
+   Session History (IndexedDB) + Practice Statistics
+   =========================================================== */
+import { openDb, requestToPromise, STORE_SESSIONS } from "./db";
+
+/**
+ * Store a finished session; resolves to the saved record (with id).
+ */
+export async function saveSession(session) {
+  const db = await openDb();
+  if (!db) return session;
+  const tx = db.transaction(STORE_SESSIONS, "readwrite");
+  const id = await requestToPromise(tx.objectStore(STORE_SESSIONS).add(session));
+  return { ...session, id };
+}
+
+/**
+ * All stored sessions, oldest first.
+ */
+export async function loadSessions() {
+  const db = await openDb();
+  if (!db) return [];
+  const tx = db.transaction(STORE_SESSIONS, "readonly");
+  const index = tx.objectStore(STORE_SESSIONS).index("startedAt");
+  return requestToPromise(index.getAll());
+}
+
+/**
+ * Bulk-add sessions from a backup (replace = clear the log first).
+ * Resolves to the full log, oldest first, or null when nothing can be
+ * stored (keep the log you have).
+ */
+export async function importSessions(sessions, { replace = false } = {}) {
+  const db = await openDb();
+  if (!db) return null;
+  const tx = db.transaction(STORE_SESSIONS, "readwrite");
+  const store = tx.objectStore(STORE_SESSIONS);
+  if (replace) store.clear();
+  sessions.forEach(({ id, ...rest }) => store.add(rest));
+  await new Promise((resolve, reject) => {
+    tx.oncomplete = resolve;
+    tx.onerror = () => reject(tx.error);
+  });
+  return loadSessions();
+}
+
+/* ===========================================================
+   Live session bookkeeping (pure)
+   =========================================================== */
+
+/**
+ * A "streak" is uninterrupted chanting: it starts at session start or
+ * after a reminder, and lasts until the last time the mantra was heard.
+ */
+export function createSessionStats(mantra, now) {
+  return {
+    mantra,
+    startedAt: now,
+    streakStart: now,
+    lastMatchAt: 0,
+    chantMs: 0,
+    longestStreakMs: 0,
+    silenceBeeps: 0,
+    mismatchBeeps: 0,
+  };
+}
+
+export function markHeard(stats, now) {
+  stats.lastMatchAt = now;
+}
+
+/**
+ * kind: "silence" | "mismatch"
+ */
+export function markReminder(stats, kind, now) {
+  closeStreak(stats);
+  if (kind === "mismatch") stats.mismatchBeeps += 1;
+  else stats.silenceBeeps += 1;
+  stats.streakStart = now;
+}
+
+function closeStreak(stats) {
+  const len = Math.max(0, stats.lastMatchAt - stats.streakStart);
+  stats.chantMs += len;
+  stats.longestStreakMs = Math.max(stats.longestStreakMs, len);
+}
+
+/**
+ * Freeze the live stats into a storable session record.
+ */
+export function finishSession(stats, now, extra = {}) {
+  closeStreak(stats);
+  return {
+    mantra: stats.mantra,
+    startedAt: stats.startedAt,
+    endedAt: now,
+    chantMs: stats.chantMs,
+    longestStreakMs: stats.longestStreakMs,
+    silenceBeeps: stats.silenceBeeps,
+    mismatchBeeps: stats.mismatchBeeps,
+    ...extra,
+  };
+}
+
+/**
+ * End-of-session breakdown: active chanting vs silence (ms).
+ */
+export function sessionBreakdown(session) {
+  const totalMs = Math.max(0, session.endedAt - session.startedAt);
+  const chantMs = Math.min(session.chantMs, totalMs);
+  return { totalMs, chantMs, silentMs: totalMs - chantMs };
+}
+
+/* ===========================================================
+   Statistics
+   =========================================================== */
+function startOfDay(ts) {
+  const d = new Date(ts);
+  d.setHours(0, 0, 0, 0);
+  return d.getTime();
+}
+
+// Weeks start on Monday
+function startOfWeek(ts) {
+  const d = new Date(startOfDay(ts));
+  const offset = (d.getDay() + 6) % 7;
+  d.setDate(d.getDate() - offset);
+  return d.getTime();
+}
+
+function addDays(ts, n) {
+  const d = new Date(ts);
+  d.setDate(d.getDate() + n);
+  return d.getTime();
+}
+
+/**
+ * Daily totals (last `days` days), weekly totals (last `weeks` weeks)
+ * and the run of consecutive practice days ending today (or yesterday,
+ * so the streak doesn't look broken before today's session).
+ */
+export function summarizeSessions(sessions, now, days = 7, weeks = 4) {
+  const today = startOfDay(now);
+  const thisWeek = startOfWeek(now);
+
+  const daily = [];
+  for (let i = days - 1; i >= 0; i--) {
+    daily.push({ start: addDays(today, -i), chantMs: 0, sessions: 0 });
+  }
+  const weekly = [];
+  for (let i = weeks - 1; i >= 0; i--) {
+    weekly.push({ start: addDays(thisWeek, -7 * i), chantMs: 0, sessions: 0 });
+  }
+
+  const practiced = new Set();
+  for (const s of sessions) {
+    const day = startOfDay(s.startedAt);
+    practiced.add(day);
+
+    const d = daily.find((b) => b.start === day);
+    if (d) {
+      d.chantMs += s.chantMs || 0;
+      d.sessions += 1;
+    }
+    const w = weekly.find((b) => b.start === startOfWeek(s.startedAt));
+    if (w) {
+      w.chantMs += s.chantMs || 0;
+      w.sessions += 1;
+    }
+  }
+
+  let cursor = practiced.has(today) ? today : addDays(today, -1);
+  let streakDays = 0;
+  while (practiced.has(cursor)) {
+    streakDays += 1;
+    cursor = addDays(cursor, -1);
+  }
+
+  return { daily, weekly, streakDays };
+}
@@ -0,0 +1,70 @@
+import { summarizeSessions } from './sessionHistory';
+
+// Day boundaries are local time; use a zone with daylight saving time
+const savedTz = process.env.TZ;
+beforeAll(() => {
+  process.env.TZ = 'America/New_York'; // 2026: clocks change on Mar 8 and Nov 1
+});
+afterAll(() => {
+  if (savedTz === undefined) delete process.env.TZ;
+  else process.env.TZ = savedTz;
+});
+
+const at = (month, day, hour = 12, minute = 0) => new Date(2026, month - 1, day, hour, minute).getTime();
+const session = (startedAt, chantMs = 60000) => ({ startedAt, endedAt: startedAt + chantMs, chantMs });
+
+describe('summarizeSessions', () => {
+  test('totals chanting per day and per week (weeks start on Monday)', () => {
+    const sessions = [
+      session(at(2, 20), 5000),
+      session(at(3, 8, 9), 120000), // Sunday, the day the clocks go forward
+      session(at(3, 10), 60000),
+      session(at(3, 11, 7), 30000),
+      session(at(3, 11, 9), 60000),
+    ];
+    const { daily, weekly } = summarizeSessions(sessions, at(3, 11));
+
+    expect(daily.map((d) => d.start)).toEqual([5, 6, 7, 8, 9, 10, 11].map((d) => at(3, d, 0)));
+    expect(daily.map((d) => d.chantMs)).toEqual([0, 0, 0, 120000, 0, 60000, 90000]);
+    expect(daily[6].sessions).toBe(2);
+
+    expect(weekly.map((w) => w.start)).toEqual([at(2, 16, 0), at(2, 23, 0), at(3, 2, 0), at(3, 9, 0)]);
+    expect(weekly.map((w) => w.chantMs)).toEqual([5000, 0, 120000, 150000]);
+    expect(weekly.map((w) => w.sessions)).toEqual([1, 0, 1, 3]);
+  });
+
+  test('an empty history has empty buckets and no streak', () => {
+    const { daily, weekly, streakDays } = summarizeSessions([], at(3, 11));
+    expect(daily).toHaveLength(7);
+    expect(weekly).toHaveLength(4);
+    expect([...daily, ...weekly].every((b) => b.chantMs === 0 && b.sessions === 0)).toBe(true);
+    expect(streakDays).toBe(0);
+  });
+
+  test('a session spanning midnight counts for the day it started', () => {
+    const late = { startedAt: at(3, 10, 23, 30), endedAt: at(3, 11, 0, 30), chantMs: 3600000 };
+    const { daily, streakDays } = summarizeSessions([late], at(3, 11));
+    expect(daily[5]).toMatchObject({ start: at(3, 10, 0), chantMs: 3600000, sessions: 1 });
+    expect(daily[6]).toMatchObject({ chantMs: 0, sessions: 0 });
+    expect(streakDays).toBe(1);
+  });
+});
+
+describe('day streak', () => {
+  const streak = (starts, now) => summarizeSessions(starts.map((s) => session(s)), now).streakDays;
+
+  test('runs through the daylight saving changes', () => {
+    expect(streak([at(3, 7, 22), at(3, 8, 8), at(3, 9, 8)], at(3, 9, 20))).toBe(3);
+    expect(streak([at(10, 31, 8), at(11, 1, 23), at(11, 2, 0, 5)], at(11, 2, 9))).toBe(3);
+  });
+
+  test('still counts up to yesterday before today\'s session', () => {
+    expect(streak([at(3, 7), at(3, 8)], at(3, 9, 6))).toBe(2);
+    expect(streak([at(3, 6), at(3, 7)], at(3, 9, 6))).toBe(0);
+  });
+
+  test('midnight decides the day, and a missed day breaks the run', () => {
+    expect(streak([at(3, 7, 23, 55), at(3, 8, 0, 5)], at(3, 8))).toBe(2);
+    expect(streak([at(3, 6, 23, 50), at(3, 8, 0, 10), at(3, 9, 0, 5)], at(3, 9))).toBe(2);
+  });
+});
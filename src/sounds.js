@@ -0,0 +1,186 @@
+/* ===========================================================
+   Reminder Sounds (Web Audio) + Vibration
+   -----------------------------------------------------------
+   Presets are synthesized and need nothing but an AudioContext.
+   Everything plays through one output gain so it can be ducked
+   under speech.
+   =========================================================== */
+export const SOUND_EVENTS = ["silence", "mismatch", "pace", "fast", "mala", "goal"];
+
+// seconds: how long the preset sounds (the echo guard waits that long)
+export const SOUND_PRESETS = {
+  soft: { synth: playSoft, seconds: 1.5 }, // original 440 Hz reminder beep
+  bell: { synth: playBell, seconds: 2.2 },
+  ghanta: { synth: playGhanta, seconds: 4 },
+  tanpura: { synth: playTanpura, seconds: 3 },
+  chime: { synth: playChime, seconds: 2.5 },
+};
+
+export const VIBRATION_PATTERNS = {
+  off: null,
+  short: [200],
+  double: [150, 100, 150],
+  long: [600],
+};
+
+export const DEFAULT_SOUND_SETTINGS = {
+  volume: 1,
+  events: {
+    silence: { sound: "soft", vibrate: "short" },
+    mismatch: { sound: "bell", vibrate: "double" },
+    pace: { sound: "tanpura", vibrate: "off" }, // guided mode: fell behind (a nudge, not an alarm)
+    fast: { sound: "ghanta", vibrate: "short" }, // chanting above the pace ceiling
+    mala: { sound: "chime", vibrate: "long" },
+    goal: { sound: "bell", vibrate: "long" }, // session goal reached
+  },
+};
+
+/**
+ * Merge stored settings over the defaults, dropping unknown presets.
+ */
+export function normalizeSoundSettings(raw) {
+  const out = {
+    volume: DEFAULT_SOUND_SETTINGS.volume,
+    events: { ...DEFAULT_SOUND_SETTINGS.events },
+  };
+  if (!raw || typeof raw !== "object") return out;
+
+  const vol = Number(raw.volume);
+  if (vol >= 0 && vol <= 1) out.volume = vol;
+
+  for (const ev of SOUND_EVENTS) {
+    const cfg = (raw.events && raw.events[ev]) || {};
+    out.events[ev] = {
+      sound: SOUND_PRESETS[cfg.sound] ? cfg.sound : out.events[ev].sound,
+      vibrate: cfg.vibrate in VIBRATION_PATTERNS ? cfg.vibrate : out.events[ev].vibrate,
+    };
+  }
+  return out;
+}
+
+/**
+ * Play `preset` at `volume` (0..1, multiplies the preset's own level).
+ * Returns how long it sounds, in ms.
+ */
+export function playSound(ctx, preset, volume = 1) {
+  const p = SOUND_PRESETS[preset] || SOUND_PRESETS.soft;
+  if (ctx.state === "suspended") ctx.resume(); // mobile fix
+  p.synth(ctx, volume);
+  return p.seconds * 1000;
+}
+
+export function vibrate(pattern) {
+  const steps = VIBRATION_PATTERNS[pattern];
+  if (steps && typeof navigator !== "undefined" && navigator.vibrate) {
+    navigator.vibrate(steps);
+  }
+}
+
+/* ---------- Shared output (ducking) ---------- */
+const DUCK_LEVEL = 0.25; // output level while a voice prompt speaks
+const DUCK_RAMP_S = 0.15;
+const outputs = new WeakMap(); // ctx -> GainNode
+
+function output(ctx) {
+  let out = outputs.get(ctx);
+  if (!out) {
+    out = ctx.createGain();
+    out.connect(ctx.destination);
+    outputs.set(ctx, out);
+  }
+  return out;
+}
+
+/**
+ * Lower (ducked = true) or restore everything played through `ctx`.
+ */
+export function duckAudio(ctx, ducked) {
+  const gain = output(ctx).gain;
+  const t = ctx.currentTime;
+  gain.cancelScheduledValues(t);
+  gain.setValueAtTime(gain.value, t);
+  gain.linearRampToValueAtTime(ducked ? DUCK_LEVEL : 1, t + DUCK_RAMP_S);
+}
+
+/* ===========================================================
+   Synthesized presets
+   =========================================================== */
+
+// One oscillator with an attack/decay envelope
+function tone(ctx, { freq, type = "sine", peak, attack = 0.02, duration, at = 0, exp = true }) {
+  const start = ctx.currentTime + at;
+  const end = start + duration;
+  const osc = ctx.createOscillator();
+  const gain = ctx.createGain();
+  osc.type = type;
+  osc.frequency.value = freq;
+
+  gain.gain.setValueAtTime(0, start);
+  gain.gain.linearRampToValueAtTime(peak, start + attack);
+  if (exp) gain.gain.exponentialRampToValueAtTime(0.0001, end);
+  else gain.gain.linearRampToValueAtTime(0, end);
+
+  osc.connect(gain).connect(output(ctx));
+  osc.start(start);
+  osc.stop(end + 0.01);
+  return osc;
+}
+
+// Soft sine beep (the original reminder: 440 Hz, gain 0.2, 1.5 s)
+function playSoft(ctx, volume) {
+  tone(ctx, { freq: 440, peak: 0.2 * volume, attack: 0.1, duration: 1.5, exp: false });
+}
+
+// Small bell: inharmonic partials, quick strike
+function playBell(ctx, volume) {
+  [
+    [523, 0.22],
+    [1444, 0.1],
+    [2826, 0.05],
+  ].forEach(([freq, peak]) =>
+    tone(ctx, { freq, peak: peak * volume, attack: 0.005, duration: 2.2 })
+  );
+}
+
+// Temple ghanta: low strike with slow beating between close partials
+function playGhanta(ctx, volume) {
+  [
+    [330, 0.2],
+    [333.5, 0.15],
+    [660, 0.08],
+    [987, 0.06],
+    [1386, 0.04],
+  ].forEach(([freq, peak]) =>
+    tone(ctx, { freq, peak: peak * volume, attack: 0.004, duration: 4 })
+  );
+}
+
+// Tanpura-like drone: Sa, Pa, upper Sa through a soft low-pass
+function playTanpura(ctx, volume) {
+  const start = ctx.currentTime;
+  const end = start + 3;
+  const filter = ctx.createBiquadFilter();
+  filter.type = "lowpass";
+  filter.frequency.value = 1200;
+  filter.connect(output(ctx));
+
+  [130.8, 196, 261.6].forEach((freq, i) => {
+    const osc = ctx.createOscillator();
+    const gain = ctx.createGain();
+    osc.type = "sawtooth";
+    osc.frequency.value = freq;
+    gain.gain.setValueAtTime(0, start);
+    gain.gain.linearRampToValueAtTime((0.06 / (i + 1)) * volume, start + 0.6);
+    gain.gain.linearRampToValueAtTime(0, end);
+    osc.connect(gain).connect(filter);
+    osc.start(start);
+    osc.stop(end + 0.01);
+  });
+}
+
+// Mala complete: bright two-partial chime
+function playChime(ctx, volume) {
+  [660, 990].forEach((freq, i) =>
+    tone(ctx, { freq, type: "triangle", peak: (0.25 / (i + 1)) * volume, duration: 2.5 })
+  );
+}
@@ -0,0 +1,24 @@
+import { DEFAULT_SOUND_SETTINGS, normalizeSoundSettings } from './sounds';
+
+test('falls back to defaults for missing or broken settings', () => {
+  expect(normalizeSoundSettings(null)).toEqual(DEFAULT_SOUND_SETTINGS);
+  expect(normalizeSoundSettings('nope')).toEqual(DEFAULT_SOUND_SETTINGS);
+});
+
+test('keeps valid choices and drops unknown presets', () => {
+  const out = normalizeSoundSettings({
+    volume: 0.4,
+    events: {
+      silence: { sound: 'ghanta', vibrate: 'long' },
+      mismatch: { sound: 'trumpet', vibrate: 'buzz' },
+    },
+  });
+  expect(out.volume).toBe(0.4);
+  expect(out.events.silence).toEqual({ sound: 'ghanta', vibrate: 'long' });
+  expect(out.events.mismatch).toEqual(DEFAULT_SOUND_SETTINGS.events.mismatch);
+  expect(out.events.mala).toEqual(DEFAULT_SOUND_SETTINGS.events.mala);
+});
+
+test('rejects out-of-range volume', () => {
+  expect(normalizeSoundSettings({ volume: 3 }).volume).toBe(DEFAULT_SOUND_SETTINGS.volume);
+});
@@ -0,0 +1,175 @@
+/* ===========================================================
+   Transliteration (Indic scripts ↔ Latin) + Phonetic Keys
+   -----------------------------------------------------------
+   Devanagari, Bengali, Gurmukhi, Gujarati, Tamil and Telugu, and the
+   usual romanizations (IAST, ITRANS, loose "shiv"/"shiva",
+   "ram"/"raam"), reduce to one lowercase ASCII key, so "राधा", "রাধা",
+   "Rādhā", "raadhaa" and "radha" all compare equal.
+   =========================================================== */
+
+/* ---------- Devanagari → Latin (ITRANS-like, lowercase) ---------- */
+const VOWELS = {
+  "अ": "a", "आ": "aa", "इ": "i", "ई": "ii", "उ": "u", "ऊ": "uu",
+  "ऋ": "ri", "ॠ": "rii", "ऌ": "li", "ए": "e", "ऐ": "ai", "ओ": "o",
+  "औ": "au", "ऍ": "e", "ऑ": "o", "ऎ": "e", "ऒ": "o",
+};
+
+const VOWEL_SIGNS = {
+  "ा": "aa", "ि": "i", "ी": "ii", "ु": "u", "ू": "uu", "ृ": "ri",
+  "ॄ": "rii", "ॢ": "li", "े": "e", "ै": "ai", "ो": "o", "ौ": "au",
+  "ॅ": "e", "ॉ": "o", "ॆ": "e", "ॊ": "o",
+};
+
+const CONSONANTS = {
+  "क": "k", "ख": "kh", "ग": "g", "घ": "gh", "ङ": "n",
+  "च": "ch", "छ": "chh", "ज": "j", "झ": "jh", "ञ": "n",
+  "ट": "t", "ठ": "th", "ड": "d", "ढ": "dh", "ण": "n",
+  "त": "t", "थ": "th", "द": "d", "ध": "dh", "न": "n", "ऩ": "n",
+  "प": "p", "फ": "ph", "ब": "b", "भ": "bh", "म": "m",
+  "य": "y", "र": "r", "ऱ": "r", "ल": "l", "ळ": "l", "ऴ": "l", "व": "v",
+  "श": "sh", "ष": "sh", "स": "s", "ह": "h",
+  // precomposed nukta letters
+  "क़": "q", "ख़": "kh", "ग़": "g", "ज़": "z", "ड़": "r", "ढ़": "rh",
+  "फ़": "f", "य़": "y",
+};
+
+const SIGNS = {
+  "ं": "m", // anusvara (phoneticKey turns it into "n" before consonants)
+  "ँ": "m", // chandrabindu (ओँ / ওঁ is om)
+  "ः": "h", // visarga
+  "ॐ": "om",
+  "ऽ": "", // avagraha
+};
+
+const VIRAMA = "्";
+const NUKTA = "़";
+
+/* ---------- Other Indic scripts → Devanagari ---------- */
+// These blocks follow Devanagari's layout (ISCII order), so a letter
+// maps across by its offset within the 128-codepoint block.
+const INDIC_BLOCKS = [
+  0x0980, // Bengali
+  0x0a00, // Gurmukhi
+  0x0a80, // Gujarati
+  0x0b80, // Tamil
+  0x0c00, // Telugu
+];
+const DEVANAGARI_START = 0x0900;
+
+// Letters that read differently from their Devanagari twin
+const SCRIPT_OVERRIDES = {
+  "ৎ": "त्", // Bengali khanda ta
+  "ੰ": "ं", // Gurmukhi tippi
+  "ੱ": "", // Gurmukhi addak (doubles the next consonant)
+  "ச": "स", // Tamil ca is "s" in mantras: சிவாய → sivaya
+};
+
+/**
+ * Map Bengali, Gurmukhi, Gujarati, Tamil and Telugu letters to their
+ * Devanagari equivalents; other characters pass through. Tamil has no
+ * voiced or aspirated stops, so its க/ட/த/ப read as k/t/t/p.
+ */
+export function indicToDevanagari(str) {
+  let out = "";
+  for (const ch of str.normalize("NFC")) {
+    if (SCRIPT_OVERRIDES[ch] !== undefined) {
+      out += SCRIPT_OVERRIDES[ch];
+      continue;
+    }
+    const code = ch.codePointAt(0);
+    const block = INDIC_BLOCKS.find((start) => code >= start && code < start + 0x80);
+    out += block === undefined ? ch : String.fromCodePoint(code - block + DEVANAGARI_START);
+  }
+  return out;
+}
+
+/**
+ * Latin rendering of Devanagari text; other characters pass through.
+ * The inherent "a" is written out (राम → "raama"); phoneticKey() drops
+ * the word-final schwa.
+ */
+export function devanagariToLatin(str) {
+  let out = "";
+  let pendingA = false; // consonant waiting for its inherent vowel
+
+  for (const ch of str) {
+    if (ch === NUKTA) continue; // क़ written as क + ़ : keep base sound
+    if (VOWEL_SIGNS[ch] !== undefined) {
+      out += VOWEL_SIGNS[ch];
+      pendingA = false;
+      continue;
+    }
+    if (ch === VIRAMA) {
+      pendingA = false;
+      continue;
+    }
+
+    if (pendingA) out += "a";
+    pendingA = false;
+
+    if (CONSONANTS[ch] !== undefined) {
+      out += CONSONANTS[ch];
+      pendingA = true;
+    } else if (VOWELS[ch] !== undefined) {
+      out += VOWELS[ch];
+    } else if (SIGNS[ch] !== undefined) {
+      out += SIGNS[ch];
+    } else {
+      out += ch;
+    }
+  }
+  if (pendingA) out += "a";
+  return out;
+}
+
+/* ---------- Loose phonetic key (one word) ---------- */
+// Applied in order; later rules see the output of earlier ones.
+const KEY_RULES = [
+  [/ksh|x/g, "ks"],
+  [/chh|ch/g, "c"],
+  [/sh/g, "s"],
+  [/([kgjtdpbr])h/g, "$1"], // de-aspirate: bh→b, dh→d, …
+  [/b/g, "v"], // Bengali writes both with ব: শিবায় → shibaya
+  [/ph|f/g, "p"],
+  [/w/g, "v"],
+  [/z/g, "j"],
+  [/q/g, "k"],
+  [/ee|ii/g, "i"],
+  [/oo|uu/g, "u"],
+  [/au/g, "o"], // aum → om
+  [/aa/g, "a"],
+  [/ri(?=[dpst])/g, "r"], // vocalic ṛ: krishna → krsna, amrita → amrta
+  [/m(?=[bcdgjklnpstv])/g, "n"], // anusvara: shamkar → shankar
+  [/(.)\1+/g, "$1"], // doubled letters
+];
+
+/**
+ * Reduce one romanized word to its phonetic key.
+ *  - strips diacritics (IAST ā, ṣ, ṛ …) and non-letters
+ *  - folds length, aspiration and sibilant variants
+ *  - drops trailing schwa / visarga: shiva → siv, namaha → nam
+ */
+export function phoneticKey(word) {
+  let key = word
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z]/g, "");
+
+  for (const [re, rep] of KEY_RULES) key = key.replace(re, rep);
+
+  while (key.length > 2 && /[ah]$/.test(key)) key = key.slice(0, -1);
+  return key;
+}
+
+/**
+ * Phonetic key for a whole string in any supported script; word keys are joined
+ * without spaces (glued words like "sitaram" therefore stay comparable).
+ */
+export function toPhonetic(str) {
+  return (str || "")
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((w) => phoneticKey(devanagariToLatin(indicToDevanagari(w))))
+    .join("");
+}
@@ -0,0 +1,106 @@
+/* ===========================================================
+   Voice Activity Detection (no speech recognizer needed)
+   -----------------------------------------------------------
+   An AnalyserNode on the mic gives an RMS level every POLL_MS;
+   audio clearly above the measured room noise, held for a moment,
+   counts as chanting.
+   =========================================================== */
+export const POLL_MS = 50;
+const VOICE_RATIO = 3; // voiced = level above noise floor × ratio
+const MIN_VOICE_LEVEL = 0.01; // never trigger below this, even in a silent room
+const VOICED_MIN_MS = 300; // sustained voice before it counts
+export const CALIBRATION_MS = 3000;
+export const DEFAULT_NOISE_FLOOR = 0.005;
+
+/**
+ * Root-mean-square of a time-domain buffer (-1..1 samples).
+ */
+export function rms(samples) {
+  if (!samples.length) return 0;
+  let sum = 0;
+  for (let i = 0; i < samples.length; i++) sum += samples[i] * samples[i];
+  return Math.sqrt(sum / samples.length);
+}
+
+/**
+ * Room noise floor from calibration levels: mean + 2σ, so ordinary
+ * fan/traffic noise stays below the threshold.
+ */
+export function noiseFloorFrom(levels) {
+  if (!levels.length) return DEFAULT_NOISE_FLOOR;
+  const mean = levels.reduce((a, b) => a + b, 0) / levels.length;
+  const variance = levels.reduce((a, b) => a + (b - mean) ** 2, 0) / levels.length;
+  return mean + 2 * Math.sqrt(variance);
+}
+
+export function voiceThreshold(noiseFloor) {
+  return Math.max(noiseFloor * VOICE_RATIO, MIN_VOICE_LEVEL);
+}
+
+/**
+ * Pure detector: push(level, at) returns true while voice has been
+ * above threshold for at least VOICED_MIN_MS.
+ */
+export function createVoiceDetector({ noiseFloor = DEFAULT_NOISE_FLOOR } = {}) {
+  const threshold = voiceThreshold(noiseFloor);
+  let voicedSince = null;
+
+  const push = (level, at) => {
+    if (level < threshold) {
+      voicedSince = null;
+      return false;
+    }
+    if (voicedSince === null) voicedSince = at;
+    return at - voicedSince >= VOICED_MIN_MS;
+  };
+
+  return { push, threshold };
+}
+
+/**
+ * Open the mic and report its RMS level every POLL_MS, with the raw
+ * samples (a reused buffer: copy what you keep) for feature extraction.
+ * Resolves to a stop() function; rejects if the mic is unavailable.
+ * Raw levels (no echo cancellation) hear the app's own beeps: the
+ * engine's echo guard ignores voice while they play.
+ */
+export async function startMicLevels(ctx, onLevel) {
+  const stream = await navigator.mediaDevices.getUserMedia({
+    audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false },
+  });
+  const source = ctx.createMediaStreamSource(stream);
+  const analyser = ctx.createAnalyser();
+  analyser.fftSize = 2048;
+  source.connect(analyser);
+
+  const buf = new Float32Array(analyser.fftSize);
+  const timer = setInterval(() => {
+    analyser.getFloatTimeDomainData(buf);
+    onLevel(rms(buf), buf);
+  }, POLL_MS);
+
+  return () => {
+    clearInterval(timer);
+    source.disconnect();
+    stream.getTracks().forEach((tr) => tr.stop());
+  };
+}
+
+/**
+ * Measure room noise for CALIBRATION_MS (user stays quiet).
+ */
+export async function calibrateNoise(ctx) {
+  const levels = [];
+  const stop = await startMicLevels(ctx, (level) => levels.push(level));
+  await new Promise((resolve) => setTimeout(resolve, CALIBRATION_MS));
+  stop();
+  return noiseFloorFrom(levels);
+}
+
+export function isVoiceActivityAvailable() {
+  return (
+    typeof window !== "undefined" &&
+    !!(window.AudioContext || window.webkitAudioContext) &&
+    !!(navigator.mediaDevices && navigator.mediaDevices.getUserMedia)
+  );
+}
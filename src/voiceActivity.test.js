@@ -0,0 +1,26 @@
+import { rms, noiseFloorFrom, voiceThreshold, createVoiceDetector } from './voiceActivity';
+
+test('rms of a buffer', () => {
+  expect(rms(new Float32Array([0.5, -0.5, 0.5, -0.5]))).toBeCloseTo(0.5);
+  expect(rms(new Float32Array([]))).toBe(0);
+});
+
+test('noise floor sits above steady room noise', () => {
+  const floor = noiseFloorFrom([0.004, 0.006, 0.005, 0.005]);
+  expect(floor).toBeGreaterThan(0.005);
+  expect(floor).toBeLessThan(0.008);
+});
+
+test('threshold never drops below the minimum voice level', () => {
+  expect(voiceThreshold(0)).toBe(0.01);
+  expect(voiceThreshold(0.02)).toBeCloseTo(0.06);
+});
+
+test('detector needs sustained voice, and resets on a dip', () => {
+  const detector = createVoiceDetector({ noiseFloor: 0.005 });
+  expect(detector.push(0.1, 0)).toBe(false);
+  expect(detector.push(0.1, 200)).toBe(false);
+  expect(detector.push(0.1, 300)).toBe(true);
+  expect(detector.push(0.001, 350)).toBe(false);
+  expect(detector.push(0.1, 400)).toBe(false);
+});
@@ -0,0 +1,87 @@
+/* ===========================================================
+   Voice Prompts (speechSynthesis)
+   -----------------------------------------------------------
+   Optional spoken guidance for eyes-closed practice. Each prompt
+   replaces whatever is still being said, and onStart/onEnd let the
+   caller duck other audio while the voice speaks.
+   =========================================================== */
+export const MIN_RATE = 0.5;
+export const MAX_RATE = 1.5;
+
+export const DEFAULT_VOICE_SETTINGS = {
+  enabled: false,
+  voiceURI: "", // "" = browser default for the language
+  rate: 1,
+};
+
+/**
+ * Merge stored settings over the defaults.
+ */
+export function normalizeVoiceSettings(raw) {
+  const src = raw && typeof raw === "object" ? raw : {};
+  const rate = Number(src.rate);
+  return {
+    enabled: !!src.enabled,
+    voiceURI: typeof src.voiceURI === "string" ? src.voiceURI : "",
+    rate: rate >= MIN_RATE && rate <= MAX_RATE ? rate : DEFAULT_VOICE_SETTINGS.rate,
+  };
+}
+
+export function isSpeechSynthesisAvailable() {
+  return typeof window !== "undefined" && !!window.speechSynthesis;
+}
+
+/**
+ * Voices whose language matches `lang` ("hi-IN" also accepts any "hi-*").
+ */
+export function voicesForLang(voices, lang) {
+  const base = lang.split("-")[0].toLowerCase();
+  return voices.filter((v) => (v.lang || "").toLowerCase().replace("_", "-").split("-")[0] === base);
+}
+
+/**
+ * The chosen voice if it still exists and speaks `lang`, else the best
+ * match for `lang` (exact region first), else null (browser default).
+ */
+export function pickVoice(voices, lang, voiceURI) {
+  const candidates = voicesForLang(voices, lang);
+  const chosen = candidates.find((v) => v.voiceURI === voiceURI);
+  if (chosen) return chosen;
+  const norm = (l) => (l || "").toLowerCase().replace("_", "-");
+  return candidates.find((v) => norm(v.lang) === norm(lang)) || candidates[0] || null;
+}
+
+export function loadVoices() {
+  return isSpeechSynthesisAvailable() ? window.speechSynthesis.getVoices() : [];
+}
+
+/**
+ * Speak `text` now, cancelling any prompt still in progress.
+ * options: { lang, voiceURI, rate, onStart, onEnd }
+ */
+export function speak(text, { lang, voiceURI = "", rate = 1, onStart, onEnd } = {}) {
+  if (!text || !isSpeechSynthesisAvailable()) return;
+  const synth = window.speechSynthesis;
+  const u = new window.SpeechSynthesisUtterance(text);
+  u.lang = lang;
+  u.rate = rate;
+  const voice = pickVoice(synth.getVoices(), lang, voiceURI);
+  if (voice) u.voice = voice;
+
+  let ended = false;
+  const end = () => {
+    if (ended) return;
+    ended = true;
+    if (onEnd) onEnd();
+  };
+  u.onstart = () => onStart && onStart();
+  u.onend = end;
+  u.onerror = end;
+
+  synth.cancel();
+  synth.speak(u);
+}
+
+export function cancelSpeech() {
+  if (isSpeechSynthesisAvailable()) window.speechSynthesis.cancel();
+}
@@ -0,0 +1,32 @@
+import {
+  DEFAULT_VOICE_SETTINGS,
+  normalizeVoiceSettings,
+  voicesForLang,
+  pickVoice,
+} from './voicePrompts';
+
+const voices = [
+  { voiceURI: 'en-us', name: 'US', lang: 'en-US' },
+  { voiceURI: 'en-in', name: 'India', lang: 'en-IN' },
+  { voiceURI: 'hi', name: 'Hindi', lang: 'hi_IN' },
+];
+
+test('falls back to defaults for broken settings', () => {
+  expect(normalizeVoiceSettings(null)).toEqual(DEFAULT_VOICE_SETTINGS);
+  expect(normalizeVoiceSettings({ enabled: 1, rate: 9, voiceURI: 3 })).toEqual({
+    ...DEFAULT_VOICE_SETTINGS,
+    enabled: true,
+  });
+});
+
+test('filters voices by base language', () => {
+  expect(voicesForLang(voices, 'en-IN').map((v) => v.voiceURI)).toEqual(['en-us', 'en-in']);
+  expect(voicesForLang(voices, 'hi-IN').map((v) => v.voiceURI)).toEqual(['hi']);
+});
+
+test('keeps the chosen voice, else prefers the exact region', () => {
+  expect(pickVoice(voices, 'en-IN', 'en-us').voiceURI).toBe('en-us');
+  expect(pickVoice(voices, 'en-IN', '').voiceURI).toBe('en-in');
+  expect(pickVoice(voices, 'hi-IN', 'en-us').voiceURI).toBe('hi');
+  expect(pickVoice(voices, 'ta-IN', '')).toBeNull();
+});
@@ -0,0 +1,26 @@
+/* ===========================================================
+   Screen Wake Lock
+   -----------------------------------------------------------
+   Keeps the screen on while listening. The browser drops the lock
+   whenever the tab is hidden, so callers re-acquire it on
+   `visibilitychange`.
+   =========================================================== */
+export function isWakeLockAvailable() {
+  return typeof navigator !== "undefined" && !!navigator.wakeLock;
+}
+
+/**
+ * Resolves to a release() function; a no-op when the lock can't be had
+ * (unsupported, hidden tab, battery saver).
+ */
+export async function acquireWakeLock() {
+  if (!isWakeLockAvailable()) return () => {};
+  try {
+    const sentinel = await navigator.wakeLock.request("screen");
+    return () => {
+      sentinel.release().catch(() => {});
+    };
+  } catch {
+    return () => {};
+  }
+}